@@ -27,9 +27,13 @@ const coreExternalGlobals = new Map([
     [normalize(join(__dirname, 'src/core/dom-observer.js')), 'Toolasha.Core.domObserver'],
     [normalize(join(__dirname, 'src/core/data-manager.js')), 'Toolasha.Core.dataManager'],
     [normalize(join(__dirname, 'src/core/feature-registry.js')), 'Toolasha.Core.featureRegistry'],
+    [normalize(join(__dirname, 'src/core/feature-errors.js')), 'Toolasha.Core.featureErrors'],
     [normalize(join(__dirname, 'src/core/settings-storage.js')), 'Toolasha.Core.settingsStorage'],
     [normalize(join(__dirname, 'src/core/settings-schema.js')), 'Toolasha.Core'],
     [normalize(join(__dirname, 'src/core/marketplace-session.js')), 'Toolasha.Core'],
+    [normalize(join(__dirname, 'src/core/storage-backup.js')), 'Toolasha.Core'],
+    [normalize(join(__dirname, 'src/core/storage-manager.js')), 'Toolasha.Core'],
+    [normalize(join(__dirname, 'src/core/message-validator.js')), 'Toolasha.Core.messageValidator'],
     [normalize(join(__dirname, 'src/core/profile-manager.js')), 'Toolasha.Core.profileManager'],
     [normalize(join(__dirname, 'src/api/marketplace.js')), 'Toolasha.Core.marketAPI'],
 ]);
@@ -87,6 +91,7 @@ const marketExternalGlobals = new Map([
         normalize(join(__dirname, 'src/features/market/alchemy-profit-calculator.js')),
         'Toolasha.Market.alchemyProfitCalculator',
     ],
+    [normalize(join(__dirname, 'src/features/market/order-book-history.js')), 'Toolasha.Market.orderBookHistory'],
 ]);
 
 const buildGlobals = (globalsMap) => Object.fromEntries(globalsMap.entries());
@@ -0,0 +1,250 @@
+/**
+ * Market Data Sources
+ * Configured marketplace.json endpoints (official first by default, then mirrors) tried
+ * in priority order with passive health checks: a source that fails or is rate-limited is
+ * backed off and the next one is tried. A source serving an outdated snapshot is not backed
+ * off; its snapshot is kept as a last resort while the remaining sources are tried.
+ *
+ * Also holds the merge policy that decides when a live order book patch
+ * (marketAPI.updatePrice) wins over the bulk snapshot.
+ */
+
+export const OFFICIAL_MARKET_URL = 'https://www.milkywayidle.com/game_data/marketplace.json';
+
+export const MERGE_POLICY = Object.freeze({
+    NEWEST: 'newest', // Whichever is newer per item (default)
+    PATCHES_FIRST: 'patchesFirst', // Live patches win until they expire
+    SNAPSHOT_ONLY: 'snapshotOnly', // Ignore live patches
+});
+
+const FETCH_TIMEOUT_MS = 15 * 1000;
+const BASE_BACKOFF_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 30 * 60 * 1000;
+const OUTDATED_SNAPSHOT_MS = 6 * 60 * 60 * 1000; // Official snapshots update every few hours
+const PATCH_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse the configured source list
+ * @param {string} text - URLs separated by commas, spaces or new lines, in priority order
+ * @returns {string[]} Unique http(s) URLs; the official endpoint when none are valid
+ */
+export function parseSourceList(text) {
+    const urls = String(text || '')
+        .split(/[\s,]+/)
+        .map((url) => url.trim())
+        .filter((url) => /^https?:\/\/\S+$/i.test(url));
+
+    const unique = [...new Set(urls)];
+    return unique.length > 0 ? unique : [OFFICIAL_MARKET_URL];
+}
+
+/**
+ * Validate a marketplace.json payload
+ * @param {Object} data - Parsed JSON
+ * @returns {Object} The payload ({marketData, timestamp})
+ * @throws {Error} When the structure is invalid
+ */
+export function validateMarketSnapshot(data) {
+    if (!data?.marketData || typeof data.marketData !== 'object' || Array.isArray(data.marketData)) {
+        throw new Error('Invalid market data: missing marketData');
+    }
+    if (!Number.isFinite(data.timestamp) || data.timestamp <= 0) {
+        throw new Error('Invalid market data: missing timestamp');
+    }
+    return data;
+}
+
+/**
+ * Whether a live patch should be used instead of the snapshot price
+ * @param {Object|null} patch - Patch ({a, b, timestamp})
+ * @param {number|null} snapshotTimestamp - Snapshot time (ms)
+ * @param {string} policy - MERGE_POLICY value
+ * @param {number} [now] - Current time
+ * @returns {boolean}
+ */
+export function shouldUsePatch(patch, snapshotTimestamp, policy, now = Date.now()) {
+    if (!patch?.timestamp) return false;
+
+    switch (policy) {
+        case MERGE_POLICY.SNAPSHOT_ONLY:
+            return false;
+        case MERGE_POLICY.PATCHES_FIRST:
+            return now - patch.timestamp <= PATCH_MAX_AGE_MS;
+        default:
+            return patch.timestamp > (snapshotTimestamp || 0);
+    }
+}
+
+/**
+ * Whether a stored patch can be dropped
+ * @param {Object|null} patch - Patch ({a, b, timestamp})
+ * @param {number|null} snapshotTimestamp - Snapshot time (ms)
+ * @param {string} policy - MERGE_POLICY value
+ * @param {number} [now] - Current time
+ * @returns {boolean}
+ */
+export function isPatchStale(patch, snapshotTimestamp, policy, now = Date.now()) {
+    if (!patch?.timestamp) return true;
+    if (policy === MERGE_POLICY.NEWEST) return patch.timestamp < (snapshotTimestamp || 0);
+    // Other policies may still use (or switch back to) patches older than the snapshot
+    return now - patch.timestamp > PATCH_MAX_AGE_MS;
+}
+
+/**
+ * @param {string|null} header - Retry-After header (seconds or HTTP date)
+ * @param {number} now - Current time
+ * @returns {number|null} Delay in ms
+ */
+function parseRetryAfter(header, now) {
+    if (!header) return null;
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    return Number.isFinite(date) ? Math.max(0, date - now) : null;
+}
+
+/**
+ * Tracks source health and fetches from the first usable source
+ */
+export class MarketSources {
+    constructor() {
+        // url -> { failures, lastError, lastSuccess, retryAt, snapshotTimestamp }
+        this.health = new Map();
+    }
+
+    _getHealth(url) {
+        if (!this.health.has(url)) {
+            this.health.set(url, {
+                failures: 0,
+                lastError: null,
+                lastSuccess: null,
+                retryAt: 0,
+                snapshotTimestamp: null,
+            });
+        }
+        return this.health.get(url);
+    }
+
+    /**
+     * Record a successful fetch
+     * @param {string} url - Source URL
+     * @param {number} snapshotTimestamp - Snapshot time (ms)
+     * @param {number} [now] - Current time
+     */
+    recordSuccess(url, snapshotTimestamp, now = Date.now()) {
+        Object.assign(this._getHealth(url), {
+            failures: 0,
+            lastError: null,
+            lastSuccess: now,
+            retryAt: 0,
+            snapshotTimestamp,
+        });
+    }
+
+    /**
+     * Record a failed fetch and back the source off exponentially
+     * @param {string} url - Source URL
+     * @param {string} error - Error message
+     * @param {number} [now] - Current time
+     * @param {number|null} [retryAfterMs] - Server-requested delay (rate limiting)
+     */
+    recordFailure(url, error, now = Date.now(), retryAfterMs = null) {
+        const health = this._getHealth(url);
+        health.failures++;
+        health.lastError = error;
+        const backoff = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (health.failures - 1));
+        health.retryAt = now + (retryAfterMs ?? backoff);
+    }
+
+    /**
+     * Sources to try, in order: healthy ones by priority. Backed-off sources (including
+     * rate-limited ones) are skipped until their retry time, even when that leaves none
+     * @param {string[]} urls - Sources in priority order
+     * @param {number} [now] - Current time
+     * @returns {string[]}
+     */
+    getOrderedSources(urls, now = Date.now()) {
+        return urls.filter((url) => this._getHealth(url).retryAt <= now);
+    }
+
+    /**
+     * Fetch and validate one source
+     * @param {string} url - Source URL
+     * @param {Function} fetchFn - fetch implementation
+     * @returns {Promise<Object>} Snapshot
+     */
+    async _fetchSource(url, fetchFn) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timeout = controller ? setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS) : null;
+
+        try {
+            const response = await fetchFn(url, controller ? { signal: controller.signal } : undefined);
+            if (!response.ok) {
+                const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+                if (response.status === 429) {
+                    error.retryAfterMs = parseRetryAfter(response.headers?.get?.('Retry-After'), Date.now());
+                }
+                throw error;
+            }
+            return validateMarketSnapshot(await response.json());
+        } finally {
+            if (timeout) clearTimeout(timeout);
+        }
+    }
+
+    /**
+     * Fetch a snapshot from the first usable source.
+     * An outdated snapshot (e.g. a mirror that stopped updating) is kept as a fallback
+     * while later sources are tried.
+     * @param {string[]} urls - Sources in priority order
+     * @param {Function} [fetchFn] - fetch implementation
+     * @returns {Promise<{data: Object, source: string}>}
+     * @throws {Error} When every source fails or is backed off
+     */
+    async fetchSnapshot(urls, fetchFn = fetch) {
+        let fallback = null;
+        const errors = [];
+        const ordered = this.getOrderedSources(urls);
+
+        if (ordered.length === 0) {
+            const retryAt = Math.min(...urls.map((url) => this._getHealth(url).retryAt));
+            throw new Error(`All market data sources are backed off until ${new Date(retryAt).toISOString()}`);
+        }
+
+        for (const url of ordered) {
+            try {
+                const data = await this._fetchSource(url, fetchFn);
+                const snapshotTimestamp = data.timestamp * 1000;
+                this.recordSuccess(url, snapshotTimestamp);
+
+                if (Date.now() - snapshotTimestamp <= OUTDATED_SNAPSHOT_MS) {
+                    return { data, source: url };
+                }
+                if (!fallback || data.timestamp > fallback.data.timestamp) {
+                    fallback = { data, source: url };
+                }
+                errors.push(`${url}: snapshot outdated`);
+            } catch (error) {
+                const message = error.name === 'AbortError' ? 'timed out' : error.message;
+                this.recordFailure(url, message, Date.now(), error.retryAfterMs ?? null);
+                errors.push(`${url}: ${message}`);
+            }
+        }
+
+        if (fallback) return fallback;
+        throw new Error(`All market data sources failed (${errors.join('; ')})`);
+    }
+
+    /**
+     * Health of each source
+     * @param {string[]} urls - Sources in priority order
+     * @param {number} [now] - Current time
+     * @returns {Array<Object>} [{ url, healthy, failures, lastError, lastSuccess, retryAt, snapshotTimestamp }]
+     */
+    getHealthReport(urls, now = Date.now()) {
+        return urls.map((url) => {
+            const health = this._getHealth(url);
+            return { url, healthy: health.retryAt <= now, ...health };
+        });
+    }
+}
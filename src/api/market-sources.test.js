@@ -0,0 +1,127 @@
+import { describe, expect, test, vi } from 'vitest';
+import {
+    MERGE_POLICY,
+    MarketSources,
+    OFFICIAL_MARKET_URL,
+    isPatchStale,
+    parseSourceList,
+    shouldUsePatch,
+    validateMarketSnapshot,
+} from './market-sources.js';
+
+const MIRROR = 'https://mirror.example/marketplace.json';
+const HOUR = 60 * 60 * 1000;
+
+const jsonResponse = (body) => ({ ok: true, status: 200, json: async () => body });
+const errorResponse = (status, headers = {}) => ({
+    ok: false,
+    status,
+    statusText: 'Error',
+    headers: { get: (name) => headers[name] ?? null },
+});
+const snapshot = (ageMs = 0) => ({ marketData: { '/items/cheese': {} }, timestamp: (Date.now() - ageMs) / 1000 });
+
+describe('parseSourceList', () => {
+    test('keeps unique http(s) URLs in order and falls back to the official endpoint', () => {
+        expect(parseSourceList(`${MIRROR}, ftp://nope\n${OFFICIAL_MARKET_URL} ${MIRROR}`)).toEqual([
+            MIRROR,
+            OFFICIAL_MARKET_URL,
+        ]);
+        expect(parseSourceList('')).toEqual([OFFICIAL_MARKET_URL]);
+    });
+});
+
+describe('validateMarketSnapshot', () => {
+    test('requires marketData and a timestamp', () => {
+        expect(() => validateMarketSnapshot({ timestamp: 1 })).toThrow('marketData');
+        expect(() => validateMarketSnapshot({ marketData: {} })).toThrow('timestamp');
+        expect(validateMarketSnapshot({ marketData: {}, timestamp: 1 })).toBeTruthy();
+    });
+});
+
+describe('merge policy', () => {
+    const now = 100 * HOUR;
+    const patch = { a: 1, b: 1, timestamp: now - 2 * HOUR };
+
+    test('newest uses patches fresher than the snapshot', () => {
+        expect(shouldUsePatch(patch, now - 3 * HOUR, MERGE_POLICY.NEWEST, now)).toBe(true);
+        expect(shouldUsePatch(patch, now - HOUR, MERGE_POLICY.NEWEST, now)).toBe(false);
+        expect(isPatchStale(patch, now - HOUR, MERGE_POLICY.NEWEST, now)).toBe(true);
+    });
+
+    test('patches first uses unexpired patches; snapshot only ignores them', () => {
+        expect(shouldUsePatch(patch, now - HOUR, MERGE_POLICY.PATCHES_FIRST, now)).toBe(true);
+        expect(shouldUsePatch({ ...patch, timestamp: now - 25 * HOUR }, 0, MERGE_POLICY.PATCHES_FIRST, now)).toBe(
+            false
+        );
+        expect(isPatchStale(patch, now - HOUR, MERGE_POLICY.PATCHES_FIRST, now)).toBe(false);
+        expect(shouldUsePatch(patch, 0, MERGE_POLICY.SNAPSHOT_ONLY, now)).toBe(false);
+    });
+});
+
+describe('MarketSources', () => {
+    test('falls through to the next source and backs off the failing one', async () => {
+        const sources = new MarketSources();
+        const fetchFn = vi.fn(async (url) => (url === MIRROR ? jsonResponse(snapshot()) : errorResponse(503)));
+
+        const result = await sources.fetchSnapshot([OFFICIAL_MARKET_URL, MIRROR], fetchFn);
+
+        expect(result.source).toBe(MIRROR);
+        const [official, mirror] = sources.getHealthReport([OFFICIAL_MARKET_URL, MIRROR]);
+        expect(official).toMatchObject({ healthy: false, failures: 1, lastError: 'HTTP 503: Error' });
+        expect(mirror).toMatchObject({ healthy: true, failures: 0 });
+        expect(sources.getOrderedSources([OFFICIAL_MARKET_URL, MIRROR])).toEqual([MIRROR]);
+    });
+
+    test('does not fetch a backed-off source while another source is available', async () => {
+        const sources = new MarketSources();
+        sources.recordFailure(OFFICIAL_MARKET_URL, 'HTTP 429', Date.now(), 600 * 1000);
+        const fetchFn = vi.fn(async () => jsonResponse(snapshot()));
+
+        const result = await sources.fetchSnapshot([OFFICIAL_MARKET_URL, MIRROR], fetchFn);
+
+        expect(result.source).toBe(MIRROR);
+        expect(fetchFn).toHaveBeenCalledTimes(1);
+        expect(fetchFn.mock.calls[0][0]).toBe(MIRROR);
+    });
+
+    test('fetches nothing until the first retry time when all sources are backed off', async () => {
+        const sources = new MarketSources();
+        const now = Date.now();
+        sources.recordFailure(OFFICIAL_MARKET_URL, 'HTTP 429', now, 600 * 1000);
+        sources.recordFailure(MIRROR, 'HTTP 503', now, 60 * 1000);
+        const fetchFn = vi.fn(async () => jsonResponse(snapshot()));
+
+        expect(sources.getOrderedSources([OFFICIAL_MARKET_URL, MIRROR], now)).toEqual([]);
+        await expect(sources.fetchSnapshot([OFFICIAL_MARKET_URL, MIRROR], fetchFn)).rejects.toThrow('backed off');
+        expect(fetchFn).not.toHaveBeenCalled();
+
+        expect(sources.getOrderedSources([OFFICIAL_MARKET_URL, MIRROR], now + 60 * 1000)).toEqual([MIRROR]);
+    });
+
+    test('honors Retry-After on rate limiting', async () => {
+        const sources = new MarketSources();
+        const fetchFn = vi.fn(async () => errorResponse(429, { 'Retry-After': '600' }));
+
+        await expect(sources.fetchSnapshot([OFFICIAL_MARKET_URL], fetchFn)).rejects.toThrow('HTTP 429');
+
+        const [health] = sources.getHealthReport([OFFICIAL_MARKET_URL]);
+        expect(health.retryAt - Date.now()).toBeGreaterThan(590 * 1000);
+    });
+
+    test('prefers a current snapshot over an outdated one, but uses the outdated one as a last resort', async () => {
+        const sources = new MarketSources();
+        const outdated = snapshot(12 * HOUR);
+        const current = snapshot();
+
+        const result = await sources.fetchSnapshot([MIRROR, OFFICIAL_MARKET_URL], async (url) =>
+            jsonResponse(url === MIRROR ? outdated : current)
+        );
+        expect(result).toEqual({ data: current, source: OFFICIAL_MARKET_URL });
+
+        const fallback = await sources.fetchSnapshot([MIRROR, OFFICIAL_MARKET_URL], async (url) =>
+            url === MIRROR ? jsonResponse(outdated) : errorResponse(500)
+        );
+        expect(fallback).toEqual({ data: outdated, source: MIRROR });
+    });
+});
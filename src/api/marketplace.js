@@ -1,31 +1,45 @@
 /**
  * Marketplace API Module
- * Fetches and caches market price data from the MWI marketplace API
+ * Fetches and caches market price data from the MWI marketplace API (or a configured
+ * mirror, or an imported marketplace.json file)
  */
 
+import config from '../core/config.js';
 import connectionState from '../core/connection-state.js';
 import storage from '../core/storage.js';
 import networkAlert from '../features/market/network-alert.js';
+import {
+    MERGE_POLICY,
+    MarketSources,
+    OFFICIAL_MARKET_URL,
+    isPatchStale,
+    parseSourceList,
+    shouldUsePatch,
+    validateMarketSnapshot,
+} from './market-sources.js';
+
+// Source name recorded for snapshots imported from a file
+export const IMPORTED_SOURCE = 'import';
 
 /**
  * MarketAPI class handles fetching and caching market price data
  */
 class MarketAPI {
     constructor() {
-        // API endpoint
-        this.API_URL = 'https://www.milkywayidle.com/game_data/marketplace.json';
+        // Official API endpoint (mirrors are configured in settings)
+        this.API_URL = OFFICIAL_MARKET_URL;
+        this.sources = new MarketSources();
 
         // Cache settings
         this.CACHE_DURATION = 15 * 60 * 1000; // 15 minutes in milliseconds
         this.CACHE_KEY_DATA = 'Toolasha_marketAPI_json';
         this.CACHE_KEY_TIMESTAMP = 'Toolasha_marketAPI_timestamp';
         this.CACHE_KEY_PATCHES = 'Toolasha_marketAPI_patches';
-        this.CACHE_KEY_MIGRATION = 'Toolasha_marketAPI_migration_version';
-        this.CURRENT_MIGRATION_VERSION = 1; // Increment this when patches need to be cleared
 
         // Current market data
         this.marketData = null;
         this.lastFetchTimestamp = null;
+        this.dataSource = null; // URL the current snapshot came from, or IMPORTED_SOURCE
         this.errorLog = [];
 
         // Price patches from order book data (fresher than API)
@@ -49,6 +63,7 @@ class MarketAPI {
                 this.marketData = cached.data;
                 // API timestamp is in seconds, convert to milliseconds for comparison with Date.now()
                 this.lastFetchTimestamp = cached.timestamp * 1000;
+                this.dataSource = cached.source;
                 // Load patches from storage
                 await this.loadPatches();
                 // Hide alert on successful cache load
@@ -65,6 +80,7 @@ class MarketAPI {
                 this.marketData = cachedFallback.marketData;
                 // API timestamp is in seconds, convert to milliseconds
                 this.lastFetchTimestamp = cachedFallback.timestamp * 1000;
+                this.dataSource = cachedFallback.source || null;
                 // Load patches from storage
                 await this.loadPatches();
                 console.warn('[MarketAPI] Skipping fetch; disconnected. Using cached data.');
@@ -81,7 +97,7 @@ class MarketAPI {
 
             if (response) {
                 // Cache the fresh data
-                this.cacheData(response);
+                this.cacheData(response, this.dataSource);
                 this.marketData = response.marketData;
                 // API timestamp is in seconds, convert to milliseconds
                 this.lastFetchTimestamp = response.timestamp * 1000;
@@ -104,6 +120,7 @@ class MarketAPI {
             this.marketData = expiredCache.marketData;
             // API timestamp is in seconds, convert to milliseconds
             this.lastFetchTimestamp = expiredCache.timestamp * 1000;
+            this.dataSource = expiredCache.source || null;
             // Load patches from storage
             await this.loadPatches();
             // Show alert when using expired cache
@@ -118,24 +135,32 @@ class MarketAPI {
     }
 
     /**
-     * Fetch from API endpoint
+     * Configured data sources in priority order
+     * @returns {string[]} Source URLs
+     */
+    getSourceUrls() {
+        return parseSourceList(config.getSettingValue('market_dataSources', this.API_URL));
+    }
+
+    /**
+     * Health of each configured source
+     * @returns {Array<Object>} See MarketSources.getHealthReport
+     */
+    getSourceHealth() {
+        return this.sources.getHealthReport(this.getSourceUrls());
+    }
+
+    /**
+     * Fetch from the first usable configured source
      * @returns {Promise<Object|null>} API response or null
      */
     async fetchFromAPI() {
         try {
-            const response = await fetch(this.API_URL);
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-
-            const data = await response.json();
-
-            // Validate response structure
-            if (!data.marketData || typeof data.marketData !== 'object') {
-                throw new Error('Invalid API response structure');
+            const { data, source } = await this.sources.fetchSnapshot(this.getSourceUrls());
+            if (source !== this.API_URL) {
+                console.warn(`[MarketAPI] Using market data from ${source}`);
             }
-
+            this.dataSource = source;
             return data;
         } catch (error) {
             console.error('[MarketAPI] API fetch error:', error);
@@ -143,6 +168,31 @@ class MarketAPI {
         }
     }
 
+    /**
+     * Import a marketplace.json file as the current snapshot
+     * @param {string} text - File contents
+     * @param {number} [fileTimestamp] - File modification time (ms), used when the file has no timestamp
+     * @returns {Promise<{itemCount: number, timestamp: number}>} Imported item count and snapshot time (ms)
+     * @throws {Error} When the file is not valid market data
+     */
+    async importSnapshot(text, fileTimestamp = Date.now()) {
+        const data = JSON.parse(text);
+        if (data && typeof data === 'object' && data.timestamp === undefined) {
+            data.timestamp = Math.floor(fileTimestamp / 1000);
+        }
+        validateMarketSnapshot(data);
+
+        this.cacheData(data, IMPORTED_SOURCE);
+        this.marketData = data.marketData;
+        this.lastFetchTimestamp = data.timestamp * 1000;
+        this.dataSource = IMPORTED_SOURCE;
+        await this.loadPatches();
+        networkAlert.hide();
+        this.notifyListeners();
+
+        return { itemCount: Object.keys(data.marketData).length, timestamp: this.lastFetchTimestamp };
+    }
+
     /**
      * Get cached data if valid
      * @returns {Promise<Object|null>} { data, timestamp } or null if invalid/expired
@@ -166,15 +216,17 @@ class MarketAPI {
         return {
             data: cachedData.marketData,
             timestamp: cachedData.timestamp,
+            source: cachedData.source || null,
         };
     }
 
     /**
      * Cache market data
      * @param {Object} data - API response to cache
+     * @param {string|null} [source] - Where the data came from
      */
-    cacheData(data) {
-        storage.setJSON(this.CACHE_KEY_DATA, data, 'settings');
+    cacheData(data, source = null) {
+        storage.setJSON(this.CACHE_KEY_DATA, { ...data, source }, 'settings');
         storage.set(this.CACHE_KEY_TIMESTAMP, Date.now(), 'settings');
     }
 
@@ -201,8 +253,8 @@ class MarketAPI {
         const patchKey = `${itemHrid}:${enhancementLevel}`;
         const patch = this.pricePatchs[patchKey];
 
-        if (patch && patch.timestamp > this.lastFetchTimestamp) {
-            // Patch is fresher than API data - use it
+        if (shouldUsePatch(patch, this.lastFetchTimestamp, this.getMergePolicy())) {
+            // Patch wins under the merge policy (by default: fresher than API data)
             return {
                 ask: normalizeMarketPriceValue(patch.a),
                 bid: normalizeMarketPriceValue(patch.b),
@@ -276,6 +328,14 @@ class MarketAPI {
         return priceMap;
     }
 
+    /**
+     * How live order book patches combine with the bulk snapshot
+     * @returns {string} MERGE_POLICY value
+     */
+    getMergePolicy() {
+        return config.getSettingValue('market_priceMergePolicy', MERGE_POLICY.NEWEST);
+    }
+
     /**
      * Check if market data is loaded
      * @returns {boolean} True if data is available
@@ -352,25 +412,11 @@ class MarketAPI {
 
     /**
      * Load price patches from storage
+     * Format changes to stored patches go through the settings store's steps in
+     * src/core/storage-migrations.js, which run before this is called.
      */
     async loadPatches() {
         try {
-            // Check migration version - clear patches if old version
-            const migrationVersion = await storage.get(this.CACHE_KEY_MIGRATION, 'settings', 0);
-
-            if (migrationVersion < this.CURRENT_MIGRATION_VERSION) {
-                console.log(
-                    `[MarketAPI] Migrating price patches from v${migrationVersion} to v${this.CURRENT_MIGRATION_VERSION}`
-                );
-                // Clear old patches (they may have corrupted data)
-                this.pricePatchs = {};
-                await storage.set(this.CACHE_KEY_PATCHES, {}, 'settings');
-                await storage.set(this.CACHE_KEY_MIGRATION, this.CURRENT_MIGRATION_VERSION, 'settings');
-                console.log('[MarketAPI] Price patches cleared due to migration');
-                return;
-            }
-
-            // Load patches normally
             const patches = await storage.getJSON(this.CACHE_KEY_PATCHES, 'settings', {});
             this.pricePatchs = patches || {};
 
@@ -383,7 +429,7 @@ class MarketAPI {
     }
 
     /**
-     * Remove patches older than the current API data
+     * Remove patches the merge policy will never use again (by default: older than the API data)
      * Called after loadPatches() to clean up stale patches
      */
     purgeStalePatches() {
@@ -394,9 +440,10 @@ class MarketAPI {
         let purgedCount = 0;
         const keysToDelete = [];
 
+        const policy = this.getMergePolicy();
         for (const [key, patch] of Object.entries(this.pricePatchs)) {
             // Check for corrupted/invalid patches or stale timestamps
-            if (!patch || !patch.timestamp || patch.timestamp < this.lastFetchTimestamp) {
+            if (isPatchStale(patch, this.lastFetchTimestamp, policy)) {
                 keysToDelete.push(key);
                 purgedCount++;
             }
@@ -433,6 +480,7 @@ class MarketAPI {
         // Clear in-memory state
         this.marketData = null;
         this.lastFetchTimestamp = null;
+        this.dataSource = null;
 
         // Force fresh fetch
         return await this.fetch(true);
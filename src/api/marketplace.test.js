@@ -1,6 +1,12 @@
 import { describe, expect, test, vi, beforeEach, afterEach } from 'vitest';
 
-const createMocks = (isConnected) => {
+const createMocks = (isConnected, settings = {}) => {
+    vi.doMock('../core/config.js', () => ({
+        default: {
+            getSettingValue: vi.fn((key, fallback) => settings[key] ?? fallback),
+        },
+    }));
+
     vi.doMock('../core/connection-state.js', () => ({
         default: {
             isConnected: vi.fn(() => isConnected),
@@ -12,6 +18,8 @@ const createMocks = (isConnected) => {
         default: {
             getJSON,
             setJSON: vi.fn(),
+            get: vi.fn(async (_key, _store, fallback) => fallback),
+            set: vi.fn(),
         },
     }));
 
@@ -42,7 +50,9 @@ describe('MarketAPI fetch', () => {
             timestamp: 123,
         };
         const { getJSON } = createMocks(false);
-        getJSON.mockResolvedValue(cachedPayload);
+        getJSON.mockImplementation(async (key, _store, fallback) =>
+            key === 'Toolasha_marketAPI_json' ? cachedPayload : fallback
+        );
 
         const { default: marketAPI } = await import('./marketplace.js');
 
@@ -70,3 +80,76 @@ describe('MarketAPI fetch', () => {
         expect(fetch).not.toHaveBeenCalled();
     });
 });
+
+describe('MarketAPI sources', () => {
+    const MIRROR = 'https://mirror.example/marketplace.json';
+
+    beforeEach(() => {
+        vi.resetModules();
+        vi.stubGlobal('fetch', vi.fn());
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    test('uses a configured mirror when the official endpoint is down', async () => {
+        const { getJSON } = createMocks(true, {
+            market_dataSources: `https://www.milkywayidle.com/game_data/marketplace.json, ${MIRROR}`,
+        });
+        getJSON.mockResolvedValue(null);
+        const payload = { marketData: { '/items/cheese': { 0: { a: 20, b: 15 } } }, timestamp: Date.now() / 1000 };
+        fetch.mockImplementation(async (url) =>
+            url === MIRROR
+                ? { ok: true, json: async () => payload }
+                : { ok: false, status: 503, statusText: 'Service Unavailable' }
+        );
+
+        const { default: marketAPI } = await import('./marketplace.js');
+        const result = await marketAPI.fetch(true);
+
+        expect(result).toEqual(payload.marketData);
+        expect(marketAPI.dataSource).toBe(MIRROR);
+        expect(marketAPI.getPrice('/items/cheese')).toEqual({ ask: 20, bid: 15 });
+    });
+
+    test('falls back to the expired cache without fetching while every source is backed off', async () => {
+        const { getJSON } = createMocks(true);
+        const cachedPayload = { marketData: { '/items/cheese': { 0: { a: 18, b: 14 } } }, timestamp: 123 };
+        getJSON.mockImplementation(async (key, _store, fallback) =>
+            key === 'Toolasha_marketAPI_json' ? cachedPayload : fallback
+        );
+        fetch.mockResolvedValue({
+            ok: false,
+            status: 429,
+            statusText: 'Too Many Requests',
+            headers: { get: () => '600' },
+        });
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+
+        const { default: marketAPI } = await import('./marketplace.js');
+        expect(await marketAPI.fetch(true)).toEqual(cachedPayload.marketData);
+        expect(await marketAPI.fetch(true)).toEqual(cachedPayload.marketData);
+
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(marketAPI.lastFetchTimestamp).toBe(123 * 1000);
+    });
+
+    test('imports a marketplace.json file and merges newer live patches over it', async () => {
+        const { getJSON } = createMocks(true);
+        getJSON.mockResolvedValue({});
+
+        const { default: marketAPI } = await import('./marketplace.js');
+        const text = JSON.stringify({ marketData: { '/items/cheese': { 0: { a: 20, b: 15 } } } });
+        const result = await marketAPI.importSnapshot(text, Date.now() - 60 * 60 * 1000);
+
+        expect(result.itemCount).toBe(1);
+        expect(marketAPI.dataSource).toBe('import');
+        expect(marketAPI.getPrice('/items/cheese')).toEqual({ ask: 20, bid: 15 });
+
+        marketAPI.updatePrice('/items/cheese', 0, 25, 18);
+        expect(marketAPI.getPrice('/items/cheese')).toEqual({ ask: 25, bid: 18 });
+
+        await expect(marketAPI.importSnapshot('{"foo": 1}')).rejects.toThrow('marketData');
+    });
+});
@@ -537,12 +537,14 @@ class Config {
                   hybrid: 'Instant Buy / Patient Sell',
                   optimistic: 'Patient Buy / Patient Sell',
                   patientBuy: 'Patient Buy / Instant Sell',
+                  custom: 'Custom Formulas',
               }
             : {
                   conservative: 'Buy: Ask / Sell: Bid',
                   hybrid: 'Buy: Ask / Sell: Ask',
                   optimistic: 'Buy: Bid / Sell: Ask',
                   patientBuy: 'Buy: Bid / Sell: Bid',
+                  custom: 'Custom Formulas',
               };
         return labels[mode] || labels.hybrid;
     }
@@ -712,6 +714,45 @@ class Config {
         }
     }
 
+    /**
+     * Save the current settings (and this character's task lists) as a named profile
+     * @param {string} name - Profile name
+     * @returns {Promise<Object>} Saved profile
+     */
+    async saveSettingsProfile(name) {
+        settingsStorage.setCharacterId(dataManager.getCurrentCharacterId(), dataManager.getCurrentCharacterName());
+        return settingsStorage.saveProfile(name, this.settingsMap);
+    }
+
+    /**
+     * Apply a named profile to the current character and reload settings,
+     * firing change callbacks for every setting it changed
+     * @param {string} name - Profile name
+     * @returns {Promise<boolean>} False if the profile does not exist
+     */
+    async applySettingsProfile(name) {
+        const characterId = dataManager.getCurrentCharacterId();
+        if (!characterId) return false;
+
+        settingsStorage.setCharacterId(characterId, dataManager.getCurrentCharacterName());
+        const applied = await settingsStorage.applyProfile(name, String(characterId));
+        if (applied) {
+            await this.loadSettings();
+            this.applyColorSettings();
+        }
+        return applied;
+    }
+
+    /**
+     * Compare two profiles; null compares against the current settings
+     * @param {string|null} nameA - Left profile
+     * @param {string|null} nameB - Right profile
+     * @returns {Promise<Array<Object>>} Differences
+     */
+    async diffSettingsProfiles(nameA, nameB) {
+        return settingsStorage.diffProfiles(nameA, nameB, this.settingsMap);
+    }
+
     /**
      * Get list of known characters as [{id, name}] objects.
      * @returns {Promise<Array<{id: string, name: string}>>}
@@ -6,6 +6,7 @@
  */
 
 import performanceMonitor from '../utils/performance-monitor.js';
+import featureErrors from './feature-errors.js';
 
 class DOMObserver {
     constructor() {
@@ -38,6 +39,8 @@ class DOMObserver {
 
                         // Dispatch to all registered handlers
                         this.handlers.forEach((handler) => {
+                            if (featureErrors.isQuarantined(handler.owner)) return;
+
                             try {
                                 if (handler.debounce) {
                                     this.debouncedCallback(handler, node, mutation);
@@ -50,6 +53,7 @@ class DOMObserver {
                                 }
                             } catch (error) {
                                 console.error(`[DOM Observer] Handler error (${handler.name}):`, error);
+                                featureErrors.record(handler.owner, `dom:${handler.name}`, error);
                             }
                         });
                     }
@@ -89,7 +93,9 @@ class DOMObserver {
             this.debouncedLatest.delete(handler);
             this.debounceTimers.delete(handler);
 
-            if (latest) {
+            if (!latest || featureErrors.isQuarantined(handler.owner)) return;
+
+            try {
                 if (performanceMonitor.enabled) {
                     const start = performance.now();
                     handler.callback(latest.node, latest.mutation);
@@ -97,6 +103,9 @@ class DOMObserver {
                 } else {
                     handler.callback(latest.node, latest.mutation);
                 }
+            } catch (error) {
+                console.error(`[DOM Observer] Handler error (${handler.name}):`, error);
+                featureErrors.record(handler.owner, `dom:${handler.name}`, error);
             }
         }, delay);
 
@@ -133,6 +142,7 @@ class DOMObserver {
         const handler = {
             name,
             callback,
+            owner: featureErrors.getCurrentOwner(),
             debounce: options.debounce || false,
             debounceDelay: options.debounceDelay,
         };
@@ -205,6 +215,7 @@ class DOMObserver {
             handlerCount: this.handlers.length,
             handlers: this.handlers.map((h) => ({
                 name: h.name,
+                owner: h.owner,
                 debounced: h.debounce || false,
             })),
             pendingCallbacks: this.debounceTimers.size,
@@ -0,0 +1,246 @@
+/**
+ * Feature Error Monitor
+ * Attributes runtime errors from DOM observer and WebSocket handlers to the feature
+ * that registered them, keeps a ring buffer of recent errors for bug reports, and
+ * quarantines a feature that keeps throwing so it stops running (and spamming the
+ * console) for the rest of the session.
+ *
+ * Ownership: featureRegistry marks a feature as the owner while its initialize()
+ * runs; handlers registered during that time are tagged with the feature key.
+ * Handlers registered outside any initialize() are still logged, but never
+ * trigger a quarantine.
+ */
+
+const MAX_RECENT_ERRORS = 100;
+const DEFAULT_MAX_ERRORS = 10;
+const DEFAULT_WINDOW_MS = 60 * 1000;
+
+class FeatureErrorMonitor {
+    constructor() {
+        this.activeOwners = [];
+        this.recentErrors = [];
+        this.errorTimes = new Map(); // featureKey → timestamps inside the window
+        this.errorTotals = new Map(); // featureKey → errors this session
+        this.quarantined = new Map(); // featureKey → { at, reason }
+        this.listeners = [];
+        this.context = {};
+        this.autoQuarantine = true;
+        this.maxErrors = DEFAULT_MAX_ERRORS;
+        this.windowMs = DEFAULT_WINDOW_MS;
+    }
+
+    /**
+     * Update quarantine thresholds.
+     * @param {Object} options
+     * @param {boolean} [options.autoQuarantine] - Disable features that exceed the threshold
+     * @param {number} [options.maxErrors] - Errors within the window that trigger quarantine
+     * @param {number} [options.windowMs] - Sliding window length
+     */
+    configure({ autoQuarantine, maxErrors, windowMs } = {}) {
+        if (typeof autoQuarantine === 'boolean') this.autoQuarantine = autoQuarantine;
+        if (Number(maxErrors) >= 1) this.maxErrors = Math.floor(Number(maxErrors));
+        if (Number(windowMs) > 0) this.windowMs = Number(windowMs);
+    }
+
+    /**
+     * Set fields attached to every error entry (e.g. toolashaVersion, gameVersion).
+     * Function values are called when an error is recorded, for data that loads later.
+     * @param {Object} context
+     */
+    setContext(context) {
+        this.context = { ...this.context, ...context };
+    }
+
+    /**
+     * @private
+     */
+    _resolveContext() {
+        const resolved = {};
+        for (const [key, value] of Object.entries(this.context)) {
+            try {
+                resolved[key] = typeof value === 'function' ? value() : value;
+            } catch {
+                resolved[key] = null;
+            }
+        }
+        return resolved;
+    }
+
+    /**
+     * Mark a feature as the owner of handlers registered from now on.
+     * @param {string} featureKey
+     */
+    beginOwnership(featureKey) {
+        this.activeOwners.push(featureKey);
+    }
+
+    /**
+     * End ownership started with beginOwnership().
+     * @param {string} featureKey
+     */
+    endOwnership(featureKey) {
+        const index = this.activeOwners.lastIndexOf(featureKey);
+        if (index > -1) this.activeOwners.splice(index, 1);
+    }
+
+    /**
+     * Feature that owns handlers registered right now.
+     * Returns null when two features initialize concurrently, since the owner is ambiguous.
+     * @returns {string|null}
+     */
+    getCurrentOwner() {
+        return this.activeOwners.length === 1 ? this.activeOwners[0] : null;
+    }
+
+    /**
+     * Record an error thrown by a feature's code.
+     * @param {string|null} featureKey - Owning feature, or null if unknown
+     * @param {string} source - Where it was caught, e.g. 'dom:ItemTooltip' or 'ws:items_updated'
+     * @param {*} error - Thrown value
+     * @returns {Object} The recorded entry
+     */
+    record(featureKey, source, error) {
+        const now = Date.now();
+        const entry = {
+            featureKey: featureKey || null,
+            source,
+            message: error?.message || String(error),
+            stack: error?.stack || null,
+            timestamp: now,
+            ...this._resolveContext(),
+        };
+
+        this.recentErrors.push(entry);
+        if (this.recentErrors.length > MAX_RECENT_ERRORS) {
+            this.recentErrors.splice(0, this.recentErrors.length - MAX_RECENT_ERRORS);
+        }
+
+        if (!featureKey) return entry;
+
+        this.errorTotals.set(featureKey, (this.errorTotals.get(featureKey) || 0) + 1);
+
+        const times = (this.errorTimes.get(featureKey) || []).filter((t) => now - t < this.windowMs);
+        times.push(now);
+        this.errorTimes.set(featureKey, times);
+
+        if (this.autoQuarantine && times.length >= this.maxErrors && !this.quarantined.has(featureKey)) {
+            this.quarantine(featureKey, `${times.length} errors in ${Math.round(this.windowMs / 1000)}s (${source})`);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Stop a feature for the rest of the session and tell listeners.
+     * @param {string} featureKey
+     * @param {string} reason - Shown to the user
+     */
+    quarantine(featureKey, reason) {
+        if (this.quarantined.has(featureKey)) return;
+
+        this.quarantined.set(featureKey, { at: Date.now(), reason });
+        console.warn(`[FeatureErrors] Quarantined ${featureKey}: ${reason}`);
+
+        for (const listener of [...this.listeners]) {
+            try {
+                listener(featureKey, reason);
+            } catch (error) {
+                console.error('[FeatureErrors] Quarantine listener error:', error);
+            }
+        }
+    }
+
+    /**
+     * Lift a quarantine and reset the feature's error window.
+     * @param {string} featureKey
+     * @returns {boolean} True if the feature was quarantined
+     */
+    release(featureKey) {
+        this.errorTimes.delete(featureKey);
+        return this.quarantined.delete(featureKey);
+    }
+
+    /**
+     * @param {string|null} featureKey
+     * @returns {boolean}
+     */
+    isQuarantined(featureKey) {
+        return !!featureKey && this.quarantined.has(featureKey);
+    }
+
+    /**
+     * @returns {Array<{featureKey: string, at: number, reason: string}>}
+     */
+    getQuarantined() {
+        return [...this.quarantined.entries()].map(([featureKey, info]) => ({ featureKey, ...info }));
+    }
+
+    /**
+     * Recent errors, newest first.
+     * @param {string} [featureKey] - Only this feature's errors
+     * @returns {Array<Object>}
+     */
+    getRecentErrors(featureKey) {
+        const errors = featureKey ? this.recentErrors.filter((e) => e.featureKey === featureKey) : this.recentErrors;
+        return [...errors].reverse();
+    }
+
+    /**
+     * Error totals per feature this session, most errors first.
+     * @returns {Array<{featureKey: string, count: number, quarantined: boolean}>}
+     */
+    getSummary() {
+        return [...this.errorTotals.entries()]
+            .map(([featureKey, count]) => ({ featureKey, count, quarantined: this.quarantined.has(featureKey) }))
+            .sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * Plain-text report for a bug report.
+     * @param {string} [featureKey] - Limit to one feature
+     * @returns {string}
+     */
+    buildReport(featureKey) {
+        const lines = Object.entries(this._resolveContext()).map(([key, value]) => `${key}: ${value ?? 'unknown'}`);
+        lines.push(`userAgent: ${typeof navigator !== 'undefined' ? navigator.userAgent : 'unknown'}`, '');
+
+        for (const entry of this.getRecentErrors(featureKey)) {
+            lines.push(
+                `[${new Date(entry.timestamp).toISOString()}] ${entry.featureKey || '(unattributed)'} @ ${entry.source}`
+            );
+            lines.push(`  ${entry.message}`);
+            if (entry.stack) lines.push(entry.stack.replace(/^/gm, '    '));
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Subscribe to quarantines.
+     * @param {Function} listener - Called with (featureKey, reason)
+     */
+    onQuarantine(listener) {
+        if (!this.listeners.includes(listener)) this.listeners.push(listener);
+    }
+
+    /**
+     * @param {Function} listener
+     */
+    offQuarantine(listener) {
+        const index = this.listeners.indexOf(listener);
+        if (index > -1) this.listeners.splice(index, 1);
+    }
+
+    /**
+     * Forget recorded errors. Quarantines stay in place.
+     */
+    clear() {
+        this.recentErrors = [];
+        this.errorTimes.clear();
+        this.errorTotals.clear();
+    }
+}
+
+const featureErrors = new FeatureErrorMonitor();
+
+export default featureErrors;
@@ -0,0 +1,128 @@
+/**
+ * Tests for per-feature runtime error capture and quarantine
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('./config.js', () => ({
+    default: { isFeatureEnabled: vi.fn(() => true) },
+}));
+vi.mock('./data-manager.js', () => ({
+    default: { getIsCharacterSwitching: vi.fn(() => false), on: vi.fn() },
+}));
+vi.mock('../utils/performance-monitor.js', () => ({
+    default: { enabled: false, snapshot: vi.fn(), clearSnapshot: vi.fn(), record: vi.fn() },
+}));
+vi.mock('./marketplace-session.js', () => ({ marketplaceSession: {} }));
+vi.mock('./storage.js', () => ({ default: { get: vi.fn(), set: vi.fn() } }));
+vi.mock('./profile-manager.js', () => ({ setCurrentProfile: vi.fn() }));
+
+let featureErrors;
+let featureRegistry;
+let webSocketHook;
+
+beforeEach(async () => {
+    vi.resetModules();
+    featureErrors = (await import('./feature-errors.js')).default;
+    featureRegistry = (await import('./feature-registry.js')).default;
+    webSocketHook = (await import('./websocket.js')).default;
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('featureErrors', () => {
+    test('quarantines a feature once it reaches the threshold within the window', () => {
+        const listener = vi.fn();
+        featureErrors.onQuarantine(listener);
+        featureErrors.configure({ maxErrors: 3, windowMs: 1000 });
+
+        featureErrors.record('tooltips', 'dom:Tooltip', new Error('a'));
+        featureErrors.record('tooltips', 'dom:Tooltip', new Error('b'));
+        expect(featureErrors.isQuarantined('tooltips')).toBe(false);
+
+        featureErrors.record('tooltips', 'dom:Tooltip', new Error('c'));
+        expect(featureErrors.isQuarantined('tooltips')).toBe(true);
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener.mock.calls[0][0]).toBe('tooltips');
+    });
+
+    test('errors outside the window do not count', () => {
+        vi.useFakeTimers();
+        try {
+            featureErrors.configure({ maxErrors: 2, windowMs: 1000 });
+            featureErrors.record('tooltips', 'dom:Tooltip', new Error('a'));
+            vi.advanceTimersByTime(1500);
+            featureErrors.record('tooltips', 'dom:Tooltip', new Error('b'));
+
+            expect(featureErrors.isQuarantined('tooltips')).toBe(false);
+        } finally {
+            vi.useRealTimers();
+        }
+    });
+
+    test('unattributed errors are logged but never quarantine anything', () => {
+        featureErrors.configure({ maxErrors: 1 });
+        featureErrors.record(null, 'ws:items_updated', new Error('boom'));
+
+        expect(featureErrors.getQuarantined()).toEqual([]);
+        expect(featureErrors.getRecentErrors()[0]).toMatchObject({ featureKey: null, message: 'boom' });
+    });
+
+    test('entries carry context and the report includes stacks', () => {
+        featureErrors.setContext({ toolashaVersion: '1.2.3', gameVersion: () => 'g42' });
+        const entry = featureErrors.record('networth', 'ws:items_updated', new Error('bad count'));
+
+        expect(entry).toMatchObject({ toolashaVersion: '1.2.3', gameVersion: 'g42', source: 'ws:items_updated' });
+        const report = featureErrors.buildReport();
+        expect(report).toContain('gameVersion: g42');
+        expect(report).toContain('networth @ ws:items_updated');
+        expect(report).toContain('bad count');
+    });
+});
+
+describe('handler attribution', () => {
+    test('WebSocket handlers registered during initialize are attributed and skipped once quarantined', async () => {
+        featureErrors.configure({ maxErrors: 2 });
+        const handler = vi.fn(() => {
+            throw new Error('handler failed');
+        });
+        const disable = vi.fn(() => webSocketHook.off('items_updated', handler));
+        featureRegistry.replaceFeatures([
+            {
+                key: 'brokenFeature',
+                name: 'Broken Feature',
+                initialize: () => webSocketHook.on('items_updated', handler),
+                disable,
+            },
+        ]);
+        await featureRegistry.initializeFeatures();
+
+        for (let i = 0; i < 3; i++) {
+            webSocketHook.processMessage(JSON.stringify({ type: 'items_updated', n: i }));
+        }
+        await flush();
+
+        expect(handler).toHaveBeenCalledTimes(2);
+        expect(featureErrors.isQuarantined('brokenFeature')).toBe(true);
+        expect(disable).toHaveBeenCalledTimes(1);
+        expect(featureErrors.getRecentErrors()[0]).toMatchObject({
+            featureKey: 'brokenFeature',
+            source: 'ws:items_updated',
+        });
+    });
+
+    test('quarantined features are not re-initialized until released', async () => {
+        const initialize = vi.fn();
+        featureRegistry.replaceFeatures([{ key: 'flaky', name: 'Flaky', initialize, disable: vi.fn() }]);
+        featureErrors.quarantine('flaky', 'test');
+
+        await featureRegistry.initializeFeatures();
+        expect(initialize).not.toHaveBeenCalled();
+
+        await featureRegistry.releaseQuarantine('flaky');
+        expect(initialize).toHaveBeenCalledTimes(1);
+        expect(featureErrors.isQuarantined('flaky')).toBe(false);
+    });
+});
@@ -7,6 +7,7 @@ import config from './config.js';
 import dataManager from './data-manager.js';
 import performanceMonitor from '../utils/performance-monitor.js';
 import { marketplaceSession } from './marketplace-session.js';
+import featureErrors from './feature-errors.js';
 
 /**
  * Feature Registry
@@ -20,6 +21,12 @@ const featureRegistry = [];
  */
 const featureInstances = new Map();
 
+/**
+ * Set once the first initializeFeatures() pass completes, so features registered
+ * at runtime (plugins) start immediately instead of waiting for a character switch.
+ */
+let featuresStarted = false;
+
 /**
  * Initialize all enabled features
  * @param {Object} [options] - Optional lifecycle guard
@@ -51,20 +58,19 @@ async function initializeFeatures({ shouldContinue = () => true } = {}) {
                 continue;
             }
 
-            // Initialize feature; always await the result so async flag is not required for correctness
-            const start = performance.now();
-            const instance = await Promise.resolve(feature.initialize());
-            const elapsed = performance.now() - start;
-            performanceMonitor.snapshot(`init:${feature.key}`, elapsed);
+            // Quarantined features stay off until released or the page reloads
+            if (featureErrors.isQuarantined(feature.key)) {
+                continue;
+            }
 
-            // Store the returned instance (may be undefined for module-singleton features)
-            featureInstances.set(feature.key, instance ?? null);
+            await initializeFeature(feature);
         } catch (error) {
             errors.push({
                 feature: feature.name,
                 error: error.message,
             });
             console.error(`[Toolasha] Failed to initialize ${feature.name}:`, error);
+            featureErrors.record(feature.key, 'initialize', error);
         }
     }
 
@@ -72,6 +78,30 @@ async function initializeFeatures({ shouldContinue = () => true } = {}) {
     if (errors.length > 0) {
         console.error(`[Toolasha] ${errors.length} feature(s) failed to initialize`, errors);
     }
+
+    featuresStarted = true;
+}
+
+/**
+ * Initialize a single feature and store its instance
+ * @param {Object} feature - Feature definition
+ * @returns {Promise<void>}
+ */
+async function initializeFeature(feature) {
+    // Always await the result so async flag is not required for correctness
+    const start = performance.now();
+    let instance;
+    featureErrors.beginOwnership(feature.key);
+    try {
+        instance = await Promise.resolve(feature.initialize());
+    } finally {
+        featureErrors.endOwnership(feature.key);
+    }
+    const elapsed = performance.now() - start;
+    performanceMonitor.snapshot(`init:${feature.key}`, elapsed);
+
+    // Store the returned instance (may be undefined for module-singleton features)
+    featureInstances.set(feature.key, instance ?? null);
 }
 
 /**
@@ -83,41 +113,52 @@ async function cleanupFeatures() {
     const cleanupPromises = [];
 
     for (const feature of featureRegistry) {
-        if (!featureInstances.has(feature.key)) continue;
+        const pending = cleanupFeature(feature);
+        if (pending) cleanupPromises.push(pending);
+    }
 
-        const instance = featureInstances.get(feature.key);
-        featureInstances.delete(feature.key);
-        performanceMonitor.clearSnapshot(`init:${feature.key}`);
+    if (cleanupPromises.length > 0) {
+        await Promise.all(cleanupPromises);
+    }
+}
 
-        try {
-            const featureModule = feature.module || feature;
-            let result;
-
-            if (typeof featureModule.cleanup === 'function') {
-                result = featureModule.cleanup(instance);
-            } else if (typeof featureModule.disable === 'function') {
-                result = featureModule.disable(instance);
-            } else if (instance && typeof instance.disable === 'function') {
-                result = instance.disable();
-            } else if (instance && typeof instance.cleanup === 'function') {
-                result = instance.cleanup();
-            }
+/**
+ * Tear down a single feature if it is initialized.
+ * Synchronous cleanup hooks run before this returns.
+ * @param {Object} feature - Feature definition
+ * @returns {Promise<void>|null} Pending async teardown, or null if none
+ */
+function cleanupFeature(feature) {
+    if (!featureInstances.has(feature.key)) return null;
+
+    const instance = featureInstances.get(feature.key);
+    featureInstances.delete(feature.key);
+    performanceMonitor.clearSnapshot(`init:${feature.key}`);
+
+    try {
+        const featureModule = feature.module || feature;
+        let result;
+
+        if (typeof featureModule.cleanup === 'function') {
+            result = featureModule.cleanup(instance);
+        } else if (typeof featureModule.disable === 'function') {
+            result = featureModule.disable(instance);
+        } else if (instance && typeof instance.disable === 'function') {
+            result = instance.disable();
+        } else if (instance && typeof instance.cleanup === 'function') {
+            result = instance.cleanup();
+        }
 
-            if (result && typeof result.then === 'function') {
-                cleanupPromises.push(
-                    result.catch((error) => {
-                        console.error(`[FeatureRegistry] Failed to clean up ${feature.name}:`, error);
-                    })
-                );
-            }
-        } catch (error) {
-            console.error(`[FeatureRegistry] Failed to clean up ${feature.name}:`, error);
+        if (result && typeof result.then === 'function') {
+            return result.catch((error) => {
+                console.error(`[FeatureRegistry] Failed to clean up ${feature.name}:`, error);
+            });
         }
+    } catch (error) {
+        console.error(`[FeatureRegistry] Failed to clean up ${feature.name}:`, error);
     }
 
-    if (cleanupPromises.length > 0) {
-        await Promise.all(cleanupPromises);
-    }
+    return null;
 }
 
 /**
@@ -298,12 +339,13 @@ async function retryFailedFeatures(failedFeatures) {
         const feature = getFeature(failed.key);
         if (!feature) continue;
 
+        if (featureErrors.isQuarantined(feature.key)) continue;
+
         // Clear stale instance state so initializeFeatures won't skip it
         featureInstances.delete(feature.key);
 
         try {
-            const instance = await Promise.resolve(feature.initialize());
-            featureInstances.set(feature.key, instance ?? null);
+            await initializeFeature(feature);
 
             // Verify the retry actually worked by running health check
             if (feature.healthCheck) {
@@ -320,11 +362,97 @@ async function retryFailedFeatures(failedFeatures) {
 
 /**
  * Replace the feature registry (for library split)
+ * Runtime-registered features (marked external) are kept.
  * @param {Array} newFeatures - New feature registry array
  */
 function replaceFeatures(newFeatures) {
+    const external = featureRegistry.filter((f) => f.external);
     featureRegistry.length = 0; // Clear existing array
-    featureRegistry.push(...newFeatures); // Add new features
+    featureRegistry.push(...newFeatures, ...external); // Add new features
+}
+
+/**
+ * Register a single feature at runtime (used by the plugin API).
+ * The feature joins the normal lifecycle: it is cleaned up and re-initialized on
+ * character switch and included in health checks. If features have already
+ * started, it is initialized right away.
+ * @param {Object} feature - Feature definition { key, name, category, initialize, cleanup?, disable?, healthCheck?, customCheck? }
+ * @returns {Promise<void>}
+ * @throws {Error} If the key is missing or already registered
+ */
+async function registerFeature(feature) {
+    if (!feature?.key || typeof feature.initialize !== 'function') {
+        throw new Error('[FeatureRegistry] Feature needs a key and an initialize function');
+    }
+    if (getFeature(feature.key)) {
+        throw new Error(`[FeatureRegistry] Feature "${feature.key}" is already registered`);
+    }
+
+    const entry = { ...feature, name: feature.name || feature.key, external: true };
+    featureRegistry.push(entry);
+
+    if (!featuresStarted || dataManager.getIsCharacterSwitching()) return;
+
+    const isEnabled = entry.customCheck ? entry.customCheck() : config.isFeatureEnabled(entry.key);
+    if (!isEnabled) return;
+
+    try {
+        await initializeFeature(entry);
+    } catch (error) {
+        console.error(`[Toolasha] Failed to initialize ${entry.name}:`, error);
+    }
+}
+
+/**
+ * Clean up and remove a runtime-registered feature.
+ * @param {string} key - Feature key
+ * @returns {Promise<boolean>} True if a feature was removed
+ */
+async function unregisterFeature(key) {
+    const index = featureRegistry.findIndex((f) => f.key === key && f.external);
+    if (index === -1) return false;
+
+    const [feature] = featureRegistry.splice(index, 1);
+    await cleanupFeature(feature);
+    return true;
+}
+
+/**
+ * Tear down a feature that featureErrors quarantined.
+ * Deferred so the handler that tripped the threshold finishes before its
+ * observers are unregistered mid-dispatch.
+ * @param {string} key - Feature key
+ */
+function handleQuarantine(key) {
+    const feature = getFeature(key);
+    if (!feature) return;
+
+    Promise.resolve().then(() => cleanupFeature(feature));
+}
+
+featureErrors.onQuarantine(handleQuarantine);
+
+/**
+ * Lift a quarantine and start the feature again if it is enabled.
+ * @param {string} key - Feature key
+ * @returns {Promise<boolean>} True if the feature was quarantined
+ */
+async function releaseQuarantine(key) {
+    if (!featureErrors.release(key)) return false;
+
+    const feature = getFeature(key);
+    if (!feature || featureInstances.has(key) || dataManager.getIsCharacterSwitching()) return true;
+
+    const isEnabled = feature.customCheck ? feature.customCheck() : config.isFeatureEnabled(feature.key);
+    if (!isEnabled) return true;
+
+    try {
+        await initializeFeature(feature);
+    } catch (error) {
+        console.error(`[Toolasha] Failed to initialize ${feature.name}:`, error);
+        featureErrors.record(key, 'initialize', error);
+    }
+    return true;
 }
 
 export default {
@@ -335,5 +463,8 @@ export default {
     getFeature,
     getAllFeatures,
     replaceFeatures,
+    registerFeature,
+    unregisterFeature,
+    releaseQuarantine,
     getFeaturesByCategory,
 };
@@ -17,6 +17,7 @@ export const MARKETPLACE_OWNER = Object.freeze({
     ABILITY_BOOK: 'ABILITY_BOOK',
     SELL_QUEUE: 'SELL_QUEUE',
     SHORTCUTS: 'SHORTCUTS',
+    RELIST: 'RELIST',
 });
 
 class MarketplaceSessionService {
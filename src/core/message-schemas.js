@@ -0,0 +1,144 @@
+/**
+ * Message Schemas
+ * Expected shape of the WebSocket message types Toolasha reads, and which features
+ * depend on them. Used by message-validator.js to detect game-side payload changes.
+ *
+ * Field specs: a type name ('string', 'number', 'boolean', 'object', 'array', 'any'),
+ * alternatives joined with '|', and a trailing '?' for fields that may be absent or null.
+ * Paths are dotted; 'list[].field' checks the field on the first element of an array.
+ * Only list fields that code actually reads — anything else is reported as unknown
+ * for information but never triggers an alert.
+ */
+
+export const MESSAGE_SCHEMAS = {
+    init_character_data: {
+        fields: {
+            character: 'object',
+            'character.id': 'number|string',
+            'character.name': 'string',
+            'character.gameMode': 'string?',
+            characterSkills: 'array',
+            'characterSkills[].skillHrid': 'string',
+            'characterSkills[].experience': 'number',
+            characterItems: 'array',
+            'characterItems[].itemHrid': 'string',
+            'characterItems[].itemLocationHrid': 'string',
+            'characterItems[].count': 'number',
+            characterActions: 'array',
+            characterQuests: 'array?',
+            characterHouseRoomMap: 'object',
+            actionTypeDrinkSlotsMap: 'object',
+            personalActionTypeBuffsMap: 'object?',
+            characterGuildBuffMap: 'object?',
+            guildBuildingLevelMap: 'object?',
+        },
+        features: ['Character data', 'Inventory & net worth', 'Action profit/time', 'Skills & XP', 'House'],
+    },
+    actions_updated: {
+        fields: {
+            endCharacterActions: 'array',
+            'endCharacterActions[].actionHrid': 'string',
+        },
+        features: ['Action queue', 'Queue monitor', 'Action time display'],
+    },
+    action_completed: {
+        fields: {
+            endCharacterAction: 'object',
+            'endCharacterAction.actionHrid': 'string',
+            endCharacterItems: 'array?',
+            endCharacterSkills: 'array?',
+        },
+        features: ['Inventory & net worth', 'XP tracker', 'Enhancement tracker', 'Alchemy history', 'Loot log'],
+    },
+    items_updated: {
+        fields: {
+            endCharacterItems: 'array?',
+            'endCharacterItems[].itemHrid': 'string',
+            'endCharacterItems[].count': 'number',
+        },
+        features: ['Inventory & net worth', 'Equipment', 'Missing materials'],
+    },
+    skills_updated: {
+        fields: { characterSkills: 'array?' },
+        features: ['Skills & XP'],
+    },
+    market_listings_updated: {
+        fields: { endMarketListings: 'array' },
+        features: ['My listings', 'Estimated listing age', 'Market history'],
+    },
+    market_item_order_books_updated: {
+        fields: {
+            marketItemOrderBooks: 'object',
+            'marketItemOrderBooks.itemHrid': 'string',
+            'marketItemOrderBooks.orderBooks': 'array',
+        },
+        features: ['Listing price display', 'Estimated listing age', 'Queue length estimate', 'Market depth'],
+    },
+    action_type_consumable_slots_updated: {
+        fields: { actionTypeDrinkSlotsMap: 'object?' },
+        features: ['Tea & drink effects'],
+    },
+    personal_buffs_updated: {
+        fields: { personalActionTypeBuffsMap: 'object?' },
+        features: ['Action profit/time'],
+    },
+    house_rooms_updated: {
+        fields: { characterHouseRoomMap: 'object?' },
+        features: ['House', 'Action profit/time'],
+    },
+    character_info_updated: {
+        fields: { characterInfo: 'object?' },
+        features: ['Character data'],
+    },
+    setting_updated: {
+        fields: { characterSetting: 'object?' },
+        features: ['Character data'],
+    },
+    quests_updated: {
+        fields: { endCharacterQuests: 'array?' },
+        features: ['Tasks'],
+    },
+    new_battle: {
+        fields: {
+            battleId: 'number|string',
+            wave: 'number',
+            players: 'array',
+            combatStartTime: 'string|number?',
+        },
+        features: ['Dungeon tracker', 'Combat battle counter', 'Combat statistics'],
+    },
+    chat_message_received: {
+        fields: {
+            message: 'object',
+            'message.chan': 'string',
+            'message.m': 'string',
+            'message.t': 'string|number',
+            'message.isSystemMessage': 'boolean?',
+        },
+        features: ['Dungeon tracker', 'Chat mentions', 'Chat block list'],
+    },
+    guild_updated: {
+        fields: { guild: 'object' },
+        features: ['Guild XP tracker'],
+    },
+    guild_characters_updated: {
+        fields: { guildCharacterMap: 'object?', guildSharableCharacterMap: 'object?' },
+        features: ['Guild XP tracker'],
+    },
+    leaderboard_updated: {
+        fields: { leaderboardCategory: 'string', leaderboard: 'object?', 'leaderboard.rows': 'array?' },
+        features: ['Leaderboard XP tracker', 'Guild XP tracker'],
+    },
+    loot_log_updated: {
+        fields: { lootLog: 'array' },
+        features: ['Loot log statistics'],
+    },
+    profile_shared: {
+        fields: { profile: 'object', 'profile.characterSkills': 'array?' },
+        features: ['Combat score', 'Profile achievements'],
+    },
+    labyrinth_updated: {
+        fields: { labyrinth: 'object?', 'labyrinth.roomData': 'any?' },
+        features: ['Labyrinth tracker', 'Labyrinth clear rate'],
+    },
+};
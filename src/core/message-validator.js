@@ -0,0 +1,264 @@
+/**
+ * Message Validator
+ * Checks WebSocket payloads against MESSAGE_SCHEMAS as webSocketHook processes them
+ * and records drift: required fields that went missing, fields whose type changed,
+ * and new top-level fields. Listeners are told the first time each problem appears,
+ * so a "game data changed" diagnostic can name the features likely to break.
+ */
+
+import { MESSAGE_SCHEMAS } from './message-schemas.js';
+
+// Messages checked per type before validation is sampled (keeps hot paths cheap)
+const FULL_CHECK_COUNT = 20;
+const SAMPLE_INTERVAL = 25;
+
+/**
+ * Parse a field spec like 'number|string?'.
+ * @param {string} spec
+ * @returns {{types: string[], optional: boolean}}
+ */
+export function parseFieldSpec(spec) {
+    const optional = spec.endsWith('?');
+    const body = optional ? spec.slice(0, -1) : spec;
+    return { types: body.split('|').map((t) => t.trim()), optional };
+}
+
+/**
+ * Describe a runtime value with the same vocabulary as field specs.
+ * @param {*} value
+ * @returns {string}
+ */
+export function describeType(value) {
+    if (value === null || value === undefined) return 'missing';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Resolve a schema path against a payload.
+ * @param {Object} data - Payload
+ * @param {string} path - Dotted path, '[]' meaning the first array element
+ * @returns {{value: *, reachable: boolean}} reachable is false when a parent is absent
+ */
+function resolvePath(data, path) {
+    let current = data;
+    const segments = path.split('.');
+
+    for (let i = 0; i < segments.length; i++) {
+        let segment = segments[i];
+        const isList = segment.endsWith('[]');
+        if (isList) segment = segment.slice(0, -2);
+
+        current = current?.[segment];
+        if (isList && i < segments.length - 1) {
+            if (!Array.isArray(current) || current.length === 0) return { value: undefined, reachable: false };
+            current = current[0];
+        }
+
+        const isLast = i === segments.length - 1;
+        if (!isLast && (current === null || current === undefined)) {
+            return { value: undefined, reachable: false };
+        }
+    }
+
+    return { value: current, reachable: true };
+}
+
+/**
+ * Validate a payload against a schema.
+ * @param {Object} data - Parsed message
+ * @param {Object} schema - Entry from MESSAGE_SCHEMAS
+ * @returns {{missing: string[], wrongType: Array<{path, expected, actual}>, unknown: string[]}}
+ */
+export function validatePayload(data, schema) {
+    const result = { missing: [], wrongType: [], unknown: [] };
+
+    for (const [path, spec] of Object.entries(schema.fields)) {
+        const { value, reachable } = resolvePath(data, path);
+        if (!reachable) continue;
+
+        const { types, optional } = parseFieldSpec(spec);
+        const actual = describeType(value);
+
+        if (actual === 'missing') {
+            if (!optional) result.missing.push(path);
+            continue;
+        }
+        if (!types.includes('any') && !types.includes(actual)) {
+            result.wrongType.push({ path, expected: types.join('|'), actual });
+        }
+    }
+
+    const knownTopLevel = new Set(Object.keys(schema.fields).map((path) => path.split(/[.[]/)[0]));
+    for (const key of Object.keys(data)) {
+        if (key !== 'type' && !knownTopLevel.has(key)) result.unknown.push(key);
+    }
+
+    return result;
+}
+
+class MessageValidator {
+    constructor() {
+        this.schemas = MESSAGE_SCHEMAS;
+        this.seenCounts = new Map(); // type → messages seen
+        this.drift = new Map(); // type → { type, features, missing: Set, wrongType: Map, unknown: Set, firstSeen, lastSeen, count }
+        this.listeners = [];
+        this.enabled = true;
+    }
+
+    /**
+     * Validate one parsed message and record any drift.
+     * Never throws; unknown message types are ignored.
+     * @param {Object} data - Parsed message with a type field
+     */
+    validate(data) {
+        if (!this.enabled || !data?.type) return;
+
+        const schema = this.schemas[data.type];
+        if (!schema) return;
+
+        const seen = (this.seenCounts.get(data.type) || 0) + 1;
+        this.seenCounts.set(data.type, seen);
+        if (seen > FULL_CHECK_COUNT && seen % SAMPLE_INTERVAL !== 0) return;
+
+        let result;
+        try {
+            result = validatePayload(data, schema);
+        } catch (error) {
+            console.warn(`[MessageValidator] Could not validate ${data.type}:`, error);
+            return;
+        }
+
+        const hasProblems = result.missing.length > 0 || result.wrongType.length > 0;
+        if (!hasProblems && result.unknown.length === 0) return;
+
+        const entry = this._getEntry(data.type, schema);
+        entry.count++;
+        entry.lastSeen = Date.now();
+
+        const newProblems = [];
+        for (const path of result.missing) {
+            if (!entry.missing.has(path)) newProblems.push(`missing ${path}`);
+            entry.missing.add(path);
+        }
+        for (const change of result.wrongType) {
+            if (!entry.wrongType.has(change.path)) {
+                newProblems.push(`${change.path} is ${change.actual}, expected ${change.expected}`);
+            }
+            entry.wrongType.set(change.path, change);
+        }
+        for (const key of result.unknown) {
+            entry.unknown.add(key);
+        }
+
+        if (newProblems.length > 0) {
+            console.warn(
+                `[MessageValidator] ${data.type} changed shape (${newProblems.join('; ')}). Affected: ${schema.features.join(', ')}`
+            );
+            this._notify(this._describe(entry));
+        }
+    }
+
+    /**
+     * Get or create the drift record for a type.
+     * @private
+     */
+    _getEntry(type, schema) {
+        if (!this.drift.has(type)) {
+            this.drift.set(type, {
+                type,
+                features: schema.features || [],
+                missing: new Set(),
+                wrongType: new Map(),
+                unknown: new Set(),
+                firstSeen: Date.now(),
+                lastSeen: Date.now(),
+                count: 0,
+            });
+        }
+        return this.drift.get(type);
+    }
+
+    /**
+     * Plain-object view of a drift record.
+     * @private
+     */
+    _describe(entry) {
+        return {
+            type: entry.type,
+            features: [...entry.features],
+            missing: [...entry.missing],
+            wrongType: [...entry.wrongType.values()],
+            unknown: [...entry.unknown],
+            firstSeen: entry.firstSeen,
+            lastSeen: entry.lastSeen,
+            count: entry.count,
+        };
+    }
+
+    /**
+     * @private
+     */
+    _notify(report) {
+        for (const listener of [...this.listeners]) {
+            try {
+                listener(report);
+            } catch (error) {
+                console.error('[MessageValidator] Drift listener error:', error);
+            }
+        }
+    }
+
+    /**
+     * Drift for every message type, including informational unknown fields.
+     * @returns {Array<Object>} One entry per drifted type
+     */
+    getReport() {
+        return [...this.drift.values()].map((entry) => this._describe(entry));
+    }
+
+    /**
+     * Only the drift that can break features (missing or retyped fields).
+     * @returns {Array<Object>}
+     */
+    getBreakingDrift() {
+        return this.getReport().filter((entry) => entry.missing.length > 0 || entry.wrongType.length > 0);
+    }
+
+    /**
+     * Names of features whose messages have breaking drift.
+     * @returns {string[]}
+     */
+    getAffectedFeatures() {
+        return [...new Set(this.getBreakingDrift().flatMap((entry) => entry.features))];
+    }
+
+    /**
+     * Subscribe to new breaking drift.
+     * @param {Function} listener - Called with a drift report object
+     */
+    onDrift(listener) {
+        if (!this.listeners.includes(listener)) this.listeners.push(listener);
+    }
+
+    /**
+     * Unsubscribe from drift notifications.
+     * @param {Function} listener
+     */
+    offDrift(listener) {
+        const index = this.listeners.indexOf(listener);
+        if (index > -1) this.listeners.splice(index, 1);
+    }
+
+    /**
+     * Forget recorded drift and sampling counters.
+     */
+    reset() {
+        this.seenCounts.clear();
+        this.drift.clear();
+    }
+}
+
+const messageValidator = new MessageValidator();
+
+export default messageValidator;
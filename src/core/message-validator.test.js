@@ -0,0 +1,129 @@
+/**
+ * Tests for message schema validation and drift reporting
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('./storage.js', () => ({
+    default: { get: vi.fn(), set: vi.fn(), getJSON: vi.fn(), setJSON: vi.fn() },
+}));
+vi.mock('./profile-manager.js', () => ({ setCurrentProfile: vi.fn() }));
+
+let messageValidator;
+let parseFieldSpec;
+let validatePayload;
+let webSocketHook;
+
+beforeEach(async () => {
+    vi.resetModules();
+    const module = await import('./message-validator.js');
+    messageValidator = module.default;
+    parseFieldSpec = module.parseFieldSpec;
+    validatePayload = module.validatePayload;
+    webSocketHook = (await import('./websocket.js')).default;
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+const schema = {
+    fields: {
+        endCharacterAction: 'object',
+        'endCharacterAction.actionHrid': 'string',
+        'endCharacterAction.count': 'number|string?',
+        endCharacterItems: 'array?',
+        'endCharacterItems[].itemHrid': 'string',
+    },
+    features: ['Loot log'],
+};
+
+describe('parseFieldSpec', () => {
+    test('splits alternatives and detects optional fields', () => {
+        expect(parseFieldSpec('number|string?')).toEqual({ types: ['number', 'string'], optional: true });
+        expect(parseFieldSpec('object')).toEqual({ types: ['object'], optional: false });
+    });
+});
+
+describe('validatePayload', () => {
+    test('accepts a payload matching the schema', () => {
+        const result = validatePayload(
+            {
+                type: 'action_completed',
+                endCharacterAction: { actionHrid: '/actions/x', count: 3 },
+                endCharacterItems: [{ itemHrid: '/items/y' }],
+            },
+            schema
+        );
+
+        expect(result).toEqual({ missing: [], wrongType: [], unknown: [] });
+    });
+
+    test('reports missing, retyped and unknown fields', () => {
+        const result = validatePayload(
+            { type: 'action_completed', endCharacterAction: { count: true }, extraField: 1 },
+            schema
+        );
+
+        expect(result.missing).toEqual(['endCharacterAction.actionHrid']);
+        expect(result.wrongType).toEqual([
+            { path: 'endCharacterAction.count', expected: 'number|string', actual: 'boolean' },
+        ]);
+        expect(result.unknown).toEqual(['extraField']);
+    });
+
+    test('skips nested fields when an optional parent is absent or empty', () => {
+        expect(validatePayload({ endCharacterAction: { actionHrid: 'a' } }, schema).missing).toEqual([]);
+        expect(
+            validatePayload({ endCharacterAction: { actionHrid: 'a' }, endCharacterItems: [] }, schema).missing
+        ).toEqual([]);
+    });
+});
+
+describe('messageValidator', () => {
+    test('notifies once per new problem and names affected features', () => {
+        const listener = vi.fn();
+        messageValidator.onDrift(listener);
+
+        messageValidator.validate({ type: 'action_completed', endCharacterAction: {} });
+        messageValidator.validate({ type: 'action_completed', endCharacterAction: {} });
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener.mock.calls[0][0]).toMatchObject({
+            type: 'action_completed',
+            missing: ['endCharacterAction.actionHrid'],
+            count: 1,
+        });
+        expect(messageValidator.getAffectedFeatures()).toContain('Loot log');
+        expect(messageValidator.getReport()[0].count).toBe(2);
+    });
+
+    test('unknown fields are reported but are not breaking drift', () => {
+        const listener = vi.fn();
+        messageValidator.onDrift(listener);
+
+        messageValidator.validate({ type: 'skills_updated', characterSkills: [], newThing: 1 });
+
+        expect(listener).not.toHaveBeenCalled();
+        expect(messageValidator.getReport()[0].unknown).toEqual(['newThing']);
+        expect(messageValidator.getBreakingDrift()).toEqual([]);
+    });
+
+    test('ignores message types without a schema', () => {
+        messageValidator.validate({ type: 'some_new_message', anything: 1 });
+
+        expect(messageValidator.getReport()).toEqual([]);
+    });
+
+    test('runs on every message webSocketHook processes', () => {
+        const handler = vi.fn();
+        webSocketHook.on('guild_updated', handler);
+
+        webSocketHook.processMessage(JSON.stringify({ type: 'guild_updated', guild: 'renamed' }));
+
+        expect(handler).toHaveBeenCalled();
+        expect(messageValidator.getBreakingDrift()[0].wrongType[0]).toEqual({
+            path: 'guild',
+            expected: 'object',
+            actual: 'string',
+        });
+    });
+});
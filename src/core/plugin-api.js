@@ -0,0 +1,408 @@
+/**
+ * Plugin API
+ * Stable entry point for third-party userscripts, exposed as window.Toolasha.plugins.
+ *
+ * A plugin declares which API version it was written against; incompatible plugins are
+ * refused with a reason instead of failing halfway. Compatible plugins get a scoped
+ * context for registering features (same lifecycle as built-ins), subscribing to
+ * WebSocket messages, reading game state and prices, and adding settings. Everything a
+ * plugin registers through its context is released when the plugin is unregistered,
+ * and errors thrown by plugin callbacks are logged without reaching Toolasha.
+ *
+ * Plugins that load before Toolasha can queue themselves:
+ *   (window.ToolashaPlugins = window.ToolashaPlugins || []).push({ id, requires: '^1.0.0', setup(api) {...} });
+ * or wait for the 'toolasha:ready' window event and call window.Toolasha.plugins.register().
+ */
+
+import config from './config.js';
+import dataManager from './data-manager.js';
+import featureRegistry from './feature-registry.js';
+import settingsStorage from './settings-storage.js';
+import webSocketHook from './websocket.js';
+import { registerSettingsGroup, unregisterSettingsGroup, getSettingDefinition } from './settings-schema.js';
+import marketAPI from '../api/marketplace.js';
+
+/**
+ * Current plugin API version (semver).
+ * Bump minor for additions, major for anything that breaks existing plugins.
+ */
+export const PLUGIN_API_VERSION = '1.0.0';
+
+const PLUGIN_QUEUE_GLOBAL = 'ToolashaPlugins';
+const READY_EVENT = 'toolasha:ready';
+const PLUGIN_ID_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+/**
+ * Parse a "major.minor.patch" version; missing parts default to 0.
+ * @param {string} version - Version string
+ * @returns {number[]|null} [major, minor, patch] or null if invalid
+ */
+export function parseVersion(version) {
+    const match = /^(\d+)(?:\.(\d+))?(?:\.(\d+))?$/.exec(String(version).trim());
+    if (!match) return null;
+    return [Number(match[1]), Number(match[2] || 0), Number(match[3] || 0)];
+}
+
+/**
+ * Compare two parsed versions.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} Negative, zero or positive
+ */
+function compareVersions(a, b) {
+    for (let i = 0; i < 3; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return 0;
+}
+
+/**
+ * Check a version against a requirement.
+ * Supports "*", exact "1.2.3", caret "^1.2.0" (same major, at least 1.2.0),
+ * tilde "~1.2.0" (same major.minor) and ">=1.2.0". A bare "1" or "1.2" is treated as caret.
+ * @param {string} version - Version to test
+ * @param {string} range - Requirement
+ * @returns {boolean}
+ */
+export function satisfiesVersion(version, range) {
+    const current = parseVersion(version);
+    if (!current) return false;
+
+    const requirement = String(range ?? '*').trim();
+    if (requirement === '*' || requirement === '') return true;
+
+    const match = /^(\^|~|>=)?\s*(.+)$/.exec(requirement);
+    const operator = match[1] || (requirement.split('.').length < 3 ? '^' : '=');
+    const wanted = parseVersion(match[2]);
+    if (!wanted) return false;
+
+    switch (operator) {
+        case '^':
+            return current[0] === wanted[0] && compareVersions(current, wanted) >= 0;
+        case '~':
+            return current[0] === wanted[0] && current[1] === wanted[1] && current[2] >= wanted[2];
+        case '>=':
+            return compareVersions(current, wanted) >= 0;
+        default:
+            return compareVersions(current, wanted) === 0;
+    }
+}
+
+class PluginHost {
+    constructor() {
+        this.plugins = new Map(); // id → { id, name, version, requires, status, error, disposers }
+        this.toolashaVersion = null;
+    }
+
+    /**
+     * Wrap a plugin callback so a throw is logged against the plugin and swallowed.
+     * @param {Object} plugin - Plugin record
+     * @param {string} label - What the callback handles
+     * @param {Function} fn - Plugin callback
+     * @returns {Function}
+     * @private
+     */
+    _guard(plugin, label, fn) {
+        return (...args) => {
+            try {
+                const result = fn(...args);
+                if (result && typeof result.catch === 'function') {
+                    result.catch((error) => console.error(`[PluginAPI] ${plugin.id} ${label} failed:`, error));
+                }
+                return result;
+            } catch (error) {
+                console.error(`[PluginAPI] ${plugin.id} ${label} failed:`, error);
+                return undefined;
+            }
+        };
+    }
+
+    /**
+     * Build the scoped API object handed to a plugin's setup function.
+     * @param {Object} plugin - Plugin record
+     * @returns {Object} Plugin context
+     * @private
+     */
+    _createContext(plugin) {
+        const track = (dispose) => {
+            plugin.disposers.push(dispose);
+            return () => {
+                const index = plugin.disposers.indexOf(dispose);
+                if (index > -1) plugin.disposers.splice(index, 1);
+                return dispose();
+            };
+        };
+
+        // Plugin setting IDs are namespaced like group keys; the plugin keeps using its own IDs
+        const ownSettingIds = new Set();
+        const toSettingId = (settingId) => `plugin_${plugin.id}_${settingId}`;
+        const resolveSettingId = (settingId) => (ownSettingIds.has(settingId) ? toSettingId(settingId) : settingId);
+
+        return Object.freeze({
+            apiVersion: PLUGIN_API_VERSION,
+            toolashaVersion: this.toolashaVersion,
+
+            features: Object.freeze({
+                /**
+                 * Register a feature; its key is namespaced as "<pluginId>:<key>".
+                 * @returns {Promise<Function>} Unregister function
+                 */
+                register: async ({ key, name, initialize, cleanup, healthCheck, customCheck }) => {
+                    const featureKey = `${plugin.id}:${key}`;
+                    await featureRegistry.registerFeature({
+                        key: featureKey,
+                        name: name || featureKey,
+                        category: `Plugin: ${plugin.name}`,
+                        initialize: () => initialize(),
+                        cleanup: typeof cleanup === 'function' ? (instance) => cleanup(instance) : undefined,
+                        healthCheck: typeof healthCheck === 'function' ? () => healthCheck() : undefined,
+                        customCheck: typeof customCheck === 'function' ? () => customCheck() : undefined,
+                    });
+                    return track(() => featureRegistry.unregisterFeature(featureKey));
+                },
+            }),
+
+            websocket: Object.freeze({
+                /**
+                 * Subscribe to a game message type.
+                 * @returns {Function} Unsubscribe function
+                 */
+                on: (messageType, handler) => {
+                    const guarded = this._guard(plugin, `handler for ${messageType}`, handler);
+                    webSocketHook.on(messageType, guarded);
+                    return track(() => webSocketHook.off(messageType, guarded));
+                },
+            }),
+
+            data: Object.freeze({
+                getCurrentCharacterId: () => dataManager.getCurrentCharacterId(),
+                getCurrentCharacterName: () => dataManager.getCurrentCharacterName(),
+                getInitClientData: () => dataManager.getInitClientData(),
+                getItemDetails: (itemHrid) => dataManager.getItemDetails(itemHrid),
+                getActionDetails: (actionHrid) => dataManager.getActionDetails(actionHrid),
+                getCurrentActions: () => dataManager.getCurrentActions(),
+                getEquipment: () => dataManager.getEquipment(),
+                getInventory: () => dataManager.getInventory(),
+                getSkills: () => dataManager.getSkills(),
+                getHouseRooms: () => dataManager.getHouseRooms(),
+                getMarketListings: () => dataManager.getMarketListings(),
+                /**
+                 * Subscribe to a data manager event (e.g. 'items_updated', 'character_switched').
+                 * @returns {Function} Unsubscribe function
+                 */
+                on: (event, callback) => {
+                    const guarded = this._guard(plugin, `listener for ${event}`, callback);
+                    dataManager.on(event, guarded);
+                    return track(() => dataManager.off(event, guarded));
+                },
+            }),
+
+            market: Object.freeze({
+                getPrice: (itemHrid, enhancementLevel = 0) => marketAPI.getPrice(itemHrid, enhancementLevel),
+                getPrices: (itemHrids) => marketAPI.getPrices(itemHrids),
+                isLoaded: () => marketAPI.isLoaded(),
+                getDataAge: () => marketAPI.getDataAge(),
+            }),
+
+            settings: Object.freeze({
+                /**
+                 * Add a settings group shown in the Toolasha settings tab.
+                 * The group key is namespaced as "plugin_<pluginId>_<groupId>" and each setting ID
+                 * as "plugin_<pluginId>_<settingId>"; get() and onChange() accept the plugin's own IDs.
+                 * @returns {Promise<string[]>} Added setting IDs, as stored
+                 */
+                addGroup: async (groupId, group) => {
+                    const groupKey = `plugin_${plugin.id}_${groupId}`;
+                    const settingIds = Object.keys(group?.settings || {});
+                    const knownIds = new Set([...ownSettingIds, ...settingIds]);
+                    const settings = {};
+                    for (const settingId of settingIds) {
+                        const definition = { ...group.settings[settingId] };
+                        if (knownIds.has(definition.disabledBy)) {
+                            definition.disabledBy = toSettingId(definition.disabledBy);
+                        }
+                        settings[toSettingId(settingId)] = definition;
+                    }
+
+                    const ids = registerSettingsGroup(groupKey, group?.settings ? { ...group, settings } : group);
+                    settingIds.forEach((settingId) => ownSettingIds.add(settingId));
+                    track(() => {
+                        settingIds.forEach((settingId) => ownSettingIds.delete(settingId));
+                        return unregisterSettingsGroup(groupKey);
+                    });
+                    await this._loadPluginSettings(ids);
+                    return ids;
+                },
+                get: (settingId) => {
+                    const id = resolveSettingId(settingId);
+                    const definition = getSettingDefinition(id);
+                    if (!definition || definition.type === 'checkbox') return config.getSetting(id);
+                    return config.getSettingValue(id, definition.default);
+                },
+                /**
+                 * Watch a setting for changes.
+                 * @returns {Function} Unsubscribe function
+                 */
+                onChange: (settingId, callback) => {
+                    const id = resolveSettingId(settingId);
+                    const guarded = this._guard(plugin, `setting listener for ${settingId}`, callback);
+                    config.onSettingChange(id, guarded);
+                    return track(() => config.offSettingChange(id, guarded));
+                },
+            }),
+        });
+    }
+
+    /**
+     * Make newly added settings readable and editable right away.
+     * Defaults are seeded first; once a character is loaded, stored values are re-read.
+     * @param {string[]} settingIds - Setting IDs
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _loadPluginSettings(settingIds) {
+        const defaults = settingsStorage.buildDefaults();
+        for (const settingId of settingIds) {
+            if (!config.settingsMap[settingId]) {
+                config.settingsMap[settingId] = defaults[settingId];
+            }
+        }
+
+        if (dataManager.getCurrentCharacterId()) {
+            await config.loadSettings({ notifyChanges: false });
+        }
+    }
+
+    /**
+     * Register a plugin.
+     * Never throws: an invalid, duplicate or incompatible plugin (or one whose setup
+     * throws) is refused with a reason and leaves nothing registered.
+     * @param {Object} manifest - { id, name?, version?, requires?, setup(api) }
+     * @returns {Promise<{ok: boolean, reason?: string, apiVersion: string}>}
+     */
+    async register(manifest) {
+        const refuse = (reason, record = null) => {
+            if (record) {
+                record.status = 'failed';
+                record.error = reason;
+            }
+            console.warn(`[PluginAPI] Plugin "${manifest?.id ?? '?'}" not loaded: ${reason}`);
+            return { ok: false, reason, apiVersion: PLUGIN_API_VERSION };
+        };
+
+        if (!manifest || !PLUGIN_ID_PATTERN.test(manifest.id || '')) {
+            return refuse('id must contain only letters, digits, "-" or "_"');
+        }
+        if (typeof manifest.setup !== 'function') {
+            return refuse('setup must be a function');
+        }
+        if (this.plugins.get(manifest.id)?.status === 'active') {
+            return refuse('a plugin with this id is already registered');
+        }
+
+        const plugin = {
+            id: manifest.id,
+            name: manifest.name || manifest.id,
+            version: manifest.version || null,
+            requires: manifest.requires || '*',
+            status: 'loading',
+            error: null,
+            disposers: [],
+        };
+        this.plugins.set(plugin.id, plugin);
+
+        if (!satisfiesVersion(PLUGIN_API_VERSION, plugin.requires)) {
+            plugin.status = 'incompatible';
+            plugin.error = `requires plugin API ${plugin.requires}, this Toolasha provides ${PLUGIN_API_VERSION}`;
+            return refuse(plugin.error);
+        }
+
+        try {
+            await manifest.setup(this._createContext(plugin));
+        } catch (error) {
+            console.error(`[PluginAPI] ${plugin.id} setup failed:`, error);
+            await this._dispose(plugin);
+            return refuse(`setup failed: ${error.message}`, plugin);
+        }
+
+        plugin.status = 'active';
+        console.log(`[PluginAPI] Loaded plugin ${plugin.name}${plugin.version ? ` v${plugin.version}` : ''}`);
+        return { ok: true, apiVersion: PLUGIN_API_VERSION };
+    }
+
+    /**
+     * Release everything a plugin registered, newest first.
+     * @param {Object} plugin - Plugin record
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _dispose(plugin) {
+        const disposers = plugin.disposers.splice(0).reverse();
+        for (const dispose of disposers) {
+            try {
+                await dispose();
+            } catch (error) {
+                console.error(`[PluginAPI] ${plugin.id} cleanup failed:`, error);
+            }
+        }
+    }
+
+    /**
+     * Unregister a plugin, cleaning up its features and subscriptions.
+     * @param {string} id - Plugin ID
+     * @returns {Promise<boolean>} True if the plugin was registered
+     */
+    async unregister(id) {
+        const plugin = this.plugins.get(id);
+        if (!plugin) return false;
+
+        await this._dispose(plugin);
+        this.plugins.delete(id);
+        return true;
+    }
+
+    /**
+     * Describe every plugin that tried to register.
+     * @returns {Array<{id, name, version, requires, status, error}>}
+     */
+    list() {
+        return Array.from(this.plugins.values()).map(({ disposers: _disposers, ...info }) => ({ ...info }));
+    }
+
+    /**
+     * Attach the public API to window.Toolasha.plugins, register queued plugins,
+     * and announce readiness with a 'toolasha:ready' event.
+     * @param {Window} targetWindow - Page window (unsafeWindow under userscript managers)
+     * @param {string} toolashaVersion - Toolasha release version
+     */
+    install(targetWindow, toolashaVersion) {
+        this.toolashaVersion = toolashaVersion;
+
+        const api = Object.freeze({
+            apiVersion: PLUGIN_API_VERSION,
+            satisfies: (range) => satisfiesVersion(PLUGIN_API_VERSION, range),
+            register: (manifest) => this.register(manifest),
+            unregister: (id) => this.unregister(id),
+            list: () => this.list(),
+        });
+
+        targetWindow.Toolasha = targetWindow.Toolasha || {};
+        targetWindow.Toolasha.plugins = api;
+
+        const queued = Array.isArray(targetWindow[PLUGIN_QUEUE_GLOBAL]) ? targetWindow[PLUGIN_QUEUE_GLOBAL] : [];
+        targetWindow[PLUGIN_QUEUE_GLOBAL] = { push: (...manifests) => manifests.forEach((m) => this.register(m)) };
+        for (const manifest of queued) {
+            this.register(manifest);
+        }
+
+        try {
+            targetWindow.dispatchEvent(
+                new CustomEvent(READY_EVENT, { detail: { apiVersion: PLUGIN_API_VERSION, version: toolashaVersion } })
+            );
+        } catch (error) {
+            console.warn('[PluginAPI] Failed to dispatch ready event:', error);
+        }
+    }
+}
+
+export const pluginHost = new PluginHost();
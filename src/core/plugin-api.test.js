@@ -0,0 +1,214 @@
+/**
+ * Tests for the plugin API: version negotiation, scoped registration and cleanup
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+
+const mocks = vi.hoisted(() => ({
+    wsHandlers: new Map(),
+    settingsMap: {},
+}));
+
+vi.mock('./config.js', () => ({
+    default: {
+        settingsMap: mocks.settingsMap,
+        isFeatureEnabled: vi.fn(() => true),
+        getSetting: vi.fn((key) => mocks.settingsMap[key]?.isTrue ?? false),
+        getSettingValue: vi.fn((key, def) => mocks.settingsMap[key]?.value ?? def),
+        loadSettings: vi.fn(async () => {}),
+        onSettingChange: vi.fn(),
+        offSettingChange: vi.fn(),
+    },
+}));
+
+vi.mock('./data-manager.js', () => ({
+    default: {
+        getIsCharacterSwitching: vi.fn(() => false),
+        getCurrentCharacterId: vi.fn(() => null),
+        on: vi.fn(),
+        off: vi.fn(),
+    },
+}));
+
+vi.mock('./websocket.js', () => ({
+    default: {
+        on: vi.fn((type, handler) => mocks.wsHandlers.set(type, handler)),
+        off: vi.fn((type) => mocks.wsHandlers.delete(type)),
+    },
+}));
+
+vi.mock('../api/marketplace.js', () => ({
+    default: { getPrice: vi.fn(() => ({ ask: 10, bid: 8 })) },
+}));
+
+vi.mock('../utils/performance-monitor.js', () => ({
+    default: { snapshot: vi.fn(), clearSnapshot: vi.fn() },
+}));
+
+vi.mock('./marketplace-session.js', () => ({
+    marketplaceSession: { endAll: vi.fn(), clearAllMarketplaceUI: vi.fn() },
+}));
+
+import { pluginHost, satisfiesVersion, PLUGIN_API_VERSION } from './plugin-api.js';
+import featureRegistry from './feature-registry.js';
+import { settingsGroups } from './settings-schema.js';
+import webSocketHook from './websocket.js';
+
+beforeEach(async () => {
+    for (const { id } of pluginHost.list()) {
+        await pluginHost.unregister(id);
+    }
+    mocks.wsHandlers.clear();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('satisfiesVersion', () => {
+    test('handles caret, tilde, >= and exact requirements', () => {
+        expect(satisfiesVersion('1.4.2', '^1.2.0')).toBe(true);
+        expect(satisfiesVersion('2.0.0', '^1.2.0')).toBe(false);
+        expect(satisfiesVersion('1.4.2', '~1.4.0')).toBe(true);
+        expect(satisfiesVersion('1.5.0', '~1.4.0')).toBe(false);
+        expect(satisfiesVersion('3.0.0', '>=2.1')).toBe(true);
+        expect(satisfiesVersion('1.0.0', '1.0.0')).toBe(true);
+        expect(satisfiesVersion('1.0.0', '1')).toBe(true);
+        expect(satisfiesVersion('1.0.0', '*')).toBe(true);
+        expect(satisfiesVersion('1.0.0', 'banana')).toBe(false);
+    });
+});
+
+describe('PluginHost.register', () => {
+    test('refuses incompatible plugins without running setup', async () => {
+        const setup = vi.fn();
+
+        const result = await pluginHost.register({ id: 'future', requires: '^99.0.0', setup });
+
+        expect(result.ok).toBe(false);
+        expect(result.reason).toContain(PLUGIN_API_VERSION);
+        expect(setup).not.toHaveBeenCalled();
+        expect(pluginHost.list()).toEqual([expect.objectContaining({ id: 'future', status: 'incompatible' })]);
+    });
+
+    test('rejects invalid ids and duplicates', async () => {
+        expect((await pluginHost.register({ id: 'bad id', setup() {} })).ok).toBe(false);
+        expect((await pluginHost.register({ id: 'dup', setup() {} })).ok).toBe(true);
+        expect((await pluginHost.register({ id: 'dup', setup() {} })).ok).toBe(false);
+    });
+
+    test('registers namespaced features that join the registry lifecycle', async () => {
+        const initialize = vi.fn();
+        const cleanup = vi.fn();
+
+        await pluginHost.register({
+            id: 'myplugin',
+            name: 'My Plugin',
+            requires: '^1.0',
+            setup: (api) => api.features.register({ key: 'panel', name: 'Panel', initialize, cleanup }),
+        });
+
+        const feature = featureRegistry.getFeature('myplugin:panel');
+        expect(feature).toMatchObject({ category: 'Plugin: My Plugin', external: true });
+
+        await featureRegistry.initializeFeatures();
+        expect(initialize).toHaveBeenCalledTimes(1);
+
+        // Built-in registry replacement must not drop plugin features
+        featureRegistry.replaceFeatures([]);
+        expect(featureRegistry.getFeature('myplugin:panel')).not.toBeNull();
+
+        await pluginHost.unregister('myplugin');
+        expect(cleanup).toHaveBeenCalledTimes(1);
+        expect(featureRegistry.getFeature('myplugin:panel')).toBeNull();
+    });
+
+    test('isolates throwing message handlers and removes them on unregister', async () => {
+        await pluginHost.register({
+            id: 'wsplugin',
+            setup: (api) => {
+                api.websocket.on('items_updated', () => {
+                    throw new Error('boom');
+                });
+            },
+        });
+
+        expect(() => mocks.wsHandlers.get('items_updated')({})).not.toThrow();
+        expect(console.error).toHaveBeenCalled();
+
+        await pluginHost.unregister('wsplugin');
+        expect(webSocketHook.off).toHaveBeenCalledWith('items_updated', expect.any(Function));
+    });
+
+    test('a failing setup rolls back everything it registered', async () => {
+        const result = await pluginHost.register({
+            id: 'broken',
+            setup: async (api) => {
+                await api.settings.addGroup('main', {
+                    title: 'Broken',
+                    settings: { broken_enabled: { label: 'On', type: 'checkbox', default: true } },
+                });
+                throw new Error('halfway');
+            },
+        });
+
+        expect(result).toMatchObject({ ok: false, reason: 'setup failed: halfway' });
+        expect(settingsGroups.plugin_broken_main).toBeUndefined();
+        expect(pluginHost.list()[0].status).toBe('failed');
+    });
+
+    test('settings groups are added with defaults and readable through the context', async () => {
+        let api;
+        await pluginHost.register({
+            id: 'settingsplugin',
+            setup: async (ctx) => {
+                api = ctx;
+                await ctx.settings.addGroup('main', {
+                    title: 'Settings Plugin',
+                    settings: {
+                        settingsPlugin_on: { label: 'On', type: 'checkbox', default: true },
+                        settingsPlugin_limit: {
+                            label: 'Limit',
+                            type: 'number',
+                            default: 5,
+                            disabledBy: 'settingsPlugin_on',
+                        },
+                    },
+                });
+            },
+        });
+
+        const { settings } = settingsGroups.plugin_settingsplugin_main;
+        expect(Object.keys(settings)).toEqual([
+            'plugin_settingsplugin_settingsPlugin_on',
+            'plugin_settingsplugin_settingsPlugin_limit',
+        ]);
+        expect(settings.plugin_settingsplugin_settingsPlugin_limit.disabledBy).toBe(
+            'plugin_settingsplugin_settingsPlugin_on'
+        );
+        expect(api.settings.get('settingsPlugin_on')).toBe(true);
+        expect(api.settings.get('settingsPlugin_limit')).toBe(5);
+        expect(api.market.getPrice('/items/egg')).toEqual({ ask: 10, bid: 8 });
+    });
+});
+
+describe('PluginHost.install', () => {
+    test('drains queued plugins and replaces the queue with a live push', async () => {
+        const setup = vi.fn();
+        const fakeWindow = {
+            ToolashaPlugins: [{ id: 'queued', setup }],
+            dispatchEvent: vi.fn(),
+        };
+
+        pluginHost.install(fakeWindow, '9.9.9');
+        await Promise.resolve();
+
+        expect(setup).toHaveBeenCalledTimes(1);
+        expect(fakeWindow.Toolasha.plugins.apiVersion).toBe(PLUGIN_API_VERSION);
+        expect(fakeWindow.dispatchEvent).toHaveBeenCalled();
+
+        const late = vi.fn();
+        fakeWindow.ToolashaPlugins.push({ id: 'late', setup: late });
+        await Promise.resolve();
+        expect(late).toHaveBeenCalledTimes(1);
+    });
+});
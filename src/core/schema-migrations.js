@@ -0,0 +1,234 @@
+/**
+ * Schema Migrations
+ * Central per-store migration registry for IndexedDB data.
+ *
+ * Storage.openDatabase() only creates missing object stores; it never touches the
+ * records inside them. When a feature changes the shape of what it persists, it
+ * registers an ordered migration step here instead of patching old data ad hoc.
+ * Each store's applied schema version is recorded in the settings store, and a
+ * store whose migration fails is rolled back to its pre-migration contents.
+ * Exported to window.Toolasha.Core via src/libraries/core.js.
+ */
+
+import storage from './storage.js';
+
+const SCHEMA_VERSIONS_KEY = 'toolasha_schemaVersions';
+const SCHEMA_VERSIONS_STORE = 'settings';
+
+/**
+ * Stable string form of a stored value, used to detect changed records.
+ * @param {*} value
+ * @returns {string}
+ */
+function fingerprint(value) {
+    return JSON.stringify(value) ?? 'undefined';
+}
+
+class SchemaMigrationRegistry {
+    constructor() {
+        this.migrations = new Map(); // storeName → [{ version, description, migrate }] sorted by version
+        this.lastResults = [];
+    }
+
+    /**
+     * Register a migration step for a store.
+     * The migrate function receives a deep copy of every record in the store as a
+     * key → value object and returns the migrated object (or mutates and returns nothing).
+     * It must be deterministic and must not touch storage directly.
+     * @param {string} storeName - Object store name
+     * @param {Object} step - Migration step
+     * @param {number} step.version - Schema version this step produces (positive integer)
+     * @param {string} step.description - Human-readable summary for logs
+     * @param {Function} step.migrate - (entries: Object) => Object|void|Promise<Object|void>
+     * @throws {Error} If the step is malformed or its version is already registered
+     */
+    register(storeName, { version, description, migrate }) {
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`[SchemaMigrations] ${storeName}: version must be a positive integer`);
+        }
+        if (typeof migrate !== 'function') {
+            throw new Error(`[SchemaMigrations] ${storeName} v${version}: migrate must be a function`);
+        }
+
+        const steps = this.migrations.get(storeName) || [];
+        if (steps.some((s) => s.version === version)) {
+            throw new Error(`[SchemaMigrations] ${storeName} v${version} is already registered`);
+        }
+
+        steps.push({ version, description: description || '', migrate });
+        steps.sort((a, b) => a.version - b.version);
+        this.migrations.set(storeName, steps);
+    }
+
+    /**
+     * Get the registered steps for a store, in version order.
+     * @param {string} storeName - Object store name
+     * @returns {Array<Object>} Migration steps
+     */
+    getMigrations(storeName) {
+        return [...(this.migrations.get(storeName) || [])];
+    }
+
+    /**
+     * Get the newest schema version registered for a store.
+     * @param {string} storeName - Object store name
+     * @returns {number} Target version (0 when no migrations exist)
+     */
+    getTargetVersion(storeName) {
+        const steps = this.migrations.get(storeName);
+        return steps && steps.length > 0 ? steps[steps.length - 1].version : 0;
+    }
+
+    /**
+     * Load the recorded schema version of every store.
+     * @returns {Promise<Object<string, number>>} storeName → version
+     */
+    async getRecordedVersions() {
+        const versions = await storage.getJSON(SCHEMA_VERSIONS_KEY, SCHEMA_VERSIONS_STORE, {});
+        return versions && typeof versions === 'object' ? { ...versions } : {};
+    }
+
+    /**
+     * Restore records touched by a partially applied migration.
+     * @param {string} storeName - Object store name
+     * @param {Object} snapshot - Store contents before the migration
+     * @param {string[]} touchedKeys - Keys written or deleted so far
+     * @returns {Promise<boolean>} True if every record was restored
+     * @private
+     */
+    async _rollback(storeName, snapshot, touchedKeys) {
+        let restored = true;
+        for (const key of touchedKeys) {
+            const ok = Object.prototype.hasOwnProperty.call(snapshot, key)
+                ? await storage.set(key, snapshot[key], storeName, true)
+                : await storage.delete(key, storeName);
+            if (!ok) restored = false;
+        }
+        return restored;
+    }
+
+    /**
+     * Apply every pending migration step for one store.
+     * Steps run in memory first; records are only written once all steps succeed.
+     * If a write fails midway, already-written records are restored from the snapshot
+     * and the recorded version is left unchanged so the migration retries next load.
+     * @param {string} storeName - Object store name
+     * @param {number} fromVersion - Currently recorded version
+     * @returns {Promise<Object>} Result: { storeName, from, to, status, changed?, error? }
+     */
+    async migrateStore(storeName, fromVersion = 0) {
+        const pending = this.getMigrations(storeName).filter((s) => s.version > fromVersion);
+        if (pending.length === 0) {
+            return { storeName, from: fromVersion, to: fromVersion, status: 'current' };
+        }
+
+        const snapshot = await storage.getAll(storeName);
+        let working = structuredClone(snapshot);
+        let reached = fromVersion;
+        let currentStep = null;
+
+        try {
+            for (const step of pending) {
+                currentStep = step;
+                const result = await step.migrate(working);
+                working = result ?? working;
+                if (!working || typeof working !== 'object') {
+                    throw new Error(`v${step.version} did not produce a record map`);
+                }
+                reached = step.version;
+            }
+        } catch (error) {
+            console.error(`[SchemaMigrations] ${storeName} migration to v${currentStep.version} failed:`, error);
+            return { storeName, from: fromVersion, to: fromVersion, status: 'failed', error: error.message };
+        }
+
+        const writes = Object.entries(working).filter(
+            ([key, value]) =>
+                !Object.prototype.hasOwnProperty.call(snapshot, key) ||
+                fingerprint(snapshot[key]) !== fingerprint(value)
+        );
+        const deletes = Object.keys(snapshot).filter((key) => !Object.prototype.hasOwnProperty.call(working, key));
+
+        const touchedKeys = [];
+        const applyFailed = async (key) => {
+            const restored = await this._rollback(storeName, snapshot, touchedKeys);
+            const error = `Failed to write record "${key}"`;
+            console.error(
+                `[SchemaMigrations] ${storeName} migration rolled back${restored ? '' : ' (incompletely)'}: ${error}`
+            );
+            return {
+                storeName,
+                from: fromVersion,
+                to: fromVersion,
+                status: restored ? 'rolled-back' : 'rollback-failed',
+                error,
+            };
+        };
+
+        for (const [key, value] of writes) {
+            touchedKeys.push(key);
+            if (!(await storage.set(key, value, storeName, true))) {
+                return applyFailed(key);
+            }
+        }
+        for (const key of deletes) {
+            touchedKeys.push(key);
+            if (!(await storage.delete(key, storeName))) {
+                return applyFailed(key);
+            }
+        }
+
+        return {
+            storeName,
+            from: fromVersion,
+            to: reached,
+            status: 'migrated',
+            changed: writes.length + deletes.length,
+        };
+    }
+
+    /**
+     * Run pending migrations for every store with registered steps.
+     * Call once after storage.initialize() and before features read their data.
+     * @returns {Promise<Array<Object>>} Per-store results
+     */
+    async runAll() {
+        if (!storage.db) {
+            console.warn('[SchemaMigrations] Database not available, skipping migrations');
+            this.lastResults = [];
+            return [];
+        }
+
+        await storage.flushAll();
+
+        const versions = await this.getRecordedVersions();
+        const localStores = new Set(storage.getStoreNames());
+        const results = [];
+        let versionsChanged = false;
+
+        for (const storeName of this.migrations.keys()) {
+            if (!localStores.has(storeName)) {
+                results.push({ storeName, status: 'missing-store' });
+                continue;
+            }
+
+            const result = await this.migrateStore(storeName, versions[storeName] || 0);
+            results.push(result);
+
+            if (result.status === 'migrated') {
+                versions[storeName] = result.to;
+                versionsChanged = true;
+                console.log(`[SchemaMigrations] ${storeName}: v${result.from} → v${result.to}`);
+            }
+        }
+
+        if (versionsChanged) {
+            await storage.setJSON(SCHEMA_VERSIONS_KEY, versions, SCHEMA_VERSIONS_STORE, true);
+        }
+
+        this.lastResults = results;
+        return results;
+    }
+}
+
+export const schemaMigrations = new SchemaMigrationRegistry();
@@ -0,0 +1,163 @@
+/**
+ * Tests for the schema migration registry: ordering, version recording and rollback
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+
+const stores = {};
+let failingKeys = new Set();
+
+vi.mock('./storage.js', () => ({
+    default: {
+        db: {},
+        flushAll: vi.fn(async () => {}),
+        getStoreNames: vi.fn(() => Object.keys(stores)),
+        getAll: vi.fn(async (storeName) => ({ ...(stores[storeName] || {}) })),
+        getJSON: vi.fn(async (key, storeName, defaultValue) => stores[storeName]?.[key] ?? defaultValue),
+        set: vi.fn(async (key, value, storeName) => {
+            if (failingKeys.has(key)) return false;
+            stores[storeName][key] = value;
+            return true;
+        }),
+        setJSON: vi.fn(async (key, value, storeName) => {
+            stores[storeName][key] = value;
+            return true;
+        }),
+        delete: vi.fn(async (key, storeName) => {
+            delete stores[storeName][key];
+            return true;
+        }),
+    },
+}));
+
+async function freshRegistry() {
+    vi.resetModules();
+    const mod = await import('./schema-migrations.js');
+    return mod.schemaMigrations;
+}
+
+function resetStores(data) {
+    for (const key of Object.keys(stores)) delete stores[key];
+    for (const [storeName, entries] of Object.entries(data)) {
+        stores[storeName] = structuredClone(entries);
+    }
+}
+
+describe('SchemaMigrationRegistry.register', () => {
+    test('keeps steps in version order regardless of registration order', async () => {
+        const registry = await freshRegistry();
+        registry.register('unifiedRuns', { version: 2, migrate: (e) => e });
+        registry.register('unifiedRuns', { version: 1, migrate: (e) => e });
+
+        expect(registry.getMigrations('unifiedRuns').map((s) => s.version)).toEqual([1, 2]);
+        expect(registry.getTargetVersion('unifiedRuns')).toBe(2);
+    });
+
+    test('rejects duplicate and invalid versions', async () => {
+        const registry = await freshRegistry();
+        registry.register('unifiedRuns', { version: 1, migrate: (e) => e });
+
+        expect(() => registry.register('unifiedRuns', { version: 1, migrate: (e) => e })).toThrow('already registered');
+        expect(() => registry.register('unifiedRuns', { version: 0, migrate: (e) => e })).toThrow('positive integer');
+        expect(() => registry.register('unifiedRuns', { version: 3 })).toThrow('must be a function');
+    });
+});
+
+describe('SchemaMigrationRegistry.runAll', () => {
+    beforeEach(() => {
+        failingKeys = new Set();
+        resetStores({
+            settings: {},
+            unifiedRuns: { allRuns: [{ id: 'a', totalTime: 10 }] },
+        });
+    });
+
+    test('applies pending steps in order and records the version', async () => {
+        const registry = await freshRegistry();
+        registry.register('unifiedRuns', {
+            version: 1,
+            migrate: (entries) => {
+                entries.allRuns = entries.allRuns.map((run) => ({ ...run, duration: run.totalTime }));
+            },
+        });
+        registry.register('unifiedRuns', {
+            version: 2,
+            migrate: (entries) => ({
+                allRuns: entries.allRuns.map(({ totalTime: _t, ...run }) => run),
+            }),
+        });
+
+        const [result] = await registry.runAll();
+
+        expect(result).toMatchObject({ status: 'migrated', from: 0, to: 2 });
+        expect(stores.unifiedRuns.allRuns).toEqual([{ id: 'a', duration: 10 }]);
+        expect(stores.settings.toolasha_schemaVersions).toEqual({ unifiedRuns: 2 });
+    });
+
+    test('skips steps at or below the recorded version', async () => {
+        stores.settings.toolasha_schemaVersions = { unifiedRuns: 1 };
+        const first = vi.fn((e) => e);
+        const second = vi.fn((entries) => {
+            entries.migrated = true;
+        });
+        const registry = await freshRegistry();
+        registry.register('unifiedRuns', { version: 1, migrate: first });
+        registry.register('unifiedRuns', { version: 2, migrate: second });
+
+        await registry.runAll();
+
+        expect(first).not.toHaveBeenCalled();
+        expect(second).toHaveBeenCalledTimes(1);
+        expect(stores.settings.toolasha_schemaVersions.unifiedRuns).toBe(2);
+    });
+
+    test('a throwing step writes nothing and keeps the old version', async () => {
+        const registry = await freshRegistry();
+        registry.register('unifiedRuns', {
+            version: 1,
+            migrate: (entries) => {
+                entries.allRuns = [];
+            },
+        });
+        registry.register('unifiedRuns', {
+            version: 2,
+            migrate: () => {
+                throw new Error('bad shape');
+            },
+        });
+
+        const [result] = await registry.runAll();
+
+        expect(result).toMatchObject({ status: 'failed', to: 0, error: 'bad shape' });
+        expect(stores.unifiedRuns.allRuns).toEqual([{ id: 'a', totalTime: 10 }]);
+        expect(stores.settings.toolasha_schemaVersions).toBeUndefined();
+    });
+
+    test('a failed write rolls back records already written', async () => {
+        stores.unifiedRuns.other = { keep: true };
+        failingKeys.add('zzz');
+        const registry = await freshRegistry();
+        registry.register('unifiedRuns', {
+            version: 1,
+            migrate: (_entries) => ({
+                allRuns: [],
+                zzz: 'cannot be written',
+            }),
+        });
+
+        const [result] = await registry.runAll();
+
+        expect(result.status).toBe('rolled-back');
+        expect(stores.unifiedRuns).toEqual({ allRuns: [{ id: 'a', totalTime: 10 }], other: { keep: true } });
+        expect(stores.settings.toolasha_schemaVersions).toBeUndefined();
+    });
+
+    test('reports stores that do not exist in this database', async () => {
+        const registry = await freshRegistry();
+        registry.register('futureStore', { version: 1, migrate: (e) => e });
+
+        const [result] = await registry.runAll();
+
+        expect(result).toEqual({ storeName: 'futureStore', status: 'missing-store' });
+    });
+});
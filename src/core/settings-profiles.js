@@ -0,0 +1,113 @@
+/**
+ * Settings Profiles
+ * Pure helpers for named settings presets. A profile stores one value per schema
+ * setting plus the character-scoped task lists that live outside the settings blob:
+ *
+ *   { name, createdAt, updatedAt, values: { settingId: boolean|value }, taskData: { prefix: value } }
+ *
+ * Persistence and per-character defaults live in settings-storage.js.
+ */
+
+import { settingsGroups } from './settings-schema.js';
+
+/**
+ * Index every schema setting by id.
+ * @returns {Map<string, {def: Object, groupTitle: string}>}
+ */
+function getSchemaIndex() {
+    const index = new Map();
+    for (const group of Object.values(settingsGroups)) {
+        for (const [settingId, settingDef] of Object.entries(group.settings)) {
+            index.set(settingId, { def: settingDef, groupTitle: group.title });
+        }
+    }
+    return index;
+}
+
+/**
+ * Read the stored value of a settings-map entry.
+ * @param {Object} entry - { isTrue } or { value }
+ * @returns {*}
+ */
+function readEntryValue(entry) {
+    return entry.hasOwnProperty('value') ? entry.value : entry.isTrue;
+}
+
+/**
+ * Reduce a settings map (config.settingsMap or a saved blob) to profile values.
+ * Settings that are no longer in the schema are dropped.
+ * @param {Object} settingsMap - settingId → { isTrue } | { value }
+ * @returns {Object} settingId → value
+ */
+export function extractProfileValues(settingsMap) {
+    const schema = getSchemaIndex();
+    const values = {};
+
+    for (const [settingId, entry] of Object.entries(settingsMap || {})) {
+        if (!schema.has(settingId) || !entry || typeof entry !== 'object') continue;
+        values[settingId] = readEntryValue(entry);
+    }
+
+    return values;
+}
+
+/**
+ * Write profile values into a settings map, returning a new map.
+ * Unknown setting ids are ignored so old profiles keep working after schema changes.
+ * @param {Object} settingsMap - Existing settings map (may be empty)
+ * @param {Object} values - Profile values
+ * @returns {Object} Updated settings map
+ */
+export function mergeProfileValues(settingsMap, values) {
+    const schema = getSchemaIndex();
+    const merged = { ...(settingsMap || {}) };
+
+    for (const [settingId, value] of Object.entries(values || {})) {
+        const info = schema.get(settingId);
+        if (!info) continue;
+
+        const type = info.def.type || 'checkbox';
+        const entry = { id: settingId, desc: info.def.label, type, ...(merged[settingId] || {}) };
+        if (type === 'checkbox') {
+            entry.isTrue = !!value;
+        } else {
+            entry.value = value;
+        }
+        merged[settingId] = entry;
+    }
+
+    return merged;
+}
+
+/**
+ * Compare two sets of profile values. Settings missing on either side are
+ * compared using their schema default.
+ * @param {Object} valuesA - Profile values (left side)
+ * @param {Object} valuesB - Profile values (right side)
+ * @param {Object} [taskDataA] - Task data (left side)
+ * @param {Object} [taskDataB] - Task data (right side)
+ * @returns {Array<{id: string, label: string, group: string, a: *, b: *}>} Differences in schema order
+ */
+export function diffProfileValues(valuesA, valuesB, taskDataA = {}, taskDataB = {}) {
+    const diffs = [];
+
+    for (const [settingId, { def, groupTitle }] of getSchemaIndex()) {
+        const fallback = def.default ?? (def.type === 'checkbox' || !def.type ? false : '');
+        const a = valuesA?.[settingId] ?? fallback;
+        const b = valuesB?.[settingId] ?? fallback;
+        if (JSON.stringify(a) !== JSON.stringify(b)) {
+            diffs.push({ id: settingId, label: def.label, group: groupTitle, a, b });
+        }
+    }
+
+    const taskPrefixes = new Set([...Object.keys(taskDataA || {}), ...Object.keys(taskDataB || {})]);
+    for (const prefix of taskPrefixes) {
+        const a = taskDataA?.[prefix] ?? null;
+        const b = taskDataB?.[prefix] ?? null;
+        if (JSON.stringify(a) !== JSON.stringify(b)) {
+            diffs.push({ id: prefix, label: `Task list: ${prefix}`, group: 'Tasks', a, b });
+        }
+    }
+
+    return diffs;
+}
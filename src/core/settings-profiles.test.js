@@ -0,0 +1,143 @@
+/**
+ * Tests for named settings profiles and per-character default profiles
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('./settings-schema.js', () => ({
+    settingsGroups: {
+        market: {
+            title: 'Marketplace',
+            settings: {
+                marketFilter: { id: 'marketFilter', label: 'Market filter', type: 'checkbox', default: false },
+                listingAge: { id: 'listingAge', label: 'Listing age', type: 'checkbox', default: true },
+            },
+        },
+        combat: {
+            title: 'Combat',
+            settings: {
+                combatScore: { id: 'combatScore', label: 'Combat score', type: 'checkbox', default: true },
+                dpsWindow: { id: 'dpsWindow', label: 'DPS window', type: 'number', default: 60 },
+            },
+        },
+    },
+}));
+
+const storageData = {};
+vi.mock('./storage.js', () => ({
+    default: {
+        getJSON: vi.fn(async (key, _area, defaultValue) =>
+            key in storageData ? structuredClone(storageData[key]) : defaultValue
+        ),
+        setJSON: vi.fn(async (key, value) => {
+            storageData[key] = structuredClone(value);
+        }),
+    },
+}));
+
+let settingsStorage;
+let profiles;
+
+beforeEach(async () => {
+    vi.resetModules();
+    Object.keys(storageData).forEach((k) => delete storageData[k]);
+    settingsStorage = (await import('./settings-storage.js')).default;
+    profiles = await import('./settings-profiles.js');
+    settingsStorage.setCharacterId('111', 'Alice');
+});
+
+const marketSettings = {
+    marketFilter: { isTrue: true },
+    listingAge: { isTrue: true },
+    combatScore: { isTrue: false },
+    dpsWindow: { value: 30 },
+    removedSetting: { isTrue: true },
+};
+
+describe('profile helpers', () => {
+    test('extractProfileValues keeps schema settings only', () => {
+        expect(profiles.extractProfileValues(marketSettings)).toEqual({
+            marketFilter: true,
+            listingAge: true,
+            combatScore: false,
+            dpsWindow: 30,
+        });
+    });
+
+    test('diffProfileValues compares against schema defaults and task lists', () => {
+        const diffs = profiles.diffProfileValues(
+            { marketFilter: true, dpsWindow: 30 },
+            { combatScore: false },
+            { taskProtectedHrids: ['/tasks/a'] },
+            {}
+        );
+
+        expect(diffs.map((d) => [d.id, d.a, d.b])).toEqual([
+            ['marketFilter', true, false],
+            ['combatScore', true, false],
+            ['dpsWindow', 30, 60],
+            ['taskProtectedHrids', ['/tasks/a'], null],
+        ]);
+        expect(diffs[0].group).toBe('Marketplace');
+    });
+});
+
+describe('SettingsStorage profiles', () => {
+    test('saveProfile captures settings and the character task lists', async () => {
+        storageData.taskProtectedHrids_111 = ['/tasks/keep'];
+
+        const profile = await settingsStorage.saveProfile(' Market trading ', marketSettings);
+
+        expect(profile.name).toBe('Market trading');
+        expect(profile.values.dpsWindow).toBe(30);
+        expect(profile.taskData).toEqual({ taskProtectedHrids: ['/tasks/keep'] });
+        await expect(settingsStorage.saveProfile('  ', marketSettings)).rejects.toThrow('name is required');
+    });
+
+    test('applyProfile merges into another character without touching unrelated settings', async () => {
+        storageData.taskAutoRerollHrids_111 = ['/tasks/reroll'];
+        await settingsStorage.saveProfile('Market', { marketFilter: { isTrue: true } });
+        storageData.script_settingsMap_222 = { combatScore: { id: 'combatScore', isTrue: false } };
+
+        expect(await settingsStorage.applyProfile('Market', '222')).toBe(true);
+
+        expect(storageData.script_settingsMap_222.marketFilter.isTrue).toBe(true);
+        expect(storageData.script_settingsMap_222.combatScore.isTrue).toBe(false);
+        expect(storageData.taskAutoRerollHrids_222).toEqual(['/tasks/reroll']);
+        expect(await settingsStorage.applyProfile('Missing', '222')).toBe(false);
+    });
+
+    test('default profile applies on load, and again only after the profile is re-saved', async () => {
+        await settingsStorage.saveProfile('Combat', { combatScore: { isTrue: true }, dpsWindow: { value: 90 } });
+        await settingsStorage.setDefaultProfile('111', 'Combat');
+
+        let loaded = await settingsStorage.loadSettings();
+        expect(loaded.dpsWindow.value).toBe(90);
+
+        // Local tweak survives the next load
+        storageData.script_settingsMap_111.dpsWindow.value = 45;
+        loaded = await settingsStorage.loadSettings();
+        expect(loaded.dpsWindow.value).toBe(45);
+
+        // Re-saving the profile pushes it again
+        await new Promise((resolve) => setTimeout(resolve, 2));
+        await settingsStorage.saveProfile('Combat', { dpsWindow: { value: 120 } });
+        loaded = await settingsStorage.loadSettings();
+        expect(loaded.dpsWindow.value).toBe(120);
+    });
+
+    test('deleteProfile clears default assignments and diffProfiles can use current settings', async () => {
+        await settingsStorage.saveProfile('Market', marketSettings);
+        await settingsStorage.setDefaultProfile('111', 'Market');
+
+        const diffs = await settingsStorage.diffProfiles(null, 'Market', {
+            ...marketSettings,
+            dpsWindow: { value: 5 },
+        });
+        expect(diffs.map((d) => d.id)).toEqual(['dpsWindow']);
+
+        expect(await settingsStorage.deleteProfile('Market')).toBe(true);
+        expect(await settingsStorage.getProfileDefaults()).toEqual({});
+        await expect(settingsStorage.setDefaultProfile('111', 'Market')).rejects.toThrow('Unknown settings profile');
+    });
+});
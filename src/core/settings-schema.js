@@ -78,6 +78,21 @@ export const settingsGroups = {
                 default: false,
                 help: 'Shows estimated queue time remaining for your other characters in a floating widget',
             },
+            featureQuarantine: {
+                id: 'featureQuarantine',
+                label: 'Turn off features that keep erroring',
+                type: 'checkbox',
+                default: true,
+                help: 'Stops a Toolasha feature for the rest of the session when it throws repeatedly, and shows a notice. Re-enable it from Error Diagnostics.',
+            },
+            featureQuarantine_maxErrors: {
+                id: 'featureQuarantine_maxErrors',
+                label: 'Errors per minute before a feature is turned off',
+                type: 'number',
+                default: 10,
+                min: 2,
+                max: 100,
+            },
         },
     },
 
@@ -523,6 +538,13 @@ export const settingsGroups = {
                 default: false,
                 help: 'Shows what you actually receive after the 5% marketplace tax next to ask/bid prices in item tooltips',
             },
+            itemTooltip_priceTrend: {
+                id: 'itemTooltip_priceTrend',
+                label: 'Show 7-day price trend',
+                type: 'checkbox',
+                default: true,
+                help: 'Adds a sparkline with 7-day change, volatility and spread from recorded price history (requires Market: Record price history)',
+            },
             itemTooltip_enhancingHourlyRate: {
                 id: 'itemTooltip_enhancingHourlyRate',
                 label: 'Target hourly rate for enhancing (e.g. 50m)',
@@ -958,7 +980,19 @@ export const settingsGroups = {
                 label: 'Sell Queue (Shift+RightClick inventory items)',
                 type: 'checkbox',
                 default: true,
-                help: 'Shift+RightClick an inventory item to open the marketplace and create a tab for it. Tabs close automatically when the item sells out.',
+                help: 'Shift+RightClick an inventory item to add it to the Sell Plan (quantity to keep, pricing rule, expected proceeds after tax). Start Selling opens the marketplace with a tab per item; tabs close once only the kept quantity is left. The queue is saved per character.',
+            },
+            sellQueue_defaultRule: {
+                id: 'sellQueue_defaultRule',
+                label: 'Sell Queue: Default pricing rule for new items',
+                type: 'select',
+                default: 'askMinusTick',
+                options: [
+                    { value: 'instantBid', label: 'Instant sell to bid' },
+                    { value: 'askMinusTick', label: 'List at ask minus one tick' },
+                    { value: 'custom', label: 'List at custom price override' },
+                ],
+                help: "Rule given to items added to the sell queue. Each item's rule can be changed in the Sell Plan dialog",
             },
             networkAlert: {
                 id: 'networkAlert',
@@ -1090,6 +1124,42 @@ export const settingsGroups = {
                     'Adds a "Refresh" button on My Listings that opens your first listing\'s order book, then a ' +
                     '"Next" button on each listing\'s page to move to the next one, ending in "Back to My Listings"',
             },
+            market_listingHealth: {
+                id: 'market_listingHealth',
+                label: 'Market: Show My Listings health panel',
+                type: 'checkbox',
+                default: true,
+                help:
+                    'Adds a "Health" button on My Listings that flags each open listing as top of book, undercut ' +
+                    '(by how much and how many units are ahead) or stale, with a one-click cancel and re-list',
+            },
+            market_listingHealth_relistRule: {
+                id: 'market_listingHealth_relistRule',
+                label: 'Listing health: Re-list rule for undercut listings',
+                type: 'select',
+                default: 'match',
+                options: [
+                    { value: 'match', label: 'Match the best competing price' },
+                    { value: 'beatByTick', label: 'Beat the best competing price by one tick' },
+                    { value: 'hold', label: 'Hold (flag only, never re-list)' },
+                ],
+                help: 'Price used when re-listing an undercut listing. The new listing form is prefilled; you still confirm it',
+            },
+            market_listingHealth_staleMinutes: {
+                id: 'market_listingHealth_staleMinutes',
+                label: 'Listing health: Order book age before a listing is stale (minutes)',
+                type: 'number',
+                default: 60,
+                min: 1,
+                help: 'Listings whose order book was last seen longer ago than this are flagged stale until you view the item again',
+            },
+            market_arbitrageScanner: {
+                id: 'market_arbitrageScanner',
+                label: 'Market: Arbitrage scanner',
+                type: 'checkbox',
+                default: true,
+                help: 'Adds an Arbitrage tab that ranks buying at ask, converting in one step (craft, decompose, coinify, transmute or sell to vendor) and selling at bid after tax, by profit per action or per hour',
+            },
             market_tradeHistory: {
                 id: 'market_tradeHistory',
                 label: 'Market: Show personal trade history',
@@ -1097,6 +1167,24 @@ export const settingsGroups = {
                 default: true,
                 help: 'Displays your last buy/sell prices for items in marketplace',
             },
+            market_tradeLedger: {
+                id: 'market_tradeLedger',
+                label: 'Market: Trade ledger (realized/unrealized profit)',
+                type: 'checkbox',
+                default: true,
+                help: 'Records filled quantities of your market orders and adds a Trade Ledger tab with realized profit after tax per day and per item, plus unrealized profit on items still held',
+            },
+            market_tradeLedger_costMethod: {
+                id: 'market_tradeLedger_costMethod',
+                label: 'Trade ledger: Cost basis method',
+                type: 'select',
+                default: 'fifo',
+                options: [
+                    { value: 'fifo', label: 'FIFO (oldest purchases sold first)' },
+                    { value: 'average', label: 'Average cost' },
+                ],
+                help: 'How sells are matched against earlier buys when computing realized profit',
+            },
             market_tradeHistoryComparisonMode: {
                 id: 'market_tradeHistoryComparisonMode',
                 label: 'Market: Trade history comparison mode',
@@ -1213,6 +1301,34 @@ export const settingsGroups = {
                 default: false,
                 help: 'Adds a small link to view the current item on milkyway.market',
             },
+            market_priceHistory: {
+                id: 'market_priceHistory',
+                label: 'Market: Record price history',
+                type: 'checkbox',
+                default: true,
+                help: 'Keeps every fetched market snapshot locally and adds a Price History chart (1d/7d/30d trend, volatility, spread) to the marketplace item view',
+            },
+            market_priceAlerts: {
+                id: 'market_priceAlerts',
+                label: 'Market: Price alerts watchlist',
+                type: 'checkbox',
+                default: true,
+                help: 'Adds a Watch button to marketplace items. Watched items are checked whenever prices refresh (ask below, bid above, spread above, change since last price) and triggered alerts show on a header bell',
+            },
+            market_priceAlerts_browserNotify: {
+                id: 'market_priceAlerts_browserNotify',
+                label: 'Market: Browser notifications for price alerts',
+                type: 'checkbox',
+                default: true,
+                help: 'Also sends a browser notification when a price alert fires',
+            },
+            market_orderBookHistory: {
+                id: 'market_orderBookHistory',
+                label: 'Market: Order book history and liquidity',
+                type: 'checkbox',
+                default: true,
+                help: 'Keeps timestamped order book snapshots for items you view and adds a Liquidity panel (consumption rate, fill time estimate, slippage for market orders, recent depth)',
+            },
         },
     },
 
@@ -1220,6 +1336,25 @@ export const settingsGroups = {
         title: 'Pricing & Profit',
         icon: '💹',
         settings: {
+            market_dataSources: {
+                id: 'market_dataSources',
+                label: 'Market data sources (URLs in priority order)',
+                type: 'text',
+                default: 'https://www.milkywayidle.com/game_data/marketplace.json',
+                help: 'Comma-separated marketplace.json URLs tried in order. Add mirrors (which must allow cross-origin requests) after the official endpoint; a source that fails or is rate-limited is backed off and the next one is used, and outdated data is only used when no source has anything newer. A marketplace.json file can also be imported with "Import Market Data" below.',
+            },
+            market_priceMergePolicy: {
+                id: 'market_priceMergePolicy',
+                label: 'Live order book prices vs. market data snapshot',
+                type: 'select',
+                default: 'newest',
+                options: [
+                    { value: 'newest', label: 'Use whichever is newer per item' },
+                    { value: 'patchesFirst', label: 'Prefer live order book prices (up to 24h old)' },
+                    { value: 'snapshotOnly', label: 'Snapshot only (ignore live order book prices)' },
+                ],
+                help: 'Order books you view update prices live. Choose how those combine with the bulk snapshot, e.g. prefer live prices when the snapshot comes from a lagging mirror or an old imported file.',
+            },
             profitCalc_pricingMode: {
                 id: 'profitCalc_pricingMode',
                 label: 'Profit calculation pricing mode',
@@ -1230,8 +1365,44 @@ export const settingsGroups = {
                     { value: 'hybrid', label: 'Buy: Ask / Sell: Ask (Instant Buy / Patient Sell)' },
                     { value: 'optimistic', label: 'Buy: Bid / Sell: Ask (Patient Buy / Patient Sell)' },
                     { value: 'patientBuy', label: 'Buy: Bid / Sell: Bid (Patient Buy / Instant Sell)' },
+                    { value: 'custom', label: 'Custom formulas (below)' },
                 ],
             },
+            pricing_customBuyFormula: {
+                id: 'pricing_customBuyFormula',
+                label: 'Custom pricing: Buy formula (inputs)',
+                type: 'text',
+                default: 'ask',
+                help: 'Used when the pricing mode is "Custom formulas". Variables: ask, bid, mid, spread ((ask − bid) / ask), lastBuy, lastSell, vendor. Functions: min, max, if, coalesce, round, floor, ceil, abs. Example: min(ask, lastBuy)',
+            },
+            pricing_customSellFormula: {
+                id: 'pricing_customSellFormula',
+                label: 'Custom pricing: Sell formula (outputs)',
+                type: 'text',
+                default: 'bid',
+                help: 'Used for outputs in profit calculations, and for net worth when its pricing mode is "Custom sell formula". Example: spread > 20% ? mid : bid * 0.98',
+            },
+            pricing_customFormulaPreview: {
+                id: 'pricing_customFormulaPreview',
+                label: 'Custom pricing: Preview',
+                type: 'pricingFormulaPreview',
+                default: '',
+                help: 'Compare your formulas against the standard modes on reference items before using them',
+            },
+            pricing_enhancedValuationModel: {
+                id: 'pricing_enhancedValuationModel',
+                label: 'Model prices for unlisted enhancement levels',
+                type: 'checkbox',
+                default: true,
+                help: 'When an enhanced item has no market price at its level, estimate one from the prices of its other levels (or of similar equipment) instead of falling back to enhancement cost. Used by net worth, item tooltips and guild credit values.',
+            },
+            pricing_showModeledPrices: {
+                id: 'pricing_showModeledPrices',
+                label: 'Mark modeled prices',
+                type: 'checkbox',
+                default: true,
+                help: 'Prefix modeled values with "~" and show their confidence band, so they can be told apart from observed market prices',
+            },
             profitCalc_pricingNaming: {
                 id: 'profitCalc_pricingNaming',
                 label: 'Pricing mode naming convention',
@@ -1342,6 +1513,7 @@ export const settingsGroups = {
                 options: [
                     { value: 'ask', label: 'Ask price (patient sell value)' },
                     { value: 'bid', label: 'Bid price (instant liquidation value)' },
+                    { value: 'custom', label: 'Custom sell formula (Pricing & Profit)' },
                 ],
                 help: 'Ask shows what you could get by listing patiently. Bid shows what you could get by selling instantly.',
             },
@@ -2233,6 +2405,36 @@ export const settingsGroups = {
                 default: false,
                 help: 'Only works when the game page is open',
             },
+            notifiGameDataDrift: {
+                id: 'notifiGameDataDrift',
+                label: 'Warn when game data changes shape',
+                type: 'checkbox',
+                default: true,
+                help: 'Shows a header warning when a game update changes a message Toolasha reads, listing the features that may misbehave until Toolasha is updated.',
+            },
+        },
+    },
+
+    dataStorage: {
+        title: 'Data Storage',
+        icon: '💾',
+        settings: {
+            storageRetention_autoPrune: {
+                id: 'storageRetention_autoPrune',
+                label: 'Automatically prune old history data',
+                type: 'checkbox',
+                default: false,
+                help: 'Applies the retention rules from the Storage Usage panel (max age, max records, daily downsampling) to loot log, market listing, guild XP, alchemy and net worth history.',
+            },
+            storageRetention_intervalHours: {
+                id: 'storageRetention_intervalHours',
+                label: 'Prune interval (hours)',
+                type: 'number',
+                default: 24,
+                min: 1,
+                max: 720,
+                help: 'How often retention rules run while the game is open. A missed run is caught up shortly after the page loads.',
+            },
         },
     },
 
@@ -2509,3 +2711,47 @@ export function getSettingDependencies(settingId) {
     const def = getSettingDefinition(settingId);
     return def?.dependencies || [];
 }
+
+// Groups added through registerSettingsGroup; only these can be removed again
+const runtimeGroupIds = new Set();
+
+/**
+ * Add a settings group at runtime (used by the plugin API).
+ * Groups added this way render after the built-in groups.
+ * @param {string} groupId - Unique group key
+ * @param {Object} group - { title, icon?, settings: { [id]: { id?, label, type, default, ... } } }
+ * @returns {string[]} IDs of the added settings
+ * @throws {Error} If the group or any setting ID is already defined
+ */
+export function registerSettingsGroup(groupId, group) {
+    if (settingsGroups[groupId]) {
+        throw new Error(`[SettingsSchema] Settings group "${groupId}" already exists`);
+    }
+    if (!group?.title || !group.settings || typeof group.settings !== 'object') {
+        throw new Error(`[SettingsSchema] Settings group "${groupId}" needs a title and settings`);
+    }
+
+    const settings = {};
+    for (const [settingId, settingDef] of Object.entries(group.settings)) {
+        if (getSettingDefinition(settingId)) {
+            throw new Error(`[SettingsSchema] Setting "${settingId}" already exists`);
+        }
+        settings[settingId] = { ...settingDef, id: settingId, type: settingDef.type || 'checkbox' };
+    }
+
+    settingsGroups[groupId] = { title: group.title, icon: group.icon || '🧩', settings };
+    runtimeGroupIds.add(groupId);
+    return Object.keys(settings);
+}
+
+/**
+ * Remove a settings group added with registerSettingsGroup.
+ * @param {string} groupId - Group key
+ * @returns {boolean} True if the group was removed
+ */
+export function unregisterSettingsGroup(groupId) {
+    if (!runtimeGroupIds.has(groupId)) return false;
+    runtimeGroupIds.delete(groupId);
+    delete settingsGroups[groupId];
+    return true;
+}
@@ -5,10 +5,11 @@
 
 import storage from './storage.js';
 import { settingsGroups } from './settings-schema.js';
+import { extractProfileValues, mergeProfileValues, diffProfileValues } from './settings-profiles.js';
 
 // Task-related storage keys that are scoped per-character by a `_<charId>` suffix, outside
 // the main schema settings blob (see task-reroll-protection.js / task-auto-reroll.js).
-const TASK_CHARACTER_SCOPED_PREFIXES = ['taskProtectedHrids', 'taskAutoRerollHrids'];
+export const TASK_CHARACTER_SCOPED_PREFIXES = ['taskProtectedHrids', 'taskAutoRerollHrids'];
 
 class SettingsStorage {
     constructor() {
@@ -17,6 +18,8 @@ class SettingsStorage {
         this.currentCharacterId = null;
         this.currentCharacterName = null;
         this.knownCharactersKey = 'known_character_ids';
+        this.profilesKey = 'toolasha_settingsProfiles'; // Global: name → profile
+        this.profileDefaultsKey = 'toolasha_settingsProfileDefaults'; // Global: characterId → { profile, appliedAt }
     }
 
     /**
@@ -65,6 +68,10 @@ class SettingsStorage {
             await this.addToKnownCharacters(this.currentCharacterId, this.currentCharacterName);
         }
 
+        if (this.currentCharacterId) {
+            saved = await this._applyDefaultProfile(this.currentCharacterId, saved);
+        }
+
         const settings = {};
 
         // Build default settings from config
@@ -259,6 +266,231 @@ class SettingsStorage {
         return syncedCount;
     }
 
+    /**
+     * Get all saved settings profiles.
+     * @returns {Promise<Object>} name → profile
+     */
+    async getProfiles() {
+        return storage.getJSON(this.profilesKey, this.storageArea, {});
+    }
+
+    /**
+     * Get one settings profile.
+     * @param {string} name - Profile name
+     * @returns {Promise<Object|null>}
+     */
+    async getProfile(name) {
+        const profiles = await this.getProfiles();
+        return profiles[name] || null;
+    }
+
+    /**
+     * Save settings as a named profile, overwriting any profile with the same name.
+     * Task lists are captured from the current character.
+     * @param {string} name - Profile name
+     * @param {Object} settings - Settings map to capture
+     * @returns {Promise<Object>} The saved profile
+     */
+    async saveProfile(name, settings) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            throw new Error('Profile name is required');
+        }
+
+        const profiles = await this.getProfiles();
+        const now = Date.now();
+        const profile = {
+            name: trimmed,
+            createdAt: profiles[trimmed]?.createdAt || now,
+            updatedAt: now,
+            values: extractProfileValues(settings),
+            taskData: await this._readTaskData(this.currentCharacterId),
+        };
+
+        profiles[trimmed] = profile;
+        await storage.setJSON(this.profilesKey, profiles, this.storageArea, true);
+        return profile;
+    }
+
+    /**
+     * Delete a profile and clear it as any character's default.
+     * @param {string} name - Profile name
+     * @returns {Promise<boolean>} True if the profile existed
+     */
+    async deleteProfile(name) {
+        const profiles = await this.getProfiles();
+        if (!profiles[name]) return false;
+
+        delete profiles[name];
+        await storage.setJSON(this.profilesKey, profiles, this.storageArea, true);
+
+        const defaults = await this.getProfileDefaults();
+        let changed = false;
+        for (const [characterId, entry] of Object.entries(defaults)) {
+            if (entry.profile === name) {
+                delete defaults[characterId];
+                changed = true;
+            }
+        }
+        if (changed) {
+            await storage.setJSON(this.profileDefaultsKey, defaults, this.storageArea, true);
+        }
+
+        return true;
+    }
+
+    /**
+     * Write a profile into a character's saved settings and task lists.
+     * Settings the profile does not mention keep their current values.
+     * @param {string} name - Profile name
+     * @param {string} [characterId] - Target character (defaults to current)
+     * @returns {Promise<boolean>} False if the profile does not exist
+     */
+    async applyProfile(name, characterId = this.currentCharacterId) {
+        const profile = await this.getProfile(name);
+        if (!profile) return false;
+
+        await this._writeProfile(profile, characterId);
+
+        const defaults = await this.getProfileDefaults();
+        if (defaults[characterId]?.profile === name) {
+            defaults[characterId].appliedAt = Date.now();
+            await storage.setJSON(this.profileDefaultsKey, defaults, this.storageArea, true);
+        }
+
+        return true;
+    }
+
+    /**
+     * Get the default profile assignments.
+     * @returns {Promise<Object>} characterId → { profile, appliedAt }
+     */
+    async getProfileDefaults() {
+        return storage.getJSON(this.profileDefaultsKey, this.storageArea, {});
+    }
+
+    /**
+     * Assign a default profile to a character. The profile is applied the next time
+     * that character's settings load, and again whenever the profile is re-saved,
+     * so the character follows its profile while keeping local tweaks in between.
+     * @param {string} characterId - Character ID
+     * @param {string|null} name - Profile name, or null to clear
+     * @returns {Promise<void>}
+     */
+    async setDefaultProfile(characterId, name) {
+        const defaults = await this.getProfileDefaults();
+        const id = String(characterId);
+
+        if (name) {
+            if (!(await this.getProfile(name))) {
+                throw new Error(`Unknown settings profile "${name}"`);
+            }
+            defaults[id] = { profile: name, appliedAt: null };
+        } else {
+            delete defaults[id];
+        }
+
+        await storage.setJSON(this.profileDefaultsKey, defaults, this.storageArea, true);
+    }
+
+    /**
+     * Compare two profiles. Pass null for either name to compare against the
+     * current settings and the current character's task lists.
+     * @param {string|null} nameA - Left profile
+     * @param {string|null} nameB - Right profile
+     * @param {Object} currentSettings - Current settings map (used for null names)
+     * @returns {Promise<Array<Object>>} Differences, see diffProfileValues()
+     */
+    async diffProfiles(nameA, nameB, currentSettings) {
+        const resolve = async (name) => {
+            if (!name) {
+                return {
+                    values: extractProfileValues(currentSettings),
+                    taskData: await this._readTaskData(this.currentCharacterId),
+                };
+            }
+            const profile = await this.getProfile(name);
+            if (!profile) {
+                throw new Error(`Unknown settings profile "${name}"`);
+            }
+            return profile;
+        };
+
+        const [a, b] = await Promise.all([resolve(nameA), resolve(nameB)]);
+        return diffProfileValues(a.values, b.values, a.taskData, b.taskData);
+    }
+
+    /**
+     * Apply a character's default profile if it changed since it was last applied.
+     * @param {string} characterId - Character ID
+     * @param {Object|null} saved - Character's saved settings blob
+     * @returns {Promise<Object|null>} Settings blob to use
+     * @private
+     */
+    async _applyDefaultProfile(characterId, saved) {
+        const defaults = await this.getProfileDefaults();
+        const assignment = defaults[characterId];
+        if (!assignment) return saved;
+
+        const profile = await this.getProfile(assignment.profile);
+        if (!profile || (assignment.appliedAt && assignment.appliedAt >= profile.updatedAt)) {
+            return saved;
+        }
+
+        const merged = await this._writeProfile(profile, characterId, saved);
+        assignment.appliedAt = Date.now();
+        await storage.setJSON(this.profileDefaultsKey, defaults, this.storageArea, true);
+        return merged;
+    }
+
+    /**
+     * Merge a profile into a character's settings blob and task lists, and save both.
+     * @param {Object} profile - Profile to write
+     * @param {string} characterId - Target character
+     * @param {Object} [saved] - Already-loaded settings blob (read from storage if omitted)
+     * @returns {Promise<Object>} Merged settings blob
+     * @private
+     */
+    async _writeProfile(profile, characterId, saved) {
+        const characterKey = `${this.storageKey}_${characterId}`;
+        const current = saved === undefined ? await storage.getJSON(characterKey, this.storageArea, null) : saved;
+        const merged = mergeProfileValues(current || {}, profile.values);
+        await storage.setJSON(characterKey, merged, this.storageArea, true);
+        await this._writeTaskData(characterId, profile.taskData);
+        return merged;
+    }
+
+    /**
+     * Read a character's task lists.
+     * @param {string} characterId - Character ID
+     * @returns {Promise<Object>} prefix → value (only lists that exist)
+     * @private
+     */
+    async _readTaskData(characterId) {
+        const taskData = {};
+        if (!characterId) return taskData;
+
+        for (const prefix of TASK_CHARACTER_SCOPED_PREFIXES) {
+            const value = await storage.getJSON(`${prefix}_${characterId}`, this.storageArea, null);
+            if (value !== null) taskData[prefix] = value;
+        }
+        return taskData;
+    }
+
+    /**
+     * Write task lists captured in a profile to a character.
+     * @param {string} characterId - Character ID
+     * @param {Object} taskData - prefix → value
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _writeTaskData(characterId, taskData) {
+        for (const prefix of TASK_CHARACTER_SCOPED_PREFIXES) {
+            if (!taskData || !(prefix in taskData)) continue;
+            await storage.setJSON(`${prefix}_${characterId}`, taskData[prefix], this.storageArea, true);
+        }
+    }
+
     /**
      * Get a single setting value
      * @param {string} settingId - Setting ID
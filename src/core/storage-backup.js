@@ -0,0 +1,314 @@
+/**
+ * Storage Backup Service
+ * Versioned backup archives covering every IndexedDB store, scoped per character,
+ * with selective per-store restore (merge or replace) and a dry-run preview.
+ * Exported to window.Toolasha.Core via src/libraries/core.js.
+ */
+
+import storage from './storage.js';
+import settingsStorage from './settings-storage.js';
+
+export const BACKUP_FORMAT = 'toolasha-backup';
+export const BACKUP_FORMAT_VERSION = 1;
+
+/**
+ * How an archived store is written back.
+ * MERGE keeps local data and only adds what is missing; REPLACE makes the store
+ * match the archive for the characters the archive covers.
+ */
+export const RESTORE_MODE = Object.freeze({
+    MERGE: 'merge',
+    REPLACE: 'replace',
+});
+
+// Transient cache keys that are refetched from the network, and debug recordings, are never
+// archived or restored; the market price cache and its patches live under Toolasha_marketAPI_
+const EXCLUDED_KEY_PREFIXES = {
+    settings: ['marketplace_cache', 'Toolasha_marketAPI_'],
+    wsRecordings: ['recording_'],
+};
+
+/**
+ * Drop the keys of a store that backups never carry.
+ * @param {string} storeName - Object store name
+ * @param {Object} entries - Key → value map
+ * @returns {Object} Entries without excluded keys
+ */
+function omitExcludedKeys(storeName, entries) {
+    const excluded = EXCLUDED_KEY_PREFIXES[storeName] || [];
+    return Object.fromEntries(
+        Object.entries(entries).filter(([key]) => !excluded.some((prefix) => key.startsWith(prefix)))
+    );
+}
+
+/**
+ * Stable string form of a stored value, used for equality checks.
+ * @param {*} value
+ * @returns {string}
+ */
+function fingerprint(value) {
+    return JSON.stringify(value) ?? 'undefined';
+}
+
+class StorageBackupService {
+    /**
+     * Resolve which character a storage key belongs to.
+     * Character-scoped keys end in `_<characterId>` throughout the codebase.
+     * @param {string} key - Storage key
+     * @param {Set<string>} knownIds - Known character IDs
+     * @returns {string|null} Owning character ID, or null for global keys
+     */
+    getKeyOwner(key, knownIds) {
+        const lastUnderscore = String(key).lastIndexOf('_');
+        if (lastUnderscore === -1) return null;
+        const suffix = String(key).substring(lastUnderscore + 1);
+        return knownIds.has(suffix) ? suffix : null;
+    }
+
+    /**
+     * Check whether a key falls inside a backup scope.
+     * @param {string} key - Storage key
+     * @param {Set<string>} knownIds - Known character IDs
+     * @param {Object} scope - { characterIds: string[]|null, includeGlobal: boolean }
+     * @returns {boolean}
+     * @private
+     */
+    _inScope(key, knownIds, scope) {
+        const owner = this.getKeyOwner(key, knownIds);
+        if (owner === null) return scope.includeGlobal;
+        return scope.characterIds === null || scope.characterIds.includes(owner);
+    }
+
+    /**
+     * Build a backup archive from every object store.
+     * @param {Object} [options]
+     * @param {string[]|null} [options.characterIds] - Characters to include (null = all known characters)
+     * @param {boolean} [options.includeGlobal] - Include keys not scoped to any character
+     * @returns {Promise<Object>} Backup archive
+     */
+    async createBackup({ characterIds = null, includeGlobal = true } = {}) {
+        // Pending debounced writes would otherwise be missing from the archive
+        await storage.flushAll();
+
+        const knownCharacters = await settingsStorage.getKnownCharacters();
+        const knownIds = new Set(knownCharacters.map((c) => c.id));
+        const scope = {
+            characterIds: characterIds ? characterIds.map(String) : null,
+            includeGlobal,
+        };
+
+        const stores = {};
+        for (const storeName of storage.getStoreNames()) {
+            const entries = omitExcludedKeys(storeName, await storage.getAll(storeName));
+            const archived = {};
+
+            for (const [key, value] of Object.entries(entries)) {
+                if (!this._inScope(key, knownIds, scope)) continue;
+                archived[key] = value;
+            }
+
+            stores[storeName] = archived;
+        }
+
+        return {
+            format: BACKUP_FORMAT,
+            formatVersion: BACKUP_FORMAT_VERSION,
+            createdAt: Date.now(),
+            dbVersion: storage.dbVersion,
+            scope,
+            characters: knownCharacters.filter((c) => scope.characterIds === null || scope.characterIds.includes(c.id)),
+            stores,
+        };
+    }
+
+    /**
+     * Serialize an archive for download.
+     * @param {Object} archive - Backup archive
+     * @returns {string} JSON string
+     */
+    serializeBackup(archive) {
+        return JSON.stringify(archive);
+    }
+
+    /**
+     * Parse and validate a serialized archive.
+     * @param {string} jsonString - Archive JSON
+     * @returns {Object} Backup archive
+     * @throws {Error} If the text is not a supported Toolasha backup
+     */
+    parseBackup(jsonString) {
+        let archive;
+        try {
+            archive = JSON.parse(jsonString);
+        } catch {
+            throw new Error('Backup file is not valid JSON');
+        }
+
+        if (!archive || archive.format !== BACKUP_FORMAT) {
+            throw new Error('File is not a Toolasha backup');
+        }
+        if (typeof archive.formatVersion !== 'number' || archive.formatVersion > BACKUP_FORMAT_VERSION) {
+            throw new Error(`Unsupported backup version: ${archive.formatVersion}`);
+        }
+        if (!archive.stores || typeof archive.stores !== 'object') {
+            throw new Error('Backup contains no stores');
+        }
+
+        archive.scope = {
+            characterIds: Array.isArray(archive.scope?.characterIds) ? archive.scope.characterIds.map(String) : null,
+            includeGlobal: archive.scope?.includeGlobal !== false,
+        };
+
+        return archive;
+    }
+
+    /**
+     * Describe the stores contained in an archive.
+     * @param {Object} archive - Backup archive
+     * @returns {Array<{storeName: string, keyCount: number, available: boolean}>}
+     */
+    summarizeBackup(archive) {
+        const localStores = new Set(storage.getStoreNames());
+        return Object.entries(archive.stores).map(([storeName, entries]) => ({
+            storeName,
+            keyCount: Object.keys(entries || {}).length,
+            available: localStores.has(storeName),
+        }));
+    }
+
+    /**
+     * Plan the writes for a single store without touching storage.
+     * @param {Object} archived - Archived key → value map
+     * @param {Object} existing - Local key → value map
+     * @param {string} mode - RESTORE_MODE value
+     * @param {Set<string>} knownIds - Known character IDs
+     * @param {Object} scope - Archive scope
+     * @returns {{writes: Array<[string, *]>, deletes: string[], added: number, updated: number, unchanged: number, removed: number}}
+     * @private
+     */
+    _planStore(archived, existing, mode, knownIds, scope) {
+        const plan = { writes: [], deletes: [], added: 0, updated: 0, unchanged: 0, removed: 0 };
+
+        for (const [key, value] of Object.entries(archived)) {
+            if (!Object.prototype.hasOwnProperty.call(existing, key)) {
+                plan.writes.push([key, value]);
+                plan.added++;
+                continue;
+            }
+
+            const local = existing[key];
+
+            if (mode === RESTORE_MODE.REPLACE) {
+                if (fingerprint(local) === fingerprint(value)) {
+                    plan.unchanged++;
+                } else {
+                    plan.writes.push([key, value]);
+                    plan.updated++;
+                }
+                continue;
+            }
+
+            // Merge: local values win, but history arrays gain entries only the archive has
+            if (Array.isArray(local) && Array.isArray(value)) {
+                const seen = new Set(local.map(fingerprint));
+                const missing = value.filter((entry) => !seen.has(fingerprint(entry)));
+                if (missing.length > 0) {
+                    plan.writes.push([key, [...local, ...missing]]);
+                    plan.updated++;
+                    continue;
+                }
+            }
+            plan.unchanged++;
+        }
+
+        if (mode === RESTORE_MODE.REPLACE) {
+            for (const key of Object.keys(existing)) {
+                if (Object.prototype.hasOwnProperty.call(archived, key)) continue;
+                if (!this._inScope(key, knownIds, scope)) continue;
+                plan.deletes.push(key);
+                plan.removed++;
+            }
+        }
+
+        return plan;
+    }
+
+    /**
+     * Restore an archive, or preview the result when dryRun is set.
+     * Replace mode only removes local keys inside the archive's scope, so restoring a
+     * single-character backup never touches other characters' data.
+     * @param {Object} archive - Parsed backup archive
+     * @param {Object} [options]
+     * @param {string[]|null} [options.stores] - Stores to restore (null = every store in the archive)
+     * @param {Object<string, string>} [options.modes] - Per-store RESTORE_MODE overrides
+     * @param {string} [options.defaultMode] - Mode for stores without an override
+     * @param {boolean} [options.dryRun] - Compute the report without writing
+     * @returns {Promise<{dryRun: boolean, stores: Object, totals: Object}>} Restore report
+     */
+    async restoreBackup(archive, { stores = null, modes = {}, defaultMode = RESTORE_MODE.MERGE, dryRun = false } = {}) {
+        const localStores = new Set(storage.getStoreNames());
+        const knownCharacters = await settingsStorage.getKnownCharacters();
+        const knownIds = new Set(knownCharacters.map((c) => c.id));
+        for (const character of archive.characters || []) {
+            knownIds.add(String(character.id));
+        }
+
+        const report = {
+            dryRun,
+            stores: {},
+            totals: { added: 0, updated: 0, unchanged: 0, removed: 0, failed: 0 },
+        };
+
+        const selected = stores || Object.keys(archive.stores);
+
+        for (const storeName of selected) {
+            const archived = archive.stores[storeName];
+            if (!archived) continue;
+
+            if (!localStores.has(storeName)) {
+                report.stores[storeName] = { skipped: 'Store does not exist in this database' };
+                continue;
+            }
+
+            const mode = modes[storeName] || defaultMode;
+            // Excluded keys are neither restored from older archives nor removed locally
+            const existing = omitExcludedKeys(storeName, await storage.getAll(storeName));
+            const plan = this._planStore(
+                omitExcludedKeys(storeName, archived),
+                existing,
+                mode,
+                knownIds,
+                archive.scope
+            );
+
+            let failed = 0;
+            if (!dryRun) {
+                for (const [key, value] of plan.writes) {
+                    if (!(await storage.setJSON(key, value, storeName, true))) failed++;
+                }
+                for (const key of plan.deletes) {
+                    if (!(await storage.delete(key, storeName))) failed++;
+                }
+            }
+
+            report.stores[storeName] = {
+                mode,
+                added: plan.added,
+                updated: plan.updated,
+                unchanged: plan.unchanged,
+                removed: plan.removed,
+                failed,
+            };
+
+            report.totals.added += plan.added;
+            report.totals.updated += plan.updated;
+            report.totals.unchanged += plan.unchanged;
+            report.totals.removed += plan.removed;
+            report.totals.failed += failed;
+        }
+
+        return report;
+    }
+}
+
+export const storageBackup = new StorageBackupService();
@@ -0,0 +1,213 @@
+/**
+ * Tests for StorageBackupService archive creation and selective restore
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+
+const stores = {};
+
+vi.mock('./storage.js', () => ({
+    default: {
+        dbVersion: 17,
+        flushAll: vi.fn(async () => {}),
+        getStoreNames: vi.fn(() => Object.keys(stores)),
+        getAll: vi.fn(async (storeName) => ({ ...(stores[storeName] || {}) })),
+        setJSON: vi.fn(async (key, value, storeName) => {
+            stores[storeName][key] = value;
+            return true;
+        }),
+        delete: vi.fn(async (key, storeName) => {
+            delete stores[storeName][key];
+            return true;
+        }),
+    },
+}));
+
+vi.mock('./settings-storage.js', () => ({
+    default: {
+        getKnownCharacters: vi.fn(async () => [
+            { id: '111111', name: 'Alice' },
+            { id: '222222', name: 'Bob' },
+        ]),
+    },
+}));
+
+import { storageBackup, RESTORE_MODE, BACKUP_FORMAT } from './storage-backup.js';
+
+function resetStores(data) {
+    for (const key of Object.keys(stores)) delete stores[key];
+    for (const [storeName, entries] of Object.entries(data)) {
+        stores[storeName] = { ...entries };
+    }
+}
+
+describe('StorageBackupService.createBackup', () => {
+    beforeEach(() => {
+        resetStores({
+            settings: {
+                script_settingsMap_111111: { a: 1 },
+                script_settingsMap_222222: { b: 2 },
+                marketplace_cache_data: { huge: true },
+                known_character_ids: ['111111', '222222'],
+            },
+            networthHistory: {
+                networth_111111: [{ t: 1 }],
+                networth_222222: [{ t: 2 }],
+            },
+            unifiedRuns: { allRuns: [{ id: 'r1' }] },
+        });
+    });
+
+    test('covers every store and excludes transient cache keys', async () => {
+        const archive = await storageBackup.createBackup();
+
+        expect(archive.format).toBe(BACKUP_FORMAT);
+        expect(Object.keys(archive.stores).sort()).toEqual(['networthHistory', 'settings', 'unifiedRuns']);
+        expect(archive.stores.settings.marketplace_cache_data).toBeUndefined();
+        expect(archive.stores.networthHistory.networth_222222).toEqual([{ t: 2 }]);
+    });
+
+    test('character scope keeps global keys and drops other characters', async () => {
+        const archive = await storageBackup.createBackup({ characterIds: ['111111'] });
+
+        expect(archive.stores.networthHistory).toEqual({ networth_111111: [{ t: 1 }] });
+        expect(archive.stores.unifiedRuns.allRuns).toEqual([{ id: 'r1' }]);
+        expect(archive.stores.settings.script_settingsMap_222222).toBeUndefined();
+        expect(archive.characters).toEqual([{ id: '111111', name: 'Alice' }]);
+    });
+
+    test('leaves out the market price cache and its patches', async () => {
+        stores.settings.Toolasha_marketAPI_json = { marketData: { '/items/egg': { 0: { a: 10, b: 8 } } } };
+        stores.settings.Toolasha_marketAPI_timestamp = 1700000000000;
+        stores.settings.Toolasha_marketAPI_patches = { '/items/egg:0': { a: 12 } };
+
+        const archive = await storageBackup.createBackup();
+
+        expect(Object.keys(archive.stores.settings).sort()).toEqual([
+            'known_character_ids',
+            'script_settingsMap_111111',
+            'script_settingsMap_222222',
+        ]);
+    });
+});
+
+describe('StorageBackupService.parseBackup', () => {
+    test('rejects non-backup JSON', () => {
+        expect(() => storageBackup.parseBackup('{"foo":1}')).toThrow('not a Toolasha backup');
+        expect(() => storageBackup.parseBackup('not json')).toThrow('not valid JSON');
+    });
+
+    test('rejects archives from a newer format version', () => {
+        const text = JSON.stringify({ format: BACKUP_FORMAT, formatVersion: 999, stores: {} });
+        expect(() => storageBackup.parseBackup(text)).toThrow('Unsupported backup version');
+    });
+
+    test('round-trips a serialized archive', async () => {
+        resetStores({ xpHistory: { xpHistory_111111: { foraging: [1, 2] } } });
+        const archive = await storageBackup.createBackup();
+        const parsed = storageBackup.parseBackup(storageBackup.serializeBackup(archive));
+
+        expect(parsed.stores).toEqual(archive.stores);
+        expect(parsed.scope).toEqual({ characterIds: null, includeGlobal: true });
+    });
+});
+
+describe('StorageBackupService.restoreBackup', () => {
+    const makeArchive = (storesData, characterIds = ['111111']) =>
+        storageBackup.parseBackup(
+            JSON.stringify({
+                format: BACKUP_FORMAT,
+                formatVersion: 1,
+                createdAt: 0,
+                scope: { characterIds, includeGlobal: true },
+                characters: characterIds.map((id) => ({ id, name: id })),
+                stores: storesData,
+            })
+        );
+
+    beforeEach(() => {
+        resetStores({
+            lootLogHistory: {
+                lootLog_111111: [{ id: 1 }, { id: 3 }],
+                lootLog_222222: [{ id: 9 }],
+            },
+            xpHistory: {
+                xpHistory_111111: { local: true },
+                stale_111111: { old: true },
+            },
+        });
+    });
+
+    test('dry run reports changes without writing', async () => {
+        const archive = makeArchive({ lootLogHistory: { lootLog_111111: [{ id: 1 }, { id: 2 }] } });
+
+        const report = await storageBackup.restoreBackup(archive, { dryRun: true });
+
+        expect(report.dryRun).toBe(true);
+        expect(report.stores.lootLogHistory).toMatchObject({ mode: RESTORE_MODE.MERGE, updated: 1 });
+        expect(stores.lootLogHistory.lootLog_111111).toEqual([{ id: 1 }, { id: 3 }]);
+    });
+
+    test('merge unions history arrays and keeps local values on conflict', async () => {
+        const archive = makeArchive({
+            lootLogHistory: { lootLog_111111: [{ id: 1 }, { id: 2 }] },
+            xpHistory: { xpHistory_111111: { archived: true }, newKey_111111: { fresh: true } },
+        });
+
+        const report = await storageBackup.restoreBackup(archive);
+
+        expect(stores.lootLogHistory.lootLog_111111).toEqual([{ id: 1 }, { id: 3 }, { id: 2 }]);
+        expect(stores.xpHistory.xpHistory_111111).toEqual({ local: true });
+        expect(stores.xpHistory.newKey_111111).toEqual({ fresh: true });
+        expect(report.totals).toMatchObject({ added: 1, updated: 1, unchanged: 1, removed: 0 });
+    });
+
+    test('replace overwrites and removes in-scope keys only', async () => {
+        const archive = makeArchive({
+            lootLogHistory: { lootLog_111111: [{ id: 5 }] },
+            xpHistory: { xpHistory_111111: { archived: true } },
+        });
+
+        const report = await storageBackup.restoreBackup(archive, { defaultMode: RESTORE_MODE.REPLACE });
+
+        expect(stores.lootLogHistory.lootLog_111111).toEqual([{ id: 5 }]);
+        // Other character's data is outside the archive scope and must survive
+        expect(stores.lootLogHistory.lootLog_222222).toEqual([{ id: 9 }]);
+        expect(stores.xpHistory).toEqual({ xpHistory_111111: { archived: true } });
+        expect(report.stores.xpHistory.removed).toBe(1);
+    });
+
+    test('restores only selected stores with per-store modes', async () => {
+        const archive = makeArchive({
+            lootLogHistory: { lootLog_111111: [{ id: 5 }] },
+            xpHistory: { xpHistory_111111: { archived: true } },
+        });
+
+        await storageBackup.restoreBackup(archive, {
+            stores: ['xpHistory'],
+            modes: { xpHistory: RESTORE_MODE.REPLACE },
+        });
+
+        expect(stores.lootLogHistory.lootLog_111111).toEqual([{ id: 1 }, { id: 3 }]);
+        expect(stores.xpHistory.xpHistory_111111).toEqual({ archived: true });
+    });
+
+    test('replace keeps the local market price cache and ignores archived copies', async () => {
+        stores.settings = { Toolasha_marketAPI_timestamp: 2000, script_settingsMap_111111: { a: 1 } };
+        const archive = makeArchive({
+            settings: { Toolasha_marketAPI_timestamp: 1000, script_settingsMap_111111: { a: 2 } },
+        });
+
+        await storageBackup.restoreBackup(archive, { defaultMode: RESTORE_MODE.REPLACE });
+
+        expect(stores.settings).toEqual({ Toolasha_marketAPI_timestamp: 2000, script_settingsMap_111111: { a: 2 } });
+    });
+
+    test('skips stores missing from the local database', async () => {
+        const archive = makeArchive({ futureStore: { k: 1 } });
+
+        const report = await storageBackup.restoreBackup(archive);
+
+        expect(report.stores.futureStore.skipped).toBeTruthy();
+    });
+});
@@ -0,0 +1,399 @@
+/**
+ * Storage Manager
+ * Reports IndexedDB usage per store and per character, and enforces retention rules
+ * (max age, max records, downsampling old entries to one per day) on history stores
+ * that would otherwise grow without bound.
+ * Exported to window.Toolasha.Core via src/libraries/core.js.
+ */
+
+import storage from './storage.js';
+import settingsStorage from './settings-storage.js';
+import { storageBackup } from './storage-backup.js';
+
+const RULES_KEY = 'toolasha_retentionRules';
+const RULES_STORE = 'settings';
+const LAST_PRUNE_KEY = 'toolasha_lastRetentionPrune';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields history entries use for their timestamp, in lookup order
+const TIMESTAMP_FIELDS = ['t', 'timestamp', 'startTime', 'createdTimestamp', 'time'];
+
+/**
+ * Built-in retention rules. A limit of 0 disables that part of the rule.
+ * keyPrefix narrows a rule to matching keys; an empty prefix covers the whole store.
+ */
+export const DEFAULT_RETENTION_RULES = Object.freeze([
+    {
+        id: 'lootLog',
+        storeName: 'lootLogHistory',
+        keyPrefix: 'lootLog_',
+        label: 'Loot log history',
+        maxAgeDays: 90,
+        maxRecords: 500,
+        downsampleAfterDays: 0,
+    },
+    {
+        id: 'marketListings',
+        storeName: 'marketListings',
+        keyPrefix: '',
+        label: 'Market listing history',
+        maxAgeDays: 180,
+        maxRecords: 0,
+        downsampleAfterDays: 0,
+    },
+    {
+        id: 'guildHistory',
+        storeName: 'guildHistory',
+        keyPrefix: '',
+        label: 'Guild XP history',
+        maxAgeDays: 90,
+        maxRecords: 0,
+        downsampleAfterDays: 0,
+    },
+    {
+        id: 'alchemySessions',
+        storeName: 'alchemyHistory',
+        keyPrefix: '',
+        label: 'Alchemy sessions',
+        maxAgeDays: 180,
+        maxRecords: 1000,
+        downsampleAfterDays: 0,
+    },
+    {
+        id: 'networth',
+        storeName: 'networthHistory',
+        keyPrefix: 'networth_',
+        label: 'Net worth history',
+        maxAgeDays: 0,
+        maxRecords: 0,
+        downsampleAfterDays: 30,
+    },
+]);
+
+const RULE_LIMIT_FIELDS = ['maxAgeDays', 'maxRecords', 'downsampleAfterDays'];
+
+/**
+ * Read an entry's timestamp in milliseconds.
+ * @param {*} entry - History entry
+ * @returns {number|null} Timestamp, or null when the entry has none
+ */
+export function getEntryTimestamp(entry) {
+    if (!entry || typeof entry !== 'object') return null;
+    for (const field of TIMESTAMP_FIELDS) {
+        const raw = entry[field];
+        if (typeof raw === 'number' && Number.isFinite(raw)) return raw;
+        if (typeof raw === 'string') {
+            const parsed = Date.parse(raw);
+            if (!Number.isNaN(parsed)) return parsed;
+        }
+    }
+    return null;
+}
+
+/**
+ * Apply a rule to one history array. Entries without a timestamp are never removed.
+ * @param {Array} entries - History entries
+ * @param {Object} rule - Retention rule
+ * @param {number} now - Current time in ms
+ * @returns {Array} Retained entries, in their original order
+ */
+function pruneArray(entries, rule, now) {
+    let kept = entries.map((entry) => ({ entry, ts: getEntryTimestamp(entry) }));
+
+    if (rule.maxAgeDays > 0) {
+        const cutoff = now - rule.maxAgeDays * DAY_MS;
+        kept = kept.filter(({ ts }) => ts === null || ts >= cutoff);
+    }
+
+    if (rule.downsampleAfterDays > 0) {
+        // Keep only the latest entry of each UTC day older than the cutoff
+        const cutoff = now - rule.downsampleAfterDays * DAY_MS;
+        const latestPerDay = new Map();
+        for (const item of kept) {
+            if (item.ts === null || item.ts >= cutoff) continue;
+            const day = Math.floor(item.ts / DAY_MS);
+            const current = latestPerDay.get(day);
+            if (!current || item.ts >= current.ts) latestPerDay.set(day, item);
+        }
+        kept = kept.filter(
+            (item) => item.ts === null || item.ts >= cutoff || latestPerDay.get(Math.floor(item.ts / DAY_MS)) === item
+        );
+    }
+
+    if (rule.maxRecords > 0 && kept.length > rule.maxRecords) {
+        const dated = kept.filter(({ ts }) => ts !== null).sort((a, b) => b.ts - a.ts);
+        const budget = Math.max(0, rule.maxRecords - (kept.length - dated.length));
+        const survivors = new Set(dated.slice(0, budget));
+        kept = kept.filter((item) => item.ts === null || survivors.has(item));
+    }
+
+    return kept.map(({ entry }) => entry);
+}
+
+/**
+ * Apply a retention rule to a stored value.
+ * Handles history arrays and objects whose values are history arrays
+ * (e.g. per-skill or per-member XP series). Anything else is returned as-is.
+ * @param {*} value - Stored value
+ * @param {Object} rule - Retention rule
+ * @param {number} [now] - Current time in ms
+ * @returns {{value: *, removed: number}} Retained value and number of entries removed
+ */
+export function applyRetention(value, rule, now = Date.now()) {
+    if (Array.isArray(value)) {
+        const pruned = pruneArray(value, rule, now);
+        return { value: pruned, removed: value.length - pruned.length };
+    }
+
+    if (value && typeof value === 'object') {
+        let removed = 0;
+        const result = {};
+        for (const [field, series] of Object.entries(value)) {
+            if (Array.isArray(series)) {
+                const pruned = pruneArray(series, rule, now);
+                removed += series.length - pruned.length;
+                result[field] = pruned;
+            } else {
+                result[field] = series;
+            }
+        }
+        return { value: removed > 0 ? result : value, removed };
+    }
+
+    return { value, removed: 0 };
+}
+
+/**
+ * Approximate the stored size of a value in bytes (UTF-8 JSON length).
+ * @param {*} value
+ * @returns {number}
+ */
+function measureBytes(value) {
+    const json = typeof value === 'string' ? value : JSON.stringify(value);
+    return json ? new TextEncoder().encode(json).length : 0;
+}
+
+class StorageManager {
+    constructor() {
+        this.lastPruneReport = null;
+        this.pruneListeners = new Map(); // storeName → Set<callback>
+    }
+
+    /**
+     * Register a callback to run after a prune rewrites records in a store.
+     * Features that keep a store's records in memory use this to reload them, so their next
+     * save does not write the pruned entries back.
+     * @param {string} storeName - Object store to watch
+     * @param {Function} callback - Called with the array of rewritten keys
+     * @returns {Function} Unregister function
+     */
+    onPruned(storeName, callback) {
+        if (!this.pruneListeners.has(storeName)) {
+            this.pruneListeners.set(storeName, new Set());
+        }
+        this.pruneListeners.get(storeName).add(callback);
+        return () => this.pruneListeners.get(storeName)?.delete(callback);
+    }
+
+    /**
+     * Notify prune listeners of the keys rewritten in each store.
+     * @param {Map<string, Array<string>>} prunedKeys - storeName → rewritten keys
+     */
+    async notifyPruned(prunedKeys) {
+        for (const [storeName, keys] of prunedKeys) {
+            for (const callback of this.pruneListeners.get(storeName) || []) {
+                try {
+                    await callback(keys);
+                } catch (error) {
+                    console.error(`[StorageManager] Prune listener for ${storeName} failed:`, error);
+                }
+            }
+        }
+    }
+
+    /**
+     * Get the effective retention rules: defaults merged with saved overrides.
+     * @returns {Promise<Array<Object>>}
+     */
+    async getRules() {
+        const overrides = (await storage.getJSON(RULES_KEY, RULES_STORE, {})) || {};
+        return DEFAULT_RETENTION_RULES.map((rule) => {
+            const override = overrides[rule.id] || {};
+            const merged = { ...rule };
+            for (const field of RULE_LIMIT_FIELDS) {
+                if (Number.isFinite(override[field]) && override[field] >= 0) {
+                    merged[field] = override[field];
+                }
+            }
+            merged.enabled = override.enabled !== false;
+            return merged;
+        });
+    }
+
+    /**
+     * Save a rule override. Only limits and the enabled flag can be changed.
+     * @param {string} ruleId - Rule ID from DEFAULT_RETENTION_RULES
+     * @param {Object} changes - { enabled?, maxAgeDays?, maxRecords?, downsampleAfterDays? }
+     * @returns {Promise<boolean>} Success status
+     * @throws {Error} If the rule ID is unknown
+     */
+    async updateRule(ruleId, changes) {
+        if (!DEFAULT_RETENTION_RULES.some((rule) => rule.id === ruleId)) {
+            throw new Error(`[StorageManager] Unknown retention rule: ${ruleId}`);
+        }
+
+        const overrides = (await storage.getJSON(RULES_KEY, RULES_STORE, {})) || {};
+        const override = { ...(overrides[ruleId] || {}) };
+        for (const field of RULE_LIMIT_FIELDS) {
+            if (changes[field] === undefined) continue;
+            const limit = Math.floor(Number(changes[field]));
+            override[field] = Number.isFinite(limit) && limit > 0 ? limit : 0;
+        }
+        if (changes.enabled !== undefined) {
+            override.enabled = Boolean(changes.enabled);
+        }
+        overrides[ruleId] = override;
+        return storage.setJSON(RULES_KEY, overrides, RULES_STORE, true);
+    }
+
+    /**
+     * Drop all rule overrides and go back to the defaults.
+     * @returns {Promise<boolean>} Success status
+     */
+    async resetRules() {
+        return storage.delete(RULES_KEY, RULES_STORE);
+    }
+
+    /**
+     * Measure how much space each store and each character uses.
+     * Sizes are the UTF-8 length of each record's JSON, which tracks but does not
+     * equal IndexedDB's on-disk size; the browser quota estimate is included when available.
+     * @returns {Promise<Object>} { stores, characters, totalBytes, quota }
+     */
+    async measureUsage() {
+        await storage.flushAll();
+
+        const knownCharacters = await settingsStorage.getKnownCharacters();
+        const knownIds = new Set(knownCharacters.map((c) => c.id));
+        const names = Object.fromEntries(knownCharacters.map((c) => [c.id, c.name]));
+
+        const stores = [];
+        const characters = {};
+        let totalBytes = 0;
+
+        for (const storeName of storage.getStoreNames()) {
+            const entries = await storage.getAll(storeName);
+            const store = { storeName, keyCount: 0, bytes: 0, characters: {} };
+
+            for (const [key, value] of Object.entries(entries)) {
+                const bytes = measureBytes(value) + key.length;
+                const owner = storageBackup.getKeyOwner(key, knownIds) || 'shared';
+
+                store.keyCount++;
+                store.bytes += bytes;
+                store.characters[owner] = (store.characters[owner] || 0) + bytes;
+
+                if (!characters[owner]) {
+                    characters[owner] = { id: owner, name: names[owner] || owner, bytes: 0 };
+                }
+                characters[owner].bytes += bytes;
+            }
+
+            totalBytes += store.bytes;
+            stores.push(store);
+        }
+
+        stores.sort((a, b) => b.bytes - a.bytes);
+
+        return {
+            stores,
+            characters: Object.values(characters).sort((a, b) => b.bytes - a.bytes),
+            totalBytes,
+            quota: await this.estimateQuota(),
+        };
+    }
+
+    /**
+     * Ask the browser how much origin storage is used and available.
+     * @returns {Promise<{usage: number, quota: number}|null>} Null when the API is unavailable
+     */
+    async estimateQuota() {
+        try {
+            if (typeof navigator === 'undefined' || !navigator.storage?.estimate) return null;
+            const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+            return { usage, quota };
+        } catch (error) {
+            console.warn('[StorageManager] Storage estimate failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Apply every enabled retention rule, or preview the result when dryRun is set.
+     * Listeners registered with onPruned() are told which keys were rewritten.
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun] - Compute the report without writing
+     * @param {number} [options.now] - Current time in ms
+     * @returns {Promise<Object>} { dryRun, rules: [{ id, label, keys, removed, bytesFreed }], removed, bytesFreed }
+     */
+    async prune({ dryRun = false, now = Date.now() } = {}) {
+        await storage.flushAll();
+
+        const localStores = new Set(storage.getStoreNames());
+        const rules = await this.getRules();
+        const report = { dryRun, rules: [], removed: 0, bytesFreed: 0 };
+        const prunedKeys = new Map();
+
+        for (const rule of rules) {
+            if (!rule.enabled || !localStores.has(rule.storeName)) continue;
+            if (!RULE_LIMIT_FIELDS.some((field) => rule[field] > 0)) continue;
+
+            const entries = await storage.getAll(rule.storeName);
+            const result = { id: rule.id, label: rule.label, keys: 0, removed: 0, bytesFreed: 0 };
+
+            for (const [key, value] of Object.entries(entries)) {
+                if (!key.startsWith(rule.keyPrefix)) continue;
+
+                const pruned = applyRetention(value, rule, now);
+                if (pruned.removed === 0) continue;
+
+                const bytesFreed = measureBytes(value) - measureBytes(pruned.value);
+                if (!dryRun && !(await storage.setJSON(key, pruned.value, rule.storeName, true))) {
+                    console.error(`[StorageManager] Failed to write pruned record "${key}" in ${rule.storeName}`);
+                    continue;
+                }
+
+                if (!dryRun) {
+                    if (!prunedKeys.has(rule.storeName)) prunedKeys.set(rule.storeName, []);
+                    prunedKeys.get(rule.storeName).push(key);
+                }
+                result.keys++;
+                result.removed += pruned.removed;
+                result.bytesFreed += bytesFreed;
+            }
+
+            report.rules.push(result);
+            report.removed += result.removed;
+            report.bytesFreed += result.bytesFreed;
+        }
+
+        if (!dryRun) {
+            await storage.set(LAST_PRUNE_KEY, now, RULES_STORE, true);
+            this.lastPruneReport = report;
+            await this.notifyPruned(prunedKeys);
+        }
+
+        return report;
+    }
+
+    /**
+     * Get when retention was last applied.
+     * @returns {Promise<number|null>} Timestamp in ms, or null if never
+     */
+    async getLastPruneTime() {
+        return storage.get(LAST_PRUNE_KEY, RULES_STORE, null);
+    }
+}
+
+export const storageManager = new StorageManager();
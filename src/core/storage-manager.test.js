@@ -0,0 +1,183 @@
+/**
+ * Tests for StorageManager usage measurement and retention rules
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+
+const stores = {};
+
+vi.mock('./storage.js', () => ({
+    default: {
+        flushAll: vi.fn(async () => {}),
+        getStoreNames: vi.fn(() => Object.keys(stores)),
+        getAll: vi.fn(async (storeName) => ({ ...(stores[storeName] || {}) })),
+        get: vi.fn(async (key, storeName, defaultValue) => stores[storeName]?.[key] ?? defaultValue),
+        getJSON: vi.fn(async (key, storeName, defaultValue) => stores[storeName]?.[key] ?? defaultValue),
+        set: vi.fn(async (key, value, storeName) => {
+            stores[storeName][key] = value;
+            return true;
+        }),
+        setJSON: vi.fn(async (key, value, storeName) => {
+            stores[storeName][key] = value;
+            return true;
+        }),
+        delete: vi.fn(async (key, storeName) => {
+            delete stores[storeName][key];
+            return true;
+        }),
+    },
+}));
+
+vi.mock('./settings-storage.js', () => ({
+    default: {
+        getKnownCharacters: vi.fn(async () => [
+            { id: '111111', name: 'Alice' },
+            { id: '222222', name: 'Bob' },
+        ]),
+    },
+}));
+
+import { storageManager, applyRetention, getEntryTimestamp } from './storage-manager.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 0, 31, 12);
+
+const rule = (limits) => ({ maxAgeDays: 0, maxRecords: 0, downsampleAfterDays: 0, ...limits });
+
+function resetStores(data) {
+    for (const key of Object.keys(stores)) delete stores[key];
+    for (const [storeName, entries] of Object.entries(data)) {
+        stores[storeName] = structuredClone(entries);
+    }
+}
+
+describe('getEntryTimestamp', () => {
+    test('reads numeric and ISO timestamps from known fields', () => {
+        expect(getEntryTimestamp({ t: 5 })).toBe(5);
+        expect(getEntryTimestamp({ startTime: '2026-01-01T00:00:00.000Z' })).toBe(Date.UTC(2026, 0, 1));
+        expect(getEntryTimestamp({ value: 1 })).toBeNull();
+    });
+});
+
+describe('applyRetention', () => {
+    test('drops entries older than maxAgeDays but keeps undated entries', () => {
+        const value = [{ t: NOW - 10 * DAY }, { t: NOW - 1 * DAY }, { note: 'undated' }];
+
+        const result = applyRetention(value, rule({ maxAgeDays: 5 }), NOW);
+
+        expect(result.value).toEqual([{ t: NOW - 1 * DAY }, { note: 'undated' }]);
+        expect(result.removed).toBe(1);
+    });
+
+    test('maxRecords keeps the newest entries regardless of array order', () => {
+        const newestFirst = [{ t: NOW }, { t: NOW - DAY }, { t: NOW - 2 * DAY }];
+
+        const result = applyRetention(newestFirst, rule({ maxRecords: 2 }), NOW);
+
+        expect(result.value).toEqual([{ t: NOW }, { t: NOW - DAY }]);
+    });
+
+    test('downsamples old hourly entries to the last one per day', () => {
+        const dayStart = Date.UTC(2026, 0, 1);
+        const value = [
+            { t: dayStart + 1 * 3600000, total: 1 },
+            { t: dayStart + 5 * 3600000, total: 2 },
+            { t: dayStart + DAY + 3600000, total: 3 },
+            { t: NOW - 3600000, total: 4 },
+            { t: NOW, total: 5 },
+        ];
+
+        const result = applyRetention(value, rule({ downsampleAfterDays: 7 }), NOW);
+
+        expect(result.value.map((e) => e.total)).toEqual([2, 3, 4, 5]);
+        expect(result.removed).toBe(1);
+    });
+
+    test('prunes each series of an object of arrays and returns the same object when unchanged', () => {
+        const series = { foraging: [{ t: NOW - 30 * DAY }, { t: NOW }], name: 'x' };
+
+        const pruned = applyRetention(series, rule({ maxAgeDays: 7 }), NOW);
+        expect(pruned.value).toEqual({ foraging: [{ t: NOW }], name: 'x' });
+
+        const untouched = applyRetention(pruned.value, rule({ maxAgeDays: 7 }), NOW);
+        expect(untouched.value).toBe(pruned.value);
+        expect(untouched.removed).toBe(0);
+    });
+});
+
+describe('StorageManager', () => {
+    beforeEach(() => {
+        resetStores({
+            settings: { known_character_ids: ['111111', '222222'] },
+            lootLogHistory: {
+                lootLog_111111: [
+                    { startTime: new Date(NOW).toISOString() },
+                    { startTime: new Date(NOW - 200 * DAY).toISOString() },
+                ],
+                lootLog_222222: [{ startTime: new Date(NOW).toISOString() }],
+            },
+            networthHistory: {
+                networth_111111: [{ t: NOW - 60 * DAY }, { t: NOW - 60 * DAY + 3600000 }, { t: NOW }],
+                networthDetail_111111: [{ t: NOW - 60 * DAY }, { t: NOW - 60 * DAY + 3600000 }],
+            },
+        });
+    });
+
+    test('measureUsage reports sizes per store and per character', async () => {
+        const usage = await storageManager.measureUsage();
+
+        const loot = usage.stores.find((s) => s.storeName === 'lootLogHistory');
+        expect(loot.keyCount).toBe(2);
+        expect(loot.bytes).toBe(loot.characters['111111'] + loot.characters['222222']);
+        expect(usage.characters.map((c) => c.name)).toEqual(expect.arrayContaining(['Alice', 'Bob', 'shared']));
+        expect(usage.totalBytes).toBe(usage.stores.reduce((sum, s) => sum + s.bytes, 0));
+    });
+
+    test('dry run reports removals without writing', async () => {
+        const report = await storageManager.prune({ dryRun: true, now: NOW });
+
+        expect(report.removed).toBe(2);
+        expect(stores.lootLogHistory.lootLog_111111).toHaveLength(2);
+        expect(stores.settings.toolasha_lastRetentionPrune).toBeUndefined();
+    });
+
+    test('prune applies rules only to matching keys and records the run', async () => {
+        await storageManager.prune({ now: NOW });
+
+        expect(stores.lootLogHistory.lootLog_111111).toHaveLength(1);
+        expect(stores.networthHistory.networth_111111).toHaveLength(2);
+        // networthDetail_ is outside the networth_ rule prefix
+        expect(stores.networthHistory.networthDetail_111111).toHaveLength(2);
+        expect(await storageManager.getLastPruneTime()).toBe(NOW);
+    });
+
+    test('notifies prune listeners of rewritten keys, but not on a dry run', async () => {
+        const listener = vi.fn();
+        const unregister = storageManager.onPruned('lootLogHistory', listener);
+
+        await storageManager.prune({ dryRun: true, now: NOW });
+        expect(listener).not.toHaveBeenCalled();
+
+        await storageManager.prune({ now: NOW });
+        expect(listener).toHaveBeenCalledWith(['lootLog_111111']);
+
+        unregister();
+        stores.lootLogHistory.lootLog_111111.push({ startTime: new Date(NOW - 200 * DAY).toISOString() });
+        await storageManager.prune({ now: NOW });
+        expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    test('rule overrides change limits and can disable a rule', async () => {
+        await storageManager.updateRule('lootLog', { maxAgeDays: 0, maxRecords: 1 });
+        await storageManager.updateRule('networth', { enabled: false });
+
+        const rules = await storageManager.getRules();
+        expect(rules.find((r) => r.id === 'lootLog')).toMatchObject({ maxAgeDays: 0, maxRecords: 1 });
+
+        await storageManager.prune({ now: NOW });
+        expect(stores.lootLogHistory.lootLog_111111).toEqual([{ startTime: new Date(NOW).toISOString() }]);
+        expect(stores.networthHistory.networth_111111).toHaveLength(3);
+
+        await expect(storageManager.updateRule('nope', {})).rejects.toThrow('Unknown retention rule');
+    });
+});
@@ -0,0 +1,61 @@
+/**
+ * Storage Migrations
+ * The ordered migration steps for every IndexedDB store, in one place.
+ *
+ * When a feature changes the shape of a record it persists (dungeon runs, enhancement
+ * sessions, alchemy history, ...), append a step to that store's list with the next
+ * version number. Never edit, reorder or renumber a step that has shipped — users who
+ * already ran it will not run it again. Each step gets a deep copy of the whole store
+ * as a key → value object and returns the migrated object; see schema-migrations.js.
+ *
+ * Example:
+ *   unifiedRuns: [
+ *       {
+ *           version: 1,
+ *           description: 'Add teamKey to solo runs',
+ *           migrate: (entries) => {
+ *               entries.allRuns = (entries.allRuns || []).map((run) => ({ teamKey: null, ...run }));
+ *               return entries;
+ *           },
+ *       },
+ *   ],
+ */
+
+import { schemaMigrations } from './schema-migrations.js';
+
+// Market price patch records (settings store), owned by src/api/marketplace.js
+const MARKET_PATCHES_KEY = 'Toolasha_marketAPI_patches';
+const LEGACY_MARKET_PATCH_VERSION_KEY = 'Toolasha_marketAPI_migration_version';
+
+export const STORAGE_MIGRATIONS = {
+    settings: [
+        {
+            version: 1,
+            description:
+                'Clear market price patches saved before patch format v1; drop the old per-feature version key',
+            migrate: (entries) => {
+                const legacyVersion = entries[LEGACY_MARKET_PATCH_VERSION_KEY] || 0;
+                if (legacyVersion < 1 && MARKET_PATCHES_KEY in entries) {
+                    // Patches from before v1 may hold corrupted prices
+                    entries[MARKET_PATCHES_KEY] = {};
+                }
+                delete entries[LEGACY_MARKET_PATCH_VERSION_KEY];
+                return entries;
+            },
+        },
+    ],
+};
+
+/**
+ * Register every step in STORAGE_MIGRATIONS with the migration registry.
+ * Safe to call more than once; already-registered stores are skipped.
+ * @param {Object} [registry] - Registry to populate (defaults to the shared instance)
+ */
+export function registerStorageMigrations(registry = schemaMigrations) {
+    for (const [storeName, steps] of Object.entries(STORAGE_MIGRATIONS)) {
+        if (registry.getMigrations(storeName).length > 0) continue;
+        for (const step of steps) {
+            registry.register(storeName, step);
+        }
+    }
+}
@@ -0,0 +1,73 @@
+/**
+ * Tests for the registered storage migration steps
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+
+const stores = {};
+
+vi.mock('./storage.js', () => ({
+    default: {
+        db: {},
+        flushAll: vi.fn(async () => {}),
+        getStoreNames: vi.fn(() => Object.keys(stores)),
+        getAll: vi.fn(async (storeName) => ({ ...(stores[storeName] || {}) })),
+        getJSON: vi.fn(async (key, storeName, defaultValue) => stores[storeName]?.[key] ?? defaultValue),
+        set: vi.fn(async (key, value, storeName) => {
+            stores[storeName][key] = value;
+            return true;
+        }),
+        setJSON: vi.fn(async (key, value, storeName) => {
+            stores[storeName][key] = value;
+            return true;
+        }),
+        delete: vi.fn(async (key, storeName) => {
+            delete stores[storeName][key];
+            return true;
+        }),
+    },
+}));
+
+const PATCHES = 'Toolasha_marketAPI_patches';
+const LEGACY_VERSION = 'Toolasha_marketAPI_migration_version';
+const patches = { '/items/cheese:0': { a: 150, b: 120, timestamp: 1 } };
+
+async function runMigrations(settings) {
+    for (const key of Object.keys(stores)) delete stores[key];
+    stores.settings = structuredClone(settings);
+
+    vi.resetModules();
+    const { schemaMigrations } = await import('./schema-migrations.js');
+    const { registerStorageMigrations } = await import('./storage-migrations.js');
+    registerStorageMigrations(schemaMigrations);
+    return schemaMigrations.runAll();
+}
+
+describe('settings store migrations', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    test('v1 clears price patches saved before the patch migration', async () => {
+        const [result] = await runMigrations({ [PATCHES]: patches });
+
+        expect(result).toMatchObject({ storeName: 'settings', status: 'migrated', to: 1 });
+        expect(stores.settings[PATCHES]).toEqual({});
+        expect(stores.settings.toolasha_schemaVersions).toEqual({ settings: 1 });
+    });
+
+    test('v1 keeps patches that already passed the old version check', async () => {
+        await runMigrations({ [PATCHES]: patches, [LEGACY_VERSION]: 1, other: 'kept' });
+
+        expect(stores.settings[PATCHES]).toEqual(patches);
+        expect(stores.settings[LEGACY_VERSION]).toBeUndefined();
+        expect(stores.settings.other).toBe('kept');
+    });
+
+    test('does not run again once recorded', async () => {
+        const [result] = await runMigrations({ [PATCHES]: patches, toolasha_schemaVersions: { settings: 1 } });
+
+        expect(result.status).toBe('current');
+        expect(stores.settings[PATCHES]).toEqual(patches);
+    });
+});
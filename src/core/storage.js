@@ -9,7 +9,7 @@ class Storage {
         this.db = null;
         this.available = false;
         this.dbName = 'ToolashaDB';
-        this.dbVersion = 17; // Bumped for leaderboardHistory store
+        this.dbVersion = 20; // Bumped for marketOrderBooks store
         this.saveDebounceTimers = new Map(); // Per-key debounce timers
         this.pendingWrites = new Map(); // Per-key pending write data: {value, storeName, resolvers, generation}
         this._writeGeneration = new Map(); // Per-key monotonic generation counter
@@ -167,6 +167,21 @@ class Storage {
                 if (!db.objectStoreNames.contains('leaderboardHistory')) {
                     db.createObjectStore('leaderboardHistory');
                 }
+
+                // Create wsRecordings store if it doesn't exist (for WebSocket session recorder)
+                if (!db.objectStoreNames.contains('wsRecordings')) {
+                    db.createObjectStore('wsRecordings');
+                }
+
+                // Create marketPriceHistory store if it doesn't exist (for market price history)
+                if (!db.objectStoreNames.contains('marketPriceHistory')) {
+                    db.createObjectStore('marketPriceHistory');
+                }
+
+                // Create marketOrderBooks store if it doesn't exist (for order book snapshots)
+                if (!db.objectStoreNames.contains('marketOrderBooks')) {
+                    db.createObjectStore('marketOrderBooks');
+                }
             };
         });
     }
@@ -478,6 +493,91 @@ class Storage {
         });
     }
 
+    /**
+     * Get several values from one object store in a single transaction
+     * @param {Array<string>} keys - Storage keys
+     * @param {string} storeName - Object store name (default: 'settings')
+     * @returns {Promise<Object>} Map of key → value (missing keys are omitted)
+     */
+    async getMany(keys, storeName = 'settings') {
+        if (!this.db) {
+            console.warn(`[Storage] Database not available, cannot get keys from store: ${storeName}`);
+            return {};
+        }
+
+        return new Promise((resolve, _reject) => {
+            try {
+                const transaction = this.db.transaction([storeName], 'readonly');
+                const store = transaction.objectStore(storeName);
+                const result = {};
+
+                for (const key of keys) {
+                    const request = store.get(key);
+                    request.onsuccess = () => {
+                        if (request.result != null) {
+                            result[key] = request.result;
+                        }
+                    };
+                }
+
+                transaction.oncomplete = () => resolve(result);
+                transaction.onerror = () => {
+                    console.error(`[Storage] Failed to get keys from ${storeName}:`, transaction.error);
+                    resolve({});
+                };
+            } catch (error) {
+                console.error(`[Storage] GetMany transaction failed for store ${storeName}:`, error);
+                resolve({});
+            }
+        });
+    }
+
+    /**
+     * Save several values to one object store in a single transaction (immediate, not debounced)
+     * @param {Object} entries - Map of key → value
+     * @param {string} storeName - Object store name (default: 'settings')
+     * @returns {Promise<boolean>} True once every value is committed
+     */
+    async setMany(entries, storeName = 'settings') {
+        if (!this.db) {
+            console.warn(`[Storage] Database not available, cannot save keys to store: ${storeName}`);
+            return false;
+        }
+
+        return new Promise((resolve, _reject) => {
+            try {
+                const transaction = this.db.transaction([storeName], 'readwrite');
+                const store = transaction.objectStore(storeName);
+
+                for (const [key, value] of Object.entries(entries)) {
+                    store.put(value, key);
+                }
+
+                transaction.oncomplete = () => resolve(true);
+                transaction.onerror = () => {
+                    console.error(`[Storage] Failed to save keys to ${storeName}:`, transaction.error);
+                    resolve(false);
+                };
+                transaction.onabort = () => resolve(false);
+            } catch (error) {
+                console.error(`[Storage] SetMany transaction failed for store ${storeName}:`, error);
+                resolve(false);
+            }
+        });
+    }
+
+    /**
+     * Get the names of all object stores in the open database
+     * @returns {Array<string>} Store names (empty if the database is not available)
+     */
+    getStoreNames() {
+        if (!this.db) {
+            return [];
+        }
+
+        return Array.from(this.db.objectStoreNames);
+    }
+
     /**
      * Force immediate save of all pending debounced writes
      */
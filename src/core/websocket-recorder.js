@@ -0,0 +1,232 @@
+/**
+ * WebSocket Recorder
+ * Captures a sanitized stream of game messages from webSocketHook so a session can be
+ * replayed later (see websocket-replay.js), e.g. to reproduce a tracker bug in vitest.
+ * Recordings are kept in the wsRecordings IndexedDB store or downloaded as JSON.
+ */
+
+import webSocketHook from './websocket.js';
+import storage from './storage.js';
+
+export const RECORDING_FORMAT = 'toolasha-ws-recording';
+export const RECORDING_FORMAT_VERSION = 1;
+
+const STORE_NAME = 'wsRecordings';
+const KEY_PREFIX = 'recording_';
+const MAX_SAVED_RECORDINGS = 10;
+const DEFAULT_MAX_MESSAGES = 5000;
+
+// Keys whose values identify the player account rather than game state
+const REDACTED_KEYS = new Set([
+    'email',
+    'password',
+    'token',
+    'authToken',
+    'accessToken',
+    'refreshToken',
+    'sessionToken',
+    'ipAddress',
+    'steamId',
+    'steamID',
+    'gameAccountId',
+]);
+const REDACTED = '[redacted]';
+
+/**
+ * Remove account identifiers and private chat text from a parsed message.
+ * System chat messages are kept intact because trackers (dungeon runs, party
+ * key counts) depend on them.
+ * @param {Object} data - Parsed message
+ * @returns {Object} Sanitized deep copy
+ */
+export function sanitizeMessage(data) {
+    const scrub = (value) => {
+        if (Array.isArray(value)) return value.map(scrub);
+        if (!value || typeof value !== 'object') return value;
+
+        const result = {};
+        for (const [key, child] of Object.entries(value)) {
+            result[key] = REDACTED_KEYS.has(key) ? REDACTED : scrub(child);
+        }
+        return result;
+    };
+
+    const sanitized = scrub(data);
+
+    if (sanitized.type === 'chat_message_received' && sanitized.message && !sanitized.message.isSystemMessage) {
+        sanitized.message = { ...sanitized.message, m: REDACTED };
+    }
+
+    return sanitized;
+}
+
+class WebSocketRecorder {
+    constructor() {
+        this.recording = null;
+        this.startedAt = 0;
+        this.options = null;
+        this.handler = null;
+    }
+
+    /**
+     * Start capturing messages.
+     * @param {Object} [options]
+     * @param {string[]|null} [options.types] - Message types to keep (null = all)
+     * @param {number} [options.maxMessages] - Stop adding messages beyond this count
+     * @param {string} [options.label] - Free-text description stored with the recording
+     */
+    start({ types = null, maxMessages = DEFAULT_MAX_MESSAGES, label = '' } = {}) {
+        if (this.handler) {
+            console.warn('[WebSocketRecorder] Already recording');
+            return;
+        }
+
+        this.startedAt = Date.now();
+        this.options = { types: types ? new Set(types) : null, maxMessages };
+        this.recording = {
+            format: RECORDING_FORMAT,
+            formatVersion: RECORDING_FORMAT_VERSION,
+            label,
+            recordedAt: this.startedAt,
+            truncated: false,
+            messages: [],
+        };
+
+        this.handler = (data) => this.capture(data);
+        webSocketHook.on('*', this.handler);
+        console.log('[WebSocketRecorder] Recording started');
+    }
+
+    /**
+     * Add one parsed message to the active recording.
+     * @param {Object} data - Parsed message from webSocketHook
+     */
+    capture(data) {
+        if (!this.recording || !data?.type) return;
+        if (this.options.types && !this.options.types.has(data.type)) return;
+
+        if (this.recording.messages.length >= this.options.maxMessages) {
+            this.recording.truncated = true;
+            return;
+        }
+
+        this.recording.messages.push({
+            t: Date.now() - this.startedAt,
+            type: data.type,
+            data: sanitizeMessage(data),
+        });
+    }
+
+    /**
+     * Stop capturing.
+     * @returns {Object|null} The finished recording, or null if not recording
+     */
+    stop() {
+        if (!this.handler) return null;
+
+        webSocketHook.off('*', this.handler);
+        this.handler = null;
+
+        const recording = this.recording;
+        recording.durationMs = Date.now() - this.startedAt;
+        this.recording = null;
+        this.options = null;
+
+        console.log(`[WebSocketRecorder] Recording stopped: ${recording.messages.length} messages`);
+        return recording;
+    }
+
+    /**
+     * @returns {boolean} True while a recording is active
+     */
+    isRecording() {
+        return this.handler !== null;
+    }
+
+    /**
+     * Serialize a recording for download or a test fixture.
+     * @param {Object} recording
+     * @returns {string} JSON string
+     */
+    serialize(recording) {
+        return JSON.stringify(recording);
+    }
+
+    /**
+     * Parse and validate a serialized recording.
+     * @param {string} jsonString - Recording JSON
+     * @returns {Object} Recording
+     * @throws {Error} If the text is not a supported recording
+     */
+    parse(jsonString) {
+        let recording;
+        try {
+            recording = JSON.parse(jsonString);
+        } catch {
+            throw new Error('Recording is not valid JSON');
+        }
+
+        if (!recording || recording.format !== RECORDING_FORMAT) {
+            throw new Error('File is not a Toolasha WebSocket recording');
+        }
+        if (typeof recording.formatVersion !== 'number' || recording.formatVersion > RECORDING_FORMAT_VERSION) {
+            throw new Error(`Unsupported recording version: ${recording.formatVersion}`);
+        }
+        if (!Array.isArray(recording.messages)) {
+            throw new Error('Recording contains no messages');
+        }
+
+        return recording;
+    }
+
+    /**
+     * Save a recording to IndexedDB, dropping the oldest beyond MAX_SAVED_RECORDINGS.
+     * @param {Object} recording
+     * @returns {Promise<string>} Storage key of the saved recording
+     */
+    async save(recording) {
+        const key = `${KEY_PREFIX}${recording.recordedAt}`;
+        await storage.setJSON(key, recording, STORE_NAME, true);
+
+        const keys = (await this.list()).map((entry) => entry.key);
+        for (const staleKey of keys.slice(MAX_SAVED_RECORDINGS)) {
+            await storage.delete(staleKey, STORE_NAME);
+        }
+
+        return key;
+    }
+
+    /**
+     * List saved recordings, newest first.
+     * @returns {Promise<Array<{key: string, recordedAt: number}>>}
+     */
+    async list() {
+        const keys = await storage.getAllKeys(STORE_NAME);
+        return keys
+            .filter((key) => String(key).startsWith(KEY_PREFIX))
+            .map((key) => ({ key, recordedAt: Number(String(key).substring(KEY_PREFIX.length)) }))
+            .sort((a, b) => b.recordedAt - a.recordedAt);
+    }
+
+    /**
+     * Load a saved recording.
+     * @param {string} key - Storage key from list()
+     * @returns {Promise<Object|null>}
+     */
+    async load(key) {
+        return storage.getJSON(key, STORE_NAME, null);
+    }
+
+    /**
+     * Delete a saved recording.
+     * @param {string} key - Storage key from list()
+     * @returns {Promise<boolean>}
+     */
+    async remove(key) {
+        return storage.delete(key, STORE_NAME);
+    }
+}
+
+const webSocketRecorder = new WebSocketRecorder();
+
+export default webSocketRecorder;
@@ -0,0 +1,156 @@
+/**
+ * WebSocket Replay
+ * Feeds a recorded message stream (see websocket-recorder.js) back through
+ * webSocketHook.processMessage() so every registered handler sees it exactly as it
+ * would from the live game — including dedup and handler error isolation.
+ *
+ * Usage in vitest:
+ *   const replay = new WebSocketReplay(recording, { speed: 0 });
+ *   await replay.play();            // as fast as possible
+ *   replay.step(3);                 // or advance message by message
+ */
+
+import webSocketHook from './websocket.js';
+
+/**
+ * Default wait between messages.
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function defaultSleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export class WebSocketReplay {
+    /**
+     * @param {Object} recording - Recording from webSocketRecorder.stop() or parse()
+     * @param {Object} [options]
+     * @param {Object} [options.hook] - Hook to feed (defaults to the shared webSocketHook)
+     * @param {number} [options.speed] - Playback speed multiplier; 0 plays without delays
+     * @param {string[]|null} [options.types] - Only replay these message types (null = all)
+     * @param {Function} [options.sleep] - (ms) => Promise, replaceable for fake timers
+     * @param {Function} [options.onMessage] - Called with (entry, index) after each message
+     */
+    constructor(recording, { hook = webSocketHook, speed = 1, types = null, sleep = defaultSleep, onMessage } = {}) {
+        const typeFilter = types ? new Set(types) : null;
+        this.messages = (recording?.messages || []).filter((entry) => !typeFilter || typeFilter.has(entry.type));
+        this.hook = hook;
+        this.speed = speed;
+        this.sleep = sleep;
+        this.onMessage = onMessage || null;
+        this.position = 0;
+        this.isPlaying = false;
+        this.pauseRequested = false;
+        this.hasStarted = false;
+    }
+
+    /**
+     * @returns {number} Number of messages in the replay
+     */
+    get total() {
+        return this.messages.length;
+    }
+
+    /**
+     * @returns {boolean} True once every message has been delivered
+     */
+    get finished() {
+        return this.position >= this.messages.length;
+    }
+
+    /**
+     * Change playback speed; takes effect from the next message.
+     * @param {number} speed - Multiplier (2 = twice as fast, 0 = no delays)
+     */
+    setSpeed(speed) {
+        this.speed = Math.max(0, Number(speed) || 0);
+    }
+
+    /**
+     * Deliver one recorded message to the hook.
+     * @param {Object} entry - Recorded entry { t, type, data }
+     * @private
+     */
+    _deliver(entry) {
+        if (!this.hasStarted) {
+            // A replay must not be swallowed by dedup state left from live traffic or an earlier replay
+            this.hook.resetDedupState?.();
+            this.hasStarted = true;
+        }
+
+        this.hook.processMessage(JSON.stringify(entry.data));
+        const index = this.position;
+        this.position++;
+        if (this.onMessage) this.onMessage(entry, index);
+    }
+
+    /**
+     * Deliver the next messages immediately, ignoring recorded timing.
+     * @param {number} [count] - Messages to deliver
+     * @returns {number} Messages actually delivered
+     */
+    step(count = 1) {
+        let delivered = 0;
+        while (delivered < count && !this.finished) {
+            this._deliver(this.messages[this.position]);
+            delivered++;
+        }
+        return delivered;
+    }
+
+    /**
+     * Play from the current position, waiting the recorded gap between messages
+     * divided by the speed. Resolves when the replay finishes or is paused.
+     * @returns {Promise<void>}
+     */
+    async play() {
+        if (this.isPlaying) return;
+        this.isPlaying = true;
+        this.pauseRequested = false;
+
+        try {
+            while (!this.finished && !this.pauseRequested) {
+                const entry = this.messages[this.position];
+                const previous = this.messages[this.position - 1];
+
+                if (previous && this.speed > 0) {
+                    const gap = Math.max(0, entry.t - previous.t) / this.speed;
+                    if (gap > 0) await this.sleep(gap);
+                    if (this.pauseRequested) break;
+                }
+
+                this._deliver(entry);
+            }
+        } finally {
+            this.isPlaying = false;
+        }
+    }
+
+    /**
+     * Stop after the message currently waiting to be delivered.
+     */
+    pause() {
+        this.pauseRequested = true;
+    }
+
+    /**
+     * Rewind to the first message. Handlers keep whatever state the replay built up.
+     */
+    reset() {
+        this.pause();
+        this.position = 0;
+        this.hasStarted = false;
+    }
+}
+
+/**
+ * Replay a whole recording and resolve when done.
+ * @param {Object} recording - Recording to replay
+ * @param {Object} [options] - Same options as WebSocketReplay
+ * @returns {Promise<WebSocketReplay>} The finished replay
+ */
+export async function replayRecording(recording, options = {}) {
+    const replay = new WebSocketReplay(recording, options);
+    await replay.play();
+    return replay;
+}
@@ -0,0 +1,167 @@
+/**
+ * Tests for the WebSocket recorder and replay driver
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+
+const saved = {};
+
+vi.mock('./storage.js', () => ({
+    default: {
+        get: vi.fn(),
+        set: vi.fn(),
+        setJSON: vi.fn(async (key, value) => {
+            saved[key] = value;
+            return true;
+        }),
+        getJSON: vi.fn(async (key, _store, defaultValue) => saved[key] ?? defaultValue),
+        getAllKeys: vi.fn(async () => Object.keys(saved)),
+        delete: vi.fn(async (key) => {
+            delete saved[key];
+            return true;
+        }),
+    },
+}));
+vi.mock('./profile-manager.js', () => ({ setCurrentProfile: vi.fn() }));
+
+let webSocketHook;
+let webSocketRecorder;
+let sanitizeMessage;
+let WebSocketReplay;
+let replayRecording;
+
+beforeEach(async () => {
+    vi.resetModules();
+    for (const key of Object.keys(saved)) delete saved[key];
+    webSocketHook = (await import('./websocket.js')).default;
+    const recorderModule = await import('./websocket-recorder.js');
+    webSocketRecorder = recorderModule.default;
+    sanitizeMessage = recorderModule.sanitizeMessage;
+    ({ WebSocketReplay, replayRecording } = await import('./websocket-replay.js'));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+const send = (data) => webSocketHook.processMessage(JSON.stringify(data));
+
+describe('sanitizeMessage', () => {
+    test('redacts account identifiers at any depth', () => {
+        const result = sanitizeMessage({
+            type: 'init_character_data',
+            user: { email: 'a@b.c', gameAccountId: 7, name: 'kept' },
+            nested: [{ authToken: 'secret' }],
+        });
+
+        expect(result.user).toEqual({ email: '[redacted]', gameAccountId: '[redacted]', name: 'kept' });
+        expect(result.nested[0].authToken).toBe('[redacted]');
+    });
+
+    test('keeps system chat but redacts player chat text', () => {
+        const system = {
+            type: 'chat_message_received',
+            message: { isSystemMessage: true, m: 'systemChatMessage.partyKeyCount' },
+        };
+        const player = { type: 'chat_message_received', message: { isSystemMessage: false, m: 'hello', sName: 'Bob' } };
+
+        expect(sanitizeMessage(system)).toEqual(system);
+        expect(sanitizeMessage(player).message).toEqual({ isSystemMessage: false, m: '[redacted]', sName: 'Bob' });
+    });
+});
+
+describe('webSocketRecorder', () => {
+    test('records parsed messages with offsets, filtered by type', () => {
+        webSocketRecorder.start({ types: ['action_completed', 'items_updated'] });
+        send({ type: 'action_completed', endCharacterAction: { count: 1 } });
+        send({ type: 'chat_message_received', message: {} });
+        send({ type: 'items_updated', endCharacterItems: [] });
+        const recording = webSocketRecorder.stop();
+
+        expect(webSocketRecorder.isRecording()).toBe(false);
+        expect(recording.messages.map((m) => m.type)).toEqual(['action_completed', 'items_updated']);
+        expect(recording.messages[0].t).toBeGreaterThanOrEqual(0);
+    });
+
+    test('stops adding messages past maxMessages and flags truncation', () => {
+        webSocketRecorder.start({ maxMessages: 1 });
+        send({ type: 'items_updated', n: 1 });
+        send({ type: 'items_updated', n: 2 });
+        const recording = webSocketRecorder.stop();
+
+        expect(recording.messages).toHaveLength(1);
+        expect(recording.truncated).toBe(true);
+    });
+
+    test('round-trips through serialize/parse and rejects other files', () => {
+        webSocketRecorder.start();
+        send({ type: 'items_updated', n: 1 });
+        const recording = webSocketRecorder.stop();
+
+        expect(webSocketRecorder.parse(webSocketRecorder.serialize(recording))).toEqual(recording);
+        expect(() => webSocketRecorder.parse('{"format":"other"}')).toThrow('not a Toolasha WebSocket recording');
+    });
+
+    test('save keeps only the newest recordings', async () => {
+        for (let i = 1; i <= 12; i++) {
+            await webSocketRecorder.save({ recordedAt: i, messages: [] });
+        }
+
+        const listed = await webSocketRecorder.list();
+        expect(listed).toHaveLength(10);
+        expect(listed[0].recordedAt).toBe(12);
+        expect(await webSocketRecorder.load('recording_1')).toBeNull();
+    });
+});
+
+describe('WebSocketReplay', () => {
+    const recording = {
+        messages: [
+            { t: 0, type: 'new_battle', data: { type: 'new_battle', wave: 1 } },
+            { t: 1000, type: 'action_completed', data: { type: 'action_completed', id: 1 } },
+            { t: 3000, type: 'new_battle', data: { type: 'new_battle', wave: 2 } },
+        ],
+    };
+
+    test('delivers messages in order through registered handlers', async () => {
+        const seen = [];
+        webSocketHook.on('new_battle', (data) => seen.push(`battle ${data.wave}`));
+        webSocketHook.on('action_completed', (data) => seen.push(`action ${data.id}`));
+
+        const replay = await replayRecording(recording, { speed: 0 });
+
+        expect(seen).toEqual(['battle 1', 'action 1', 'battle 2']);
+        expect(replay.finished).toBe(true);
+    });
+
+    test('scales recorded gaps by speed', async () => {
+        const sleep = vi.fn(async () => {});
+
+        await replayRecording(recording, { speed: 2, sleep });
+
+        expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([500, 1000]);
+    });
+
+    test('step and pause give manual control', async () => {
+        const handler = vi.fn();
+        webSocketHook.on('new_battle', handler);
+        const replay = new WebSocketReplay(recording, { types: ['new_battle'] });
+
+        expect(replay.total).toBe(2);
+        expect(replay.step()).toBe(1);
+        expect(handler).toHaveBeenCalledWith({ type: 'new_battle', wave: 1 });
+
+        replay.pause();
+        expect(replay.finished).toBe(false);
+        expect(replay.step(5)).toBe(1);
+        expect(replay.finished).toBe(true);
+    });
+
+    test('replaying the same recording twice is not swallowed by dedup', async () => {
+        const handler = vi.fn();
+        webSocketHook.on('new_battle', handler);
+
+        await replayRecording(recording, { speed: 0 });
+        await replayRecording(recording, { speed: 0 });
+
+        expect(handler).toHaveBeenCalledTimes(4);
+    });
+});
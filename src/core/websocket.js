@@ -7,11 +7,14 @@
 
 import { setCurrentProfile } from './profile-manager.js';
 import storage from './storage.js';
+import messageValidator from './message-validator.js';
+import featureErrors from './feature-errors.js';
 
 class WebSocketHook {
     constructor() {
         this.isHooked = false;
         this.messageHandlers = new Map();
+        this.handlerOwners = new WeakMap(); // handler → feature key that registered it
         this.socketEventHandlers = new Map();
         this.attachedSockets = new WeakSet();
         /**
@@ -293,6 +296,9 @@ class WebSocketHook {
             const data = JSON.parse(message);
             const parsedMessageType = data.type;
 
+            // Record payload shape changes for the "game data changed" diagnostic
+            messageValidator.validate(data);
+
             // Save critical data to GM storage for Combat Sim export
             this.saveCombatSimData(parsedMessageType, message);
 
@@ -300,30 +306,40 @@ class WebSocketHook {
             const handlers = [...(this.messageHandlers.get(parsedMessageType) || [])];
 
             for (const handler of handlers) {
+                const owner = this.handlerOwners.get(handler) ?? null;
+                if (featureErrors.isQuarantined(owner)) continue;
+
                 try {
                     const result = handler(data);
                     if (result instanceof Promise) {
                         result.catch((error) => {
                             console.error(`[WebSocket] Async handler error for ${parsedMessageType}:`, error);
+                            featureErrors.record(owner, `ws:${parsedMessageType}`, error);
                         });
                     }
                 } catch (error) {
                     console.error(`[WebSocket] Handler error for ${parsedMessageType}:`, error);
+                    featureErrors.record(owner, `ws:${parsedMessageType}`, error);
                 }
             }
 
             // Call wildcard handlers (receive all messages)
             const wildcardHandlers = [...(this.messageHandlers.get('*') || [])];
             for (const handler of wildcardHandlers) {
+                const owner = this.handlerOwners.get(handler) ?? null;
+                if (featureErrors.isQuarantined(owner)) continue;
+
                 try {
                     const result = handler(data);
                     if (result instanceof Promise) {
                         result.catch((error) => {
                             console.error('[WebSocket] Async wildcard handler error:', error);
+                            featureErrors.record(owner, 'ws:*', error);
                         });
                     }
                 } catch (error) {
                     console.error('[WebSocket] Wildcard handler error:', error);
+                    featureErrors.record(owner, 'ws:*', error);
                 }
             }
         } catch (error) {
@@ -483,6 +499,15 @@ class WebSocketHook {
         }
     }
 
+    /**
+     * Forget which messages were already processed.
+     * Used before replaying a recorded session so repeated payloads are not deduplicated away.
+     */
+    resetDedupState() {
+        this.processedMessages.clear();
+        this.recentActionCompleted.clear();
+    }
+
     /**
      * Cleanup any pending retry timeouts
      */
@@ -504,6 +529,12 @@ class WebSocketHook {
         if (!handlers.includes(handler)) {
             handlers.push(handler);
         }
+
+        // Attribute runtime errors to the feature being initialized, if any
+        const owner = featureErrors.getCurrentOwner();
+        if (owner && !this.handlerOwners.has(handler)) {
+            this.handlerOwners.set(handler, owner);
+        }
     }
 
     /**
@@ -20,7 +20,21 @@ const Combat = window.Toolasha.Combat;
 const UI = window.Toolasha.UI;
 
 // Destructure core modules
-const { storage, config, webSocketHook, domObserver, dataManager, featureRegistry } = Core;
+const {
+    storage,
+    config,
+    webSocketHook,
+    domObserver,
+    dataManager,
+    featureRegistry,
+    featureErrors,
+    schemaMigrations,
+    registerStorageMigrations,
+    pluginHost,
+    webSocketRecorder,
+    replayRecording,
+    messageValidator,
+} = Core;
 
 const { setupScrollTooltipDismissal } = Utils.dom;
 
@@ -170,6 +184,76 @@ function registerFeatures() {
             module: Market.milkywayMarketLink,
             async: false,
         },
+        {
+            key: 'priceHistory',
+            name: 'Market Price History',
+            category: 'Market',
+            module: Market.priceHistory,
+            async: false,
+        },
+        {
+            key: 'priceHistoryChart',
+            name: 'Market Price History Chart',
+            category: 'Market',
+            module: Market.priceHistoryChart,
+            async: false,
+        },
+        {
+            key: 'priceAlerts',
+            name: 'Market Price Alerts',
+            category: 'Market',
+            module: Market.priceAlerts,
+            async: false,
+        },
+        {
+            key: 'priceAlertsUI',
+            name: 'Market Price Alerts UI',
+            category: 'Market',
+            module: Market.priceAlertsUI,
+            async: false,
+        },
+        {
+            key: 'tradeLedger',
+            name: 'Trade Ledger',
+            category: 'Market',
+            module: Market.tradeLedger,
+            async: false,
+        },
+        {
+            key: 'tradeLedgerUI',
+            name: 'Trade Ledger Tab',
+            category: 'Market',
+            module: Market.tradeLedgerUI,
+            async: false,
+        },
+        {
+            key: 'orderBookHistory',
+            name: 'Order Book History',
+            category: 'Market',
+            module: Market.orderBookHistory,
+            async: false,
+        },
+        {
+            key: 'liquidityPanel',
+            name: 'Liquidity Panel',
+            category: 'Market',
+            module: Market.liquidityPanel,
+            async: false,
+        },
+        {
+            key: 'listingHealthPanel',
+            name: 'Listing Health Panel',
+            category: 'Market',
+            module: Market.listingHealthPanel,
+            async: false,
+        },
+        {
+            key: 'arbitrageScanner',
+            name: 'Arbitrage Scanner',
+            category: 'Market',
+            module: Market.arbitrageScannerUI,
+            async: false,
+        },
         {
             key: 'sellQueue',
             name: 'Sell Queue',
@@ -765,6 +849,13 @@ function registerFeatures() {
             module: UI.emptyQueueNotification,
             async: false,
         },
+        {
+            key: 'gameDataDriftAlert',
+            name: 'Game Data Drift Alert',
+            category: 'Notifications',
+            module: UI.gameDataDriftAlert,
+            async: false,
+        },
         {
             key: 'queueMonitor',
             name: 'Queue Monitor',
@@ -772,6 +863,20 @@ function registerFeatures() {
             module: UI.queueMonitor,
             async: false,
         },
+        {
+            key: 'storageRetention',
+            name: 'Storage Retention',
+            category: 'General',
+            module: UI.storageRetention,
+            async: false,
+        },
+        {
+            key: 'featureErrorNotice',
+            name: 'Feature Error Notices',
+            category: 'General',
+            module: UI.featureErrorNotice,
+            async: false,
+        },
     ];
 
     // Combine all features
@@ -827,6 +932,10 @@ if (isCombatSimulatorPage()) {
             // Initialize storage (opens IndexedDB)
             await storage.initialize();
 
+            // Apply pending schema migrations before anything reads stored records
+            registerStorageMigrations();
+            await schemaMigrations.runAll();
+
             // Initialize config (loads settings from storage)
             await config.initialize();
 
@@ -929,6 +1038,12 @@ if (isCombatSimulatorPage()) {
 
     targetWindow.Toolasha.version = '2.94.0';
 
+    // Attached to every captured feature error for bug reports
+    featureErrors.setContext({
+        toolashaVersion: targetWindow.Toolasha.version,
+        gameVersion: () => dataManager.getInitClientData()?.gameVersion ?? null,
+    });
+
     // Feature toggle API (for users to manage settings via console)
     targetWindow.Toolasha.features = {
         list: () => config.getFeaturesByCategory(),
@@ -959,5 +1074,64 @@ if (isCombatSimulatorPage()) {
             console.log('Active timers:', diag.activeTimers);
             return diag;
         },
+        migrations: async () => {
+            const versions = await schemaMigrations.getRecordedVersions();
+            console.log('=== Schema Migrations ===');
+            console.log('Recorded versions:', versions);
+            console.log('Last run:', schemaMigrations.lastResults);
+            return { versions, lastResults: schemaMigrations.lastResults };
+        },
+        // WebSocket session recorder: start() → reproduce the bug → stop() saves and downloads
+        recorder: {
+            start: (options) => webSocketRecorder.start(options),
+            stop: async ({ download = true } = {}) => {
+                const recording = webSocketRecorder.stop();
+                if (!recording) return null;
+                const key = await webSocketRecorder.save(recording);
+                if (download) {
+                    const blob = new Blob([webSocketRecorder.serialize(recording)], { type: 'application/json' });
+                    const url = URL.createObjectURL(blob);
+                    const a = document.createElement('a');
+                    a.href = url;
+                    a.download = `toolasha-ws-${new Date(recording.recordedAt).toISOString().slice(0, 19)}.json`;
+                    a.click();
+                    URL.revokeObjectURL(url);
+                }
+                console.log(`[Toolasha] Saved recording ${key} (${recording.messages.length} messages)`);
+                return recording;
+            },
+            list: () => webSocketRecorder.list(),
+            replay: async (key, speed = 1) => {
+                const recording = await webSocketRecorder.load(key);
+                if (!recording) throw new Error(`No recording ${key}`);
+                return replayRecording(recording, { speed });
+            },
+        },
+        // Runtime errors per feature; errors('key') limits the report to one feature
+        errors: (featureKey) => {
+            console.log('=== Feature Errors ===');
+            console.log('Quarantined:', featureErrors.getQuarantined());
+            console.table(featureErrors.getSummary());
+            const report = featureErrors.buildReport(featureKey);
+            console.log(report);
+            return report;
+        },
+        messageDrift: () => {
+            const report = messageValidator.getReport();
+            console.log('=== Message Schema Drift ===');
+            console.log('Affected features:', messageValidator.getAffectedFeatures());
+            console.table(
+                report.map((entry) => ({
+                    type: entry.type,
+                    missing: entry.missing.join(', '),
+                    wrongType: entry.wrongType.map((change) => `${change.path}: ${change.actual}`).join(', '),
+                    unknown: entry.unknown.join(', '),
+                }))
+            );
+            return report;
+        },
     };
+
+    // Plugin API for third-party userscripts (registers any plugins queued before load)
+    pluginHost.install(targetWindow, targetWindow.Toolasha.version);
 }
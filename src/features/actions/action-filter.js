@@ -207,7 +207,7 @@ class ActionFilter {
         }
 
         // Create profit mode toggle button
-        const PROFIT_MODES = ['hybrid', 'conservative', 'optimistic', 'patientBuy'];
+        const PROFIT_MODES = ['hybrid', 'conservative', 'optimistic', 'patientBuy', 'custom'];
         const modeBtn = document.createElement('button');
         modeBtn.id = 'mwi-action-profit-mode';
         const updateModeBtn = () => {
@@ -21,15 +21,17 @@ let activeReject = null;
  * @param {Object} params
  * @param {Object} params.gameData - Game data maps from buildGameDataPayload()
  * @param {Array<Object>} params.playerDTOs - Player DTOs from buildAllPlayerDTOs()
- * @param {Array<{zoneHrid: string, difficultyTier: number}>} params.zones - Zones to simulate
+ * @param {Array<{zoneHrid: string, difficultyTier: number, playerDTOs?: Array<Object>}>} params.zones - Zones to
+ *   simulate; an entry's own playerDTOs replace params.playerDTOs for that run
  * @param {number} params.hours - Hours to simulate per zone
  * @param {Object} params.communityBuffs - { mooPass, comExp, comDrop }
  * @param {boolean} [params.useEarlyExit] - Skip higher tiers when both XP/hr and profit/hr decline
+ * @param {number|null} [params.seed] - Random seed shared by every zone (null = unseeded)
  * @param {Function} [onProgress] - Called with (percent: 0-100) for overall progress
  * @returns {Promise<Array<Object>>} Array of SimResults, one per zone (same order as input)
  */
 export async function runAllZonesSimulation(params, onProgress) {
-    const { gameData, playerDTOs, zones, hours, communityBuffs, useEarlyExit } = params;
+    const { gameData, playerDTOs, zones, hours, communityBuffs, useEarlyExit, seed = null } = params;
 
     if (!zones.length) return [];
 
@@ -134,6 +136,7 @@ export async function runAllZonesSimulation(params, onProgress) {
             extraBuffs,
             maxWorkers,
             useEarlyExit: !!useEarlyExit,
+            seed,
         });
     });
 }
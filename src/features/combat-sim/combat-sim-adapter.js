@@ -9,8 +9,7 @@
 import dataManager from '../../core/data-manager.js';
 import storage from '../../core/storage.js';
 import loadoutSnapshot from '../combat/loadout-snapshot.js';
-import config from '../../core/config.js';
-import marketAPI from '../../api/marketplace.js';
+import { getItemPrice } from '../../utils/market-data.js';
 import expectedValueCalculator from '../market/expected-value-calculator.js';
 import { calculateRawCombatLevel } from '../../utils/combat-level-progress-calculator.js';
 
@@ -50,6 +49,7 @@ export function buildGameDataPayload() {
  *     food: [{hrid, triggers}], drinks: [{hrid, triggers}],
  *     abilities: [{hrid, level, triggers}], houseRooms: {'/house_rooms/x': level},
  *     hrid: 'player1', debuffOnLevelGap: 0 }
+ *   An optional bonusCombatStats: { criticalRate: 0.01, ... } adds flat stat lines on top of equipment.
  * @returns {Object|null} Player DTO in sim engine format, or null if data unavailable
  */
 export function buildPlayerDTO() {
@@ -789,6 +789,24 @@ export function getCommunityBuffs() {
     };
 }
 
+/**
+ * Slot type of a consumable. The game allows only one consumable of each type per
+ * food or drink bar (e.g. one HP-over-time food, one stamina coffee of any tier).
+ * @param {Object} consumableDetail - itemDetailMap[hrid].consumableDetail
+ * @returns {string|null} e.g. 'hp_over_time', 'mp_instant', 'buff:/buff_uniques/stamina_coffee'
+ */
+export function getConsumableSlotType(consumableDetail) {
+    if (!consumableDetail) return null;
+    const hp = consumableDetail.hitpointRestore || 0;
+    const mp = consumableDetail.manapointRestore || 0;
+    const dur = consumableDetail.recoveryDuration || 0;
+    if (hp > 0) return dur > 0 ? 'hp_over_time' : 'hp_instant';
+    if (mp > 0) return dur > 0 ? 'mp_over_time' : 'mp_instant';
+    const buffs = consumableDetail.buffs || [];
+    if (buffs.length > 0) return 'buff:' + (buffs[0].uniqueHrid || 'unknown');
+    return null;
+}
+
 /**
  * Apply a named loadout snapshot to a player DTO (mutates dto in place).
  * Extracted from CombatSimUI._applyLoadoutToDTO so both the sim UI and task display can use it.
@@ -1067,31 +1085,23 @@ export function calculateDungeonKeyCosts(dropMap, getBuyPrice) {
 }
 
 /**
- * Get the sell price for an item based on the global pricing mode.
- * @param {Object|null} priceData - { bid, ask } from marketAPI.getPrice()
+ * Get the sell price for an item based on the global pricing mode (including custom formulas).
+ * @param {string} itemHrid
  * @returns {number}
  */
-function getSellPrice(priceData) {
-    if (!priceData) return 0;
-    const mode = config.getSettingValue('profitCalc_pricingMode', 'hybrid');
-    if (mode === 'conservative' || mode === 'patientBuy') {
-        return priceData.bid > 0 ? priceData.bid : 0;
-    }
-    return priceData.ask > 0 ? priceData.ask : 0;
+export function getSellPrice(itemHrid) {
+    const price = getItemPrice(itemHrid, { context: 'profit', side: 'sell' });
+    return price > 0 ? price : 0;
 }
 
 /**
- * Get the buy price for an item based on the global pricing mode.
- * @param {Object|null} priceData - { bid, ask } from marketAPI.getPrice()
+ * Get the buy price for an item based on the global pricing mode (including custom formulas).
+ * @param {string} itemHrid
  * @returns {number}
  */
-function getBuyPrice(priceData) {
-    if (!priceData) return 0;
-    const mode = config.getSettingValue('profitCalc_pricingMode', 'hybrid');
-    if (mode === 'optimistic' || mode === 'patientBuy') {
-        return priceData.bid > 0 ? priceData.bid : 0;
-    }
-    return priceData.ask > 0 ? priceData.ask : 0;
+export function getBuyPrice(itemHrid) {
+    const price = getItemPrice(itemHrid, { context: 'profit', side: 'buy' });
+    return price > 0 ? price : 0;
 }
 
 /**
@@ -1111,7 +1121,7 @@ export function calculateSimRevenue(simResult, gameData, playerHrid, hours) {
     const dropMap = calculateExpectedDrops(simResult, gameData, playerHrid);
     for (const [itemHrid, total] of dropMap.entries()) {
         if (total <= 0) continue;
-        let unitValue = itemHrid === '/items/coin' ? 1 : getSellPrice(marketAPI.getPrice(itemHrid));
+        let unitValue = itemHrid === '/items/coin' ? 1 : getSellPrice(itemHrid);
         if (unitValue === 0) {
             const ev =
                 expectedValueCalculator.getCachedValue(itemHrid) ||
@@ -1131,7 +1141,7 @@ export function calculateSimRevenue(simResult, gameData, playerHrid, hours) {
     const consumableEntries = [];
     const consumablesUsed = simResult.consumablesUsed?.[playerHrid] || {};
     for (const [itemHrid, count] of Object.entries(consumablesUsed)) {
-        const unitCost = getBuyPrice(marketAPI.getPrice(itemHrid));
+        const unitCost = getBuyPrice(itemHrid);
         const perHour = (count / hours) * unitCost;
         costPerHour += perHour;
         if (unitCost > 0) {
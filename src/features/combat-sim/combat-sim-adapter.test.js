@@ -1,5 +1,26 @@
-import { describe, expect, test } from 'vitest';
-import { calculateLevelGapDebuff, calculateCombatLevelFromLevelFields } from './combat-sim-adapter.js';
+import { describe, expect, test, vi } from 'vitest';
+
+vi.mock('../../utils/market-data.js', () => ({
+    getItemPrice: vi.fn((_itemHrid, { side }) => (side === 'sell' ? 90 : -1)),
+}));
+
+import {
+    calculateLevelGapDebuff,
+    calculateCombatLevelFromLevelFields,
+    getSellPrice,
+    getBuyPrice,
+} from './combat-sim-adapter.js';
+import { getItemPrice } from '../../utils/market-data.js';
+
+describe('sim prices', () => {
+    test('price each side through the profit pricing mode, including custom formulas', () => {
+        expect(getSellPrice('/items/egg')).toBe(90);
+        expect(getItemPrice).toHaveBeenCalledWith('/items/egg', { context: 'profit', side: 'sell' });
+        // Missing prices count as zero
+        expect(getBuyPrice('/items/egg')).toBe(0);
+        expect(getItemPrice).toHaveBeenCalledWith('/items/egg', { context: 'profit', side: 'buy' });
+    });
+});
 
 describe('calculateLevelGapDebuff', () => {
     test('no debuff when ratio is exactly at the 1.2 threshold', () => {
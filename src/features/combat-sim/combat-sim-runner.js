@@ -2,22 +2,32 @@
  * Combat Simulator Runner
  * Runs simulations in parallel Web Workers for maximum speed.
  *
- * For large simulations (>= 20 hours), the time is split across multiple
- * workers (up to 4) running in parallel. Results are merged by summing
- * all additive counters. For small simulations, a single worker is used.
+ * The simulated time is split into batches (up to 8, at least 20 hours each) that
+ * run on a pool of workers (up to 4). Results are merged by summing all additive
+ * counters, and each batch's own counters are kept in `chunks` so metrics can be
+ * reported with confidence intervals (batch means). Runs under 40 hours stay in
+ * one batch: every batch restarts the simulator and drops its unfinished dungeon,
+ * so short batches would bias dungeon, XP and profit rates low.
  */
 
 // The ?worker suffix is handled by rollup's workerBundlePlugin at build time
 import WORKER_SCRIPT from './combat-sim-worker-entry.js?worker';
 import config from '../../core/config.js';
+import { deriveSeed } from './engine/random.js';
+import { summarizeChunkValues } from './engine/sim-result.js';
 
 let workerBlobURL = null;
 let activeWorkers = [];
 let taskIdCounter = 0;
 let pendingRejects = []; // Track reject functions to abort on cancel
+let runGeneration = 0; // Bumped on cancel so batch pools stop starting new workers
 
-const MIN_HOURS_PER_WORKER = 20;
 const MAX_WORKERS = 4;
+const TARGET_BATCHES = 8;
+const MIN_BATCH_HOURS = 20;
+const PRECISION_BATCH_HOURS = MIN_BATCH_HOURS;
+const MIN_PRECISION_BATCHES = 4;
+const ONE_HOUR_NS = 3600 * 1e9;
 
 /**
  * @returns {number} Max worker count from setting, or hardware concurrency if 0/unset
@@ -145,7 +155,7 @@ export function runWorkerChunk(message, onProgress) {
  * @returns {Object} Merged SimResult
  */
 function mergeSimResults(results) {
-    if (results.length === 1) return results[0];
+    if (results.length === 1) return attachChunks(results[0], results);
 
     const merged = structuredClone(results[0]);
 
@@ -299,11 +309,88 @@ function mergeSimResults(results) {
         }
     }
 
+    return attachChunks(merged, results);
+}
+
+/**
+ * Keep each batch's own counters on the merged result.
+ * @param {Object} merged - Merged SimResult
+ * @param {Array<Object>} results - Batch SimResults
+ * @returns {Object} merged, with chunks: SimResult.getChunkMetrics() per batch
+ */
+function attachChunks(merged, results) {
+    merged.chunks = results.map((r) => r.chunkMetrics).filter(Boolean);
+    delete merged.chunkMetrics;
     return merged;
 }
 
 /**
- * Run a combat simulation, parallelized across multiple Workers when beneficial.
+ * Number of batches a run of the given length is split into.
+ * @param {number} hours
+ * @returns {number}
+ */
+function getBatchCount(hours) {
+    return Math.max(1, Math.min(TARGET_BATCHES, Math.floor(hours / MIN_BATCH_HOURS)));
+}
+
+/**
+ * Worker message fields shared by every batch of a run.
+ * @param {Object} params - runSimulation() params
+ * @returns {Object}
+ */
+function buildBaseMessage(params) {
+    const { gameData, playerDTOs, zoneHrid, difficultyTier, communityBuffs } = params;
+    const guildCombatBuffs = playerDTOs[0]?.guildCombatBuffs;
+    return {
+        type: 'start_simulation',
+        gameData,
+        playerDTOs,
+        zoneHrid,
+        difficultyTier,
+        extraBuffs: buildExtraBuffs(communityBuffs, guildCombatBuffs),
+    };
+}
+
+/**
+ * Run batches on a pool of workers.
+ * @param {Object} baseMessage - buildBaseMessage() result
+ * @param {number[]} batchHours - Hours per batch
+ * @param {Object} options
+ * @param {number|null} options.seed - Run seed; batch i is seeded with deriveSeed(seed, firstIndex + i)
+ * @param {number} [options.firstIndex=0] - Index of the first batch within the run
+ * @param {Function} [options.onProgress] - Called with (percent: 0-100) across these batches
+ * @returns {Promise<Array<Object>>} Batch SimResults in order
+ */
+async function runBatches(baseMessage, batchHours, { seed, firstIndex = 0, onProgress }) {
+    const generation = runGeneration;
+    const results = new Array(batchHours.length);
+    const progress = new Array(batchHours.length).fill(0);
+    let next = 0;
+
+    const runSlot = async () => {
+        while (next < batchHours.length && generation === runGeneration) {
+            const i = next++;
+            const message = {
+                ...baseMessage,
+                taskId: ++taskIdCounter,
+                simulationTimeLimit: batchHours[i] * ONE_HOUR_NS,
+                // Seeded by position in the run, so the result does not depend on the thread count
+                seed: seed === null ? null : deriveSeed(seed, firstIndex + i),
+            };
+            results[i] = await runWorkerChunk(message, (percent) => {
+                progress[i] = percent;
+                onProgress?.(progress.reduce((sum, p) => sum + p, 0) / batchHours.length);
+            });
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(getMaxWorkers(), batchHours.length) }, runSlot));
+    if (generation !== runGeneration) throw new Error('Cancelled');
+    return results;
+}
+
+/**
+ * Run a combat simulation in batches across parallel Workers.
  * @param {Object} params
  * @param {Object} params.gameData - Game data maps from buildGameDataPayload()
  * @param {Array<Object>} params.playerDTOs - Player DTOs from buildAllPlayerDTOs()
@@ -311,67 +398,95 @@ function mergeSimResults(results) {
  * @param {number} params.difficultyTier - Difficulty tier (0+)
  * @param {number} params.hours - Hours to simulate
  * @param {Object} params.communityBuffs - { mooPass, comExp, comDrop }
+ * @param {number|null} [params.seed] - Random seed; the same seed reproduces the run (null = unseeded)
  * @param {Function} [onProgress] - Called with (percent: 0-100)
- * @returns {Promise<Object>} Merged SimResult
+ * @returns {Promise<Object>} Merged SimResult, with per-batch counters in chunks
  */
 export async function runSimulation(params, onProgress) {
-    const { gameData, playerDTOs, zoneHrid, difficultyTier, hours, communityBuffs } = params;
-
-    const guildCombatBuffs = playerDTOs[0]?.guildCombatBuffs;
-    const extraBuffs = buildExtraBuffs(communityBuffs, guildCombatBuffs);
-    const ONE_HOUR_NS = 3600 * 1e9;
+    const { hours, seed = null } = params;
 
     // Cancel any previous run
     cancelSimulation();
 
-    // Determine worker count
-    const maxWorkers = getMaxWorkers();
-    const workerCount =
-        hours >= MIN_HOURS_PER_WORKER * 2 ? Math.min(maxWorkers, Math.floor(hours / MIN_HOURS_PER_WORKER)) : 1;
+    const batchCount = getBatchCount(hours);
+    const results = await runBatches(buildBaseMessage(params), new Array(batchCount).fill(hours / batchCount), {
+        seed,
+        onProgress: onProgress ? (percent) => onProgress(Math.round(percent)) : null,
+    });
 
-    // Split hours across workers
-    const baseHours = Math.floor(hours / workerCount);
-    const remainder = hours - baseHours * workerCount;
+    if (onProgress) onProgress(100);
 
-    const chunks = [];
-    for (let i = 0; i < workerCount; i++) {
-        const chunkHours = baseHours + (i < remainder ? 1 : 0);
-        chunks.push(chunkHours);
-    }
+    return mergeSimResults(results);
+}
 
-    // Track per-worker progress
-    const workerProgress = new Array(workerCount).fill(0);
-    const reportProgress = () => {
-        if (!onProgress) return;
-        const totalPercent = Math.round(workerProgress.reduce((sum, p) => sum + p, 0) / workerCount);
-        onProgress(totalPercent);
-    };
+/**
+ * Keep simulating in rounds of 20-hour batches until a metric is known to the target precision.
+ * Stops once the 95% confidence interval of the metric is within ±target of its mean
+ * (after at least 4 batches), or when params.hours have been simulated.
+ * @param {Object} params - Same as runSimulation(); params.hours is the upper limit
+ * @param {Object} precision
+ * @param {number} precision.target - Relative half-width of the interval to reach (0.01 = ±1%)
+ * @param {Function} precision.measure - (chunk, chunkHours) => metric value for one batch
+ * @param {Function} [onProgress] - Called with (percent: 0-100) of the hour limit
+ * @returns {Promise<Object>} Merged SimResult with precision: { target, reached, relativeError }
+ */
+export async function runSimulationToPrecision(params, { target, measure }, onProgress) {
+    const { hours: maxHours, seed = null } = params;
 
-    // Launch all workers in parallel
-    const promises = chunks.map((chunkHours, i) => {
-        const taskId = ++taskIdCounter;
-        const message = {
-            type: 'start_simulation',
-            taskId,
-            gameData,
-            playerDTOs,
-            zoneHrid,
-            difficultyTier,
-            simulationTimeLimit: chunkHours * ONE_HOUR_NS,
-            extraBuffs,
-        };
+    // Cancel any previous run
+    cancelSimulation();
 
-        return runWorkerChunk(message, (percent) => {
-            workerProgress[i] = percent;
-            reportProgress();
+    const baseMessage = buildBaseMessage(params);
+    const roundSize = Math.max(MIN_PRECISION_BATCHES, getMaxWorkers());
+    const results = [];
+    let simulatedHours = 0;
+    let summary = null;
+
+    while (simulatedHours < maxHours) {
+        // The hour limit is an upper bound; skip a final batch too short to be unbiased
+        if (simulatedHours > 0 && maxHours - simulatedHours < MIN_BATCH_HOURS) break;
+
+        const batchHours = [];
+        let left = Math.min(maxHours - simulatedHours, roundSize * PRECISION_BATCH_HOURS);
+        while (left > 0) {
+            // A remainder shorter than a batch joins the previous batch instead of running on its own
+            if (left < MIN_BATCH_HOURS && batchHours.length > 0) {
+                batchHours[batchHours.length - 1] += left;
+                break;
+            }
+            batchHours.push(Math.min(PRECISION_BATCH_HOURS, left));
+            left -= PRECISION_BATCH_HOURS;
+        }
+        const roundHours = batchHours.reduce((sum, h) => sum + h, 0);
+
+        const doneHours = simulatedHours;
+        const roundResults = await runBatches(baseMessage, batchHours, {
+            seed,
+            firstIndex: results.length,
+            onProgress: onProgress
+                ? (percent) => onProgress(Math.round(((doneHours + (percent / 100) * roundHours) / maxHours) * 100))
+                : null,
         });
-    });
-
-    const results = await Promise.all(promises);
+        results.push(...roundResults);
+        simulatedHours += roundHours;
+
+        const chunks = results.map((r) => r.chunkMetrics).filter(Boolean);
+        const chunkHours = chunks.map((chunk) => chunk.simulatedTime / ONE_HOUR_NS);
+        summary = summarizeChunkValues(
+            chunks.map((chunk, i) => measure(chunk, chunkHours[i])),
+            chunkHours
+        );
+        if (summary?.n >= MIN_PRECISION_BATCHES && summary.relativeError !== null && summary.relativeError <= target) {
+            break;
+        }
+    }
 
     if (onProgress) onProgress(100);
 
-    return mergeSimResults(results);
+    const relativeError = summary?.relativeError ?? null;
+    const merged = mergeSimResults(results);
+    merged.precision = { target, reached: relativeError !== null && relativeError <= target, relativeError };
+    return merged;
 }
 
 /**
@@ -406,6 +521,7 @@ export function buildCrateBuffs(crateHrids, gameData) {
  * @param {string[]} params.crates - Crate item HRIDs
  * @param {number} params.hours - Hours to simulate
  * @param {Object} params.communityBuffs - { mooPass, comExp, comDrop }
+ * @param {number|null} [params.seed] - Random seed (null = unseeded)
  * @param {Function} [onProgress] - Called with (percent: 0-100)
  * @returns {Promise<Object>} SimResult with labyrinth fields
  */
@@ -420,11 +536,11 @@ export async function runLabyrinthSimulation(params, onProgress) {
         hours,
         communityBuffs,
         labyrinthCombatBuffs,
+        seed = null,
     } = params;
 
     const guildCombatBuffs = playerDTOs[0]?.guildCombatBuffs;
     const extraBuffs = [...buildExtraBuffs(communityBuffs, guildCombatBuffs), ...(labyrinthCombatBuffs || [])];
-    const ONE_HOUR_NS = 3600 * 1e9;
 
     // Cancel any previous run
     cancelSimulation();
@@ -444,6 +560,7 @@ export async function runLabyrinthSimulation(params, onProgress) {
             roomLevel,
             crates: crates || [],
         },
+        seed,
     };
 
     const result = await runWorkerChunk(message, onProgress);
@@ -457,6 +574,7 @@ export async function runLabyrinthSimulation(params, onProgress) {
  * Terminate all active simulation workers and reject pending promises.
  */
 export function cancelSimulation() {
+    runGeneration++;
     for (const worker of activeWorkers) {
         worker.terminate();
     }
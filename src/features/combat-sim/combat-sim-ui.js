@@ -5,10 +5,9 @@
 
 import config from '../../core/config.js';
 import dataManager from '../../core/data-manager.js';
-import marketAPI from '../../api/marketplace.js';
 import expectedValueCalculator from '../market/expected-value-calculator.js';
 import { registerFloatingPanel, unregisterFloatingPanel, bringPanelToFront } from '../../utils/panel-z-index.js';
-import { formatWithSeparator, formatKMB } from '../../utils/formatters.js';
+import { formatWithSeparator, formatKMB, formatPercentage } from '../../utils/formatters.js';
 import {
     buildGameDataPayload,
     buildAllPlayerDTOs,
@@ -19,11 +18,18 @@ import {
     calculateDungeonKeyCosts,
     calculateSimRevenue,
     getZonesThatDropItem,
+    getSellPrice,
+    getBuyPrice,
 } from './combat-sim-adapter.js';
-import { runSimulation, cancelSimulation } from './combat-sim-runner.js';
+import { runSimulation, runSimulationToPrecision, cancelSimulation } from './combat-sim-runner.js';
 import { runAllZonesSimulation, cancelAllZonesSimulation } from './all-zones-runner.js';
 import { runUpgradeAnalysis } from './upgrade-advisor.js';
+import { runTriggerOptimization } from './trigger-optimizer.js';
+import { runConsumableOptimization } from './consumable-optimizer.js';
+import { runStatSensitivity } from './stat-sensitivity.js';
 import { SimEditor } from './sim-editor.js';
+import { createRandomSeed, parseSeed } from './engine/random.js';
+import { summarizeChunkValues } from './engine/sim-result.js';
 
 const PANEL_ID = 'mwi-combat-sim-panel';
 const ACCENT = '#4a9eff';
@@ -31,6 +37,7 @@ const ACCENT_BORDER = 'rgba(74, 158, 255, 0.5)';
 const ACCENT_BG = 'rgba(74, 158, 255, 0.12)';
 const ACCENT_BTN_BG = 'rgba(74, 158, 255, 0.2)';
 const ACCENT_BTN_BORDER = 'rgba(74, 158, 255, 0.4)';
+const ONE_HOUR_NS = 3600e9;
 
 /**
  * Format elapsed seconds as "Xs" or "Xm Ys".
@@ -191,6 +198,13 @@ class CombatSimUI {
             </select>
             <label style="color:#888; font-size:12px;">Hours</label>
             <input id="mwi-csim-hours" type="number" min="1" max="10000" value="${config.getSettingValue('combatSim_defaultHours', 100)}" style="${inputStyle}">
+            <label style="color:#888; font-size:12px;" title="Same seed + same setup = same result. Leave empty for a new random seed each run.">Seed</label>
+            <input id="mwi-csim-seed" type="text" placeholder="random" style="${inputStyle} width:80px;" title="Same seed + same setup = same result. Leave empty for a new random seed each run.">
+            <label style="color:#888; font-size:12px; display:flex; align-items:center; gap:3px;" title="Keep adding 20-hour batches until the 95% interval on XP/hr is within this percentage. Hours becomes the upper limit.">
+                <input id="mwi-csim-precision-enabled" type="checkbox" style="margin:0;">Until ±
+            </label>
+            <input id="mwi-csim-precision" type="number" min="0.1" max="50" step="0.1" value="1" style="${inputStyle} width:44px;" title="Target 95% interval on XP/hr, in percent">
+            <span style="color:#888; font-size:12px;">%</span>
             <button id="mwi-csim-run" style="
                 margin-left: auto;
                 background: ${ACCENT_BTN_BG};
@@ -421,7 +435,25 @@ class CombatSimUI {
                 <option value="ability_level">Ability Levels</option>
                 <option value="ability_swap">Ability Swaps</option>
                 <option value="house">House Rooms</option>
+                <option value="triggers">Triggers</option>
+                <option value="consumables">Consumables</option>
+                <option value="sensitivity">Stat Values</option>
             </select>
+            <span id="mwi-csim-upgrade-objective-group" style="display:none; align-items:center; gap:4px;">
+                <label style="color:#888; font-size:12px;">Optimize</label>
+                <select id="mwi-csim-upgrade-objective" style="${selectStyle}">
+                    <option value="xp">EXP/hr</option>
+                    <option value="profit">Profit/hr</option>
+                    <option value="dps">DPS</option>
+                </select>
+            </span>
+            <span id="mwi-csim-upgrade-deaths-group" style="display:none; align-items:center; gap:4px;">
+                <label style="color:#888; font-size:12px;">Max deaths/hr</label>
+                <input id="mwi-csim-upgrade-max-deaths" type="number" min="0" step="0.1" placeholder="current" style="
+                    width:60px; background:#1a1a2e; color:#e0e0e0; border:1px solid #444;
+                    border-radius:3px; padding:3px 5px; font-size:12px; text-align:center;"
+                    title="Loadouts that die more often than this are ranked last. Leave empty to allow no more deaths than the current loadout.">
+            </span>
             <span id="mwi-csim-upgrade-level-group" style="display:none; align-items:center; gap:4px;">
                 <select id="mwi-csim-upgrade-level-type" style="
                     background:#1a1a2e; color:#e0e0e0; border:1px solid #444;
@@ -532,11 +564,20 @@ class CombatSimUI {
         this.panel.querySelector('#mwi-csim-upgrade-run').addEventListener('click', () => this._onUpgradeAnalyze());
         this.panel.querySelector('#mwi-csim-upgrade-stop').addEventListener('click', () => {
             this._upgradeAborted = true;
+            // Optimizer batches run on the all-zones pool; stop the batch in flight too
+            if (['triggers', 'consumables', 'sensitivity'].includes(this._upgradeRunMode)) {
+                cancelAllZonesSimulation();
+            }
         });
         this.panel.querySelector('#mwi-csim-upgrade-mode').addEventListener('change', (e) => {
             const levelGroup = this.panel.querySelector('#mwi-csim-upgrade-level-group');
+            const objectiveGroup = this.panel.querySelector('#mwi-csim-upgrade-objective-group');
             const isLevelMode = e.target.value === 'ability_level';
             levelGroup.style.display = isLevelMode ? 'inline-flex' : 'none';
+            const deathsGroup = this.panel.querySelector('#mwi-csim-upgrade-deaths-group');
+            const isOptimizerMode = e.target.value === 'triggers' || e.target.value === 'consumables';
+            objectiveGroup.style.display = isOptimizerMode ? 'inline-flex' : 'none';
+            deathsGroup.style.display = e.target.value === 'consumables' ? 'inline-flex' : 'none';
             if (isLevelMode) {
                 this._setDefaultAbilityTargetLevel();
             }
@@ -1397,7 +1438,7 @@ class CombatSimUI {
 
         const zoneHrid = this.panel.querySelector('#mwi-csim-zone')?.value;
         const difficultyTier = parseInt(this.panel.querySelector('#mwi-csim-tier')?.value) || 0;
-        const hours = Math.min(
+        const maxHours = Math.min(
             10000,
             Math.max(
                 1,
@@ -1406,6 +1447,9 @@ class CombatSimUI {
             )
         );
 
+        const seed = this._getSeed() ?? createRandomSeed();
+        const precisionTarget = this._getPrecisionTarget();
+
         if (!zoneHrid) {
             this._setStatus('No zone selected.');
             return;
@@ -1490,17 +1534,28 @@ class CombatSimUI {
         }, 100);
 
         try {
-            const simResult = await runSimulation(
-                { gameData, playerDTOs, zoneHrid, difficultyTier, hours, communityBuffs },
-                (percent) => {
-                    progressFill.style.width = `${percent}%`;
-                    progressText.textContent = `${percent}%`;
-                }
-            );
+            const params = { gameData, playerDTOs, zoneHrid, difficultyTier, hours: maxHours, communityBuffs, seed };
+            const onProgress = (percent) => {
+                progressFill.style.width = `${percent}%`;
+                progressText.textContent = `${percent}%`;
+            };
+            const simResult =
+                precisionTarget !== null
+                    ? await runSimulationToPrecision(
+                          params,
+                          {
+                              target: precisionTarget,
+                              measure: (chunk, chunkHours) => this._getChunkXpPerHr(chunk, chunkHours, selfHrid),
+                          },
+                          onProgress
+                      )
+                    : await runSimulation(params, onProgress);
 
             clearInterval(this.elapsedTimer);
             this.elapsedTimer = null;
             const totalElapsed = formatElapsed((Date.now() - simStartTime) / 1000);
+            // A precision run stops as soon as the target is met, so use the hours actually simulated
+            const hours = simResult.precision ? simResult.simulatedTime / ONE_HOUR_NS : maxHours;
 
             this._lastSimResult = simResult;
             this._lastSimHours = hours;
@@ -1514,6 +1569,7 @@ class CombatSimUI {
                 label: historyLabel,
                 simResult,
                 hours,
+                seed,
                 gameData,
                 metrics: null, // Filled by _displayResults
                 timestamp: Date.now(),
@@ -1552,14 +1608,20 @@ class CombatSimUI {
                 hybrid: 'Buy: Ask / Sell: Ask',
                 optimistic: 'Buy: Bid / Sell: Ask',
                 patientBuy: 'Buy: Bid / Sell: Bid',
+                custom: 'Custom formulas',
             };
             const mode = config.getSettingValue('profitCalc_pricingMode', 'hybrid');
             const modeLabel = modeLabels[mode] || mode;
             const missingNote = missingMembers.length
                 ? ` | Missing: ${missingMembers.join(', ')} (open their profiles)`
                 : '';
+            const precisionNote = simResult.precision
+                ? simResult.precision.reached
+                    ? ` (±${formatPercentage(simResult.precision.target)} reached)`
+                    : ` (±${formatPercentage(simResult.precision.target)} not reached)`
+                : '';
             this._setStatus(
-                `Simulation complete in ${totalElapsed}: ${formatWithSeparator(hours)} hours · ${partyInfo} · Pricing: ${modeLabel}${missingNote}`
+                `Simulation complete in ${totalElapsed}: ${formatWithSeparator(hours)} hours${precisionNote} · ${partyInfo} · Pricing: ${modeLabel} · Seed: ${seed}${missingNote}`
             );
         } catch (error) {
             clearInterval(this.elapsedTimer);
@@ -1660,7 +1722,15 @@ class CombatSimUI {
             const zones = selectedZones.map((z) => ({ zoneHrid: z.zoneHrid, difficultyTier: z.difficultyTier }));
 
             const simResults = await runAllZonesSimulation(
-                { gameData, playerDTOs, zones, hours, communityBuffs, useEarlyExit: this._earlyExitEnabled },
+                {
+                    gameData,
+                    playerDTOs,
+                    zones,
+                    hours,
+                    communityBuffs,
+                    useEarlyExit: this._earlyExitEnabled,
+                    seed: this._getSeed(),
+                },
                 (percent) => {
                     progressFill.style.width = `${percent}%`;
                     progressText.textContent = `${percent}%`;
@@ -1906,6 +1976,15 @@ class CombatSimUI {
         }
         html += '</div>';
 
+        // Precision: 95% intervals from the spread between simulation chunks
+        html += this._renderPrecisionSection(simResult, gameData, activeTab, {
+            sectionStyle,
+            headingStyle,
+            rowStyle,
+            labelStyle,
+            valueStyle,
+        });
+
         // XP/hr by skill — per active tab player
         const xpTotals = {};
         if (simResult.experienceGained[activeTab]) {
@@ -1969,9 +2048,8 @@ class CombatSimUI {
             const dropData = [...dropMap.entries()]
                 .filter(([, total]) => total > 0)
                 .map(([itemHrid, total]) => {
-                    const price = marketAPI.getPrice(itemHrid);
                     // Revenue: use sell price based on pricing mode
-                    let unitValue = this._getSellPrice(price);
+                    let unitValue = getSellPrice(itemHrid);
                     if (unitValue === 0 && itemHrid === '/items/coin') {
                         unitValue = 1;
                     }
@@ -2058,11 +2136,7 @@ class CombatSimUI {
 
             // Compute dungeon key costs from drop map
             if (simResult.isDungeon) {
-                const getBuyPriceForKey = (keyHrid) => {
-                    const price = marketAPI.getPrice(keyHrid);
-                    return this._getBuyPrice(price);
-                };
-                dungeonKeyCosts = calculateDungeonKeyCosts(dropMap, getBuyPriceForKey);
+                dungeonKeyCosts = calculateDungeonKeyCosts(dropMap, getBuyPrice);
                 for (const key of dungeonKeyCosts) {
                     keyCostPerHr += (key.count / hours) * key.unitCost;
                     keyCostTotal += key.totalCost;
@@ -2073,8 +2147,7 @@ class CombatSimUI {
         // Consumable costs — same column layout as drops
         const consumableEntries = Object.entries(consumableTotals)
             .map(([itemHrid, total]) => {
-                const price = marketAPI.getPrice(itemHrid);
-                const unitCost = this._getBuyPrice(price);
+                const unitCost = getBuyPrice(itemHrid);
                 return { itemHrid, total, unitCost, totalCost: total * unitCost };
             })
             .sort((a, b) => b.totalCost - a.totalCost);
@@ -2471,8 +2544,7 @@ class CombatSimUI {
             const dropMap = calculateExpectedDrops(simResult, gameData, activeTab);
             for (const [itemHrid, total] of dropMap.entries()) {
                 if (total <= 0) continue;
-                const price = marketAPI.getPrice(itemHrid);
-                let unitValue = this._getSellPrice(price);
+                let unitValue = getSellPrice(itemHrid);
                 if (unitValue === 0 && itemHrid === '/items/coin') unitValue = 1;
                 if (unitValue === 0) {
                     const evData = expectedValueCalculator.calculateExpectedValue(itemHrid);
@@ -2486,8 +2558,7 @@ class CombatSimUI {
         let consumableCostPerHr = 0;
         const selfConsumables = simResult.consumablesUsed?.[activeTab] || {};
         for (const [itemHrid, count] of Object.entries(selfConsumables)) {
-            const price = marketAPI.getPrice(itemHrid);
-            const unitCost = this._getBuyPrice(price);
+            const unitCost = getBuyPrice(itemHrid);
             consumableCostPerHr += (count / hours) * unitCost;
         }
 
@@ -2495,11 +2566,7 @@ class CombatSimUI {
         let keyCostPerHrMetric = 0;
         if (simResult.isDungeon && gameData) {
             const dropMap = calculateExpectedDrops(simResult, gameData, activeTab);
-            const getBuyPriceForKey = (keyHrid) => {
-                const price = marketAPI.getPrice(keyHrid);
-                return this._getBuyPrice(price);
-            };
-            const keyCosts = calculateDungeonKeyCosts(dropMap, getBuyPriceForKey);
+            const keyCosts = calculateDungeonKeyCosts(dropMap, getBuyPrice);
             for (const key of keyCosts) {
                 keyCostPerHrMetric += (key.count / hours) * key.unitCost;
             }
@@ -2795,6 +2862,82 @@ class CombatSimUI {
         return formatWithSeparator(Math.round(value));
     }
 
+    /**
+     * Render the Precision section: mean ± 95% interval of key metrics across chunks,
+     * plus a convergence indicator based on the XP/hr interval.
+     * @param {Object} simResult - Merged SimResult (chunks from the runner)
+     * @param {Object} gameData
+     * @param {string} activeTab - Player hrid
+     * @param {Object} styles - Section, heading, row, label and value styles
+     * @returns {string} HTML string
+     * @private
+     */
+    _renderPrecisionSection(simResult, gameData, activeTab, styles) {
+        const { sectionStyle, headingStyle, rowStyle, labelStyle, valueStyle } = styles;
+        const chunks = (simResult.chunks || []).filter((chunk) => chunk.simulatedTime > 0);
+
+        let html = `<div style="${sectionStyle}">`;
+        html += `<div style="${headingStyle}">Precision (95% CI)</div>`;
+
+        if (chunks.length < 2) {
+            html += `<div style="${rowStyle}">`;
+            html += `<span style="${labelStyle}">Convergence</span>`;
+            html += `<span style="color:#888; font-weight:600;" title="Intervals need at least two simulation chunks. Simulate more hours.">n/a</span>`;
+            html += '</div></div>';
+            return html;
+        }
+
+        const chunkHours = chunks.map((chunk) => chunk.simulatedTime / ONE_HOUR_NS);
+        const chunkMetrics = chunks.map((chunk, i) => this._computeMetrics(chunk, chunkHours[i], gameData, activeTab));
+        const summarize = (getValue) =>
+            summarizeChunkValues(
+                chunks.map((chunk, i) => getValue(chunkMetrics[i], chunk, chunkHours[i])),
+                chunkHours
+            );
+
+        const xp = summarize((_metrics, chunk, h) => this._getChunkXpPerHr(chunk, h, activeTab));
+        const rows = [
+            ['XP/hr', xp, (v) => formatWithSeparator(Math.round(v))],
+            ['Profit/hr', summarize((metrics) => metrics.profitPerHr), (v) => formatKMB(v)],
+            [
+                'Encounters/hr',
+                summarize((metrics) => metrics.encountersPerHr),
+                (v) => formatWithSeparator(Math.round(v)),
+            ],
+            [
+                'Deaths/hr',
+                summarize((_metrics, chunk, h) => (chunk.deaths?.[activeTab] || 0) / h),
+                (v) => this._formatRate(v),
+            ],
+        ];
+
+        const relativeError = xp.relativeError;
+        let badge = { text: 'Noisy', color: '#ff6b6b' };
+        if (relativeError !== null && relativeError <= 0.01) badge = { text: 'Converged', color: '#4ade80' };
+        else if (relativeError !== null && relativeError <= 0.05) badge = { text: 'Fair', color: '#fbbf24' };
+        const errorText = relativeError !== null ? ` ±${formatPercentage(relativeError, 2)}` : '';
+
+        html += `<div style="${rowStyle}">`;
+        html += `<span style="${labelStyle}">Convergence</span>`;
+        html += `<span style="color:${badge.color}; font-weight:600;" title="95% interval on XP/hr across ${chunks.length} chunks">${badge.text}${errorText}</span>`;
+        html += '</div>';
+        if (simResult.precision) {
+            const { target, reached } = simResult.precision;
+            html += `<div style="${rowStyle}">`;
+            html += `<span style="${labelStyle}">Target ±${formatPercentage(target)}</span>`;
+            html += `<span style="color:${reached ? '#4ade80' : '#ff6b6b'}; font-weight:600;">${reached ? 'Reached' : 'Not reached (hour limit)'}</span>`;
+            html += '</div>';
+        }
+        for (const [label, summary, format] of rows) {
+            html += `<div style="${rowStyle}">`;
+            html += `<span style="${labelStyle}">${label}</span>`;
+            html += `<span style="${valueStyle}">${format(summary.mean)} <span style="color:#888; font-weight:400;">± ${format(summary.halfWidth)}</span></span>`;
+            html += '</div>';
+        }
+        html += '</div>';
+        return html;
+    }
+
     /**
      * Format a rate value with one decimal place.
      * @param {number} value
@@ -2817,6 +2960,39 @@ class CombatSimUI {
         if (status) status.textContent = text;
     }
 
+    /**
+     * Seed entered in the Configure tab.
+     * @returns {number|null} Seed, or null when the field is empty
+     * @private
+     */
+    _getSeed() {
+        return parseSeed(this.panel?.querySelector('#mwi-csim-seed')?.value);
+    }
+
+    /**
+     * Read the target precision for "simulate until" runs.
+     * @returns {number|null} Relative 95% half-width (0.01 = ±1%), or null for a fixed-hours run
+     * @private
+     */
+    _getPrecisionTarget() {
+        if (!this.panel?.querySelector('#mwi-csim-precision-enabled')?.checked) return null;
+        const percent = parseFloat(this.panel.querySelector('#mwi-csim-precision')?.value);
+        return percent > 0 ? percent / 100 : null;
+    }
+
+    /**
+     * Total XP/hr of one player within a single simulation chunk.
+     * @param {Object} chunk - Chunk metrics (see SimResult.getChunkMetrics)
+     * @param {number} chunkHours - Simulated hours in the chunk
+     * @param {string} playerHrid
+     * @returns {number}
+     * @private
+     */
+    _getChunkXpPerHr(chunk, chunkHours, playerHrid) {
+        const xp = Object.values(chunk.experienceGained?.[playerHrid] || {}).reduce((sum, amount) => sum + amount, 0);
+        return chunkHours > 0 ? xp / chunkHours : 0;
+    }
+
     /**
      * Show a temporary warning toast overlaid on the panel.
      * @param {string} text - Warning message
@@ -2980,38 +3156,6 @@ class CombatSimUI {
         this._seekResults = null;
     }
 
-    /**
-     * Get the sell price for an item based on the global pricing mode.
-     * @param {Object} priceData - { bid, ask } from marketAPI
-     * @returns {number}
-     * @private
-     */
-    _getSellPrice(priceData) {
-        if (!priceData) return 0;
-        const mode = config.getSettingValue('profitCalc_pricingMode', 'hybrid');
-        // conservative/patientBuy → bid; hybrid/optimistic → ask
-        if (mode === 'conservative' || mode === 'patientBuy') {
-            return priceData.bid > 0 ? priceData.bid : 0;
-        }
-        return priceData.ask > 0 ? priceData.ask : 0;
-    }
-
-    /**
-     * Get the buy price for an item based on the global pricing mode.
-     * @param {Object} priceData - { bid, ask } from marketAPI
-     * @returns {number}
-     * @private
-     */
-    _getBuyPrice(priceData) {
-        if (!priceData) return 0;
-        const mode = config.getSettingValue('profitCalc_pricingMode', 'hybrid');
-        // optimistic/patientBuy → bid; conservative/hybrid → ask
-        if (mode === 'optimistic' || mode === 'patientBuy') {
-            return priceData.bid > 0 ? priceData.bid : 0;
-        }
-        return priceData.ask > 0 ? priceData.ask : 0;
-    }
-
     /**
      * Populate the player selector dropdown in the Upgrade tab.
      * @private
@@ -3110,10 +3254,103 @@ class CombatSimUI {
         runBtn.style.display = 'none';
         stopBtn.style.display = 'inline-block';
         this._upgradeAborted = false;
+        this._upgradeRunMode = upgradeMode;
 
         const communityBuffs = getCommunityBuffs();
+        const onProgress = ({ current, total, description }) => {
+            if (this._upgradeAborted) return;
+            const fill = this.panel.querySelector('#mwi-csim-upgrade-progress-fill');
+            const text = this.panel.querySelector('#mwi-csim-upgrade-progress-text');
+            const pct = Math.round((current / total) * 100);
+            if (fill) fill.style.width = pct + '%';
+            if (text) text.textContent = `${current} / ${total}`;
+            this._setStatus(description);
+        };
 
         try {
+            if (upgradeMode === 'triggers') {
+                const results = await runTriggerOptimization(
+                    {
+                        playerDTOs,
+                        playerIndex,
+                        zones: this._getOptimizerZones(zoneHrid, difficultyTier),
+                        hours,
+                        communityBuffs,
+                        objective: this.panel.querySelector('#mwi-csim-upgrade-objective')?.value || 'xp',
+                        seed: this._getSeed(),
+                    },
+                    onProgress,
+                    { abortSignal: () => this._upgradeAborted }
+                );
+
+                if (this._upgradeAborted) {
+                    this._setStatus('Optimization cancelled.');
+                } else {
+                    this._renderTriggerResults(results);
+                    this._setStatus(
+                        `Optimization complete. ${results.zones.length} zones optimized on common seed ${results.seed}.`
+                    );
+                }
+                return;
+            }
+
+            if (upgradeMode === 'sensitivity') {
+                const results = await runStatSensitivity(
+                    {
+                        playerDTOs,
+                        playerIndex,
+                        zoneHrid,
+                        difficultyTier,
+                        hours,
+                        communityBuffs,
+                        seed: this._getSeed(),
+                    },
+                    onProgress,
+                    { abortSignal: () => this._upgradeAborted }
+                );
+
+                if (this._upgradeAborted) {
+                    this._setStatus('Analysis cancelled.');
+                } else if (!results) {
+                    this._setStatus('Analysis failed: the baseline could not be simulated.');
+                } else {
+                    this._renderSensitivityResults(results);
+                    this._setStatus(
+                        `Analysis complete. ${results.results.length} stats valued on common seed ${results.seed}.`
+                    );
+                }
+                return;
+            }
+
+            if (upgradeMode === 'consumables') {
+                const maxDeaths = parseFloat(this.panel.querySelector('#mwi-csim-upgrade-max-deaths')?.value);
+                const results = await runConsumableOptimization(
+                    {
+                        playerDTOs,
+                        playerIndex,
+                        zoneHrid,
+                        difficultyTier,
+                        hours,
+                        communityBuffs,
+                        objective: this.panel.querySelector('#mwi-csim-upgrade-objective')?.value || 'profit',
+                        maxDeathsPerHour: maxDeaths >= 0 ? maxDeaths : null,
+                        seed: this._getSeed(),
+                    },
+                    onProgress,
+                    { abortSignal: () => this._upgradeAborted }
+                );
+
+                if (this._upgradeAborted) {
+                    this._setStatus('Optimization cancelled.');
+                } else {
+                    this._renderConsumableResults(results);
+                    this._setStatus(
+                        `Optimization complete. Loadouts ranked with at most ${this._formatDeaths(results.deathLimit ?? 0)} deaths/hr on common seed ${results.seed}.`
+                    );
+                }
+                return;
+            }
+
             const skipBackSlot = this.panel.querySelector('#mwi-csim-upgrade-skip-back')?.checked || false;
             const results = await runUpgradeAnalysis(
                 {
@@ -3127,16 +3364,9 @@ class CombatSimUI {
                     abilityLevelType,
                     abilityTargetLevel,
                     skipBackSlot,
+                    seed: this._getSeed(),
                 },
-                ({ current, total, description }) => {
-                    if (this._upgradeAborted) return;
-                    const fill = this.panel.querySelector('#mwi-csim-upgrade-progress-fill');
-                    const text = this.panel.querySelector('#mwi-csim-upgrade-progress-text');
-                    const pct = Math.round((current / total) * 100);
-                    if (fill) fill.style.width = pct + '%';
-                    if (text) text.textContent = `${current} / ${total}`;
-                    this._setStatus(description);
-                },
+                onProgress,
                 { abortSignal: () => this._upgradeAborted }
             );
 
@@ -3144,9 +3374,15 @@ class CombatSimUI {
                 this._setStatus('Analysis cancelled.');
             } else {
                 this._renderUpgradeResults(results);
-                this._setStatus(`Analysis complete. ${results.results.length} upgrades evaluated.`);
+                this._setStatus(
+                    `Analysis complete. ${results.results.length} upgrades evaluated on common seed ${results.seed}.`
+                );
             }
         } catch (error) {
+            if (this._upgradeAborted && error.message === 'Cancelled') {
+                this._setStatus('Analysis cancelled.');
+                return;
+            }
             console.error('[CombatSimUI] Upgrade analysis failed:', error);
             this._setStatus('Analysis failed: ' + error.message);
         } finally {
@@ -3156,6 +3392,177 @@ class CombatSimUI {
         }
     }
 
+    /**
+     * Zones for the optimizer modes: the All Zones checklist when that mode is on, otherwise
+     * the zone and tier picked in the Configure tab.
+     * @param {string} zoneHrid
+     * @param {number} difficultyTier
+     * @returns {Array<{zoneHrid: string, difficultyTier: number, name: string}>}
+     * @private
+     */
+    _getOptimizerZones(zoneHrid, difficultyTier) {
+        if (this._allZonesMode) return this._getSelectedAllZones();
+        const zone = getCombatZones().find((z) => z.hrid === zoneHrid);
+        return [{ zoneHrid, difficultyTier, name: zone?.name || zoneHrid }];
+    }
+
+    /**
+     * Render trigger optimizer results: one row per zone with its gain and the changed triggers.
+     * @param {Object} results - runTriggerOptimization() result
+     * @private
+     */
+    _renderTriggerResults(results) {
+        const container = this.panel.querySelector('#mwi-csim-upgrade-results');
+        if (!container) return;
+
+        if (!results.zones.length) {
+            container.innerHTML =
+                '<div style="color:#888; text-align:center; padding:20px;">No adjustable triggers found. Abilities need threshold triggers (HP, MP or unit counts) or at least two normal abilities to reorder.</div>';
+            return;
+        }
+
+        const tableStyle = 'width:100%; border-collapse:collapse; font-size:11px;';
+        const thStyle = 'padding:4px 6px; text-align:left; border-bottom:1px solid #333; color:#888; font-weight:600;';
+        const tdStyle = 'padding:4px 6px; border-bottom:1px solid #1a1a2e; vertical-align:top;';
+        const objectiveLabels = { xp: 'EXP/hr', profit: 'Profit/hr', dps: 'DPS' };
+        const fmtPct = (val) => `${val >= 0 ? '+' : ''}${val.toFixed(2)}%`;
+        const pctColor = (val) => (val > 0.05 ? '#4caf50' : val < -0.05 ? '#f44336' : '#888');
+
+        let html = `<table style="${tableStyle}">
+            <thead><tr>
+                <th style="${thStyle}">Zone</th>
+                <th style="${thStyle}">Gain (${objectiveLabels[results.objective] || results.objective})</th>
+                <th style="${thStyle}">EXP/hr</th>
+                <th style="${thStyle}">Profit/hr</th>
+                <th style="${thStyle}">Best triggers</th>
+            </tr></thead><tbody>`;
+
+        for (const zone of results.zones) {
+            const gain = zone.deltas[results.objective] ?? 0;
+            const changes = zone.changes.length
+                ? zone.changes.map((change) => `<div>${change}</div>`).join('')
+                : '<span style="color:#888;">Current triggers are best</span>';
+            html += `<tr>
+                <td style="${tdStyle}">${zone.name}${zone.difficultyTier > 0 ? ` T${zone.difficultyTier}` : ''}</td>
+                <td style="${tdStyle} color:${pctColor(gain)}; font-weight:700;">${fmtPct(gain)}</td>
+                <td style="${tdStyle}">${formatKMB(zone.best.xpPerHour)} <span style="color:${pctColor(zone.deltas.xp)};">${fmtPct(zone.deltas.xp)}</span></td>
+                <td style="${tdStyle}">${formatKMB(zone.best.profitPerHour)} <span style="color:${pctColor(zone.deltas.profit)};">${fmtPct(zone.deltas.profit)}</span></td>
+                <td style="${tdStyle}" title="${zone.evaluated} setups simulated">${changes}</td>
+            </tr>`;
+        }
+
+        html += '</tbody></table>';
+        container.innerHTML = html;
+    }
+
+    /**
+     * Render consumable optimizer results: loadouts ranked by the objective, current loadout highlighted.
+     * @param {Object} results - runConsumableOptimization() result
+     * @private
+     */
+    _renderConsumableResults(results) {
+        const container = this.panel.querySelector('#mwi-csim-upgrade-results');
+        if (!container) return;
+
+        if (!results.baseline) {
+            container.innerHTML =
+                '<div style="color:#888; text-align:center; padding:20px;">The current loadout could not be simulated.</div>';
+            return;
+        }
+
+        const tableStyle = 'width:100%; border-collapse:collapse; font-size:11px;';
+        const thStyle = 'padding:4px 6px; text-align:left; border-bottom:1px solid #333; color:#888; font-weight:600;';
+        const tdStyle = 'padding:4px 6px; border-bottom:1px solid #1a1a2e; vertical-align:top;';
+        const base = results.baseline.metrics;
+        const fmtDelta = (val, baseVal) => {
+            if (Math.abs(val - baseVal) < 0.5) return '';
+            const color = val > baseVal ? '#4caf50' : '#f44336';
+            return ` <span style="color:${color};">${val > baseVal ? '+' : ''}${formatKMB(val - baseVal)}</span>`;
+        };
+
+        let html = `<table style="${tableStyle}">
+            <thead><tr>
+                <th style="${thStyle}">#</th>
+                <th style="${thStyle}">Food</th>
+                <th style="${thStyle}">Drinks</th>
+                <th style="${thStyle}">Profit/hr</th>
+                <th style="${thStyle}">EXP/hr</th>
+                <th style="${thStyle}">Deaths/hr</th>
+                <th style="${thStyle}">Cost/hr</th>
+            </tr></thead><tbody>`;
+
+        results.results.forEach((entry, i) => {
+            const rowStyle = entry.isCurrent
+                ? `background:${ACCENT_BG}; color:${ACCENT};`
+                : entry.feasible
+                  ? 'color:#e0e0e0;'
+                  : 'color:#666;';
+            const deathsTitle = entry.feasible ? '' : ' title="Over the death limit"';
+            html += `<tr style="${rowStyle}">
+                <td style="${tdStyle}">${entry.isCurrent ? 'Now' : i + 1}</td>
+                <td style="${tdStyle}">${entry.food.join('<br>') || '—'}</td>
+                <td style="${tdStyle}">${entry.drinks.join('<br>') || '—'}</td>
+                <td style="${tdStyle}">${formatKMB(entry.metrics.profitPerHour)}${fmtDelta(entry.metrics.profitPerHour, base.profitPerHour)}</td>
+                <td style="${tdStyle}">${formatKMB(entry.metrics.xpPerHour)}${fmtDelta(entry.metrics.xpPerHour, base.xpPerHour)}</td>
+                <td style="${tdStyle}"${deathsTitle}>${this._formatDeaths(entry.metrics.deathsPerHour)}</td>
+                <td style="${tdStyle}">${formatKMB(entry.costPerHour)}</td>
+            </tr>`;
+        });
+
+        html += '</tbody></table>';
+        container.innerHTML = html;
+    }
+
+    /**
+     * Render stat sensitivity results: the change in each metric per unit of each stat.
+     * @param {Object} results - runStatSensitivity() result
+     * @private
+     */
+    _renderSensitivityResults(results) {
+        const container = this.panel.querySelector('#mwi-csim-upgrade-results');
+        if (!container) return;
+
+        const tableStyle = 'width:100%; border-collapse:collapse; font-size:11px;';
+        const thStyle = 'padding:4px 6px; text-align:left; border-bottom:1px solid #333; color:#888; font-weight:600;';
+        const tdStyle = 'padding:4px 6px; border-bottom:1px solid #1a1a2e;';
+        const base = results.baseline;
+        const signed = (text, val) => (val > 0 ? `+${text}` : text);
+        const color = (val, higherIsBetter = true) =>
+            val === 0 ? '#888' : val > 0 === higherIsBetter ? '#4caf50' : '#f44336';
+        const fmtUnit = (entry) => (entry.isPercent ? `+${Math.round(entry.unit * 100)}%` : `+${entry.unit}`);
+        const fmtValue = (val) => (Math.abs(val) < 1000 ? val.toFixed(Math.abs(val) < 10 ? 2 : 1) : formatKMB(val));
+
+        let html = `<div style="color:#888; font-size:11px; padding:4px 6px;">
+            Baseline (${results.style}): ${formatKMB(base.xpPerHour)} EXP/hr, ${formatKMB(base.profitPerHour)} profit/hr,
+            ${this._formatDeaths(base.deathsPerHour)} deaths/hr. Values are per unit of each stat.
+        </div>
+        <table style="${tableStyle}">
+            <thead><tr>
+                <th style="${thStyle}">Stat</th>
+                <th style="${thStyle}">Per</th>
+                <th style="${thStyle}">EXP/hr</th>
+                <th style="${thStyle}">Profit/hr</th>
+                <th style="${thStyle}">Deaths/hr</th>
+                <th style="${thStyle}">DPS</th>
+            </tr></thead><tbody>`;
+
+        for (const entry of results.results) {
+            const { xpPerHour, profitPerHour, deathsPerHour, dps } = entry.marginal;
+            const stepText = entry.isPercent ? `${Math.round(entry.step * 100)}%` : entry.step;
+            html += `<tr title="Simulated with +${stepText} ${entry.label}">
+                <td style="${tdStyle}">${entry.label}</td>
+                <td style="${tdStyle} color:#888;">${fmtUnit(entry)}</td>
+                <td style="${tdStyle} color:${color(xpPerHour)};">${signed(fmtValue(xpPerHour), xpPerHour)}</td>
+                <td style="${tdStyle} color:${color(profitPerHour)};">${signed(fmtValue(profitPerHour), profitPerHour)}</td>
+                <td style="${tdStyle} color:${color(deathsPerHour, false)};">${signed(deathsPerHour.toFixed(3), deathsPerHour)}</td>
+                <td style="${tdStyle} color:${color(dps)};">${signed(dps.toFixed(2), dps)}</td>
+            </tr>`;
+        }
+
+        html += '</tbody></table>';
+        container.innerHTML = html;
+    }
+
     /**
      * Render upgrade analysis results as an expandable table.
      * @param {Object} results - { baseline, results: [{candidate, cost, metrics, deltas, goldPer}] }
@@ -7,6 +7,7 @@
  */
 
 import { setGameData } from './engine/game-data.js';
+import { setRandomSeed } from './engine/random.js';
 import CombatSimulator from './engine/combat-simulator.js';
 import Labyrinth from './engine/labyrinth.js';
 import Player from './engine/player.js';
@@ -26,10 +27,12 @@ onmessage = function (event) {
             simulationTimeLimit,
             extraBuffs,
             labyrinth: labyrinthData,
+            seed = null,
         } = event.data;
 
         // Set game data for the engine singleton
         setGameData(gameData);
+        setRandomSeed(seed);
 
         // Create Zone (used as fallback even in labyrinth mode for SimResult constructor)
         const zone = new Zone(zoneHrid, difficultyTier);
@@ -70,6 +73,7 @@ onmessage = function (event) {
 
         // Run simulation
         const simResult = combatSimulator.simulate(simulationTimeLimit);
+        simResult.chunkMetrics = simResult.getChunkMetrics();
 
         postMessage({
             type: 'result',
@@ -0,0 +1,312 @@
+/**
+ * Consumable Loadout Optimizer for Combat Sim
+ *
+ * Searches food and drink combinations for one player by hill climbing from the current
+ * loadout. Each round simulates every single-slot change (a tier up or down, another
+ * consumable type, or an emptied slot) in one batch on the all-zones worker pool and
+ * moves to the best one. Consumption is priced at current market prices, so profit/hr
+ * already pays for what the loadout eats and drinks. A loadout only counts if its death
+ * rate stays within the limit; all runs share one seed (common random numbers).
+ */
+
+import { buildGameDataPayload, calculateSimRevenue, getConsumableSlotType } from './combat-sim-adapter.js';
+import { runAllZonesSimulation } from './all-zones-runner.js';
+import { computeMetrics, OBJECTIVE_METRICS } from './upgrade-advisor.js';
+import { createRandomSeed } from './engine/random.js';
+
+/** Food and drink slots without a pouch; pouches add more (see engine/player.js) */
+const BASE_CONSUMABLE_SLOTS = 1;
+
+const CONSUMABLE_KINDS = ['food', 'drinks'];
+
+/** Hill-climbing rounds after the first (current loadout + its neighbours) */
+const MAX_ROUNDS = 3;
+
+/** Minimum relative gain to move to a new loadout, so the search does not chase noise */
+const MIN_GAIN = 0.002;
+
+/** Loadouts listed in the result */
+const MAX_RESULTS = 15;
+
+/**
+ * Combat consumables grouped by slot type, each group ordered from lowest to highest tier.
+ * Food is anything in a food category; drinks are the coffees (skilling teas do nothing in combat).
+ * @param {Object} itemDetailMap
+ * @returns {{food: Object<string, string[]>, drinks: Object<string, string[]>, typeOf: Object<string, string>}}
+ */
+export function getConsumableCandidates(itemDetailMap) {
+    const candidates = { food: {}, drinks: {}, typeOf: {} };
+    const levels = {};
+
+    for (const [hrid, item] of Object.entries(itemDetailMap || {})) {
+        const detail = item.consumableDetail;
+        if (!detail) continue;
+
+        let kind = null;
+        if ((item.categoryHrid || '').includes('food')) kind = 'food';
+        else if (hrid.includes('coffee') && detail.cooldownDuration > 0) kind = 'drinks';
+        if (!kind) continue;
+
+        const type = getConsumableSlotType(detail);
+        if (!type) continue;
+
+        (candidates[kind][type] ||= []).push(hrid);
+        candidates.typeOf[hrid] = type;
+        levels[hrid] = item.itemLevel || 0;
+    }
+
+    for (const kind of CONSUMABLE_KINDS) {
+        for (const tiers of Object.values(candidates[kind])) {
+            tiers.sort((a, b) => levels[a] - levels[b]);
+        }
+    }
+    return candidates;
+}
+
+/**
+ * Food and drink slots the player can use: one each, plus what the equipped pouch adds.
+ * The engine does not enforce this limit, so the optimizer has to.
+ * @param {Object} playerDTO
+ * @param {Object} gameData - From buildGameDataPayload()
+ * @returns {{food: number, drinks: number}}
+ */
+export function getConsumableSlotCounts(playerDTO, gameData) {
+    const pouch = playerDTO.equipment?.['/equipment_types/pouch'];
+    const detail = pouch && gameData.itemDetailMap?.[pouch.hrid]?.equipmentDetail;
+    const multiplier = gameData.enhancementLevelTotalBonusMultiplierTable?.[pouch?.enhancementLevel || 0] || 0;
+    const pouchSlots = (stat) => {
+        if (!detail?.combatStats?.[stat]) return 0;
+        return detail.combatStats[stat] + multiplier * (detail.combatEnhancementBonuses?.[stat] || 0);
+    };
+    return {
+        food: BASE_CONSUMABLE_SLOTS + pouchSlots('foodSlots'),
+        drinks: BASE_CONSUMABLE_SLOTS + pouchSlots('drinkSlots'),
+    };
+}
+
+/**
+ * The player's current food and drinks as a loadout, one entry per usable slot.
+ * @param {Object} playerDTO
+ * @param {{food: number, drinks: number}} slotCounts - From getConsumableSlotCounts()
+ * @returns {{food: Array<string|null>, drinks: Array<string|null>}}
+ */
+export function getCurrentLoadout(playerDTO, slotCounts) {
+    const slots = (entries = [], count) => Array.from({ length: count }, (_, i) => entries[i]?.hrid || null);
+    return { food: slots(playerDTO.food, slotCounts.food), drinks: slots(playerDTO.drinks, slotCounts.drinks) };
+}
+
+/**
+ * Identity of a loadout; slot order does not matter.
+ * @param {Object} loadout
+ * @returns {string}
+ */
+export function getLoadoutKey(loadout) {
+    return JSON.stringify(CONSUMABLE_KINDS.map((kind) => loadout[kind].filter(Boolean).sort()));
+}
+
+/**
+ * All loadouts one slot change away. A filled slot can move a tier up or down, switch to an
+ * unused consumable type at the same tier rank, or be emptied; an empty slot can take the
+ * top tier of any unused type.
+ * @param {Object} loadout
+ * @param {Object} candidates - getConsumableCandidates() result
+ * @returns {Array<Object>} Neighbouring loadouts (duplicates removed)
+ */
+export function getNeighbourLoadouts(loadout, candidates) {
+    const neighbours = new Map();
+    const add = (next) => {
+        const key = getLoadoutKey(next);
+        if (key !== getLoadoutKey(loadout) && !neighbours.has(key)) neighbours.set(key, next);
+    };
+
+    for (const kind of CONSUMABLE_KINDS) {
+        const groups = candidates[kind];
+        const slots = loadout[kind];
+        const usedTypes = new Set(slots.filter(Boolean).map((hrid) => candidates.typeOf[hrid]));
+        const unusedTypes = Object.keys(groups).filter((type) => !usedTypes.has(type));
+        const withSlot = (index, hrid) => ({ ...loadout, [kind]: slots.map((h, i) => (i === index ? hrid : h)) });
+
+        slots.forEach((hrid, index) => {
+            if (!hrid) {
+                for (const type of unusedTypes) add(withSlot(index, groups[type].at(-1)));
+                return;
+            }
+
+            const tiers = groups[candidates.typeOf[hrid]] || [hrid];
+            const rank = Math.max(0, tiers.indexOf(hrid));
+            if (rank > 0) add(withSlot(index, tiers[rank - 1]));
+            if (rank < tiers.length - 1) add(withSlot(index, tiers[rank + 1]));
+            for (const type of unusedTypes) {
+                add(withSlot(index, groups[type][Math.min(rank, groups[type].length - 1)]));
+            }
+            add(withSlot(index, null));
+        });
+    }
+
+    return [...neighbours.values()];
+}
+
+/**
+ * Apply a loadout to a copy of the player DTO. Consumables the player already has keep their
+ * triggers; new ones use the game's default triggers.
+ * @param {Object} playerDTO
+ * @param {Object} loadout
+ * @returns {Object} New player DTO
+ */
+export function applyLoadout(playerDTO, loadout) {
+    const dto = JSON.parse(JSON.stringify(playerDTO));
+    for (const kind of CONSUMABLE_KINDS) {
+        dto[kind] = loadout[kind].map((hrid) => {
+            if (!hrid) return null;
+            const existing = (playerDTO[kind] || []).find((entry) => entry?.hrid === hrid);
+            return existing ? JSON.parse(JSON.stringify(existing)) : { hrid, triggers: null };
+        });
+    }
+    return dto;
+}
+
+/**
+ * Optimize the food and drink loadout for one zone.
+ * @param {Object} params - { playerDTOs, playerIndex, zoneHrid, difficultyTier, hours, communityBuffs,
+ *   objective: 'profit'|'xp'|'dps', maxDeathsPerHour (null = no more deaths than the current loadout),
+ *   seed, maxRounds }
+ * @param {Function} onProgress - Called with { current, total, description }
+ * @param {Object} [options] - { abortSignal: () => boolean }
+ * @returns {Promise<Object>} { seed, objective, deathLimit, baseline, results: [{loadout, food, drinks,
+ *   metrics, costPerHour, feasible, isCurrent}] } with results ranked best first
+ */
+export async function runConsumableOptimization(params, onProgress, options = {}) {
+    const {
+        playerDTOs,
+        playerIndex,
+        zoneHrid,
+        difficultyTier,
+        hours,
+        communityBuffs,
+        objective = 'profit',
+        maxDeathsPerHour = null,
+        maxRounds = MAX_ROUNDS,
+    } = params;
+    const seed = params.seed ?? createRandomSeed();
+    const { abortSignal } = options;
+    const gameData = buildGameDataPayload();
+    if (!gameData) throw new Error('No game data available');
+
+    const playerDTO = playerDTOs[playerIndex];
+    const candidates = getConsumableCandidates(gameData.itemDetailMap);
+    const current = getCurrentLoadout(playerDTO, getConsumableSlotCounts(playerDTO, gameData));
+    const metricKey = OBJECTIVE_METRICS[objective] || OBJECTIVE_METRICS.profit;
+    const itemName = (hrid) => gameData.itemDetailMap[hrid]?.name || hrid.split('/').pop();
+
+    const evaluated = new Map(); // loadout key → entry
+    const visited = new Set([getLoadoutKey(current)]);
+    let deathLimit = maxDeathsPerHour;
+    let baseline = null;
+
+    const isFeasible = (entry) => entry.metrics.deathsPerHour <= deathLimit;
+    // Feasible loadouts first (best objective first), then the rest by fewest deaths
+    const compare = (a, b) => {
+        if (isFeasible(a) !== isFeasible(b)) return isFeasible(a) ? -1 : 1;
+        if (isFeasible(a)) return b.metrics[metricKey] - a.metrics[metricKey];
+        return a.metrics.deathsPerHour - b.metrics.deathsPerHour;
+    };
+    const isImprovement = (next, prev) => {
+        if (isFeasible(next) !== isFeasible(prev)) return isFeasible(next);
+        if (isFeasible(next)) {
+            const gain = next.metrics[metricKey] - prev.metrics[metricKey];
+            return gain > Math.abs(prev.metrics[metricKey]) * MIN_GAIN;
+        }
+        const reduction = prev.metrics.deathsPerHour - next.metrics.deathsPerHour;
+        return reduction > prev.metrics.deathsPerHour * MIN_GAIN;
+    };
+
+    let position = current;
+    let simsDone = 0;
+    for (let round = 0; round <= maxRounds; round++) {
+        if (abortSignal?.()) break;
+
+        const loadouts = round === 0 ? [current] : [];
+        for (const loadout of getNeighbourLoadouts(position, candidates)) {
+            const key = getLoadoutKey(loadout);
+            if (visited.has(key)) continue;
+            visited.add(key);
+            loadouts.push(loadout);
+        }
+        if (loadouts.length === 0) break;
+
+        const done = simsDone;
+        const total = done + loadouts.length;
+        const description = `Round ${round + 1}: simulating ${loadouts.length} loadouts...`;
+        onProgress?.({ current: done, total, description });
+
+        const simResults = await runAllZonesSimulation(
+            {
+                gameData,
+                playerDTOs,
+                hours,
+                communityBuffs,
+                seed,
+                zones: loadouts.map((loadout) => ({
+                    zoneHrid,
+                    difficultyTier,
+                    playerDTOs: playerDTOs.map((dto, i) =>
+                        i === playerIndex ? applyLoadout(playerDTO, loadout) : dto
+                    ),
+                })),
+            },
+            (percent) =>
+                onProgress?.({ current: done + Math.floor((loadouts.length * percent) / 100), total, description })
+        );
+        simsDone = total;
+        if (abortSignal?.()) break;
+
+        const roundEntries = [];
+        for (const [i, loadout] of loadouts.entries()) {
+            const simResult = simResults[i];
+            if (!simResult) continue;
+            const simHours = (simResult.simulatedTime || 0) / (3600 * 1e9) || hours;
+            const entry = {
+                loadout,
+                food: loadout.food.filter(Boolean).map(itemName),
+                drinks: loadout.drinks.filter(Boolean).map(itemName),
+                metrics: computeMetrics(simResult, gameData, playerDTO.hrid, hours),
+                costPerHour: calculateSimRevenue(simResult, gameData, playerDTO.hrid, simHours).costPerHour,
+                isCurrent: loadout === current,
+            };
+            evaluated.set(getLoadoutKey(loadout), entry);
+            if (entry.isCurrent) baseline = entry;
+            else roundEntries.push(entry);
+        }
+
+        if (!baseline) break;
+        deathLimit ??= baseline.metrics.deathsPerHour;
+
+        const positionEntry = evaluated.get(getLoadoutKey(position));
+        const best = roundEntries.sort(compare)[0];
+        if (!best || !isImprovement(best, positionEntry)) break;
+        position = best.loadout;
+    }
+
+    const entries = [...evaluated.values()].map((entry) => ({ ...entry, feasible: isFeasible(entry) }));
+    entries.sort(compare);
+    const results = entries.slice(0, MAX_RESULTS);
+    if (baseline && !results.some((entry) => entry.isCurrent)) {
+        results.push(entries.find((entry) => entry.isCurrent));
+    }
+
+    return {
+        seed,
+        objective,
+        deathLimit,
+        baseline: baseline ? { ...baseline, feasible: isFeasible(baseline) } : null,
+        results,
+    };
+}
+
+export default {
+    runConsumableOptimization,
+    getConsumableCandidates,
+    getConsumableSlotCounts,
+    getNeighbourLoadouts,
+    applyLoadout,
+};
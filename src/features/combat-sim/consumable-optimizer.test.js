@@ -0,0 +1,114 @@
+import { describe, expect, test, vi } from 'vitest';
+import { getConsumableSlotType } from './combat-sim-adapter.js';
+
+vi.mock('./combat-sim-adapter.js', async (importOriginal) => ({
+    getConsumableSlotType: (await importOriginal()).getConsumableSlotType,
+    buildGameDataPayload: vi.fn(),
+    calculateSimRevenue: vi.fn(),
+}));
+vi.mock('./all-zones-runner.js', () => ({ runAllZonesSimulation: vi.fn() }));
+vi.mock('./upgrade-advisor.js', () => ({ computeMetrics: vi.fn(), OBJECTIVE_METRICS: {} }));
+
+const {
+    applyLoadout,
+    getConsumableCandidates,
+    getConsumableSlotCounts,
+    getCurrentLoadout,
+    getLoadoutKey,
+    getNeighbourLoadouts,
+} = await import('./consumable-optimizer.js');
+
+const food = (itemLevel, detail) => ({ categoryHrid: '/item_categories/food', itemLevel, consumableDetail: detail });
+const coffee = (itemLevel, uniqueHrid) => ({
+    categoryHrid: '/item_categories/drink',
+    itemLevel,
+    consumableDetail: { cooldownDuration: 300e9, buffs: [{ uniqueHrid }] },
+});
+
+const itemDetailMap = {
+    '/items/donut': food(1, { hitpointRestore: 100 }),
+    '/items/blueberry_donut': food(20, { hitpointRestore: 200 }),
+    '/items/gummy': food(1, { manapointRestore: 100 }),
+    '/items/yogurt': food(1, { manapointRestore: 50, recoveryDuration: 30e9 }),
+    '/items/stamina_coffee': coffee(1, '/buff_uniques/stamina_coffee'),
+    '/items/super_stamina_coffee': coffee(50, '/buff_uniques/stamina_coffee'),
+    '/items/wisdom_coffee': coffee(20, '/buff_uniques/wisdom_coffee'),
+    '/items/efficiency_tea': { categoryHrid: '/item_categories/drink', consumableDetail: { cooldownDuration: 300e9 } },
+};
+
+describe('getConsumableSlotType', () => {
+    test('separates instant and over-time restores from buffs', () => {
+        expect(getConsumableSlotType(itemDetailMap['/items/donut'].consumableDetail)).toBe('hp_instant');
+        expect(getConsumableSlotType(itemDetailMap['/items/yogurt'].consumableDetail)).toBe('mp_over_time');
+        expect(getConsumableSlotType(itemDetailMap['/items/super_stamina_coffee'].consumableDetail)).toBe(
+            'buff:/buff_uniques/stamina_coffee'
+        );
+        expect(getConsumableSlotType(null)).toBeNull();
+    });
+});
+
+describe('consumable loadouts', () => {
+    const candidates = getConsumableCandidates(itemDetailMap);
+    const playerDTO = {
+        food: [{ hrid: '/items/donut', triggers: [{ value: 40 }] }, null, null],
+        drinks: [{ hrid: '/items/super_stamina_coffee', triggers: null }, null, null],
+    };
+    const current = getCurrentLoadout(playerDTO, { food: 3, drinks: 3 });
+
+    test('has one slot of each kind plus what the pouch adds', () => {
+        const gameData = {
+            itemDetailMap: {
+                '/items/large_pouch': {
+                    equipmentDetail: {
+                        combatStats: { foodSlots: 2, drinkSlots: 1 },
+                        combatEnhancementBonuses: { foodSlots: 0 },
+                    },
+                },
+            },
+            enhancementLevelTotalBonusMultiplierTable: [0, 1],
+        };
+        const withPouch = { ...playerDTO, equipment: { '/equipment_types/pouch': { hrid: '/items/large_pouch' } } };
+
+        expect(getConsumableSlotCounts(playerDTO, gameData)).toEqual({ food: 1, drinks: 1 });
+        expect(getConsumableSlotCounts(withPouch, gameData)).toEqual({ food: 3, drinks: 2 });
+        expect(getCurrentLoadout(playerDTO, { food: 1, drinks: 2 })).toEqual({
+            food: ['/items/donut'],
+            drinks: ['/items/super_stamina_coffee', null],
+        });
+    });
+
+    test('groups combat consumables by slot type in tier order', () => {
+        expect(candidates.food.hp_instant).toEqual(['/items/donut', '/items/blueberry_donut']);
+        expect(candidates.drinks['buff:/buff_uniques/stamina_coffee']).toEqual([
+            '/items/stamina_coffee',
+            '/items/super_stamina_coffee',
+        ]);
+        expect(candidates.typeOf['/items/efficiency_tea']).toBeUndefined();
+    });
+
+    test('changes one slot at a time without repeating a type', () => {
+        const neighbours = getNeighbourLoadouts(current, candidates).map(getLoadoutKey);
+
+        expect(neighbours).toContain(getLoadoutKey({ ...current, food: ['/items/blueberry_donut', null, null] }));
+        expect(neighbours).toContain(getLoadoutKey({ ...current, food: ['/items/donut', '/items/gummy', null] }));
+        expect(neighbours).toContain(getLoadoutKey({ ...current, drinks: ['/items/stamina_coffee', null, null] }));
+        expect(neighbours).toContain(getLoadoutKey({ ...current, drinks: [null, null, null] }));
+        expect(neighbours).not.toContain(getLoadoutKey(current));
+        expect(new Set(neighbours).size).toBe(neighbours.length);
+        for (const key of neighbours) {
+            const [foods, drinks] = JSON.parse(key);
+            expect(new Set(foods.map((h) => candidates.typeOf[h])).size).toBe(foods.length);
+            expect(new Set(drinks.map((h) => candidates.typeOf[h])).size).toBe(drinks.length);
+        }
+    });
+
+    test('keeps triggers of consumables the player already uses', () => {
+        const dto = applyLoadout(playerDTO, { food: ['/items/gummy', '/items/donut', null], drinks: current.drinks });
+        expect(dto.food).toEqual([
+            { hrid: '/items/gummy', triggers: null },
+            { hrid: '/items/donut', triggers: [{ value: 40 }] },
+            null,
+        ]);
+        expect(playerDTO.food[0].hrid).toBe('/items/donut');
+    });
+});
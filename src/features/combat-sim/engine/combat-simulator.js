@@ -21,6 +21,7 @@ import AbilityCastEndEvent from './events/ability-cast-end-event.js';
 import AwaitCooldownEvent from './events/await-cooldown-event.js';
 import Monster from './monster.js';
 import Ability from './ability.js';
+import { RANDOM_STREAM, random } from './random.js';
 
 const ONE_SECOND = 1e9;
 const HOT_TICK_INTERVAL = 5 * ONE_SECOND;
@@ -418,8 +419,8 @@ class CombatSimulator {
         if (parryUnits.length <= 0) {
             return undefined;
         }
-        const randomIndex = Math.floor(Math.random() * parryUnits.length);
-        if (parryUnits[randomIndex].combatDetails.combatStats.parry > Math.random()) {
+        const randomIndex = Math.floor(random(RANDOM_STREAM.TARGETING) * parryUnits.length);
+        if (parryUnits[randomIndex].combatDetails.combatStats.parry > random(RANDOM_STREAM.PROC)) {
             return parryUnits[randomIndex];
         }
         return undefined;
@@ -448,7 +449,7 @@ class CombatSimulator {
                         rangeEnd: cumulativeThreat,
                     });
                 });
-                const randomValueHit = Math.random() * cumulativeThreat;
+                const randomValueHit = random(RANDOM_STREAM.TARGETING) * cumulativeThreat;
                 target = cumulativeRanges.find(
                     (range) => randomValueHit >= range.rangeStart && randomValueHit < range.rangeEnd
                 ).player;
@@ -467,7 +468,7 @@ class CombatSimulator {
                 this.addToWipeLogs(log);
             }
 
-            const mayhem = source.combatDetails.combatStats.mayhem > Math.random();
+            const mayhem = source.combatDetails.combatStats.mayhem > random(RANDOM_STREAM.PROC);
 
             if (attackResult.didHit && source.combatDetails.combatStats.curse > 0) {
                 const curseExpireTime = 15000000000;
@@ -587,7 +588,11 @@ class CombatSimulator {
                 continue;
             }
 
-            if (!attackResult.didHit || parryTarget || source.combatDetails.combatStats.pierce <= Math.random()) {
+            if (
+                !attackResult.didHit ||
+                parryTarget ||
+                source.combatDetails.combatStats.pierce <= random(RANDOM_STREAM.PROC)
+            ) {
                 break;
             }
         }
@@ -1161,11 +1166,17 @@ class CombatSimulator {
 
         const todoAbilities = [ability];
 
-        if (source.combatDetails.combatStats.blaze > 0 && Math.random() < source.combatDetails.combatStats.blaze) {
+        if (
+            source.combatDetails.combatStats.blaze > 0 &&
+            random(RANDOM_STREAM.PROC) < source.combatDetails.combatStats.blaze
+        ) {
             todoAbilities.push(new Ability('blaze'));
         }
 
-        if (source.combatDetails.combatStats.bloom > 0 && Math.random() < source.combatDetails.combatStats.bloom) {
+        if (
+            source.combatDetails.combatStats.bloom > 0 &&
+            random(RANDOM_STREAM.PROC) < source.combatDetails.combatStats.bloom
+        ) {
             todoAbilities.push(new Ability('bloom'));
         }
 
@@ -1203,7 +1214,10 @@ class CombatSimulator {
             }
         }
 
-        if (source.combatDetails.combatStats.ripple > 0 && Math.random() < source.combatDetails.combatStats.ripple) {
+        if (
+            source.combatDetails.combatStats.ripple > 0 &&
+            random(RANDOM_STREAM.PROC) < source.combatDetails.combatStats.ripple
+        ) {
             const manapointsAdded = source.addManapoints(10);
             this.simResult.addManapointsGained(source, 'ripple', manapointsAdded);
             for (const ab of source.abilities) {
@@ -1369,7 +1383,7 @@ class CombatSimulator {
                             rangeEnd: cumulativeThreat,
                         });
                     });
-                    const randomValueHit = Math.random() * cumulativeThreat;
+                    const randomValueHit = random(RANDOM_STREAM.TARGETING) * cumulativeThreat;
                     target = cumulativeRanges.find(
                         (range) => randomValueHit >= range.rangeStart && randomValueHit < range.rangeEnd
                     ).player;
@@ -1417,7 +1431,8 @@ class CombatSimulator {
                 if (
                     attackResult.didHit &&
                     abilityEffect.stunChance > 0 &&
-                    Math.random() < (abilityEffect.stunChance * 100) / (100 + target.combatDetails.combatStats.tenacity)
+                    random(RANDOM_STREAM.PROC) <
+                        (abilityEffect.stunChance * 100) / (100 + target.combatDetails.combatStats.tenacity)
                 ) {
                     target.isStunned = true;
                     target.stunExpireTime = this.simulationTime + abilityEffect.stunDuration;
@@ -1432,7 +1447,7 @@ class CombatSimulator {
                 if (
                     attackResult.didHit &&
                     abilityEffect.blindChance > 0 &&
-                    Math.random() <
+                    random(RANDOM_STREAM.PROC) <
                         (abilityEffect.blindChance * 100) / (100 + target.combatDetails.combatStats.tenacity)
                 ) {
                     target.isBlinded = true;
@@ -1448,7 +1463,7 @@ class CombatSimulator {
                 if (
                     attackResult.didHit &&
                     abilityEffect.silenceChance > 0 &&
-                    Math.random() <
+                    random(RANDOM_STREAM.PROC) <
                         (abilityEffect.silenceChance * 100) / (100 + target.combatDetails.combatStats.tenacity)
                 ) {
                     target.isSilenced = true;
@@ -1558,7 +1573,7 @@ class CombatSimulator {
                     }
                 }
 
-                if (attackResult.didHit && abilityEffect.pierceChance > Math.random()) {
+                if (attackResult.didHit && abilityEffect.pierceChance > random(RANDOM_STREAM.PROC)) {
                     continue;
                 }
             }
@@ -1640,7 +1655,7 @@ class CombatSimulator {
 
     processAbilityPromoteEffect(source, _ability, _abilityEffect) {
         const promotionHrids = ['/monsters/enchanted_rook', '/monsters/enchanted_knight', '/monsters/enchanted_bishop'];
-        const randomPromotionIndex = Math.floor(Math.random() * promotionHrids.length);
+        const randomPromotionIndex = Math.floor(random(RANDOM_STREAM.TARGETING) * promotionHrids.length);
         return new Monster(promotionHrids[randomPromotionIndex], source.difficultyTier);
     }
 
@@ -1,3 +1,5 @@
+import { RANDOM_STREAM, random } from './random.js';
+
 class CombatUnit {
     isPlayer;
     isStunned = false;
@@ -538,7 +540,7 @@ class CombatUnit {
                     ability.lastUsed =
                         currentTime -
                         Math.floor(cooldownDuration * 0.5) +
-                        Math.floor(Math.random() * cooldownDuration * 0.5);
+                        Math.floor(random(RANDOM_STREAM.TIMING) * cooldownDuration * 0.5);
                 }
             });
     }
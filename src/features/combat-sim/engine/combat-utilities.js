@@ -1,3 +1,5 @@
+import { RANDOM_STREAM, random } from './random.js';
+
 class CombatUtilities {
     static getTarget(enemies) {
         if (!enemies) {
@@ -19,7 +21,7 @@ class CombatUtilities {
         const maxFloor = Math.floor(max);
 
         if (Math.floor(min) === maxFloor) {
-            return Math.floor((min + max) / 2 + Math.random());
+            return Math.floor((min + max) / 2 + random(RANDOM_STREAM.DAMAGE));
         }
 
         const minTail = -1 * (min - minCeil);
@@ -31,7 +33,7 @@ class CombatUtilities {
         const extraTailWeight = (balancedWeight * (average - balancedAverage)) / (maxFloor + 1 - average);
         const extraTailChance = Math.abs(extraTailWeight / (extraTailWeight + balancedWeight));
 
-        if (Math.random() < extraTailChance) {
+        if (random(RANDOM_STREAM.DAMAGE) < extraTailChance) {
             if (maxTail > minTail) {
                 return Math.floor(maxFloor + 1);
             } else {
@@ -40,9 +42,9 @@ class CombatUtilities {
         }
 
         if (maxTail > minTail) {
-            return Math.floor(min + Math.random() * (maxFloor + minTail - min + 1));
+            return Math.floor(min + random(RANDOM_STREAM.DAMAGE) * (maxFloor + minTail - min + 1));
         } else {
-            return Math.floor(minCeil - maxTail + Math.random() * (max - (minCeil - maxTail) + 1));
+            return Math.floor(minCeil - maxTail + random(RANDOM_STREAM.DAMAGE) * (max - (minCeil - maxTail) + 1));
         }
     }
 
@@ -171,7 +173,7 @@ class CombatUtilities {
             sourceDamageMultiplier *
             (baseDamageRatio * sourceAutoAttackMaxDamage + baseDamageFlat + armorDamageRatioFlat);
 
-        if (Math.random() < critChance) {
+        if (random(RANDOM_STREAM.CRIT) < critChance) {
             sourceMaxDamage = sourceMaxDamage * (1 + bonusCritDamage);
             sourceMinDamage = sourceMaxDamage;
             isCrit = true;
@@ -191,7 +193,7 @@ class CombatUtilities {
         let thornDamageDone = 0;
 
         let didHit = false;
-        if (Math.random() < hitChance) {
+        if (random(RANDOM_STREAM.HIT) < hitChance) {
             didHit = true;
             let penetratedTargetResistance = targetResistance;
 
@@ -246,7 +248,7 @@ class CombatUtilities {
                 (Math.pow(target.combatDetails.smashAccuracyRating, 1.4) +
                     Math.pow(source.combatDetails.smashEvasionRating, 1.4));
 
-            if (retaliationHitChance > Math.random()) {
+            if (retaliationHitChance > random(RANDOM_STREAM.HIT)) {
                 let sourceEffectiveArmor = source.combatDetails.totalArmor;
                 if (sourceEffectiveArmor > 0) {
                     sourceEffectiveArmor =
@@ -22,6 +22,9 @@ class Player extends CombatUnit {
         '/equipment_types/charm': null,
     };
 
+    // Flat stat lines added on top of equipment (stat sensitivity analysis)
+    bonusCombatStats = {};
+
     constructor() {
         super();
 
@@ -56,6 +59,7 @@ class Player extends CombatUnit {
         });
 
         player.debuffOnLevelGap = dto.debuffOnLevelGap;
+        player.bonusCombatStats = { ...dto.bonusCombatStats };
 
         return player;
     }
@@ -167,7 +171,7 @@ class Player extends CombatUnit {
             this.combatDetails.combatStats[stat] = Object.values(this.equipment)
                 .filter((equipment) => equipment != null)
                 .map((equipment) => equipment.getCombatStat(stat))
-                .reduce((prev, cur) => prev + cur, 0);
+                .reduce((prev, cur) => prev + cur, this.bonusCombatStats[stat] || 0);
         });
 
         if (this.equipment['/equipment_types/pouch']) {
@@ -0,0 +1,107 @@
+/**
+ * Random Number Source
+ *
+ * Every random draw in the engine goes through random(stream). Without a seed the
+ * draws come from Math.random(). With a seed, each stream is its own seeded
+ * generator, so a run can be reproduced exactly and two runs with the same seed
+ * share their random numbers: a small change in one loadout only shifts the
+ * draws of the streams it actually touches (common random numbers).
+ *
+ * Like game-data.js, this is a per-worker singleton set once per simulation run.
+ */
+
+export const RANDOM_STREAM = Object.freeze({
+    HIT: 'hit', // Hit and retaliation rolls
+    CRIT: 'crit',
+    DAMAGE: 'damage', // Damage rolls within the min/max range
+    PROC: 'proc', // Parry, mayhem, pierce, blaze, bloom, ripple, stun, blind, silence
+    TARGETING: 'targeting', // Threat targeting, parry unit, promotions
+    SPAWN: 'spawn', // Encounter composition
+    TIMING: 'timing', // Monster ability cooldown offsets
+});
+
+const UINT32 = 0x100000000;
+
+let _seed = null;
+let _streams = new Map();
+
+/**
+ * Hash any number of parts into a 32-bit seed (FNV-1a over their string form)
+ * @param {...(string|number)} parts
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function deriveSeed(...parts) {
+    let hash = 0x811c9dc5;
+    for (const char of parts.join('|')) {
+        hash ^= char.charCodeAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Seeded uniform generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} () => number in [0, 1)
+ */
+export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / UINT32;
+    };
+}
+
+/**
+ * Seed the engine, or return it to Math.random() with null
+ * @param {number|null} seed - 32-bit seed
+ */
+export function setRandomSeed(seed) {
+    _seed = seed === null || seed === undefined ? null : seed >>> 0;
+    _streams = new Map();
+}
+
+/**
+ * @returns {number|null} Current seed
+ */
+export function getRandomSeed() {
+    return _seed;
+}
+
+/**
+ * Uniform random number in [0, 1)
+ * @param {string} stream - RANDOM_STREAM value
+ * @returns {number}
+ */
+export function random(stream) {
+    if (_seed === null) return Math.random();
+
+    let next = _streams.get(stream);
+    if (!next) {
+        next = createSeededRandom(deriveSeed(_seed, stream));
+        _streams.set(stream, next);
+    }
+    return next();
+}
+
+/**
+ * Parse a user-entered seed. Numbers are used as-is, any other text is hashed.
+ * @param {string|number|null} value
+ * @returns {number|null} 32-bit seed, or null when empty
+ */
+export function parseSeed(value) {
+    const text = String(value ?? '').trim();
+    if (!text) return null;
+    return /^\d+$/.test(text) ? Number(text) >>> 0 : deriveSeed(text);
+}
+
+/**
+ * Fresh seed for runs that should still be reproducible afterwards
+ * @returns {number}
+ */
+export function createRandomSeed() {
+    return Math.floor(Math.random() * UINT32) >>> 0;
+}
@@ -0,0 +1,59 @@
+import { afterEach, describe, expect, test } from 'vitest';
+import CombatUtilities from './combat-utilities.js';
+import { RANDOM_STREAM, createSeededRandom, deriveSeed, parseSeed, random, setRandomSeed } from './random.js';
+
+afterEach(() => setRandomSeed(null));
+
+const draw = (count, stream) => Array.from({ length: count }, () => random(stream));
+
+describe('createSeededRandom', () => {
+    test('is deterministic and uniform in [0, 1)', () => {
+        const a = createSeededRandom(42);
+        const b = createSeededRandom(42);
+        const values = Array.from({ length: 10000 }, () => a());
+        expect(values.slice(0, 5)).toEqual(Array.from({ length: 5 }, () => b()));
+        expect(Math.min(...values)).toBeGreaterThanOrEqual(0);
+        expect(Math.max(...values)).toBeLessThan(1);
+        expect(values.reduce((sum, v) => sum + v, 0) / values.length).toBeCloseTo(0.5, 1);
+    });
+});
+
+describe('random', () => {
+    test('replays the same draws for the same seed', () => {
+        setRandomSeed(7);
+        const first = draw(5, RANDOM_STREAM.HIT);
+        setRandomSeed(7);
+        expect(draw(5, RANDOM_STREAM.HIT)).toEqual(first);
+        setRandomSeed(8);
+        expect(draw(5, RANDOM_STREAM.HIT)).not.toEqual(first);
+    });
+
+    test('keeps streams independent so extra draws in one do not shift another', () => {
+        setRandomSeed(7);
+        const damage = draw(5, RANDOM_STREAM.DAMAGE);
+        setRandomSeed(7);
+        draw(3, RANDOM_STREAM.PROC);
+        expect(draw(5, RANDOM_STREAM.DAMAGE)).toEqual(damage);
+    });
+
+    test('drives engine rolls', () => {
+        setRandomSeed(123);
+        const rolls = Array.from({ length: 20 }, () => CombatUtilities.randomInt(10, 50.5));
+        setRandomSeed(123);
+        expect(Array.from({ length: 20 }, () => CombatUtilities.randomInt(10, 50.5))).toEqual(rolls);
+    });
+});
+
+describe('seeds', () => {
+    test('parses numbers as-is and hashes text', () => {
+        expect(parseSeed(' 12345 ')).toBe(12345);
+        expect(parseSeed('my build')).toBe(deriveSeed('my build'));
+        expect(parseSeed('')).toBeNull();
+        expect(parseSeed(null)).toBeNull();
+    });
+
+    test('derives distinct chunk seeds', () => {
+        expect(deriveSeed(1, 0)).not.toBe(deriveSeed(1, 1));
+        expect(deriveSeed(1, 0)).toBe(deriveSeed(1, 0));
+    });
+});
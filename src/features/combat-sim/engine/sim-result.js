@@ -249,6 +249,73 @@ class SimResult {
                 time - this.playerRanOutOfManaTime[unit.hrid].startTimeForOutOfMana;
         }
     }
+
+    /**
+     * Counters of this run needed to compute per-hour metrics for it on its own.
+     * Each worker chunk returns these so results can be reported with confidence intervals.
+     * @returns {Object} SimResult-shaped subset (counters, drop multipliers, simulatedTime)
+     */
+    getChunkMetrics() {
+        return structuredClone({
+            simulatedTime: this.simulatedTime,
+            encounters: this.encounters,
+            deaths: this.deaths,
+            experienceGained: this.experienceGained,
+            consumablesUsed: this.consumablesUsed,
+            totalDamageDealt: this.totalDamageDealt,
+            dropRateMultiplier: this.dropRateMultiplier,
+            rareFindMultiplier: this.rareFindMultiplier,
+            combatDropQuantity: this.combatDropQuantity,
+            debuffOnLevelGap: this.debuffOnLevelGap,
+            zoneName: this.zoneName,
+            difficultyTier: this.difficultyTier,
+            numberOfPlayers: this.numberOfPlayers,
+            isDungeon: this.isDungeon,
+            dungeonsCompleted: this.dungeonsCompleted,
+            dungeonsFailed: this.dungeonsFailed,
+        });
+    }
+}
+
+// Two-sided 95% Student t critical values by degrees of freedom (1-30); 1.96 beyond
+const T_95 = [
+    12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228, 2.201, 2.179, 2.16, 2.145, 2.131, 2.12, 2.11,
+    2.101, 2.093, 2.086, 2.08, 2.074, 2.069, 2.064, 2.06, 2.056, 2.052, 2.048, 2.045, 2.042,
+];
+
+/**
+ * Mean, standard error and 95% confidence interval of per-chunk values (batch means).
+ * Chunks are weighted by their simulated time, so a shorter remainder chunk counts less.
+ * @param {number[]} values - One metric value per chunk
+ * @param {number[]} [weights] - Chunk weights (e.g. simulated hours); equal when omitted
+ * @returns {Object|null} { n, mean, stdError, halfWidth, low, high, relativeError } (null without values;
+ *   stdError and the interval are null with a single chunk)
+ */
+export function summarizeChunkValues(values, weights = null) {
+    const n = values.length;
+    if (n === 0) return null;
+
+    const w = weights || values.map(() => 1);
+    const totalWeight = w.reduce((sum, weight) => sum + weight, 0);
+    const mean = values.reduce((sum, value, i) => sum + value * w[i], 0) / totalWeight;
+    if (n < 2) {
+        return { n, mean, stdError: null, halfWidth: null, low: null, high: null, relativeError: null };
+    }
+
+    const variance =
+        (values.reduce((sum, value, i) => sum + w[i] * (value - mean) ** 2, 0) / totalWeight) * (n / (n - 1));
+    const stdError = Math.sqrt(variance / n);
+    const halfWidth = (T_95[n - 2] ?? 1.96) * stdError;
+
+    return {
+        n,
+        mean,
+        stdError,
+        halfWidth,
+        low: mean - halfWidth,
+        high: mean + halfWidth,
+        relativeError: mean !== 0 ? halfWidth / Math.abs(mean) : null,
+    };
 }
 
 export default SimResult;
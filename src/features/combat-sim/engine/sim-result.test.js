@@ -0,0 +1,47 @@
+import { describe, expect, test } from 'vitest';
+import SimResult, { summarizeChunkValues } from './sim-result.js';
+
+describe('summarizeChunkValues', () => {
+    test('reports the mean with a t-based 95% interval', () => {
+        const summary = summarizeChunkValues([9, 10, 11, 10]);
+        expect(summary.n).toBe(4);
+        expect(summary.mean).toBe(10);
+        expect(summary.stdError).toBeCloseTo(Math.sqrt(2 / 3 / 4));
+        expect(summary.halfWidth).toBeCloseTo(3.182 * summary.stdError);
+        expect(summary.low).toBeCloseTo(10 - summary.halfWidth);
+        expect(summary.high).toBeCloseTo(10 + summary.halfWidth);
+        expect(summary.relativeError).toBeCloseTo(summary.halfWidth / 10);
+    });
+
+    test('weights chunks by their length', () => {
+        expect(summarizeChunkValues([10, 20], [3, 1]).mean).toBe(12.5);
+    });
+
+    test('has no interval with fewer than two chunks', () => {
+        expect(summarizeChunkValues([])).toBeNull();
+        expect(summarizeChunkValues([5])).toMatchObject({ n: 1, mean: 5, halfWidth: null, relativeError: null });
+        expect(summarizeChunkValues([0, 0]).relativeError).toBeNull();
+    });
+});
+
+describe('SimResult.getChunkMetrics', () => {
+    test('copies the counters needed for per-chunk metrics', () => {
+        const result = new SimResult({ hrid: '/actions/combat/fly', difficultyTier: 1 }, 1);
+        result.simulatedTime = 3600e9;
+        result.encounters = 120;
+        result.experienceGained = { player1: { attack: 5000 } };
+        result.attacks = { player1: { big: 'log' } };
+
+        const chunk = result.getChunkMetrics();
+        result.experienceGained.player1.attack = 0;
+
+        expect(chunk).toMatchObject({
+            simulatedTime: 3600e9,
+            encounters: 120,
+            zoneName: '/actions/combat/fly',
+            difficultyTier: 1,
+            experienceGained: { player1: { attack: 5000 } },
+        });
+        expect(chunk.attacks).toBeUndefined();
+    });
+});
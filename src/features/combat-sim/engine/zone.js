@@ -1,5 +1,6 @@
 import { getGameData } from './game-data.js';
 import Monster from './monster.js';
+import { RANDOM_STREAM, random } from './random.js';
 
 class Zone {
     constructor(hrid, difficultyTier) {
@@ -45,7 +46,7 @@ class Zone {
         let totalStrength = 0;
 
         outer: for (let i = 0; i < this.monsterSpawnInfo.randomSpawnInfo.maxSpawnCount; i++) {
-            const randomWeight = totalWeight * Math.random();
+            const randomWeight = totalWeight * random(RANDOM_STREAM.SPAWN);
             let cumulativeWeight = 0;
 
             for (const spawn of this.monsterSpawnInfo.randomSpawnInfo.spawns) {
@@ -134,7 +135,7 @@ class Zone {
         let totalStrength = 0;
 
         outer: for (let i = 0; i < monsterSpawns.maxSpawnCount; i++) {
-            const randomWeight = totalWeight * Math.random();
+            const randomWeight = totalWeight * random(RANDOM_STREAM.SPAWN);
             let cumulativeWeight = 0;
 
             for (const spawn of monsterSpawns.spawns) {
@@ -13,6 +13,9 @@
  * completes, a zone_tier_result message is sent to the main thread. The main thread
  * compares XP/hr and profit/hr and responds with zone_tier_decision { skip }. If skip
  * is false, the next tier is enqueued; if true, remaining tiers for that zone are skipped.
+ *
+ * A zone entry may carry its own playerDTOs, so one batch can also compare several
+ * loadouts (e.g. trigger setups) on the same zone.
  */
 
 let simWorkerBlobURL = null;
@@ -25,8 +28,17 @@ onmessage = async function (event) {
     const { type } = event.data;
 
     if (type === 'start_all_zones') {
-        const { workerScript, gameData, playerDTOs, zones, simulationTimeLimit, extraBuffs, maxWorkers, useEarlyExit } =
-            event.data;
+        const {
+            workerScript,
+            gameData,
+            playerDTOs,
+            zones,
+            simulationTimeLimit,
+            extraBuffs,
+            maxWorkers,
+            useEarlyExit,
+            seed = null,
+        } = event.data;
 
         // Create Blob URL for simulation workers from the bundled script string
         const blob = new Blob([workerScript], { type: 'application/javascript' });
@@ -110,11 +122,12 @@ onmessage = async function (event) {
                             type: 'start_simulation',
                             taskId,
                             gameData,
-                            playerDTOs,
+                            playerDTOs: task.playerDTOs || playerDTOs,
                             zoneHrid: task.zoneHrid,
                             difficultyTier: task.difficultyTier,
                             simulationTimeLimit,
                             extraBuffs,
+                            seed,
                         });
                     });
                 } catch (error) {
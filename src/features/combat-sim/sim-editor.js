@@ -9,6 +9,7 @@ import {
     buildAllPlayerDTOs,
     parseShykaiImport,
     applyLoadoutSnapshotToDTO,
+    getConsumableSlotType,
 } from './combat-sim-adapter.js';
 import loadoutSnapshot from '../combat/loadout-snapshot.js';
 
@@ -536,18 +537,7 @@ export class SimEditor {
         const itemDetailMap = gameData?.itemDetailMap || {};
         const isFood = slotType === 'food';
 
-        const getConsumableType = (hrid) => {
-            const detail = itemDetailMap[hrid]?.consumableDetail;
-            if (!detail) return null;
-            const hp = detail.hitpointRestore || 0;
-            const mp = detail.manapointRestore || 0;
-            const dur = detail.recoveryDuration || 0;
-            if (hp > 0) return dur > 0 ? 'hp_over_time' : 'hp_instant';
-            if (mp > 0) return dur > 0 ? 'mp_over_time' : 'mp_instant';
-            const buffs = detail.buffs || [];
-            if (buffs.length > 0) return 'buff:' + (buffs[0].uniqueHrid || 'unknown');
-            return null;
-        };
+        const getConsumableType = (hrid) => getConsumableSlotType(itemDetailMap[hrid]?.consumableDetail);
 
         const usedTypes = new Set();
         const slots = dto[slotType] || [];
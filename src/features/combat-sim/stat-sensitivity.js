@@ -0,0 +1,157 @@
+/**
+ * Stat Sensitivity Analysis for Combat Sim
+ *
+ * Values individual combat stats for one player in one zone: each stat is raised by a fixed
+ * step through the player DTO's bonusCombatStats, simulated in one batch on the all-zones
+ * worker pool next to an unchanged baseline, and the difference is scaled to one unit of the
+ * stat (e.g. +1% crit rate or +1 armor). All runs share one seed (common random numbers), so
+ * the step only has to be large enough to show up over the remaining noise.
+ */
+
+import { buildGameDataPayload } from './combat-sim-adapter.js';
+import { runAllZonesSimulation } from './all-zones-runner.js';
+import { computeMetrics } from './upgrade-advisor.js';
+import { createRandomSeed } from './engine/random.js';
+
+/**
+ * Stats to perturb. `unit` is the amount values are reported per, `step` the amount actually
+ * simulated. Accuracy and damage resolve to the player's combat style.
+ */
+const SENSITIVITY_STATS = [
+    { key: 'accuracy', label: 'Accuracy', unit: 0.01, step: 0.1, isPercent: true },
+    { key: 'damage', label: 'Damage', unit: 0.01, step: 0.1, isPercent: true },
+    { key: 'criticalRate', label: 'Critical Rate', unit: 0.01, step: 0.05, isPercent: true },
+    { key: 'attackSpeed', label: 'Attack Speed', unit: 0.01, step: 0.1, isPercent: true },
+    { key: 'armor', label: 'Armor', unit: 1, step: 20 },
+    { key: 'waterResistance', label: 'Water Resistance', unit: 1, step: 20 },
+    { key: 'natureResistance', label: 'Nature Resistance', unit: 1, step: 20 },
+    { key: 'fireResistance', label: 'Fire Resistance', unit: 1, step: 20 },
+    { key: 'maxHitpoints', label: 'Max HP', unit: 10, step: 200 },
+];
+
+/** Metrics reported per unit of each stat */
+const MARGINAL_METRICS = ['xpPerHour', 'profitPerHour', 'deathsPerHour', 'dps'];
+
+/**
+ * Combat style of the player's weapon, matching the engine's choice (smash when unarmed).
+ * @param {Object} playerDTO
+ * @param {Object} gameData
+ * @returns {string} 'stab', 'slash', 'smash', 'ranged' or 'magic'
+ */
+export function getWeaponCombatStyle(playerDTO, gameData) {
+    const weapon =
+        playerDTO.equipment?.['/equipment_types/main_hand'] || playerDTO.equipment?.['/equipment_types/two_hand'];
+    const styleHrid =
+        weapon && gameData.itemDetailMap[weapon.hrid]?.equipmentDetail?.combatStats?.combatStyleHrids?.[0];
+    return styleHrid ? styleHrid.split('/').pop() : 'smash';
+}
+
+/**
+ * Stats to analyze for a combat style, with accuracy and damage resolved to that style.
+ * @param {string} style - From getWeaponCombatStyle()
+ * @returns {Array<{key: string, stat: string, label: string, unit: number, step: number, isPercent: boolean}>}
+ */
+export function getSensitivityStats(style) {
+    return SENSITIVITY_STATS.map((entry) => {
+        const isStyleStat = entry.key === 'accuracy' || entry.key === 'damage';
+        const stat = isStyleStat ? `${style}${entry.key[0].toUpperCase()}${entry.key.slice(1)}` : entry.key;
+        return { isPercent: false, ...entry, stat };
+    });
+}
+
+/**
+ * Copy of the player DTO with a flat stat line added on top of its equipment.
+ * @param {Object} playerDTO
+ * @param {string} stat - Combat stat key, e.g. 'criticalRate'
+ * @param {number} amount
+ * @returns {Object} New player DTO
+ */
+export function applyStatBonus(playerDTO, stat, amount) {
+    const dto = JSON.parse(JSON.stringify(playerDTO));
+    dto.bonusCombatStats = { ...dto.bonusCombatStats };
+    dto.bonusCombatStats[stat] = (dto.bonusCombatStats[stat] || 0) + amount;
+    return dto;
+}
+
+/**
+ * Change in each metric per unit of a stat, from a baseline and a run with `step` more of it.
+ * @param {Object} baseline - computeMetrics() result
+ * @param {Object} perturbed - computeMetrics() result
+ * @param {number} step - Amount of the stat added in the perturbed run
+ * @param {number} unit - Amount to report the change per
+ * @returns {Object} { xpPerHour, profitPerHour, deathsPerHour, dps } per unit
+ */
+export function computeMarginalValues(baseline, perturbed, step, unit) {
+    const marginal = {};
+    for (const metric of MARGINAL_METRICS) {
+        marginal[metric] = ((perturbed[metric] - baseline[metric]) / step) * unit;
+    }
+    return marginal;
+}
+
+/**
+ * Run the stat sensitivity analysis for one player in one zone.
+ * @param {Object} params - { playerDTOs, playerIndex, zoneHrid, difficultyTier, hours, communityBuffs, seed }
+ * @param {Function} onProgress - Called with { current, total, description }
+ * @param {Object} [options] - { abortSignal: () => boolean }
+ * @returns {Promise<Object|null>} { seed, style, baseline, results: [{stat, label, unit, step, isPercent,
+ *   metrics, marginal}] } in SENSITIVITY_STATS order, or null if cancelled or the baseline failed
+ */
+export async function runStatSensitivity(params, onProgress, options = {}) {
+    const { playerDTOs, playerIndex, zoneHrid, difficultyTier, hours, communityBuffs } = params;
+    const seed = params.seed ?? createRandomSeed();
+    const { abortSignal } = options;
+    const gameData = buildGameDataPayload();
+    if (!gameData) throw new Error('No game data available');
+
+    const playerDTO = playerDTOs[playerIndex];
+    const style = getWeaponCombatStyle(playerDTO, gameData);
+    const stats = getSensitivityStats(style);
+    const variants = [playerDTO, ...stats.map((entry) => applyStatBonus(playerDTO, entry.stat, entry.step))];
+
+    const total = variants.length;
+    const description = `Simulating baseline and ${stats.length} stat changes...`;
+    onProgress?.({ current: 0, total, description });
+
+    const simResults = await runAllZonesSimulation(
+        {
+            gameData,
+            playerDTOs,
+            hours,
+            communityBuffs,
+            seed,
+            zones: variants.map((variant) => ({
+                zoneHrid,
+                difficultyTier,
+                playerDTOs: playerDTOs.map((dto, i) => (i === playerIndex ? variant : dto)),
+            })),
+        },
+        (percent) => onProgress?.({ current: Math.floor((total * percent) / 100), total, description })
+    );
+    if (abortSignal?.() || !simResults[0]) return null;
+
+    const baseline = computeMetrics(simResults[0], gameData, playerDTO.hrid, hours);
+    const results = [];
+    for (const [i, entry] of stats.entries()) {
+        const simResult = simResults[i + 1];
+        if (!simResult) continue;
+        const metrics = computeMetrics(simResult, gameData, playerDTO.hrid, hours);
+        results.push({
+            stat: entry.stat,
+            label: entry.label,
+            unit: entry.unit,
+            step: entry.step,
+            isPercent: entry.isPercent,
+            metrics,
+            marginal: computeMarginalValues(baseline, metrics, entry.step, entry.unit),
+        });
+    }
+
+    return { seed, style, baseline, results };
+}
+
+export default {
+    runStatSensitivity,
+    getSensitivityStats,
+    applyStatBonus,
+};
@@ -0,0 +1,61 @@
+import { describe, expect, test, vi } from 'vitest';
+
+vi.mock('./combat-sim-adapter.js', () => ({ buildGameDataPayload: vi.fn() }));
+vi.mock('./all-zones-runner.js', () => ({ runAllZonesSimulation: vi.fn() }));
+vi.mock('./upgrade-advisor.js', () => ({ computeMetrics: vi.fn() }));
+
+const { applyStatBonus, computeMarginalValues, getSensitivityStats, getWeaponCombatStyle } =
+    await import('./stat-sensitivity.js');
+
+const gameData = {
+    itemDetailMap: {
+        '/items/cheese_spear': {
+            equipmentDetail: { combatStats: { combatStyleHrids: ['/combat_styles/stab'] } },
+        },
+        '/items/cheese_bow': {
+            equipmentDetail: { combatStats: { combatStyleHrids: ['/combat_styles/ranged'] } },
+        },
+    },
+};
+
+describe('getWeaponCombatStyle', () => {
+    test('reads the style of the main-hand or two-hand weapon', () => {
+        const spear = { equipment: { '/equipment_types/main_hand': { hrid: '/items/cheese_spear' } } };
+        const bow = { equipment: { '/equipment_types/two_hand': { hrid: '/items/cheese_bow' } } };
+        expect(getWeaponCombatStyle(spear, gameData)).toBe('stab');
+        expect(getWeaponCombatStyle(bow, gameData)).toBe('ranged');
+    });
+
+    test('falls back to smash when unarmed, like the engine', () => {
+        expect(getWeaponCombatStyle({ equipment: {} }, gameData)).toBe('smash');
+    });
+});
+
+describe('getSensitivityStats', () => {
+    test('resolves accuracy and damage to the combat style', () => {
+        const stats = getSensitivityStats('ranged').map((entry) => entry.stat);
+        expect(stats.slice(0, 2)).toEqual(['rangedAccuracy', 'rangedDamage']);
+        expect(stats).toContain('criticalRate');
+        expect(stats).toContain('maxHitpoints');
+    });
+});
+
+describe('stat perturbation', () => {
+    test('adds to bonus stats without touching the original DTO', () => {
+        const playerDTO = { hrid: 'player1', bonusCombatStats: { armor: 5 } };
+        const dto = applyStatBonus(applyStatBonus(playerDTO, 'armor', 20), 'criticalRate', 0.05);
+        expect(dto.bonusCombatStats).toEqual({ armor: 25, criticalRate: 0.05 });
+        expect(playerDTO.bonusCombatStats).toEqual({ armor: 5 });
+    });
+
+    test('scales metric changes from the step to one unit', () => {
+        const baseline = { xpPerHour: 1000, profitPerHour: 500, deathsPerHour: 1, dps: 50 };
+        const perturbed = { xpPerHour: 1100, profitPerHour: 450, deathsPerHour: 0.5, dps: 55 };
+        expect(computeMarginalValues(baseline, perturbed, 0.05, 0.01)).toEqual({
+            xpPerHour: expect.closeTo(20),
+            profitPerHour: expect.closeTo(-10),
+            deathsPerHour: expect.closeTo(-0.1),
+            dps: expect.closeTo(1),
+        });
+    });
+});
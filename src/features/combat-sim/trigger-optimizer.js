@@ -0,0 +1,345 @@
+/**
+ * Ability Trigger Optimizer for Combat Sim
+ *
+ * Searches trigger thresholds and ability order for one player's loadout by hill climbing.
+ * Each round simulates every single-step change of the current best setup (one threshold
+ * moved a step, or two neighbouring abilities swapped) for every zone in one batch on the
+ * all-zones worker pool, then moves each zone to its best neighbour. All runs share one
+ * seed (common random numbers) so small trigger changes are not lost in run-to-run noise.
+ */
+
+import { buildGameDataPayload } from './combat-sim-adapter.js';
+import { runAllZonesSimulation } from './all-zones-runner.js';
+import { computeMetrics, computeDeltas, OBJECTIVE_METRICS } from './upgrade-advisor.js';
+import { createRandomSeed } from './engine/random.js';
+
+const CONDITIONS = '/combat_trigger_conditions/';
+const COMPARATORS = '/combat_trigger_comparators/';
+
+/** Threshold grids for conditions with a natural scale */
+const CONDITION_GRIDS = {
+    [`${CONDITIONS}lowest_hp_percentage`]: [10, 20, 30, 40, 50, 60, 70, 80, 90],
+    [`${CONDITIONS}number_of_active_units`]: [1, 2, 3, 4, 5],
+    [`${CONDITIONS}number_of_dead_units`]: [0, 1, 2, 3, 4],
+};
+
+/** Conditions on absolute HP/MP values, stepped by a fraction of the current threshold */
+const ABSOLUTE_CONDITIONS = new Set([
+    `${CONDITIONS}current_hp`,
+    `${CONDITIONS}current_mp`,
+    `${CONDITIONS}missing_hp`,
+    `${CONDITIONS}missing_mp`,
+]);
+const ABSOLUTE_STEP = 0.25;
+
+const COMPARATOR_SYMBOLS = {
+    [`${COMPARATORS}greater_than_equal`]: '≥',
+    [`${COMPARATORS}less_than_equal`]: '≤',
+};
+
+/** Hill-climbing rounds after the first (baseline + its neighbours) */
+const MAX_ROUNDS = 3;
+
+/** Minimum relative gain for a zone to move to a new setup, so it does not chase noise */
+const MIN_GAIN = 0.002;
+
+/**
+ * Triggers an ability actually runs with: its own, or the game's defaults when unset.
+ * @param {Object} ability - Ability DTO { hrid, level, triggers }
+ * @param {Object} gameData
+ * @returns {Array<Object>} Trigger DTOs
+ */
+function getEffectiveTriggers(ability, gameData) {
+    const triggers = ability.triggers ?? gameData.abilityDetailMap?.[ability.hrid]?.defaultCombatTriggers ?? [];
+    return triggers.map((t) => ({
+        dependencyHrid: t.dependencyHrid,
+        conditionHrid: t.conditionHrid,
+        comparatorHrid: t.comparatorHrid,
+        value: t.value || 0,
+    }));
+}
+
+/**
+ * Candidate values one step either side of a threshold.
+ * @param {string} conditionHrid
+ * @param {number} value - Current threshold
+ * @returns {number[]} Neighbouring thresholds (empty when the condition is not tunable)
+ */
+export function getThresholdSteps(conditionHrid, value) {
+    const grid = CONDITION_GRIDS[conditionHrid];
+    if (grid) {
+        const below = grid.filter((v) => v < value).at(-1);
+        const above = grid.find((v) => v > value);
+        return [below, above].filter((v) => v !== undefined);
+    }
+
+    if (ABSOLUTE_CONDITIONS.has(conditionHrid) && value > 0) {
+        const steps = [Math.round(value * (1 - ABSOLUTE_STEP)), Math.round(value * (1 + ABSOLUTE_STEP))];
+        return [...new Set(steps)].filter((v) => v > 0 && v !== value);
+    }
+
+    return [];
+}
+
+/**
+ * Find every threshold trigger on the player's abilities that the optimizer can move.
+ * @param {Object} playerDTO
+ * @param {Object} gameData
+ * @returns {Array<{key: string, slot: number, triggerIndex: number, abilityHrid: string, trigger: Object}>}
+ */
+export function getTunableTriggers(playerDTO, gameData) {
+    const tunables = [];
+    (playerDTO.abilities || []).forEach((ability, slot) => {
+        if (!ability) return;
+        getEffectiveTriggers(ability, gameData).forEach((trigger, triggerIndex) => {
+            if (!COMPARATOR_SYMBOLS[trigger.comparatorHrid]) return;
+            if (getThresholdSteps(trigger.conditionHrid, trigger.value).length === 0) return;
+            tunables.push({ key: `${slot}:${triggerIndex}`, slot, triggerIndex, abilityHrid: ability.hrid, trigger });
+        });
+    });
+    return tunables;
+}
+
+/**
+ * The player's current setup as an optimizer config.
+ * Slot 0 (special ability) keeps its place; order lists the normal ability slots in cast priority.
+ * @param {Object} playerDTO
+ * @param {Array<Object>} tunables - getTunableTriggers() result
+ * @returns {{order: number[], values: Object}} Config
+ */
+export function buildBaselineConfig(playerDTO, tunables) {
+    const order = [];
+    (playerDTO.abilities || []).forEach((ability, slot) => {
+        if (ability && slot > 0) order.push(slot);
+    });
+    const values = {};
+    for (const { key, trigger } of tunables) {
+        values[key] = trigger.value;
+    }
+    return { order, values };
+}
+
+/**
+ * All configs one step away: each threshold moved up or down, or two neighbouring abilities swapped.
+ * @param {Object} config
+ * @param {Array<Object>} tunables
+ * @returns {Array<Object>} Neighbouring configs
+ */
+export function getNeighbourConfigs(config, tunables) {
+    const neighbours = [];
+    for (const { key, trigger } of tunables) {
+        for (const value of getThresholdSteps(trigger.conditionHrid, config.values[key])) {
+            neighbours.push({ order: config.order, values: { ...config.values, [key]: value } });
+        }
+    }
+    for (let i = 0; i < config.order.length - 1; i++) {
+        const order = [...config.order];
+        [order[i], order[i + 1]] = [order[i + 1], order[i]];
+        neighbours.push({ order, values: config.values });
+    }
+    return neighbours;
+}
+
+/**
+ * Apply a config to a copy of the player DTO.
+ * @param {Object} playerDTO
+ * @param {Object} config
+ * @param {Object} gameData
+ * @returns {Object} New player DTO with reordered abilities and explicit trigger thresholds
+ */
+export function applyTriggerConfig(playerDTO, config, gameData) {
+    const dto = JSON.parse(JSON.stringify(playerDTO));
+    const original = playerDTO.abilities || [];
+
+    const withThresholds = (ability, slot) => {
+        if (!ability) return null;
+        const triggers = getEffectiveTriggers(ability, gameData);
+        if (!triggers.some((_t, i) => `${slot}:${i}` in config.values)) return { ...ability };
+        return {
+            ...ability,
+            triggers: triggers.map((t, i) => ({ ...t, value: config.values[`${slot}:${i}`] ?? t.value })),
+        };
+    };
+
+    dto.abilities = original.map(() => null);
+    if (original.length > 0) dto.abilities[0] = withThresholds(original[0], 0);
+    config.order.forEach((slot, position) => {
+        dto.abilities[position + 1] = withThresholds(original[slot], slot);
+    });
+    return dto;
+}
+
+/**
+ * Human-readable differences between two configs.
+ * @param {Object} from - Baseline config
+ * @param {Object} to - Optimized config
+ * @param {Array<Object>} tunables
+ * @param {Object} playerDTO
+ * @param {Object} gameData
+ * @returns {string[]} One line per change
+ */
+export function describeConfigChanges(from, to, tunables, playerDTO, gameData) {
+    const abilityName = (hrid) => gameData.abilityDetailMap?.[hrid]?.name || hrid.split('/').pop();
+    const changes = [];
+
+    for (const { key, abilityHrid, trigger } of tunables) {
+        if (from.values[key] === to.values[key]) continue;
+        const dependency = gameData.combatTriggerDependencyDetailMap?.[trigger.dependencyHrid]?.name || '';
+        const condition =
+            gameData.combatTriggerConditionDetailMap?.[trigger.conditionHrid]?.name ||
+            trigger.conditionHrid.split('/').pop();
+        const symbol = COMPARATOR_SYMBOLS[trigger.comparatorHrid];
+        changes.push(
+            `${abilityName(abilityHrid)}: ${dependency ? `${dependency} ` : ''}${condition} ${symbol} ${from.values[key]} → ${to.values[key]}`
+        );
+    }
+
+    if (from.order.join() !== to.order.join()) {
+        const names = to.order.map((slot) => abilityName(playerDTO.abilities[slot].hrid));
+        changes.push(`Order: ${names.join(' → ')}`);
+    }
+
+    return changes;
+}
+
+/**
+ * Whether a score is a real improvement over the current one.
+ * @param {number} next
+ * @param {number} current
+ * @returns {boolean}
+ */
+function isImprovement(next, current) {
+    return next - current > Math.abs(current) * MIN_GAIN;
+}
+
+/**
+ * Optimize ability triggers and order for each zone.
+ * @param {Object} params - { playerDTOs, playerIndex, zones: [{zoneHrid, difficultyTier, name}], hours,
+ *   communityBuffs, objective: 'xp'|'profit'|'dps', seed, maxRounds }
+ * @param {Function} onProgress - Called with { current, total, description }
+ * @param {Object} [options] - { abortSignal: () => boolean }
+ * @returns {Promise<Object>} { seed, objective, tunableCount,
+ *   zones: [{zoneHrid, difficultyTier, name, baseline, best, deltas, changes, config, evaluated}] }
+ */
+export async function runTriggerOptimization(params, onProgress, options = {}) {
+    const { playerDTOs, playerIndex, zones, hours, communityBuffs, objective = 'xp', maxRounds = MAX_ROUNDS } = params;
+    const seed = params.seed ?? createRandomSeed();
+    const { abortSignal } = options;
+    const gameData = buildGameDataPayload();
+    if (!gameData) throw new Error('No game data available');
+
+    const playerDTO = playerDTOs[playerIndex];
+    const tunables = getTunableTriggers(playerDTO, gameData);
+    const baseline = buildBaselineConfig(playerDTO, tunables);
+    const metricKey = OBJECTIVE_METRICS[objective] || OBJECTIVE_METRICS.xp;
+    const score = (metrics) => metrics[metricKey];
+
+    if (tunables.length === 0 && baseline.order.length < 2) {
+        return { seed, objective, tunableCount: 0, zones: [] };
+    }
+
+    const states = zones.map((zone) => ({
+        zone,
+        config: baseline,
+        metrics: null,
+        baselineMetrics: null,
+        visited: new Set([JSON.stringify(baseline)]),
+        evaluated: 0,
+        done: false,
+    }));
+
+    let simsDone = 0;
+    // Round 0 also simulates the baseline, so it shares a batch with its neighbours
+    for (let round = 0; round <= maxRounds; round++) {
+        if (abortSignal?.()) break;
+
+        const tasks = [];
+        for (const state of states) {
+            if (state.done) continue;
+            if (round === 0) tasks.push({ state, config: baseline });
+            for (const config of getNeighbourConfigs(state.config, tunables)) {
+                const key = JSON.stringify(config);
+                if (state.visited.has(key)) continue;
+                state.visited.add(key);
+                tasks.push({ state, config });
+            }
+        }
+        if (tasks.length === 0) break;
+
+        const done = simsDone;
+        const total = done + tasks.length;
+        const description = `Round ${round + 1}: simulating ${tasks.length} trigger setups...`;
+        onProgress?.({ current: done, total, description });
+
+        const simResults = await runAllZonesSimulation(
+            {
+                gameData,
+                playerDTOs,
+                hours,
+                communityBuffs,
+                seed,
+                zones: tasks.map(({ state, config }) => ({
+                    zoneHrid: state.zone.zoneHrid,
+                    difficultyTier: state.zone.difficultyTier,
+                    playerDTOs: playerDTOs.map((dto, i) =>
+                        i === playerIndex ? applyTriggerConfig(playerDTO, config, gameData) : dto
+                    ),
+                })),
+            },
+            (percent) =>
+                onProgress?.({ current: done + Math.floor((tasks.length * percent) / 100), total, description })
+        );
+        simsDone = total;
+        if (abortSignal?.()) break;
+
+        const bestByState = new Map();
+        tasks.forEach(({ state, config }, i) => {
+            if (!simResults[i]) return;
+            const metrics = computeMetrics(simResults[i], gameData, playerDTO.hrid, hours);
+            state.evaluated++;
+            if (config === baseline) {
+                state.baselineMetrics = metrics;
+                state.metrics = metrics;
+                return;
+            }
+            const best = bestByState.get(state);
+            if (!best || score(metrics) > score(best.metrics)) bestByState.set(state, { config, metrics });
+        });
+
+        for (const state of states) {
+            if (state.done) continue;
+            const best = bestByState.get(state);
+            if (state.metrics && best && isImprovement(score(best.metrics), score(state.metrics))) {
+                state.config = best.config;
+                state.metrics = best.metrics;
+            } else {
+                state.done = true;
+            }
+        }
+        if (states.every((state) => state.done)) break;
+    }
+
+    const results = states
+        .filter((state) => state.baselineMetrics)
+        .map((state) => ({
+            zoneHrid: state.zone.zoneHrid,
+            difficultyTier: state.zone.difficultyTier,
+            name: state.zone.name,
+            baseline: state.baselineMetrics,
+            best: state.metrics,
+            deltas: computeDeltas(state.baselineMetrics, state.metrics),
+            changes: describeConfigChanges(baseline, state.config, tunables, playerDTO, gameData),
+            config: state.config,
+            evaluated: state.evaluated,
+        }));
+
+    return { seed, objective, tunableCount: tunables.length, zones: results };
+}
+
+export default {
+    runTriggerOptimization,
+    getTunableTriggers,
+    getNeighbourConfigs,
+    applyTriggerConfig,
+    describeConfigChanges,
+};
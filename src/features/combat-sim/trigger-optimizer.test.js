@@ -0,0 +1,110 @@
+import { describe, expect, test, vi } from 'vitest';
+
+vi.mock('./combat-sim-adapter.js', () => ({ buildGameDataPayload: vi.fn() }));
+vi.mock('./all-zones-runner.js', () => ({ runAllZonesSimulation: vi.fn() }));
+vi.mock('./upgrade-advisor.js', () => ({ computeMetrics: vi.fn(), computeDeltas: vi.fn(), OBJECTIVE_METRICS: {} }));
+
+const {
+    applyTriggerConfig,
+    buildBaselineConfig,
+    describeConfigChanges,
+    getNeighbourConfigs,
+    getThresholdSteps,
+    getTunableTriggers,
+} = await import('./trigger-optimizer.js');
+
+const trigger = (conditionHrid, comparator, value, dependency = 'self') => ({
+    dependencyHrid: `/combat_trigger_dependencies/${dependency}`,
+    conditionHrid: `/combat_trigger_conditions/${conditionHrid}`,
+    comparatorHrid: `/combat_trigger_comparators/${comparator}`,
+    value,
+});
+
+const gameData = {
+    abilityDetailMap: {
+        '/abilities/heal': {
+            name: 'Heal',
+            defaultCombatTriggers: [trigger('lowest_hp_percentage', 'less_than_equal', 50, 'all_allies')],
+        },
+        '/abilities/cleave': {
+            name: 'Cleave',
+            defaultCombatTriggers: [trigger('number_of_active_units', 'greater_than_equal', 2, 'all_enemies')],
+        },
+        '/abilities/berserk': {
+            name: 'Berserk',
+            defaultCombatTriggers: [trigger('berserk', 'is_inactive', 0)],
+        },
+    },
+    combatTriggerDependencyDetailMap: { '/combat_trigger_dependencies/all_allies': { name: 'All Allies' } },
+    combatTriggerConditionDetailMap: { '/combat_trigger_conditions/lowest_hp_percentage': { name: 'Lowest HP %' } },
+};
+
+const playerDTO = {
+    hrid: 'player1',
+    abilities: [
+        { hrid: '/abilities/berserk', level: 10, triggers: null },
+        { hrid: '/abilities/heal', level: 20, triggers: null },
+        { hrid: '/abilities/cleave', level: 30, triggers: [trigger('current_mp', 'greater_than_equal', 200)] },
+        null,
+        null,
+    ],
+};
+
+describe('getThresholdSteps', () => {
+    test('steps along the grid for percentages and unit counts', () => {
+        expect(getThresholdSteps('/combat_trigger_conditions/lowest_hp_percentage', 50)).toEqual([40, 60]);
+        expect(getThresholdSteps('/combat_trigger_conditions/lowest_hp_percentage', 45)).toEqual([40, 50]);
+        expect(getThresholdSteps('/combat_trigger_conditions/number_of_active_units', 1)).toEqual([2]);
+    });
+
+    test('scales absolute HP/MP thresholds and ignores buff conditions', () => {
+        expect(getThresholdSteps('/combat_trigger_conditions/current_mp', 200)).toEqual([150, 250]);
+        expect(getThresholdSteps('/combat_trigger_conditions/current_mp', 0)).toEqual([]);
+        expect(getThresholdSteps('/combat_trigger_conditions/berserk', 0)).toEqual([]);
+    });
+});
+
+describe('trigger configs', () => {
+    const tunables = getTunableTriggers(playerDTO, gameData);
+    const baseline = buildBaselineConfig(playerDTO, tunables);
+
+    test('finds threshold triggers, using game defaults when the DTO has none', () => {
+        expect(tunables.map((t) => t.key)).toEqual(['1:0', '2:0']);
+        expect(baseline).toEqual({ order: [1, 2], values: { '1:0': 50, '2:0': 200 } });
+    });
+
+    test('generates one-step neighbours including adjacent swaps', () => {
+        const neighbours = getNeighbourConfigs(baseline, tunables);
+        expect(neighbours).toHaveLength(5);
+        expect(neighbours).toContainEqual({ order: [1, 2], values: { '1:0': 60, '2:0': 200 } });
+        expect(neighbours).toContainEqual({ order: [2, 1], values: baseline.values });
+    });
+
+    test('applies thresholds and order without touching the original DTO', () => {
+        const config = { order: [2, 1], values: { '1:0': 40, '2:0': 250 } };
+        const dto = applyTriggerConfig(playerDTO, config, gameData);
+
+        expect(dto.abilities.map((a) => a?.hrid ?? null)).toEqual([
+            '/abilities/berserk',
+            '/abilities/cleave',
+            '/abilities/heal',
+            null,
+            null,
+        ]);
+        expect(dto.abilities[0].triggers).toBeNull();
+        expect(dto.abilities[1].triggers[0].value).toBe(250);
+        expect(dto.abilities[2].triggers[0]).toMatchObject({
+            conditionHrid: '/combat_trigger_conditions/lowest_hp_percentage',
+            value: 40,
+        });
+        expect(playerDTO.abilities[1].triggers).toBeNull();
+    });
+
+    test('describes what changed', () => {
+        const config = { order: [2, 1], values: { '1:0': 40, '2:0': 200 } };
+        expect(describeConfigChanges(baseline, config, tunables, playerDTO, gameData)).toEqual([
+            'Heal: All Allies Lowest HP % ≤ 50 → 40',
+            'Order: Cleave → Heal',
+        ]);
+    });
+});
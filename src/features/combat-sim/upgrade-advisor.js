@@ -16,6 +16,7 @@ import { getEnhancingParams, getAutoDetectedParams } from '../../utils/enhanceme
 import { getCheapestProtectionPrice, getProductionCost } from '../enhancement/tooltip-enhancement.js';
 import { calculateAbilityLevelUpCost } from '../../utils/ability-cost-calculator.js';
 import { buildOverridesForSkill } from './skilling-sim-helpers.js';
+import { createRandomSeed } from './engine/random.js';
 
 /** Enhancement breakpoints by slot type */
 const BREAKPOINTS_DEFAULT = [7, 10, 12, 13, 14, 15, 16, 17, 18, 19, 20];
@@ -1022,10 +1023,12 @@ export function calculateUpgradeCost(candidate, gameData) {
 
 /**
  * Run the full upgrade analysis: baseline sim + one sim per candidate.
- * @param {Object} params - { playerDTOs, playerIndex, zoneHrid, difficultyTier, hours, communityBuffs, upgradeMode }
+ * All sims share one seed (common random numbers), so candidates are compared on the same
+ * fights and small improvements are not drowned out by run-to-run noise.
+ * @param {Object} params - { playerDTOs, playerIndex, zoneHrid, difficultyTier, hours, communityBuffs, upgradeMode, seed }
  * @param {Function} onProgress - Called with { current, total, description }
  * @param {Object} [options] - { abortSignal: () => boolean }
- * @returns {Promise<Object>} { baseline, results: [{candidate, cost, metrics, deltas, goldPer}] }
+ * @returns {Promise<Object>} { baseline, seed, results: [{candidate, cost, metrics, deltas, goldPer}] }
  */
 export async function runUpgradeAnalysis(params, onProgress, options = {}) {
     const {
@@ -1040,6 +1043,7 @@ export async function runUpgradeAnalysis(params, onProgress, options = {}) {
         abilityTargetLevel,
         skipBackSlot,
     } = params;
+    const seed = params.seed ?? createRandomSeed();
     const { abortSignal } = options;
     const gameData = buildGameDataPayload();
     if (!gameData) throw new Error('No game data available');
@@ -1067,12 +1071,12 @@ export async function runUpgradeAnalysis(params, onProgress, options = {}) {
     // Run baseline sim
     onProgress?.({ current: 0, total, description: 'Running baseline...' });
     const baselineResult = await runSimulation(
-        { gameData, playerDTOs, zoneHrid, difficultyTier, hours, communityBuffs },
+        { gameData, playerDTOs, zoneHrid, difficultyTier, hours, communityBuffs, seed },
         null
     );
     current++;
 
-    if (abortSignal?.()) return { baseline: null, results: [] };
+    if (abortSignal?.()) return { baseline: null, seed, results: [] };
 
     onProgress?.({ current, total, description: 'Baseline complete' });
 
@@ -1109,7 +1113,7 @@ export async function runUpgradeAnalysis(params, onProgress, options = {}) {
         }
 
         const simResult = await runSimulation(
-            { gameData, playerDTOs: modifiedDTOs, zoneHrid, difficultyTier, hours, communityBuffs },
+            { gameData, playerDTOs: modifiedDTOs, zoneHrid, difficultyTier, hours, communityBuffs, seed },
             null
         );
 
@@ -1131,13 +1135,25 @@ export async function runUpgradeAnalysis(params, onProgress, options = {}) {
         return aVal - bVal;
     });
 
-    return { baseline: baselineMetrics, results };
+    return { baseline: baselineMetrics, seed, results };
 }
 
+/** computeMetrics() field optimized for each optimizer objective */
+export const OBJECTIVE_METRICS = {
+    xp: 'xpPerHour',
+    profit: 'profitPerHour',
+    dps: 'dps',
+};
+
 /**
  * Compute key metrics from a sim result.
+ * @param {Object} simResult
+ * @param {Object} gameData
+ * @param {string} playerHrid
+ * @param {number} hours - Fallback when the result has no simulatedTime
+ * @returns {Object} { xpPerHour, profitPerHour, deathsPerHour, encountersPerHour, dps }
  */
-function computeMetrics(simResult, gameData, playerHrid, hours) {
+export function computeMetrics(simResult, gameData, playerHrid, hours) {
     const simHours = (simResult.simulatedTime || 0) / (3600 * 1e9) || hours;
     const xp = simResult.experienceGained?.[playerHrid] || {};
     const totalXpPerHour = Object.values(xp).reduce((s, v) => s + v, 0) / simHours;
@@ -1158,8 +1174,11 @@ function computeMetrics(simResult, gameData, playerHrid, hours) {
 
 /**
  * Compute percentage deltas between baseline and upgraded metrics.
+ * @param {Object} baseline - computeMetrics() result
+ * @param {Object} upgraded - computeMetrics() result
+ * @returns {Object} { dps, xp, profit, deaths, encounters } in percent
  */
-function computeDeltas(baseline, upgraded) {
+export function computeDeltas(baseline, upgraded) {
     const pctDelta = (base, upg) => {
         if (base === 0) return upg > 0 ? 100 : 0;
         return ((upg - base) / Math.abs(base)) * 100;
@@ -1381,9 +1400,10 @@ function buildModifiedCombatBuffs(baseBuffs, candidate) {
  * @param {Array} [params.labyrinthCombatBuffs] - Combat buffs from labyrinth upgrades
  * @param {string} params.upgradeMode - 'equipment', 'ability_level', or 'ability_swap'
  * @param {number} [params.abilityTargetLevel] - Target ability level
+ * @param {number} [params.seed] - Seed shared by the baseline and every candidate (random when omitted)
  * @param {Function} onProgress - Called with { current, total, description }
  * @param {Object} [options] - { abortSignal: () => boolean }
- * @returns {Promise<Object>} { baseline, results: [{candidate, costType, ...}] }
+ * @returns {Promise<Object>} { baseline, seed, results: [{candidate, costType, ...}] }
  */
 export async function runLabyrinthUpgradeAnalysis(params, onProgress, options = {}) {
     const {
@@ -1400,6 +1420,7 @@ export async function runLabyrinthUpgradeAnalysis(params, onProgress, options =
         abilityTargetLevel,
         skipBackSlot,
     } = params;
+    const seed = params.seed ?? createRandomSeed();
     const { abortSignal } = options;
     const gameData = buildGameDataPayload();
     if (!gameData) throw new Error('No game data available');
@@ -1443,10 +1464,11 @@ export async function runLabyrinthUpgradeAnalysis(params, onProgress, options =
         hours,
         communityBuffs,
         labyrinthCombatBuffs,
+        seed,
     });
     current++;
 
-    if (abortSignal?.()) return { baseline: null, results: [] };
+    if (abortSignal?.()) return { baseline: null, seed, results: [] };
 
     const baselineAttempts = baselineResult.labyAttemptCount || 1;
     const baselineEncounters = baselineResult.encounters || 0;
@@ -1495,6 +1517,7 @@ export async function runLabyrinthUpgradeAnalysis(params, onProgress, options =
             hours,
             communityBuffs,
             labyrinthCombatBuffs,
+            seed,
         });
 
         if (abortSignal?.()) break;
@@ -1534,6 +1557,7 @@ export async function runLabyrinthUpgradeAnalysis(params, onProgress, options =
             hours,
             communityBuffs,
             labyrinthCombatBuffs: modifiedBuffs,
+            seed,
         });
 
         if (abortSignal?.()) break;
@@ -1586,6 +1610,7 @@ export async function runLabyrinthUpgradeAnalysis(params, onProgress, options =
             encounters: baselineEncounters,
             attempts: baselineAttempts,
         },
+        seed,
         results,
     };
 }
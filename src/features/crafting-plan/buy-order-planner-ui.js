@@ -0,0 +1,267 @@
+/**
+ * Buy Order Planner UI
+ * Planner modal opened from the crafting plan's shopping list, and the progress panel
+ * shown in the marketplace while the plan is being bought.
+ */
+
+import config from '../../core/config.js';
+import dataManager from '../../core/data-manager.js';
+import marketAPI from '../../api/marketplace.js';
+import orderBookHistory from '../market/order-book-history.js';
+import { formatKMB, formatWithSeparator, timeReadable } from '../../utils/formatters.js';
+import { BUY_METHOD, STEP_STATUS, planMaterial, summarizeBuyPlan } from './buy-order-planner.js';
+
+const MODAL_ID = 'mwi-buy-order-planner';
+const PROGRESS_ID = 'mwi-buy-order-progress';
+
+const CELL_STYLE = 'padding: 4px 8px; border-bottom: 1px solid #333; text-align: right; white-space: nowrap;';
+
+const STATUS_LABELS = {
+    [STEP_STATUS.PENDING]: { text: 'To buy', color: '#aaa' },
+    [STEP_STATUS.ORDERED]: { text: 'Ordered', color: '#60a5fa' },
+    [STEP_STATUS.RECEIVED]: { text: 'Received', color: '#4ade80' },
+};
+
+/**
+ * @returns {number} Coins in inventory
+ */
+function getCoins() {
+    return dataManager.getInventory()?.find((item) => item.itemHrid === '/items/coin')?.count || 0;
+}
+
+/**
+ * @param {number|null} hours - Estimated fill time
+ * @returns {string}
+ */
+function formatFillTime(hours) {
+    if (hours === null) return '?';
+    return hours < 1 / 60 ? '<1m' : timeReadable(Math.round(hours * 3600));
+}
+
+/**
+ * Plan every material
+ * @param {Array<Object>} materials - Missing materials ({ itemHrid, itemName, missing })
+ * @returns {Promise<Array<Object>>} planMaterial() rows
+ */
+export async function buildBuyPlan(materials) {
+    const rows = [];
+    for (const material of materials) {
+        let liquidity = null;
+        try {
+            liquidity = await orderBookHistory.getLiquidity(material.itemHrid, 0, material.missing);
+        } catch (error) {
+            console.error('[BuyOrderPlanner] Failed to read order book history:', error);
+        }
+        rows.push(planMaterial(material, marketAPI.getPrice(material.itemHrid, 0), liquidity));
+    }
+    return rows;
+}
+
+/**
+ * Open the planner modal
+ * @param {Array<Object>} materials - Missing materials ({ itemHrid, itemName, missing })
+ * @param {Function} onStart - Called with the plan rows when the user starts buying
+ */
+export async function openBuyOrderPlanner(materials, onStart) {
+    document.getElementById(MODAL_ID)?.remove();
+
+    const rows = await buildBuyPlan(materials);
+
+    const overlay = document.createElement('div');
+    overlay.id = MODAL_ID;
+    overlay.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.8);
+        z-index: 10000;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+    `;
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) overlay.remove();
+    });
+
+    const modal = document.createElement('div');
+    modal.style.cssText = `
+        background: #2a2a2a;
+        border-radius: 8px;
+        padding: 20px;
+        max-width: 95%;
+        max-height: 90%;
+        overflow: auto;
+        color: #fff;
+        box-shadow: 0 4px 20px rgba(0, 0, 0, 0.5);
+    `;
+
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px;';
+    header.innerHTML = '<h2 style="margin: 0; color: #fff;">Buy Order Plan</h2>';
+    const closeBtn = document.createElement('button');
+    closeBtn.textContent = '✕';
+    closeBtn.style.cssText = 'background: none; border: none; color: #fff; font-size: 24px; cursor: pointer;';
+    closeBtn.addEventListener('click', () => overlay.remove());
+    header.appendChild(closeBtn);
+
+    const note = document.createElement('div');
+    note.style.cssText = 'color: #888; font-size: 12px; margin-bottom: 10px; max-width: 760px;';
+    note.textContent =
+        'Bid = place a buy order at the current best bid (use the order form’s + button to jump the queue). ' +
+        'Fill times come from order book snapshots of items you have viewed in the marketplace; "?" means none yet.';
+
+    const table = document.createElement('table');
+    table.style.cssText = 'width: 100%; border-collapse: collapse; font-size: 13px;';
+
+    const summary = document.createElement('div');
+    summary.style.cssText = 'margin-top: 12px; display: flex; gap: 20px; flex-wrap: wrap; font-size: 13px;';
+
+    const footer = document.createElement('div');
+    footer.style.cssText = 'display: flex; justify-content: flex-end; margin-top: 14px;';
+    const startBtn = document.createElement('button');
+    startBtn.textContent = 'Start Buying';
+    startBtn.style.cssText = `
+        padding: 6px 14px;
+        background: linear-gradient(135deg, #1e40af, #3b82f6);
+        border: 1px solid #60a5fa;
+        border-radius: 4px;
+        color: white;
+        cursor: pointer;
+    `;
+    startBtn.addEventListener('click', () => {
+        overlay.remove();
+        onStart(rows);
+    });
+    footer.appendChild(startBtn);
+
+    const renderSummary = () => {
+        const totals = summarizeBuyPlan(rows, getCoins());
+        const shortfallColor = totals.shortfall > 0 ? config.COLOR_LOSS : config.COLOR_PROFIT;
+        summary.innerHTML = `
+            <div>Planned: <b>${formatWithSeparator(Math.round(totals.plannedTotal))}</b></div>
+            <div>All at ask: ${formatWithSeparator(Math.round(totals.askTotal))}</div>
+            <div>Saving: <span style="color: ${config.COLOR_PROFIT};">${formatKMB(Math.round(totals.savings))}</span></div>
+            <div>Coins: ${formatWithSeparator(totals.coins)}</div>
+            <div style="color: ${shortfallColor};">${
+                totals.shortfall > 0 ? `Short by ${formatWithSeparator(Math.round(totals.shortfall))}` : 'Enough coins'
+            }</div>
+            ${totals.longestFillHours > 0 ? `<div>Slowest order: ~${formatFillTime(totals.longestFillHours)}</div>` : ''}
+            ${totals.unpriced > 0 ? `<div style="color: ${config.COLOR_WARNING};">${totals.unpriced} unpriced</div>` : ''}
+        `;
+    };
+
+    const headers = ['Item', 'Qty', 'Ask', 'Bid', 'Cost at ask', 'Cost at bid', 'Bid fill', 'Method', ''];
+    const cell = (content, index, tag = 'td') => {
+        const el = document.createElement(tag);
+        el.style.cssText = CELL_STYLE + (index === 0 || index === headers.length - 1 ? ' text-align: left;' : '');
+        if (content instanceof HTMLElement) el.appendChild(content);
+        else el.textContent = content;
+        return el;
+    };
+    const headerRow = document.createElement('tr');
+    headerRow.style.color = '#aaa';
+    headers.forEach((text, i) => headerRow.appendChild(cell(text, i, 'th')));
+    table.appendChild(headerRow);
+
+    const price = (value) => (value === null ? '-' : formatWithSeparator(Math.round(value)));
+    for (const row of rows) {
+        const methodSelect = document.createElement('select');
+        methodSelect.style.cssText = 'background: #1a1a1a; color: #fff; border: 1px solid #555;';
+        for (const [value, label] of [
+            [BUY_METHOD.BID, 'Buy order'],
+            [BUY_METHOD.ASK, 'Instant'],
+        ]) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            methodSelect.appendChild(option);
+        }
+        methodSelect.value = row.method;
+        methodSelect.addEventListener('change', () => {
+            row.method = methodSelect.value;
+            renderSummary();
+        });
+
+        const reason = document.createElement('span');
+        reason.style.cssText = 'color: #888; font-size: 11px;';
+        reason.textContent = row.reason;
+
+        const tr = document.createElement('tr');
+        [
+            row.itemName,
+            formatWithSeparator(row.quantity),
+            price(row.ask),
+            price(row.suggestedBid),
+            price(row.askCost),
+            price(row.bidCost),
+            formatFillTime(row.fillHours),
+            methodSelect,
+            reason,
+        ].forEach((content, i) => tr.appendChild(cell(content, i)));
+        table.appendChild(tr);
+    }
+
+    renderSummary();
+    modal.append(header, note, table, summary, footer);
+    overlay.appendChild(modal);
+    document.body.appendChild(overlay);
+}
+
+/**
+ * Show or update the progress panel
+ * @param {Array<Object>} rows - Plan rows
+ * @param {Map<string, string>} statuses - itemHrid → STEP_STATUS
+ * @param {string|null} currentItemHrid - Step being bought now
+ */
+export function renderBuyPlanProgress(rows, statuses, currentItemHrid) {
+    let panel = document.getElementById(PROGRESS_ID);
+    if (!panel) {
+        panel = document.createElement('div');
+        panel.id = PROGRESS_ID;
+        panel.style.cssText = `
+            position: fixed;
+            right: 16px;
+            bottom: 16px;
+            z-index: 9999;
+            background: rgba(20, 20, 30, 0.95);
+            border: 1px solid #3b82f6;
+            border-radius: 6px;
+            padding: 8px 12px;
+            font-size: 12px;
+            color: #fff;
+            max-width: 340px;
+        `;
+        document.body.appendChild(panel);
+    }
+
+    const done = rows.filter((row) => statuses.get(row.itemHrid) === STEP_STATUS.RECEIVED).length;
+    const lines = rows.map((row) => {
+        const status = STATUS_LABELS[statuses.get(row.itemHrid)] || STATUS_LABELS[STEP_STATUS.PENDING];
+        const how =
+            row.method === BUY_METHOD.BID && row.suggestedBid !== null
+                ? `Buy Listing at ${formatWithSeparator(row.suggestedBid)}`
+                : 'Buy Now';
+        const marker = row.itemHrid === currentItemHrid ? '▶ ' : '';
+        return `
+            <div style="display: flex; justify-content: space-between; gap: 10px;${marker ? ' font-weight: bold;' : ''}">
+                <span>${marker}${row.itemName} ×${formatWithSeparator(row.quantity)} <span style="color: #888;">(${how})</span></span>
+                <span style="color: ${status.color};">${status.text}</span>
+            </div>
+        `;
+    });
+
+    panel.innerHTML = `
+        <div style="font-weight: bold; margin-bottom: 4px;">Buy plan: ${done}/${rows.length} received</div>
+        ${lines.join('')}
+    `;
+}
+
+/**
+ * Remove the progress panel and any open planner
+ */
+export function removeBuyPlanUI() {
+    document.getElementById(PROGRESS_ID)?.remove();
+    document.getElementById(MODAL_ID)?.remove();
+}
@@ -0,0 +1,155 @@
+/**
+ * Buy Order Planner
+ * Turns a crafting shopping list into a purchase plan: per material, whether to place a
+ * buy order at the best bid or pay the ask now, what each costs, how long the order is
+ * likely to take, and the total gold needed versus coins on hand.
+ *
+ * Order book depth and fill rates come from order-book-history (items you've viewed in
+ * the marketplace); without them the plan falls back to the bulk market prices.
+ */
+
+export const BUY_METHOD = Object.freeze({
+    BID: 'bid', // Place a buy order at the best bid
+    ASK: 'ask', // Buy instantly from the asks
+});
+
+export const STEP_STATUS = Object.freeze({
+    PENDING: 'pending',
+    ORDERED: 'ordered', // A buy order is open for the item, or filled and waiting to be collected
+    RECEIVED: 'received', // Nothing missing anymore
+});
+
+export const DEFAULT_MAX_WAIT_HOURS = 12;
+
+/**
+ * Plan one material
+ * @param {Object} material - { itemHrid, itemName, missing }
+ * @param {Object|null} price - Market price ({ask, bid})
+ * @param {Object|null} liquidity - orderBookHistory.getLiquidity() for the missing quantity
+ * @param {Object} [options]
+ * @param {number} [options.maxWaitHours] - Pay the ask when a buy order would take longer than this
+ * @returns {Object} { itemHrid, itemName, quantity, ask, bid, suggestedBid, askCost, bidCost, fillHours, method, reason }
+ */
+export function planMaterial(material, price, liquidity, { maxWaitHours = DEFAULT_MAX_WAIT_HOURS } = {}) {
+    const quantity = material.missing;
+    const book = liquidity?.latest;
+    const ask = book?.asks?.[0]?.[0] ?? (price?.ask > 0 ? price.ask : null);
+    const bid = book?.bids?.[0]?.[0] ?? (price?.bid > 0 ? price.bid : null);
+
+    // Walking the asks is exact up to the 20 visible listings; the rest is assumed at the worst seen price
+    let askCost = ask !== null ? ask * quantity : null;
+    const sweep = liquidity?.buyFromAsks;
+    if (sweep && sweep.filled > 0) {
+        askCost = sweep.total + sweep.unfilled * sweep.worstPrice;
+    }
+
+    // Joining the best bid; the order form's + button moves to the front of the queue
+    const suggestedBid = bid;
+    const bidCost = suggestedBid !== null ? suggestedBid * quantity : null;
+    const fillHours = liquidity?.buyListingHours ?? null;
+
+    let method;
+    let reason;
+    if (bidCost === null && askCost === null) {
+        method = BUY_METHOD.ASK;
+        reason = 'No market price';
+    } else if (bidCost === null) {
+        method = BUY_METHOD.ASK;
+        reason = 'No buy orders to join';
+    } else if (askCost === null) {
+        method = BUY_METHOD.BID;
+        reason = 'No sell listings';
+    } else if (fillHours !== null && fillHours > maxWaitHours) {
+        method = BUY_METHOD.ASK;
+        reason = `Buy order would take over ${maxWaitHours}h`;
+    } else if (bidCost < askCost) {
+        method = BUY_METHOD.BID;
+        reason = fillHours === null ? 'Cheaper; fill time unknown' : 'Cheaper';
+    } else {
+        method = BUY_METHOD.ASK;
+        reason = 'No cheaper than the ask';
+    }
+
+    return {
+        itemHrid: material.itemHrid,
+        itemName: material.itemName,
+        quantity,
+        ask,
+        bid,
+        suggestedBid,
+        askCost,
+        bidCost,
+        fillHours,
+        method,
+        reason,
+    };
+}
+
+/**
+ * Gold needed for a plan
+ * @param {Array<Object>} rows - planMaterial() rows (method may have been changed by the user)
+ * @param {number} coins - Coins on hand
+ * @returns {Object} { askTotal, plannedTotal, savings, coins, shortfall, unpriced, longestFillHours }
+ */
+export function summarizeBuyPlan(rows, coins) {
+    let askTotal = 0;
+    let plannedTotal = 0;
+    let unpriced = 0;
+    let longestFillHours = 0;
+
+    for (const row of rows) {
+        const cost = row.method === BUY_METHOD.BID ? row.bidCost : row.askCost;
+        if (cost === null) {
+            unpriced++;
+            continue;
+        }
+        plannedTotal += cost;
+        askTotal += row.askCost ?? cost;
+        if (row.method === BUY_METHOD.BID && row.fillHours !== null) {
+            longestFillHours = Math.max(longestFillHours, row.fillHours);
+        }
+    }
+
+    return {
+        askTotal,
+        plannedTotal,
+        savings: askTotal - plannedTotal,
+        coins,
+        shortfall: Math.max(0, plannedTotal - coins),
+        unpriced,
+        longestFillHours,
+    };
+}
+
+/**
+ * Progress of one plan step
+ * @param {number} missing - Units still missing from inventory
+ * @param {number} openBuyQuantity - Units on the way from your buy orders (getOpenBuyQuantities)
+ * @returns {string} STEP_STATUS value
+ */
+export function getStepStatus(missing, openBuyQuantity) {
+    if (missing <= 0) return STEP_STATUS.RECEIVED;
+    if (openBuyQuantity > 0) return STEP_STATUS.ORDERED;
+    return STEP_STATUS.PENDING;
+}
+
+/**
+ * Units on the way from your buy orders per item: the unfilled part of open orders plus
+ * filled units waiting to be collected, which are not in the inventory yet
+ * @param {Array<Object>} listings - dataManager.getMarketListings()
+ * @returns {Map<string, number>} itemHrid → units
+ */
+export function getOpenBuyQuantities(listings) {
+    const quantities = new Map();
+    for (const listing of listings || []) {
+        if (listing.isSell || listing.enhancementLevel) continue;
+        const unfilled =
+            listing.status === '/market_listing_status/active'
+                ? (listing.orderQuantity || 0) - (listing.filledQuantity || 0)
+                : 0;
+        const remaining = Math.max(0, unfilled) + (listing.unclaimedItemCount || 0);
+        if (remaining <= 0) continue;
+        quantities.set(listing.itemHrid, (quantities.get(listing.itemHrid) || 0) + remaining);
+    }
+    return quantities;
+}
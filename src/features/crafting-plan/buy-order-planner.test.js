@@ -0,0 +1,114 @@
+import { describe, expect, test } from 'vitest';
+import {
+    BUY_METHOD,
+    STEP_STATUS,
+    getOpenBuyQuantities,
+    getStepStatus,
+    planMaterial,
+    summarizeBuyPlan,
+} from './buy-order-planner.js';
+
+const material = { itemHrid: '/items/cheese', itemName: 'Cheese', missing: 100 };
+
+describe('planMaterial', () => {
+    test('prefers a buy order at the best bid when it is cheaper and fills in time', () => {
+        const row = planMaterial(material, { ask: 12, bid: 10 }, null);
+        expect(row).toMatchObject({ suggestedBid: 10, askCost: 1200, bidCost: 1000, method: BUY_METHOD.BID });
+        expect(row.reason).toContain('fill time unknown');
+    });
+
+    test('walks the visible asks and pays the ask when a buy order would be too slow', () => {
+        const liquidity = {
+            latest: { asks: [[12, 50]], bids: [[10, 500]] },
+            buyFromAsks: { filled: 50, unfilled: 50, total: 600, worstPrice: 12 },
+            buyListingHours: 30,
+        };
+        const row = planMaterial(material, { ask: 99, bid: 99 }, liquidity, { maxWaitHours: 12 });
+        expect(row).toMatchObject({ ask: 12, bid: 10, askCost: 1200, fillHours: 30, method: BUY_METHOD.ASK });
+    });
+
+    test('falls back to whichever side has a price', () => {
+        expect(planMaterial(material, { ask: 12, bid: null }, null).method).toBe(BUY_METHOD.ASK);
+        expect(planMaterial(material, { ask: null, bid: 10 }, null).method).toBe(BUY_METHOD.BID);
+    });
+});
+
+describe('summarizeBuyPlan', () => {
+    test('totals the chosen methods against coins on hand', () => {
+        const rows = [
+            { method: BUY_METHOD.BID, bidCost: 1000, askCost: 1200, fillHours: 5 },
+            { method: BUY_METHOD.ASK, bidCost: 400, askCost: 500, fillHours: 20 },
+            { method: BUY_METHOD.ASK, bidCost: null, askCost: null, fillHours: null },
+        ];
+        expect(summarizeBuyPlan(rows, 1000)).toEqual({
+            askTotal: 1700,
+            plannedTotal: 1500,
+            savings: 200,
+            coins: 1000,
+            shortfall: 500,
+            unpriced: 1,
+            longestFillHours: 5,
+        });
+    });
+});
+
+describe('progress', () => {
+    test('tracks open buy orders and received items', () => {
+        const quantities = getOpenBuyQuantities([
+            {
+                itemHrid: '/items/cheese',
+                isSell: false,
+                status: '/market_listing_status/active',
+                orderQuantity: 10,
+                filledQuantity: 4,
+            },
+            {
+                itemHrid: '/items/cheese',
+                isSell: true,
+                status: '/market_listing_status/active',
+                orderQuantity: 5,
+                filledQuantity: 0,
+            },
+            {
+                itemHrid: '/items/milk',
+                isSell: false,
+                status: '/market_listing_status/filled',
+                orderQuantity: 5,
+                filledQuantity: 5,
+            },
+        ]);
+        expect(quantities).toEqual(new Map([['/items/cheese', 6]]));
+        expect(getStepStatus(10, 6)).toBe(STEP_STATUS.ORDERED);
+        expect(getStepStatus(0, 6)).toBe(STEP_STATUS.RECEIVED);
+        expect(getStepStatus(10, 0)).toBe(STEP_STATUS.PENDING);
+    });
+
+    test('counts filled buy orders as ordered until their items are collected', () => {
+        const listing = {
+            itemHrid: '/items/milk',
+            isSell: false,
+            status: '/market_listing_status/filled',
+            orderQuantity: 5,
+            filledQuantity: 5,
+            unclaimedItemCount: 5,
+        };
+        const partlyFilled = {
+            itemHrid: '/items/cheese',
+            isSell: false,
+            status: '/market_listing_status/active',
+            orderQuantity: 10,
+            filledQuantity: 4,
+            unclaimedItemCount: 4,
+        };
+
+        const quantities = getOpenBuyQuantities([listing, partlyFilled]);
+        expect(quantities).toEqual(
+            new Map([
+                ['/items/milk', 5],
+                ['/items/cheese', 10],
+            ])
+        );
+        expect(getStepStatus(5, quantities.get('/items/milk'))).toBe(STEP_STATUS.ORDERED);
+        expect(getOpenBuyQuantities([{ ...listing, unclaimedItemCount: 0 }]).size).toBe(0);
+    });
+});
@@ -1,7 +1,8 @@
 /**
  * Crafting Plan Display
  * Renders the buy-vs-craft decision tree in action panels.
- * Shows a summary comparison plus a shopping list of materials to buy.
+ * Shows a summary comparison plus a shopping list of materials to buy, with a buy order
+ * planner that steps through the purchase in the marketplace.
  */
 
 import config from '../../core/config.js';
@@ -25,11 +26,13 @@ import {
     MARKETPLACE_REMOUNT_GRACE_MS,
     isMarketplaceMarketListingsSelected,
 } from '../../utils/marketplace-tabs.js';
-import { createAutofillManager } from '../../utils/marketplace-autofill.js';
+import { BUY_FLOW, createAutofillManager } from '../../utils/marketplace-autofill.js';
 import { calculateActionStats } from '../../utils/action-calculator.js';
 import { calculateEfficiencyMultiplier } from '../../utils/efficiency.js';
 import { calculateExpPerHour } from '../../utils/experience-calculator.js';
 import { compactActionPanelSection } from '../actions/production-tools-layout.js';
+import { BUY_METHOD, STEP_STATUS, getOpenBuyQuantities, getStepStatus } from './buy-order-planner.js';
+import { openBuyOrderPlanner, removeBuyPlanUI, renderBuyPlanProgress } from './buy-order-planner-ui.js';
 
 const UI_ID = 'mwi-crafting-plan';
 
@@ -38,6 +41,7 @@ const PRICING_MODES = [
     { value: 'hybrid', label: 'Instant Buy / Patient Sell' },
     { value: 'optimistic', label: 'Patient Buy / Patient Sell' },
     { value: 'patientBuy', label: 'Patient Buy' },
+    { value: 'custom', label: 'Custom Formulas' },
 ];
 const craftingPlanTabs = [];
 let cleanupObserver = null;
@@ -46,6 +50,7 @@ const autofillManager = createAutofillManager('CraftingPlan');
 let activeWorkflowModel = null;
 let craftingPlanSessionId = null;
 let inventoryUpdateHandler = null;
+let listingsUpdateHandler = null;
 
 const PRODUCTION_TYPES = [
     '/action_types/brewing',
@@ -525,142 +530,44 @@ function buildPlanUI(actionHrid, onToggle, defaultOpen = false) {
             border: 1px solid #60a5fa; border-radius: 4px;
             color: white; cursor: pointer; font-size: 0.85em;
         `;
-        buyButton.addEventListener('click', async () => {
-            let capturedSessionId = null;
-            try {
-                const panel = buyButton.closest('[class*="SkillActionDetail_skillActionDetail"]');
-                const inputField = findActionInput(panel);
-                const numActions = parseInt(inputField?.value) || 1;
-                const outputCount = output.count || 1;
-                const totalQty = numActions * outputCount;
-                const inventory = dataManager.getInventory() || [];
-
-                const missingMaterials = [];
-                for (const [itemHrid, item] of buyItems) {
-                    const needed = Math.ceil(item.quantity * totalQty);
-                    const have = inventory
-                        .filter(
-                            (inventoryItem) =>
-                                inventoryItem.itemHrid === itemHrid &&
-                                inventoryItem.itemLocationHrid === '/item_locations/inventory' &&
-                                !inventoryItem.enhancementLevel
-                        )
-                        .reduce((sum, i) => sum + (i.count || 0), 0);
-                    const missing = Math.max(0, needed - have);
-                    const itemDetails = dataManager.getItemDetails(itemHrid);
-                    const isTradeable = itemDetails?.isTradable === true;
-                    if (missing > 0 && isTradeable) {
-                        missingMaterials.push({
-                            itemHrid,
-                            itemName: item.itemName,
-                            missing,
-                            required: needed,
-                            isTradeable,
-                        });
-                    }
-                }
-
-                if (missingMaterials.length === 0) return;
-
-                // Claim session before the first await.
-                capturedSessionId = marketplaceSession.start({
-                    owner: MARKETPLACE_OWNER.CRAFTING_PLAN,
-                    onEnd: teardownCraftingPlanMarketplaceSession,
-                });
-                craftingPlanSessionId = capturedSessionId;
-
-                const success = await openCraftingPlanMarketplace(capturedSessionId);
-                if (!success) {
-                    marketplaceSession.end(capturedSessionId);
-                    return;
-                }
-                if (!marketplaceSession.isActive(capturedSessionId)) return;
-
-                activeWorkflowModel = {
-                    sessionId: capturedSessionId,
-                    materials: missingMaterials.map((material) => ({ ...material })),
-                    returnContext: { actionHrid, numActions },
-                };
-                autofillManager.startSession({ sessionId: capturedSessionId });
-
-                await new Promise((resolve) => setTimeout(resolve, 200));
-                if (!marketplaceSession.isActive(capturedSessionId)) return;
-                if (!createCraftingPlanTabs(activeWorkflowModel.materials, null, capturedSessionId)) {
-                    marketplaceSession.end(capturedSessionId);
-                    return;
-                }
+        const getMissingForPanel = () => {
+            const panel = buyButton.closest('[class*="SkillActionDetail_skillActionDetail"]');
+            const inputField = findActionInput(panel);
+            const numActions = parseInt(inputField?.value) || 1;
+            const totalQty = numActions * (output.count || 1);
+            return {
+                missingMaterials: collectMissingMaterials(buyItems, totalQty),
+                returnContext: { actionHrid, numActions },
+            };
+        };
+        buyButton.addEventListener('click', () => {
+            const { missingMaterials, returnContext } = getMissingForPanel();
+            startBuyWorkflow(missingMaterials, returnContext);
+        });
+        content.appendChild(buyButton);
 
-                const firstMaterial = activeWorkflowModel.materials.find(
-                    (material) => material.isTradeable !== false && material.missing > 0
+        // === Plan Buy Orders button ===
+        const planButton = document.createElement('button');
+        planButton.type = 'button';
+        planButton.textContent = 'Plan Buy Orders';
+        planButton.style.cssText = `
+            width: 100%; margin-top: 4px; padding: 6px;
+            background: transparent;
+            border: 1px solid #60a5fa; border-radius: 4px;
+            color: #93c5fd; cursor: pointer; font-size: 0.85em;
+        `;
+        planButton.addEventListener('click', async () => {
+            const { missingMaterials, returnContext } = getMissingForPanel();
+            if (missingMaterials.length === 0) return;
+            try {
+                await openBuyOrderPlanner(missingMaterials, (buyPlan) =>
+                    startBuyWorkflow(missingMaterials, returnContext, buyPlan)
                 );
-                if (!firstMaterial) {
-                    marketplaceSession.end(capturedSessionId);
-                    return;
-                }
-
-                const armed = autofillManager.arm({
-                    sessionId: capturedSessionId,
-                    itemHrid: firstMaterial.itemHrid,
-                    enhancementLevel: 0,
-                    modalMode: 'buy',
-                    quantityProvider: () => {
-                        const model = activeWorkflowModel;
-                        if (model?.sessionId !== capturedSessionId) return 0;
-                        return model.materials.find((entry) => entry.itemHrid === firstMaterial.itemHrid)?.missing ?? 0;
-                    },
-                });
-                if (!armed) {
-                    marketplaceSession.end(capturedSessionId);
-                    return;
-                }
-                if (!navigateToMarketplace(firstMaterial.itemHrid, 0)) {
-                    marketplaceSession.end(capturedSessionId);
-                    return;
-                }
-
-                if (inventoryUpdateHandler) dataManager.off('items_updated', inventoryUpdateHandler);
-                inventoryUpdateHandler = () => {
-                    const model = activeWorkflowModel;
-                    if (
-                        !model ||
-                        model.sessionId !== capturedSessionId ||
-                        !marketplaceSession.isActive(capturedSessionId)
-                    ) {
-                        return;
-                    }
-
-                    const currentInventory = dataManager.getInventory() || [];
-                    for (const material of model.materials) {
-                        const have = currentInventory
-                            .filter(
-                                (inventoryItem) =>
-                                    inventoryItem.itemHrid === material.itemHrid &&
-                                    inventoryItem.itemLocationHrid === '/item_locations/inventory' &&
-                                    !inventoryItem.enhancementLevel
-                            )
-                            .reduce((sum, item) => sum + (item.count || 0), 0);
-                        material.missing = Math.max(0, material.required - have);
-                    }
-
-                    const connectedTabs = document.querySelectorAll(
-                        `[data-mwi-custom-tab][data-mwi-tab-owner="${MARKETPLACE_OWNER.CRAFTING_PLAN}"][data-item-hrid]`
-                    );
-                    for (const tab of connectedTabs) {
-                        const material = model.materials.find(
-                            (entry) => entry.itemHrid === tab.getAttribute('data-item-hrid')
-                        );
-                        if (material) updateTabBadge(tab, material);
-                    }
-                };
-                dataManager.on('items_updated', inventoryUpdateHandler);
             } catch (error) {
-                console.error('[CraftingPlan] Missing-materials workflow failed:', error);
-                if (capturedSessionId !== null && marketplaceSession.isActive(capturedSessionId)) {
-                    marketplaceSession.end(capturedSessionId);
-                }
+                console.error('[CraftingPlan] Buy order planner failed:', error);
             }
         });
-        content.appendChild(buyButton);
+        content.appendChild(planButton);
     }
 
     // === Crafting Steps (what to craft, in order) ===
@@ -719,6 +626,209 @@ function buildPlanUI(actionHrid, onToggle, defaultOpen = false) {
     return section;
 }
 
+/**
+ * Count unenhanced units of an item in the inventory.
+ * @param {Array} inventory - dataManager.getInventory()
+ * @param {string} itemHrid
+ * @returns {number}
+ */
+function countInventoryItem(inventory, itemHrid) {
+    return inventory
+        .filter(
+            (inventoryItem) =>
+                inventoryItem.itemHrid === itemHrid &&
+                inventoryItem.itemLocationHrid === '/item_locations/inventory' &&
+                !inventoryItem.enhancementLevel
+        )
+        .reduce((sum, item) => sum + (item.count || 0), 0);
+}
+
+/**
+ * Tradeable shopping list items not covered by the inventory.
+ * @param {Map} buyItems - From collectBuyItems (per one output)
+ * @param {number} totalQty - Outputs to make
+ * @returns {Array<Object>} [{ itemHrid, itemName, missing, required, isTradeable }]
+ */
+function collectMissingMaterials(buyItems, totalQty) {
+    const inventory = dataManager.getInventory() || [];
+    const missingMaterials = [];
+    for (const [itemHrid, item] of buyItems) {
+        const needed = Math.ceil(item.quantity * totalQty);
+        const missing = Math.max(0, needed - countInventoryItem(inventory, itemHrid));
+        const isTradeable = dataManager.getItemDetails(itemHrid)?.isTradable === true;
+        if (missing > 0 && isTradeable) {
+            missingMaterials.push({
+                itemHrid,
+                itemName: item.itemName,
+                missing,
+                required: needed,
+                isTradeable,
+            });
+        }
+    }
+    return missingMaterials;
+}
+
+/**
+ * Arm quantity autofill for a material and open its order book.
+ * With a buy plan, only the row's buy form is filled: a New Buy Listing at the suggested bid
+ * for buy orders, Buy Now otherwise.
+ * @param {number} sessionId
+ * @param {string} itemHrid
+ * @returns {boolean} False when the workflow should end
+ */
+function armMaterial(sessionId, itemHrid) {
+    const planRow = activeWorkflowModel?.buyPlan?.find((row) => row.itemHrid === itemHrid);
+    const isBid = planRow?.method === BUY_METHOD.BID && planRow.suggestedBid !== null;
+    const armed = autofillManager.arm({
+        sessionId,
+        itemHrid,
+        enhancementLevel: 0,
+        modalMode: 'buy',
+        quantityProvider: () => {
+            const model = activeWorkflowModel;
+            if (model?.sessionId !== sessionId) return 0;
+            return model.materials.find((entry) => entry.itemHrid === itemHrid)?.missing ?? 0;
+        },
+        buyFlow: planRow ? (isBid ? BUY_FLOW.LISTING : BUY_FLOW.INSTANT) : null,
+        priceProvider: isBid ? () => planRow.suggestedBid : null,
+    });
+    return armed && navigateToMarketplace(itemHrid, 0);
+}
+
+/**
+ * Refresh buy plan progress and move on to the next step once the current one has an
+ * open buy order or has arrived.
+ * @param {Object} model - activeWorkflowModel with a buyPlan
+ */
+function advanceBuyPlan(model) {
+    const openBuys = getOpenBuyQuantities(dataManager.getMarketListings());
+    const statuses = new Map();
+    for (const material of model.materials) {
+        statuses.set(material.itemHrid, getStepStatus(material.missing, openBuys.get(material.itemHrid) || 0));
+    }
+
+    if (statuses.get(model.currentItemHrid) !== STEP_STATUS.PENDING) {
+        const next = model.buyPlan.find((row) => statuses.get(row.itemHrid) === STEP_STATUS.PENDING);
+        if (next) {
+            model.currentItemHrid = next.itemHrid;
+            if (!armMaterial(model.sessionId, next.itemHrid)) {
+                marketplaceSession.end(model.sessionId);
+                return;
+            }
+        } else {
+            model.currentItemHrid = null;
+        }
+    }
+
+    renderBuyPlanProgress(model.buyPlan, statuses, model.currentItemHrid);
+}
+
+/**
+ * Open the marketplace with a tab per missing material and quantity autofill.
+ * With a buy plan, materials are bought in plan order and progress is tracked.
+ * @param {Array<Object>} missingMaterials - From collectMissingMaterials
+ * @param {Object} returnContext - { actionHrid, numActions }
+ * @param {Array<Object>|null} [buyPlan] - Rows from the buy order planner
+ */
+async function startBuyWorkflow(missingMaterials, returnContext, buyPlan = null) {
+    if (missingMaterials.length === 0) return;
+
+    let capturedSessionId = null;
+    try {
+        // Claim session before the first await.
+        capturedSessionId = marketplaceSession.start({
+            owner: MARKETPLACE_OWNER.CRAFTING_PLAN,
+            onEnd: teardownCraftingPlanMarketplaceSession,
+        });
+        craftingPlanSessionId = capturedSessionId;
+
+        const success = await openCraftingPlanMarketplace(capturedSessionId);
+        if (!success) {
+            marketplaceSession.end(capturedSessionId);
+            return;
+        }
+        if (!marketplaceSession.isActive(capturedSessionId)) return;
+
+        const planOrder = buyPlan ? buyPlan.map((row) => row.itemHrid) : [];
+        const materials = missingMaterials
+            .map((material) => ({ ...material }))
+            .sort((a, b) => planOrder.indexOf(a.itemHrid) - planOrder.indexOf(b.itemHrid));
+        activeWorkflowModel = {
+            sessionId: capturedSessionId,
+            materials,
+            returnContext,
+            buyPlan,
+            currentItemHrid: null,
+        };
+        autofillManager.startSession({ sessionId: capturedSessionId });
+
+        await new Promise((resolve) => setTimeout(resolve, 200));
+        if (!marketplaceSession.isActive(capturedSessionId)) return;
+        if (!createCraftingPlanTabs(activeWorkflowModel.materials, null, capturedSessionId)) {
+            marketplaceSession.end(capturedSessionId);
+            return;
+        }
+
+        const firstMaterial = activeWorkflowModel.materials.find(
+            (material) => material.isTradeable !== false && material.missing > 0
+        );
+        if (!firstMaterial) {
+            marketplaceSession.end(capturedSessionId);
+            return;
+        }
+
+        activeWorkflowModel.currentItemHrid = firstMaterial.itemHrid;
+        if (!armMaterial(capturedSessionId, firstMaterial.itemHrid)) {
+            marketplaceSession.end(capturedSessionId);
+            return;
+        }
+
+        if (inventoryUpdateHandler) dataManager.off('items_updated', inventoryUpdateHandler);
+        inventoryUpdateHandler = () => {
+            const model = activeWorkflowModel;
+            if (!model || model.sessionId !== capturedSessionId || !marketplaceSession.isActive(capturedSessionId)) {
+                return;
+            }
+
+            const currentInventory = dataManager.getInventory() || [];
+            for (const material of model.materials) {
+                material.missing = Math.max(
+                    0,
+                    material.required - countInventoryItem(currentInventory, material.itemHrid)
+                );
+            }
+
+            const connectedTabs = document.querySelectorAll(
+                `[data-mwi-custom-tab][data-mwi-tab-owner="${MARKETPLACE_OWNER.CRAFTING_PLAN}"][data-item-hrid]`
+            );
+            for (const tab of connectedTabs) {
+                const material = model.materials.find((entry) => entry.itemHrid === tab.getAttribute('data-item-hrid'));
+                if (material) updateTabBadge(tab, material);
+            }
+
+            if (model.buyPlan) advanceBuyPlan(model);
+        };
+        dataManager.on('items_updated', inventoryUpdateHandler);
+
+        if (buyPlan) {
+            if (listingsUpdateHandler) dataManager.off('market_listings_updated', listingsUpdateHandler);
+            listingsUpdateHandler = () => {
+                const model = activeWorkflowModel;
+                if (model?.sessionId !== capturedSessionId || !marketplaceSession.isActive(capturedSessionId)) return;
+                advanceBuyPlan(model);
+            };
+            dataManager.on('market_listings_updated', listingsUpdateHandler);
+            advanceBuyPlan(activeWorkflowModel);
+        }
+    } catch (error) {
+        console.error('[CraftingPlan] Missing-materials workflow failed:', error);
+        if (capturedSessionId !== null && marketplaceSession.isActive(capturedSessionId)) {
+            marketplaceSession.end(capturedSessionId);
+        }
+    }
+}
+
 /**
  * Navigate to the marketplace and wait for the tablist to appear.
  * @returns {Promise<boolean>} True if navigation succeeded
@@ -746,6 +856,11 @@ function teardownCraftingPlanMarketplaceSession() {
         dataManager.off('items_updated', inventoryUpdateHandler);
         inventoryUpdateHandler = null;
     }
+    if (listingsUpdateHandler) {
+        dataManager.off('market_listings_updated', listingsUpdateHandler);
+        listingsUpdateHandler = null;
+    }
+    removeBuyPlanUI();
     cleanupObserver?.();
     cleanupObserver = null;
     nativeTabExitCleanup?.();
@@ -843,26 +958,16 @@ function createCraftingPlanTabs(missingMaterials, tabsContainer = null, sessionI
 
     for (const material of missingMaterials) {
         const tabRef = { tab: null };
-        // activeWorkflowModel (read inside quantityProvider below) is module-level state,
-        // not a per-iteration loop variable — this intentionally reads its live value when
-        // the quantity provider is invoked later, not a stale snapshot from loop creation.
+        // activeWorkflowModel (read here and inside armMaterial's quantityProvider) is module-level
+        // state, not a per-iteration loop variable — this intentionally reads its live value when
+        // the handler runs later, not a stale snapshot from loop creation.
         // eslint-disable-next-line no-loop-func
         const handler = () => {
             if (!marketplaceSession.isActive(sessionId)) return;
             const liveMissing = Number.parseInt(tabRef.tab?.getAttribute('data-missing-quantity') || '0', 10);
             if (!Number.isFinite(liveMissing) || liveMissing <= 0 || material.isTradeable === false) return;
-            const armed = autofillManager.arm({
-                sessionId,
-                itemHrid: material.itemHrid,
-                enhancementLevel: 0,
-                modalMode: 'buy',
-                quantityProvider: () => {
-                    const model = activeWorkflowModel;
-                    if (model?.sessionId !== sessionId) return 0;
-                    return model.materials.find((entry) => entry.itemHrid === material.itemHrid)?.missing ?? 0;
-                },
-            });
-            if (!armed || !navigateToMarketplace(material.itemHrid, 0)) marketplaceSession.end(sessionId);
+            if (activeWorkflowModel?.sessionId === sessionId) activeWorkflowModel.currentItemHrid = material.itemHrid;
+            if (!armMaterial(sessionId, material.itemHrid)) marketplaceSession.end(sessionId);
         };
         const tab = createMaterialTab(material, referenceTab, handler, MARKETPLACE_OWNER.CRAFTING_PLAN);
         tabRef.tab = tab;
@@ -13,6 +13,12 @@ import domObserver from '../../core/dom-observer.js';
 import { marketplaceSession, MARKETPLACE_OWNER } from '../../core/marketplace-session.js';
 import { formatKMB } from '../../utils/formatters.js';
 import { getItemPrice } from '../../utils/market-data.js';
+import {
+    describeModeledPrice,
+    getModeledPrice,
+    isValuationModelEnabled,
+    shouldMarkModeledPrices,
+} from '../../utils/enhancement-valuation.js';
 import {
     navigateToMarketplace,
     createMaterialTab,
@@ -85,6 +91,31 @@ function createGuildReturnTab(referenceTab, returnLabel, sessionId) {
     return returnTab;
 }
 
+/**
+ * Price of a conversion item, modeled from its enhanced listings when the base item has none.
+ * @param {string} hrid - Item HRID
+ * @param {string} mode - 'ask' or 'bid'
+ * @returns {{ price: number|null, modeled: Object|null }}
+ */
+function getConversionPrice(hrid, mode) {
+    const price = getItemPrice(hrid, { mode });
+    if (price > 0 || !isValuationModelEnabled()) return { price, modeled: null };
+    const modeled = getModeledPrice(hrid, 0, mode);
+    return modeled ? { price: modeled.value, modeled } : { price, modeled: null };
+}
+
+/**
+ * Price cell content, marked with "~" when modeled
+ * @param {number|null} price
+ * @param {Object|null} modeled - getModeledPrice() estimate
+ * @returns {string} HTML string
+ */
+function formatConversionPrice(price, modeled) {
+    if (!price) return '–';
+    if (!modeled || !shouldMarkModeledPrices()) return formatKMB(price);
+    return `<span title="${describeModeledPrice(modeled)}" style="cursor:help;">~${formatKMB(price)}</span>`;
+}
+
 /**
  * Build cheapest-gold-per-credit maps for both sell and buy sides.
  * @param {Object} itemDetailMap
@@ -96,8 +127,8 @@ function buildCheapestPerCredit(itemDetailMap) {
     for (const [hrid, item] of Object.entries(itemDetailMap)) {
         for (const conv of item.guildCreditConversions || []) {
             const creditHrid = conv.creditItemHrid;
-            const sellPrice = getItemPrice(hrid, { mode: 'ask' });
-            const buyPrice = getItemPrice(hrid, { mode: 'bid' });
+            const sellPrice = getConversionPrice(hrid, 'ask').price;
+            const buyPrice = getConversionPrice(hrid, 'bid').price;
             if (sellPrice > 0) {
                 const gpc = (sellPrice * conv.itemCount) / conv.creditCount;
                 if (!sell[creditHrid] || gpc < sell[creditHrid]) sell[creditHrid] = gpc;
@@ -122,8 +153,8 @@ function buildTopConversions(itemDetailMap, n) {
     for (const [hrid, item] of Object.entries(itemDetailMap)) {
         for (const conv of item.guildCreditConversions || []) {
             const creditHrid = conv.creditItemHrid;
-            const askPrice = getItemPrice(hrid, { mode: 'ask' });
-            const bidPrice = getItemPrice(hrid, { mode: 'bid' });
+            const askPrice = getConversionPrice(hrid, 'ask').price;
+            const bidPrice = getConversionPrice(hrid, 'bid').price;
             if (!askPrice && !bidPrice) continue;
             const askGPC = askPrice > 0 ? (askPrice * conv.itemCount) / conv.creditCount : null;
             const bidGPC = bidPrice > 0 ? (bidPrice * conv.itemCount) / conv.creditCount : null;
@@ -293,8 +324,8 @@ class GuildCreditValue {
             const conv = (item.guildCreditConversions || []).find((c) => c.creditItemHrid === creditHrid);
             if (!conv) continue;
 
-            const sellPrice = getItemPrice(hrid, { mode: 'ask' });
-            const buyPrice = getItemPrice(hrid, { mode: 'bid' });
+            const { price: sellPrice, modeled: sellModeled } = getConversionPrice(hrid, 'ask');
+            const { price: buyPrice, modeled: buyModeled } = getConversionPrice(hrid, 'bid');
             if (!sellPrice && !buyPrice) continue;
 
             const sellGPC = sellPrice > 0 ? (sellPrice * conv.itemCount) / conv.creditCount : null;
@@ -306,6 +337,8 @@ class GuildCreditValue {
                 creditCount: conv.creditCount,
                 sellPrice,
                 buyPrice,
+                sellModeled,
+                buyModeled,
                 sellGPC,
                 buyGPC,
             });
@@ -336,8 +369,8 @@ class GuildCreditValue {
                 tr.innerHTML = `
                 <td style="padding:4px 6px; text-align:left;">${row.name}</td>
                 <td style="padding:4px 6px; text-align:center; color:#9ca3af;">${rate}</td>
-                <td style="padding:4px 6px; text-align:right; color:#9ca3af;">${row.sellPrice ? formatKMB(row.sellPrice) : '–'}</td>
-                <td style="padding:4px 6px; text-align:right; color:#9ca3af;">${row.buyPrice ? formatKMB(row.buyPrice) : '–'}</td>
+                <td style="padding:4px 6px; text-align:right; color:#9ca3af;">${formatConversionPrice(row.sellPrice, row.sellModeled)}</td>
+                <td style="padding:4px 6px; text-align:right; color:#9ca3af;">${formatConversionPrice(row.buyPrice, row.buyModeled)}</td>
                 <td style="padding:4px 6px; text-align:right; ${sortKey === 'bid' ? 'color:#9ca3af;' : `font-weight:${isTop ? '700' : '400'};`}">${row.sellGPC ? formatKMB(row.sellGPC) : '–'}</td>
                 <td style="padding:4px 6px; text-align:right; ${sortKey === 'ask' ? 'color:#9ca3af;' : `font-weight:${isTop ? '700' : '400'};`}">${row.buyGPC ? formatKMB(row.buyGPC) : '–'}</td>
             `;
@@ -13,6 +13,7 @@
 import dataManager from '../../core/data-manager.js';
 import webSocketHook from '../../core/websocket.js';
 import storage from '../../core/storage.js';
+import { storageManager } from '../../core/storage-manager.js';
 import config from '../../core/config.js';
 
 const STORE_NAME = 'guildHistory';
@@ -348,6 +349,9 @@ class GuildXPTracker {
             webSocketHook.off('guild_trial_signup_updated', this._boundOnTrialSignupUpdated);
         });
 
+        // Reload histories after retention pruning so the next save doesn't restore pruned snapshots
+        this.unregisterHandlers.push(storageManager.onPruned(STORE_NAME, (keys) => this._onHistoryPruned(keys)));
+
         // If character data already loaded, initialize immediately
         if (dataManager.characterData) {
             await this._onCharacterInit(dataManager.characterData);
@@ -699,6 +703,19 @@ class GuildXPTracker {
         );
     }
 
+    /**
+     * Reload the in-memory histories whose records were rewritten by retention pruning.
+     * @param {Array<string>} keys - Pruned keys in the guild history store
+     */
+    async _onHistoryPruned(keys) {
+        if (this.ownGuildName && keys.includes(`guildXP_${this.ownGuildName}`)) {
+            this.guildXPHistory = await storage.get(`guildXP_${this.ownGuildName}`, STORE_NAME, {});
+        }
+        if (this.ownGuildID && keys.includes(`memberXP_${this.ownGuildID}`)) {
+            this.memberXPHistory = await storage.get(`memberXP_${this.ownGuildID}`, STORE_NAME, {});
+        }
+    }
+
     /**
      * Reset member XP history for the current guild.
      * Used to clear corrupted data (e.g., after a guild switch).
@@ -40,7 +40,7 @@ import {
 } from '../../utils/profit-helpers.js';
 
 // Base success rates for alchemy actions
-const BASE_SUCCESS_RATES = {
+export const BASE_SUCCESS_RATES = {
     COINIFY: 0.7, // 70%
     DECOMPOSE: 0.6, // 60%
     // TRANSMUTE: varies by item (from alchemyDetail.transmuteSuccessRate)
@@ -65,7 +65,7 @@ const CATALYST_BONUSES = {
  * @param {'decompose'|'transmute'} alchemyType - Which alchemy action
  * @returns {number} Gold cost per alchemy action (includes bulkMultiplier)
  */
-function calculateAlchemyCoinCost(itemDetails, alchemyType) {
+export function calculateAlchemyCoinCost(itemDetails, alchemyType) {
     const bulkMultiplier = itemDetails.alchemyDetail?.bulkMultiplier || 1;
     if (alchemyType === 'transmute') {
         const sellPrice = itemDetails.sellPrice || 0;
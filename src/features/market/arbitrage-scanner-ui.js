@@ -0,0 +1,399 @@
+/**
+ * Arbitrage Scanner UI
+ * Adds an "Arbitrage" tab to the marketplace that ranks one-step conversion routes
+ * (buy at ask → craft / decompose / coinify / transmute / vendor → sell at bid) by
+ * profit per action or per hour. Results are rescanned whenever market prices refresh.
+ */
+
+import config from '../../core/config.js';
+import dataManager from '../../core/data-manager.js';
+import marketAPI from '../../api/marketplace.js';
+import { formatKMB } from '../../utils/formatters.js';
+import { createMutationWatcher } from '../../utils/dom-observer-helpers.js';
+import { navigateToMarketplace } from '../../utils/marketplace-tabs.js';
+import { ROUTE_LABELS, ROUTE_TYPE, SORT_BY, rankRoutes, scanArbitrage } from './arbitrage-scanner.js';
+
+const MODAL_CLASS = 'mwi-arbitrage-scanner-modal';
+const MAX_ROWS = 100;
+const PRICE_UPDATE_DEBOUNCE_MS = 1000;
+
+const TABLE_STYLE = 'width: 100%; border-collapse: collapse; font-size: 12px;';
+const CELL_STYLE = 'padding: 4px 8px; border-bottom: 1px solid #3a3a3a; text-align: right; white-space: nowrap;';
+const SELECT_STYLE = 'background: #1a1a1a; color: #ddd; border: 1px solid #555; padding: 3px;';
+
+class ArbitrageScannerUI {
+    constructor() {
+        this.isInitialized = false;
+        this.modal = null;
+        this.body = null;
+        this.marketplaceTab = null;
+        this.unwatchTabs = null;
+        this.rows = null; // Full scan, invalidated on price updates
+        this.scannedAt = null;
+        this.visibleRows = [];
+        this.sortBy = SORT_BY.PER_ACTION;
+        this.routeType = 'all';
+        this.onlyUnlocked = true;
+        this.priceUpdateHandler = null;
+        this.priceUpdateDebounceTimer = null;
+    }
+
+    initialize() {
+        if (this.isInitialized) return;
+        if (!config.getSetting('market_arbitrageScanner')) return;
+
+        this.isInitialized = true;
+
+        this.priceUpdateHandler = () => {
+            this.rows = null;
+            clearTimeout(this.priceUpdateDebounceTimer);
+            this.priceUpdateDebounceTimer = setTimeout(() => {
+                if (this.modal) this.renderReport();
+            }, PRICE_UPDATE_DEBOUNCE_MS);
+        };
+        marketAPI.on(this.priceUpdateHandler);
+
+        this.addMarketplaceTab();
+    }
+
+    /**
+     * Add "Arbitrage" tab to marketplace tabs
+     */
+    addMarketplaceTab() {
+        const ensureTabExists = () => {
+            const tabsContainer = document.querySelector('.MuiTabs-flexContainer[role="tablist"]');
+            if (!tabsContainer) return;
+
+            const tabs = Array.from(tabsContainer.children);
+            if (!tabs.some((btn) => btn.textContent.includes('Market Listings'))) return;
+            if (tabsContainer.querySelector('[data-mwi-arbitrage-tab="true"]')) return;
+
+            const referenceTab = tabs.find((btn) => btn.textContent.includes('My Listings'));
+            if (!referenceTab) return;
+
+            const tab = referenceTab.cloneNode(true);
+            tab.setAttribute('data-mwi-arbitrage-tab', 'true');
+
+            const badgeSpan = tab.querySelector('.TabsComponent_badge__1Du26');
+            if (badgeSpan) {
+                badgeSpan.innerHTML = `
+                    <div style="text-align: center;">
+                        <div>Arbitrage</div>
+                    </div>
+                `;
+            }
+
+            tab.classList.remove('Mui-selected');
+            tab.setAttribute('aria-selected', 'false');
+            tab.setAttribute('tabindex', '-1');
+
+            tab.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.openModal();
+            });
+
+            // Keep custom missing-materials tabs last
+            const firstCustomTab = tabs.find((btn) => btn.getAttribute('data-mwi-custom-tab') === 'true');
+            if (firstCustomTab) {
+                firstCustomTab.before(tab);
+            } else {
+                tabsContainer.appendChild(tab);
+            }
+
+            this.marketplaceTab = tab;
+        };
+
+        if (!this.unwatchTabs) {
+            this.unwatchTabs = createMutationWatcher(
+                document.body,
+                () => {
+                    if (this.marketplaceTab && !document.body.contains(this.marketplaceTab)) {
+                        this.marketplaceTab = null;
+                    }
+                    ensureTabExists();
+                },
+                { childList: true, subtree: true }
+            );
+        }
+
+        ensureTabExists();
+    }
+
+    /**
+     * @param {Array<[string, string]>} options - [value, label] pairs
+     * @param {string} value - Selected value
+     * @param {Function} onChange - Called with the new value
+     * @returns {HTMLSelectElement}
+     */
+    _select(options, value, onChange) {
+        const select = document.createElement('select');
+        select.style.cssText = SELECT_STYLE;
+        for (const [optionValue, label] of options) {
+            const option = document.createElement('option');
+            option.value = optionValue;
+            option.textContent = label;
+            select.appendChild(option);
+        }
+        select.value = value;
+        select.addEventListener('change', () => onChange(select.value));
+        return select;
+    }
+
+    openModal() {
+        this.closeModal();
+
+        this.modal = document.createElement('div');
+        this.modal.className = MODAL_CLASS;
+        this.modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0, 0, 0, 0.8);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            z-index: 10000;
+        `;
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.closeModal();
+        });
+
+        const content = document.createElement('div');
+        content.style.cssText = `
+            background: #2a2a2a;
+            border-radius: 8px;
+            padding: 20px;
+            width: 1000px;
+            max-width: 95%;
+            max-height: 90%;
+            overflow: auto;
+            color: #ddd;
+            box-shadow: 0 4px 20px rgba(0, 0, 0, 0.5);
+        `;
+
+        const header = document.createElement('div');
+        header.style.cssText =
+            'display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px;';
+
+        const title = document.createElement('h2');
+        title.textContent = 'Arbitrage Scanner';
+        title.style.cssText = 'margin: 0; color: #fff;';
+
+        const controls = document.createElement('div');
+        controls.style.cssText = 'display: flex; gap: 8px; align-items: center; font-size: 12px;';
+
+        const sortSelect = this._select(
+            [
+                [SORT_BY.PER_ACTION, 'Profit / action'],
+                [SORT_BY.PER_HOUR, 'Profit / hour'],
+            ],
+            this.sortBy,
+            (value) => {
+                this.sortBy = value;
+                this.renderReport();
+            }
+        );
+
+        const typeSelect = this._select(
+            [['all', 'All routes'], ...Object.values(ROUTE_TYPE).map((type) => [type, ROUTE_LABELS[type]])],
+            this.routeType,
+            (value) => {
+                this.routeType = value;
+                this.renderReport();
+            }
+        );
+
+        const unlockedLabel = document.createElement('label');
+        unlockedLabel.style.cssText = 'display: flex; gap: 4px; align-items: center; cursor: pointer;';
+        const unlockedCheckbox = document.createElement('input');
+        unlockedCheckbox.type = 'checkbox';
+        unlockedCheckbox.checked = this.onlyUnlocked;
+        unlockedCheckbox.addEventListener('change', () => {
+            this.onlyUnlocked = unlockedCheckbox.checked;
+            this.renderReport();
+        });
+        unlockedLabel.append(unlockedCheckbox, 'My levels only');
+
+        const closeBtn = document.createElement('button');
+        closeBtn.textContent = '✕';
+        closeBtn.style.cssText =
+            'background: none; border: none; color: #fff; font-size: 24px; cursor: pointer; padding: 0; width: 30px; height: 30px;';
+        closeBtn.addEventListener('click', () => this.closeModal());
+
+        controls.append(sortSelect, typeSelect, unlockedLabel, closeBtn);
+        header.append(title, controls);
+
+        this.body = document.createElement('div');
+        this.body.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-item-hrid]');
+            if (!link) return;
+            this.closeModal();
+            navigateToMarketplace(link.dataset.itemHrid, 0);
+        });
+
+        content.append(header, this.body);
+        this.modal.appendChild(content);
+        document.body.appendChild(this.modal);
+
+        this.renderReport();
+    }
+
+    /**
+     * Full scan, cached until the next price update
+     * @returns {Array<Object>|null} Rows, or null when game or market data is missing
+     */
+    _getRows() {
+        if (this.rows) return this.rows;
+
+        const gameData = dataManager.getInitClientData();
+        if (!gameData?.itemDetailMap || !marketAPI.isLoaded()) return null;
+
+        this.rows = scanArbitrage({
+            gameData,
+            skills: dataManager.getSkills(),
+            equipment: dataManager.getEquipment(),
+            onlyUnlocked: false,
+        });
+        this.scannedAt = Date.now();
+        return this.rows;
+    }
+
+    _itemName(itemHrid) {
+        return dataManager.getItemDetails(itemHrid)?.name || itemHrid;
+    }
+
+    /**
+     * @param {Object} row - scanArbitrage row
+     * @returns {string} HTML
+     */
+    _routeCell(row) {
+        const { route } = row;
+        const label = ROUTE_LABELS[route.type];
+        if (route.type !== ROUTE_TYPE.CRAFT) return label;
+
+        const inputs = route.inputs
+            .map((input) => `${formatKMB(input.count)}× ${this._itemName(input.itemHrid)}`)
+            .join(', ');
+        return `${label} <span style="color: #888;">(${inputs})</span>`;
+    }
+
+    /**
+     * @param {Object} row - scanArbitrage row
+     * @returns {string} HTML
+     */
+    _levelCell(row) {
+        const requirement = row.route.levelRequirement;
+        if (!requirement?.skillHrid) return '-';
+
+        const skillName = requirement.skillHrid.split('/').pop().replace(/_/g, ' ');
+        const text = `${skillName.charAt(0).toUpperCase()}${skillName.slice(1)} ${requirement.level}`;
+        return row.unlocked ? text : `<span style="color: ${config.COLOR_LOSS};">${text}</span>`;
+    }
+
+    renderReport() {
+        if (!this.body) return;
+        this.body.innerHTML = '';
+
+        const rows = this._getRows();
+        if (!rows) {
+            const empty = document.createElement('div');
+            empty.style.cssText = 'color: #888; padding: 12px 0;';
+            empty.textContent = 'Market data is not loaded yet.';
+            this.body.appendChild(empty);
+            return;
+        }
+
+        const filtered = rows.filter(
+            (row) =>
+                (!this.onlyUnlocked || row.unlocked) && (this.routeType === 'all' || row.route.type === this.routeType)
+        );
+        this.visibleRows = rankRoutes(filtered, this.sortBy).slice(0, MAX_ROWS);
+
+        const summary = document.createElement('div');
+        summary.style.cssText = 'color: #888; font-size: 11px; margin-bottom: 8px;';
+        summary.textContent =
+            `${filtered.length} profitable routes` +
+            (filtered.length > MAX_ROWS ? ` (top ${MAX_ROWS} shown)` : '') +
+            ` · scanned ${new Date(this.scannedAt).toLocaleTimeString()}` +
+            ' · inputs at ask, outputs at bid after tax; teas, catalysts and bonus drops not included';
+        this.body.appendChild(summary);
+
+        if (this.visibleRows.length === 0) {
+            const empty = document.createElement('div');
+            empty.style.cssText = 'color: #888; padding: 12px 0;';
+            empty.textContent = 'No profitable routes at current prices.';
+            this.body.appendChild(empty);
+            return;
+        }
+
+        const headers = ['Item', 'Route', 'Level', 'Cost', 'Revenue', 'Profit / action', 'Actions / hr', 'Profit / hr'];
+        const cell = (html, index, tag) =>
+            `<${tag} style="${CELL_STYLE}${index < 3 ? ' text-align: left;' : ''}">${html}</${tag}>`;
+        const profit = (value) =>
+            value === null
+                ? '<span style="color: #777;">-</span>'
+                : `<span style="color: ${config.COLOR_PROFIT};">+${formatKMB(value)}</span>`;
+
+        const table = document.createElement('table');
+        table.style.cssText = TABLE_STYLE;
+        table.innerHTML =
+            `<tr style="color: #aaa;">${headers.map((h, i) => cell(h, i, 'th')).join('')}</tr>` +
+            this.visibleRows
+                .map((row) => {
+                    const itemLink = `<span data-item-hrid="${row.route.itemHrid}" style="cursor: pointer; text-decoration: underline dotted;">${this._itemName(row.route.itemHrid)}</span>`;
+                    const partial = row.unpricedOutputs > 0 ? ' <span style="color: #888;">*</span>' : '';
+                    const cells = [
+                        itemLink,
+                        this._routeCell(row),
+                        this._levelCell(row),
+                        formatKMB(row.cost),
+                        formatKMB(row.gross - row.tax) + partial,
+                        profit(row.profit),
+                        row.actionsPerHour ? formatKMB(row.actionsPerHour) : 'instant',
+                        profit(row.profitPerHour),
+                    ];
+                    return `<tr>${cells.map((html, i) => cell(html, i, 'td')).join('')}</tr>`;
+                })
+                .join('');
+        this.body.appendChild(table);
+
+        if (this.visibleRows.some((row) => row.unpricedOutputs > 0)) {
+            const note = document.createElement('div');
+            note.style.cssText = 'color: #888; font-size: 11px; margin-top: 6px;';
+            note.textContent = '* Some outputs have no bid and are valued at zero.';
+            this.body.appendChild(note);
+        }
+    }
+
+    closeModal() {
+        this.modal?.remove();
+        this.modal = null;
+        this.body = null;
+        this.visibleRows = [];
+    }
+
+    disable() {
+        if (this.priceUpdateHandler) {
+            marketAPI.off(this.priceUpdateHandler);
+            this.priceUpdateHandler = null;
+        }
+        clearTimeout(this.priceUpdateDebounceTimer);
+        this.priceUpdateDebounceTimer = null;
+        if (this.unwatchTabs) {
+            this.unwatchTabs();
+            this.unwatchTabs = null;
+        }
+        this.marketplaceTab?.remove();
+        this.marketplaceTab = null;
+        this.closeModal();
+        this.rows = null;
+        this.isInitialized = false;
+    }
+}
+
+const arbitrageScannerUI = new ArbitrageScannerUI();
+
+export default arbitrageScannerUI;
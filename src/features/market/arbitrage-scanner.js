@@ -0,0 +1,321 @@
+/**
+ * Arbitrage Scanner
+ * Compares buying an item at the ask and converting it through one step (craft,
+ * decompose, coinify, transmute, or sell to the vendor) against selling the result
+ * at the bid after market tax.
+ *
+ * Prices are strict: inputs at the ask (or the shop price when cheaper), outputs at
+ * the bid. Teas, catalysts and alchemy bonus drops (essences, rares) are ignored, so
+ * results are a conservative floor rather than an optimized setup.
+ */
+
+import marketAPI from '../../api/marketplace.js';
+import { calculateActionStats } from '../../utils/action-calculator.js';
+import { calculateActionsPerHour } from '../../utils/profit-helpers.js';
+import { getTaxRate } from '../../utils/profit-constants.js';
+import { BASE_SUCCESS_RATES, calculateAlchemyCoinCost } from './alchemy-profit-calculator.js';
+
+export const ROUTE_TYPE = Object.freeze({
+    CRAFT: 'craft',
+    DECOMPOSE: 'decompose',
+    COINIFY: 'coinify',
+    TRANSMUTE: 'transmute',
+    VENDOR: 'vendor',
+});
+
+export const ROUTE_LABELS = Object.freeze({
+    [ROUTE_TYPE.CRAFT]: 'Craft',
+    [ROUTE_TYPE.DECOMPOSE]: 'Decompose',
+    [ROUTE_TYPE.COINIFY]: 'Coinify',
+    [ROUTE_TYPE.TRANSMUTE]: 'Transmute',
+    [ROUTE_TYPE.VENDOR]: 'Sell to vendor',
+});
+
+export const SORT_BY = Object.freeze({
+    PER_ACTION: 'perAction',
+    PER_HOUR: 'perHour',
+});
+
+const COIN_HRID = '/items/coin';
+
+const ALCHEMY_ACTIONS = {
+    [ROUTE_TYPE.COINIFY]: '/actions/alchemy/coinify',
+    [ROUTE_TYPE.DECOMPOSE]: '/actions/alchemy/decompose',
+    [ROUTE_TYPE.TRANSMUTE]: '/actions/alchemy/transmute',
+};
+
+/**
+ * @param {Array|null} skills - Character skills
+ * @param {string} skillHrid - Skill HRID
+ * @returns {number} Skill level (1 when unknown)
+ */
+function getSkillLevel(skills, skillHrid) {
+    return skills?.find((skill) => skill.skillHrid === skillHrid)?.level || 1;
+}
+
+/**
+ * Craft routes: every production action with inputs and outputs
+ * @param {Object} actionDetailMap - Action details from game data
+ * @returns {Array<Object>} Routes
+ */
+function buildCraftRoutes(actionDetailMap) {
+    const routes = [];
+
+    for (const [actionHrid, action] of Object.entries(actionDetailMap || {})) {
+        if (!action.outputItems?.length) continue;
+        if (!action.inputItems?.length && !action.upgradeItemHrid) continue;
+
+        const inputs = (action.inputItems || []).map(({ itemHrid, count }) => ({ itemHrid, count }));
+        if (action.upgradeItemHrid) inputs.push({ itemHrid: action.upgradeItemHrid, count: 1 });
+
+        routes.push({
+            type: ROUTE_TYPE.CRAFT,
+            itemHrid: action.outputItems[0].itemHrid,
+            actionHrid,
+            inputs,
+            coinCost: 0,
+            outputs: action.outputItems.map(({ itemHrid, count }) => ({ itemHrid, count })),
+            coinOutput: 0,
+            levelRequirement: action.levelRequirement || null,
+        });
+    }
+
+    return routes;
+}
+
+/**
+ * Alchemy and vendor routes for one item
+ * @param {string} itemHrid - Item HRID
+ * @param {Object} item - Item details
+ * @param {Object} actionDetailMap - Action details from game data
+ * @param {number} alchemyLevel - Character alchemy level (for the transmute under-level penalty)
+ * @returns {Array<Object>} Routes
+ */
+function buildItemRoutes(itemHrid, item, actionDetailMap, alchemyLevel) {
+    const routes = [];
+    const alchemy = item.alchemyDetail;
+    const bulk = alchemy?.bulkMultiplier || 1;
+    const itemLevel = item.itemLevel || 1;
+
+    const alchemyRoute = (type, fields) => {
+        const actionHrid = ALCHEMY_ACTIONS[type];
+        const action = actionDetailMap?.[actionHrid];
+        if (!action) return;
+        routes.push({
+            type,
+            itemHrid,
+            actionHrid,
+            itemLevel,
+            inputs: [{ itemHrid, count: bulk }],
+            coinCost: 0,
+            outputs: [],
+            coinOutput: 0,
+            levelRequirement: action.levelRequirement || null,
+            ...fields,
+        });
+    };
+
+    if (alchemy?.isCoinifiable && item.sellPrice > 0) {
+        alchemyRoute(ROUTE_TYPE.COINIFY, {
+            coinOutput: item.sellPrice * bulk * 5 * BASE_SUCCESS_RATES.COINIFY,
+        });
+    }
+
+    if (alchemy?.decomposeItems?.length) {
+        alchemyRoute(ROUTE_TYPE.DECOMPOSE, {
+            coinCost: calculateAlchemyCoinCost(item, 'decompose'),
+            outputs: alchemy.decomposeItems.map((drop) => ({
+                itemHrid: drop.itemHrid,
+                count: drop.count * bulk * BASE_SUCCESS_RATES.DECOMPOSE,
+            })),
+        });
+    }
+
+    if (alchemy?.transmuteDropTable?.length && alchemy.transmuteSuccessRate > 0) {
+        // Under-level penalty: (0.9 / itemLevel) per level below the item
+        const penalty = alchemyLevel < itemLevel ? (0.9 / itemLevel) * (alchemyLevel - itemLevel) : 0;
+        const successRate = Math.max(0, alchemy.transmuteSuccessRate + penalty);
+        alchemyRoute(ROUTE_TYPE.TRANSMUTE, {
+            coinCost: calculateAlchemyCoinCost(item, 'transmute'),
+            outputs: alchemy.transmuteDropTable.map((drop) => ({
+                itemHrid: drop.itemHrid,
+                count: drop.dropRate * ((drop.minCount + drop.maxCount) / 2) * bulk * successRate,
+            })),
+        });
+    }
+
+    if (item.isTradable && item.sellPrice > 0) {
+        routes.push({
+            type: ROUTE_TYPE.VENDOR,
+            itemHrid,
+            actionHrid: null,
+            inputs: [{ itemHrid, count: 1 }],
+            coinCost: 0,
+            outputs: [],
+            coinOutput: item.sellPrice,
+            levelRequirement: null,
+        });
+    }
+
+    return routes;
+}
+
+/**
+ * All one-step routes in the game data
+ * @param {Object} gameData - Init client data ({itemDetailMap, actionDetailMap})
+ * @param {Array|null} skills - Character skills
+ * @returns {Array<Object>} Routes ({type, itemHrid, actionHrid, inputs, coinCost, outputs, coinOutput, levelRequirement})
+ */
+export function buildRoutes(gameData, skills) {
+    const actionDetailMap = gameData?.actionDetailMap || {};
+    const alchemyLevel = getSkillLevel(skills, '/skills/alchemy');
+    const routes = buildCraftRoutes(actionDetailMap);
+
+    for (const [itemHrid, item] of Object.entries(gameData?.itemDetailMap || {})) {
+        routes.push(...buildItemRoutes(itemHrid, item, actionDetailMap, alchemyLevel));
+    }
+
+    return routes;
+}
+
+/**
+ * @param {Object} route - Route from buildRoutes
+ * @param {Array|null} skills - Character skills
+ * @returns {boolean} True when the character meets the route's level requirement
+ */
+export function meetsLevelRequirement(route, skills) {
+    const requirement = route.levelRequirement;
+    if (!requirement?.skillHrid) return true;
+    return getSkillLevel(skills, requirement.skillHrid) >= (requirement.level || 1);
+}
+
+/**
+ * Economics of one action of a route
+ * @param {Object} route - Route from buildRoutes
+ * @param {Object} prices
+ * @param {Function} prices.buy - (itemHrid) => unit cost or null when it can't be bought
+ * @param {Function} prices.sell - (itemHrid) => bid or null when there is none
+ * @returns {Object|null} { cost, gross, tax, profit, unpricedOutputs } or null when an input has no price
+ */
+export function evaluateRoute(route, { buy, sell }) {
+    let cost = route.coinCost;
+    for (const input of route.inputs) {
+        const unitCost = input.itemHrid === COIN_HRID ? 1 : buy(input.itemHrid);
+        if (!(unitCost > 0)) return null;
+        cost += unitCost * input.count;
+    }
+
+    let gross = route.coinOutput;
+    let tax = 0;
+    let unpricedOutputs = 0;
+    for (const output of route.outputs) {
+        if (output.itemHrid === COIN_HRID) {
+            gross += output.count;
+            continue;
+        }
+        const bid = sell(output.itemHrid);
+        if (!(bid > 0)) {
+            unpricedOutputs++;
+            continue;
+        }
+        gross += bid * output.count;
+        tax += bid * output.count * getTaxRate(output.itemHrid);
+    }
+
+    return { cost, gross, tax, profit: gross - tax - cost, unpricedOutputs };
+}
+
+/**
+ * Strict market prices: buy at the ask (or the shop when cheaper), sell at the bid
+ * @param {Object} gameData - Init client data ({shopItemDetailMap})
+ * @returns {{buy: Function, sell: Function}}
+ */
+export function createMarketPrices(gameData) {
+    const shopCosts = new Map();
+    for (const shopItem of Object.values(gameData?.shopItemDetailMap || {})) {
+        const coinCost = shopItem.costs?.find((cost) => cost.itemHrid === COIN_HRID);
+        if (coinCost) shopCosts.set(shopItem.itemHrid, coinCost.count);
+    }
+
+    return {
+        buy: (itemHrid) => {
+            const ask = marketAPI.getPrice(itemHrid, 0)?.ask;
+            const shop = shopCosts.get(itemHrid);
+            const candidates = [ask, shop].filter((price) => price > 0);
+            return candidates.length > 0 ? Math.min(...candidates) : null;
+        },
+        sell: (itemHrid) => {
+            const bid = marketAPI.getPrice(itemHrid, 0)?.bid;
+            return bid > 0 ? bid : null;
+        },
+    };
+}
+
+/**
+ * Scan every route and rank the profitable ones
+ * @param {Object} options
+ * @param {Object} options.gameData - Init client data
+ * @param {Array|null} options.skills - Character skills
+ * @param {Array|Map} options.equipment - Character equipment
+ * @param {Object} [options.prices] - Price functions (defaults to createMarketPrices)
+ * @param {boolean} [options.onlyUnlocked=true] - Skip routes above your skill levels
+ * @param {string} [options.sortBy] - SORT_BY value
+ * @returns {Array<Object>} Rows ({route, ...evaluateRoute output, actionsPerHour, profitPerHour, unlocked})
+ */
+export function scanArbitrage({
+    gameData,
+    skills,
+    equipment,
+    prices = createMarketPrices(gameData),
+    onlyUnlocked = true,
+    sortBy = SORT_BY.PER_ACTION,
+}) {
+    const actionsPerHourCache = new Map();
+    const getActionsPerHour = (route) => {
+        if (!route.actionHrid) return null;
+
+        const key = `${route.actionHrid}:${route.itemLevel ?? ''}`;
+        if (!actionsPerHourCache.has(key)) {
+            const { actionTime, totalEfficiency } = calculateActionStats(gameData.actionDetailMap[route.actionHrid], {
+                skills,
+                equipment,
+                itemDetailMap: gameData.itemDetailMap,
+                includeCommunityBuff: true,
+                levelRequirementOverride: route.itemLevel,
+            });
+            actionsPerHourCache.set(key, calculateActionsPerHour(actionTime) * (1 + (totalEfficiency || 0) / 100));
+        }
+        return actionsPerHourCache.get(key);
+    };
+
+    const rows = [];
+    for (const route of buildRoutes(gameData, skills)) {
+        const unlocked = meetsLevelRequirement(route, skills);
+        if (onlyUnlocked && !unlocked) continue;
+
+        const result = evaluateRoute(route, prices);
+        if (!result || result.profit <= 0) continue;
+
+        const actionsPerHour = getActionsPerHour(route);
+        rows.push({
+            route,
+            ...result,
+            unlocked,
+            actionsPerHour,
+            profitPerHour: actionsPerHour ? result.profit * actionsPerHour : null,
+        });
+    }
+
+    return rankRoutes(rows, sortBy);
+}
+
+/**
+ * Sort rows best first. Per hour puts instant routes (no action time) last.
+ * @param {Array<Object>} rows - scanArbitrage rows
+ * @param {string} sortBy - SORT_BY value
+ * @returns {Array<Object>} Sorted copy
+ */
+export function rankRoutes(rows, sortBy) {
+    const key = sortBy === SORT_BY.PER_HOUR ? 'profitPerHour' : 'profit';
+    return [...rows].sort((a, b) => (b[key] ?? -Infinity) - (a[key] ?? -Infinity) || 0);
+}
@@ -0,0 +1,138 @@
+/**
+ * Tests for arbitrage route building, pricing and ranking
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+
+vi.mock('../../api/marketplace.js', () => ({ default: { getPrice: () => null, on: () => {} } }));
+vi.mock('../../utils/action-calculator.js', () => ({
+    calculateActionStats: vi.fn(() => ({ actionTime: 36, totalEfficiency: 100 })),
+}));
+vi.mock('./alchemy-profit-calculator.js', () => ({
+    BASE_SUCCESS_RATES: { COINIFY: 0.7, DECOMPOSE: 0.6 },
+    calculateAlchemyCoinCost: (item, type) => (type === 'transmute' ? 50 : (10 + item.itemLevel) * 5),
+}));
+
+import {
+    ROUTE_TYPE,
+    SORT_BY,
+    buildRoutes,
+    evaluateRoute,
+    meetsLevelRequirement,
+    rankRoutes,
+    scanArbitrage,
+} from './arbitrage-scanner.js';
+
+const gameData = {
+    actionDetailMap: {
+        '/actions/cheesesmithing/cheese': {
+            inputItems: [{ itemHrid: '/items/milk', count: 2 }],
+            outputItems: [{ itemHrid: '/items/cheese', count: 1 }],
+            levelRequirement: { skillHrid: '/skills/cheesesmithing', level: 1 },
+        },
+        '/actions/cheesesmithing/cheese_sword': {
+            inputItems: [{ itemHrid: '/items/cheese', count: 10 }],
+            outputItems: [{ itemHrid: '/items/cheese_sword', count: 1 }],
+            levelRequirement: { skillHrid: '/skills/cheesesmithing', level: 50 },
+        },
+        '/actions/milking/cow': { dropTable: [{ itemHrid: '/items/milk' }] },
+        '/actions/alchemy/coinify': { levelRequirement: { skillHrid: '/skills/alchemy', level: 1 } },
+        '/actions/alchemy/decompose': { levelRequirement: { skillHrid: '/skills/alchemy', level: 1 } },
+        '/actions/alchemy/transmute': { levelRequirement: { skillHrid: '/skills/alchemy', level: 1 } },
+    },
+    itemDetailMap: {
+        '/items/cheese': {
+            itemLevel: 10,
+            sellPrice: 20,
+            isTradable: true,
+            alchemyDetail: {
+                isCoinifiable: true,
+                decomposeItems: [{ itemHrid: '/items/milk', count: 5 }],
+                transmuteSuccessRate: 0.5,
+                transmuteDropTable: [{ itemHrid: '/items/milk', dropRate: 1, minCount: 2, maxCount: 4 }],
+            },
+        },
+        '/items/milk': { itemLevel: 1, sellPrice: 1, isTradable: true },
+    },
+};
+
+const skills = [
+    { skillHrid: '/skills/cheesesmithing', level: 20 },
+    { skillHrid: '/skills/alchemy', level: 5 },
+];
+
+describe('buildRoutes', () => {
+    test('builds craft, alchemy and vendor routes with success rates folded into outputs', () => {
+        const routes = buildRoutes(gameData, skills);
+        const find = (type, itemHrid) => routes.find((r) => r.type === type && r.itemHrid === itemHrid);
+
+        expect(find(ROUTE_TYPE.CRAFT, '/items/cheese').inputs).toEqual([{ itemHrid: '/items/milk', count: 2 }]);
+        expect(routes.filter((r) => r.type === ROUTE_TYPE.CRAFT)).toHaveLength(2);
+        expect(find(ROUTE_TYPE.COINIFY, '/items/cheese').coinOutput).toBeCloseTo(20 * 5 * 0.7);
+        expect(find(ROUTE_TYPE.DECOMPOSE, '/items/cheese')).toMatchObject({ coinCost: 100 });
+        expect(find(ROUTE_TYPE.DECOMPOSE, '/items/cheese').outputs[0].count).toBeCloseTo(3);
+        expect(find(ROUTE_TYPE.VENDOR, '/items/milk').coinOutput).toBe(1);
+
+        // Alchemy 5 on a level 10 item: 0.5 + (0.9 / 10) * (5 - 10) = 0.05
+        expect(find(ROUTE_TYPE.TRANSMUTE, '/items/cheese').outputs[0].count).toBeCloseTo(3 * 0.05);
+    });
+
+    test('level requirements compare against your skills', () => {
+        const routes = buildRoutes(gameData, skills).filter((r) => r.type === ROUTE_TYPE.CRAFT);
+        expect(routes.map((route) => meetsLevelRequirement(route, skills))).toEqual([true, false]);
+    });
+});
+
+describe('evaluateRoute', () => {
+    const route = {
+        inputs: [{ itemHrid: '/items/milk', count: 2 }],
+        coinCost: 10,
+        outputs: [{ itemHrid: '/items/cheese', count: 1 }],
+        coinOutput: 0,
+    };
+
+    test('buys inputs at cost and sells outputs at bid after tax', () => {
+        const prices = { buy: () => 20, sell: () => 100 };
+        expect(evaluateRoute(route, prices)).toEqual({ cost: 50, gross: 100, tax: 5, profit: 45, unpricedOutputs: 0 });
+    });
+
+    test('skips routes with unpriced inputs and counts unpriced outputs', () => {
+        expect(evaluateRoute(route, { buy: () => null, sell: () => 100 })).toBeNull();
+        expect(evaluateRoute(route, { buy: () => 20, sell: () => null })).toMatchObject({
+            profit: -50,
+            unpricedOutputs: 1,
+        });
+    });
+});
+
+describe('scanArbitrage', () => {
+    test('keeps profitable routes within your levels with per-hour profit from action stats', () => {
+        const asks = { '/items/milk': 5, '/items/cheese': 40 };
+        const bids = { '/items/milk': 4, '/items/cheese': 30, '/items/cheese_sword': 1000 };
+        const prices = { buy: (hrid) => asks[hrid] ?? null, sell: (hrid) => bids[hrid] ?? null };
+
+        const rows = scanArbitrage({ gameData, skills, equipment: [], prices });
+        const craft = rows.find((row) => row.route.type === ROUTE_TYPE.CRAFT);
+
+        // Cheese: 2 milk at 5 → bid 30 less 5% tax
+        expect(craft.profit).toBeCloseTo(18.5);
+        // 36 s actions at +100% efficiency → 200 actions/hr
+        expect(craft.profitPerHour).toBeCloseTo(3700);
+        expect(rows.some((row) => row.route.itemHrid === '/items/cheese_sword')).toBe(false);
+
+        const all = scanArbitrage({ gameData, skills, equipment: [], prices, onlyUnlocked: false });
+        expect(all.find((row) => row.route.itemHrid === '/items/cheese_sword').unlocked).toBe(false);
+    });
+});
+
+describe('rankRoutes', () => {
+    test('ranks per action or per hour, with instant routes last per hour', () => {
+        const rows = [
+            { profit: 10, profitPerHour: null },
+            { profit: 5, profitPerHour: 500 },
+            { profit: 1, profitPerHour: 900 },
+        ];
+        expect(rankRoutes(rows, SORT_BY.PER_ACTION).map((row) => row.profit)).toEqual([10, 5, 1]);
+        expect(rankRoutes(rows, SORT_BY.PER_HOUR).map((row) => row.profit)).toEqual([1, 5, 10]);
+    });
+});
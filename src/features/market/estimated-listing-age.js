@@ -11,9 +11,13 @@ import dataManager from '../../core/data-manager.js';
 import domObserver from '../../core/dom-observer.js';
 import config from '../../core/config.js';
 import storage from '../../core/storage.js';
+import { storageManager } from '../../core/storage-manager.js';
 import marketAPI from '../../api/marketplace.js';
 import { formatRelativeTime, formatDateTime } from '../../utils/formatters.js';
 
+// Statuses after which a listing can no longer fill
+const CLOSED_STATUSES = ['filled', 'canceled', 'expired'];
+
 class EstimatedListingAge {
     constructor() {
         this.knownListings = []; // Array of {id, timestamp, createdTimestamp, enhancementLevel, ...} sorted by id
@@ -21,6 +25,7 @@ class EstimatedListingAge {
         this.currentItemHrid = null; // Track current item from WebSocket
         this.unregisterWebSocket = null;
         this.unregisterObserver = null;
+        this.unregisterPruneListener = null;
         this.storageKey = 'marketListingTimestamps';
         this.orderBooksCacheKey = 'marketOrderBooksCache';
         this.isInitialized = false;
@@ -57,6 +62,13 @@ class EstimatedListingAge {
         // Load historical data from storage
         await this.loadHistoricalData();
 
+        // Reload after retention pruning so the next save doesn't restore pruned listings
+        this.unregisterPruneListener = storageManager.onPruned('marketListings', async (keys) => {
+            if (keys.includes(this.storageKey)) {
+                await this.loadHistoricalData();
+            }
+        });
+
         // Load cached order books from storage
         await this.loadOrderBooksCache();
 
@@ -399,18 +411,39 @@ class EstimatedListingAge {
             status = 'unknown';
         }
 
+        const existing = existingIndex !== -1 ? this.knownListings[existingIndex] : null;
+        const enhancementLevel = listing.enhancementLevel || 0;
+
+        // Market at the time we first saw the listing (for fill-time vs price offset analytics)
+        let marketAsk = existing?.marketAsk ?? null;
+        let marketBid = existing?.marketBid ?? null;
+        if (!existing) {
+            const price = marketAPI.getPrice?.(listing.itemHrid, enhancementLevel);
+            marketAsk = price?.ask ?? null;
+            marketBid = price?.bid ?? null;
+        }
+
+        // When a listing we saw open was first seen in a final state. Listings first seen already
+        // closed get none: their close time is unknown and would overstate time-to-fill.
+        const wasSeenOpen = existing !== null && !CLOSED_STATUSES.includes(existing.status);
+        const closedTimestamp =
+            existing?.closedTimestamp ?? (wasSeenOpen && CLOSED_STATUSES.includes(status) ? Date.now() : null);
+
         // Add new entry with full data
         const entry = {
             id: listing.id,
             timestamp: timestamp,
             createdTimestamp: listing.createdTimestamp, // ISO string for display
             itemHrid: listing.itemHrid,
-            enhancementLevel: listing.enhancementLevel || 0, // For accurate row matching
+            enhancementLevel, // For accurate row matching
             price: listing.price,
             orderQuantity: listing.orderQuantity,
             filledQuantity: listing.filledQuantity,
             isSell: listing.isSell,
             status: status,
+            closedTimestamp,
+            marketAsk,
+            marketBid,
         };
 
         if (existingIndex !== -1) {
@@ -1004,6 +1037,11 @@ class EstimatedListingAge {
      * Disable the estimated listing age feature
      */
     disable() {
+        if (this.unregisterPruneListener) {
+            this.unregisterPruneListener();
+            this.unregisterPruneListener = null;
+        }
+
         if (this.unregisterWebSocket) {
             this.unregisterWebSocket();
             this.unregisterWebSocket = null;
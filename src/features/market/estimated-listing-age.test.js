@@ -192,3 +192,29 @@ describe('EstimatedListingAge.addAgeColumn — outside-tradable-range separator
         delete estimatedListingAge.orderBooksCache['/items/test_item'];
     });
 });
+
+describe('EstimatedListingAge.recordListing — closedTimestamp', () => {
+    const listing = (id, status) => ({
+        id,
+        createdTimestamp: '2026-01-01T00:00:00Z',
+        itemHrid: '/items/cheese',
+        price: 100,
+        orderQuantity: 10,
+        filledQuantity: status === 'filled' ? 10 : 0,
+        isSell: true,
+        _toolashaStatus: status,
+    });
+
+    test('is set when a listing seen open closes, and not for listings first seen closed', () => {
+        estimatedListingAge.knownListings = [];
+        estimatedListingAge.saveHistoricalData = vi.fn();
+
+        estimatedListingAge.recordListing(listing(1, 'active'));
+        estimatedListingAge.recordListing(listing(1, 'filled'));
+        estimatedListingAge.recordListing(listing(2, 'filled'));
+
+        const [seenOpen, firstSeenClosed] = estimatedListingAge.knownListings;
+        expect(seenOpen.closedTimestamp).toEqual(expect.any(Number));
+        expect(firstSeenClosed.closedTimestamp).toBeNull();
+    });
+});
@@ -0,0 +1,278 @@
+/**
+ * Liquidity Panel
+ * Adds a "Liquidity" button to the marketplace item view that opens a panel built
+ * from recorded order book snapshots: consumption rate of each side, fill time for
+ * a new listing, slippage for market orders of a chosen size, and recent depth.
+ */
+
+import config from '../../core/config.js';
+import dataManager from '../../core/data-manager.js';
+import { formatKMB, formatDateTime, timeReadable } from '../../utils/formatters.js';
+import { parseItemCount } from '../../utils/number-parser.js';
+import orderBookHistory from './order-book-history.js';
+
+const BUTTON_ID = 'mwi-liquidity-button';
+const MODAL_ID = 'mwi-liquidity-modal';
+const DEPTH_ROWS = 10;
+const DEPTH_LEVELS = 5;
+
+class LiquidityPanel {
+    constructor() {
+        this.isInitialized = false;
+        this.unregisterHandler = null;
+        this.currentItemHrid = null;
+        this.orderSize = 100;
+    }
+
+    initialize() {
+        if (this.isInitialized) return;
+        if (!config.getSetting('market_orderBookHistory')) return;
+
+        this.isInitialized = true;
+
+        const handler = (data) => {
+            if (!data.marketItemOrderBooks) return;
+            this.currentItemHrid = data.marketItemOrderBooks.itemHrid;
+            this._updateButton();
+        };
+
+        dataManager.on('market_item_order_books_updated', handler);
+        this.unregisterHandler = () => dataManager.off('market_item_order_books_updated', handler);
+    }
+
+    /**
+     * Get current enhancement level from DOM.
+     * @returns {number}
+     */
+    _getEnhancementLevel() {
+        const currentItem = document.querySelector('[class*="MarketplacePanel_currentItem"]');
+        if (!currentItem) return 0;
+        const el = currentItem.querySelector('[class*="Item_enhancementLevel"]');
+        if (!el) return 0;
+        const match = el.textContent.match(/\+(\d+)/);
+        return match ? parseInt(match[1], 10) : 0;
+    }
+
+    _updateButton() {
+        document.getElementById(BUTTON_ID)?.remove();
+        if (!this.currentItemHrid) return;
+
+        const container = document.querySelector('[class*="MarketplacePanel_marketNavButtonContainer"]');
+        if (!container) return;
+
+        const itemHrid = this.currentItemHrid;
+        const button = document.createElement('button');
+        button.id = BUTTON_ID;
+        button.textContent = '💧 Liquidity';
+        button.style.cssText = `
+            font-size: 10px;
+            color: #ccc;
+            background: #2a2a2a;
+            border: 1px solid #555;
+            border-radius: 4px;
+            padding: 2px 8px;
+            margin-left: 8px;
+            cursor: pointer;
+            white-space: nowrap;
+        `;
+        button.addEventListener('click', () => this.openModal(itemHrid, this._getEnhancementLevel()));
+
+        container.appendChild(button);
+    }
+
+    /**
+     * Open the liquidity panel
+     * @param {string} itemHrid - Item HRID
+     * @param {number} enhancementLevel - Enhancement level
+     */
+    async openModal(itemHrid, enhancementLevel = 0) {
+        this.closeModal();
+
+        const itemName = dataManager.getItemDetails(itemHrid)?.name || itemHrid;
+
+        const overlay = document.createElement('div');
+        overlay.id = MODAL_ID;
+        overlay.style.cssText = `
+            position: fixed;
+            inset: 0;
+            background: rgba(0, 0, 0, 0.8);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            z-index: 10000;
+        `;
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) this.closeModal();
+        });
+
+        const content = document.createElement('div');
+        content.style.cssText = `
+            background: #2a2a2a;
+            border-radius: 8px;
+            padding: 20px;
+            width: 760px;
+            max-width: 95%;
+            max-height: 90%;
+            overflow: auto;
+            color: #ddd;
+            font-size: 13px;
+        `;
+
+        const header = document.createElement('div');
+        header.style.cssText =
+            'display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px;';
+        const title = document.createElement('h2');
+        title.textContent = `${itemName}${enhancementLevel > 0 ? ` +${enhancementLevel}` : ''} — Liquidity`;
+        title.style.cssText = 'margin: 0; color: #fff; font-size: 18px;';
+        const closeBtn = document.createElement('button');
+        closeBtn.textContent = '✕';
+        closeBtn.style.cssText =
+            'background: none; border: none; color: #fff; font-size: 24px; cursor: pointer; padding: 0; width: 30px; height: 30px;';
+        closeBtn.addEventListener('click', () => this.closeModal());
+        header.append(title, closeBtn);
+
+        const sizeRow = document.createElement('label');
+        sizeRow.style.cssText = 'display: flex; align-items: center; gap: 8px; margin-bottom: 12px;';
+        sizeRow.textContent = 'Order size:';
+        const sizeInput = document.createElement('input');
+        sizeInput.type = 'text';
+        sizeInput.value = String(this.orderSize);
+        sizeInput.style.cssText =
+            'width: 90px; background: #1a1a1a; color: #ddd; border: 1px solid #555; border-radius: 4px; padding: 3px 6px;';
+        sizeRow.appendChild(sizeInput);
+
+        const body = document.createElement('div');
+        content.append(header, sizeRow, body);
+        overlay.appendChild(content);
+        document.body.appendChild(overlay);
+
+        const render = async () => {
+            const liquidity = await orderBookHistory.getLiquidity(itemHrid, enhancementLevel, this.orderSize);
+            const snapshots = await orderBookHistory.getSnapshots(itemHrid, enhancementLevel);
+            this._render(body, liquidity, snapshots);
+        };
+
+        sizeInput.addEventListener('change', () => {
+            const size = parseItemCount(sizeInput.value, null);
+            if (size && size > 0) {
+                this.orderSize = Math.floor(size);
+                render();
+            }
+        });
+
+        await render();
+    }
+
+    /**
+     * Format an hour estimate
+     * @param {number|null} hours
+     * @returns {string}
+     */
+    _formatHours(hours) {
+        if (hours === null || !isFinite(hours)) return 'unknown (not enough snapshots)';
+        return `~${timeReadable(Math.round(hours * 3600))}`;
+    }
+
+    /**
+     * Describe a slippage result
+     * @param {Object|null} result - computeSlippage output
+     * @returns {string} HTML
+     */
+    _formatSlippage(result) {
+        if (!result) return '<span style="color: #777;">no orders</span>';
+
+        let text = `avg ${formatKMB(result.averagePrice)} (best ${formatKMB(result.bestPrice)}, worst ${formatKMB(result.worstPrice)}), slippage ${result.slippagePct.toFixed(1)}% = ${formatKMB(result.slippageCost)}`;
+        if (result.unfilled > 0) {
+            text += ` <span style="color: ${config.COLOR_WARNING};">— only ${formatKMB(result.filled)} visible in the book</span>`;
+        }
+        return text;
+    }
+
+    _render(body, liquidity, snapshots) {
+        body.innerHTML = '';
+
+        if (!liquidity) {
+            body.innerHTML =
+                '<div style="color: #888;">No order book snapshots yet. Snapshots are recorded each time you open this item in the marketplace.</div>';
+            return;
+        }
+
+        const { askRate, bidRate } = liquidity;
+        const rateText = (rate) =>
+            rate.perHour !== null
+                ? `${formatKMB(rate.perHour)}/h (${formatKMB(rate.consumed)} over ${rate.hours.toFixed(1)}h)`
+                : 'unknown';
+
+        const summary = document.createElement('div');
+        summary.style.cssText = 'display: grid; grid-template-columns: auto 1fr; gap: 4px 12px; margin-bottom: 14px;';
+        const rows = [
+            ['Asks taken', rateText(askRate)],
+            ['Bids hit', rateText(bidRate)],
+            [`Sell ${formatKMB(this.orderSize)} now`, this._formatSlippage(liquidity.dumpIntoBids)],
+            [`Buy ${formatKMB(this.orderSize)} now`, this._formatSlippage(liquidity.buyFromAsks)],
+            ['List at best ask', this._formatHours(liquidity.sellListingHours)],
+            ['Bid at best bid', this._formatHours(liquidity.buyListingHours)],
+            ['Snapshots', `${liquidity.snapshotCount} (latest ${formatDateTime(new Date(liquidity.latest.t))})`],
+        ];
+        for (const [label, value] of rows) {
+            const labelEl = document.createElement('span');
+            labelEl.style.color = '#999';
+            labelEl.textContent = label;
+            const valueEl = document.createElement('span');
+            valueEl.innerHTML = value;
+            summary.append(labelEl, valueEl);
+        }
+        body.appendChild(summary);
+
+        const note = document.createElement('div');
+        note.style.cssText = 'color: #777; font-size: 11px; margin-bottom: 10px;';
+        note.textContent =
+            'Rates count every unit that left the top of the book between snapshots, including cancellations, so they are upper bounds. Fill time assumes you join the back of the queue at the best price.';
+        body.appendChild(note);
+
+        const heading = document.createElement('h3');
+        heading.textContent = 'Recent depth (best levels, price × quantity)';
+        heading.style.cssText = 'margin: 8px 0 6px; color: #fff; font-size: 14px;';
+        body.appendChild(heading);
+
+        const cellStyle = 'padding: 3px 6px; border-bottom: 1px solid #3a3a3a; white-space: nowrap; font-size: 11px;';
+        const formatLevels = (levels) =>
+            levels
+                .slice(0, DEPTH_LEVELS)
+                .map(([price, quantity]) => `${formatKMB(price)}×${formatKMB(quantity)}`)
+                .join(' ') || '-';
+
+        const table = document.createElement('table');
+        table.style.cssText = 'width: 100%; border-collapse: collapse;';
+        table.innerHTML =
+            `<tr style="color: #aaa;"><th style="${cellStyle} text-align: left;">Time</th><th style="${cellStyle} text-align: left;">Asks</th><th style="${cellStyle} text-align: left;">Bids</th></tr>` +
+            snapshots
+                .slice(-DEPTH_ROWS)
+                .reverse()
+                .map(
+                    (snapshot) =>
+                        `<tr><td style="${cellStyle}">${formatDateTime(new Date(snapshot.t))}</td><td style="${cellStyle} color: #f87171;">${formatLevels(snapshot.asks)}</td><td style="${cellStyle} color: #4ade80;">${formatLevels(snapshot.bids)}</td></tr>`
+                )
+                .join('');
+        body.appendChild(table);
+    }
+
+    closeModal() {
+        document.getElementById(MODAL_ID)?.remove();
+    }
+
+    disable() {
+        if (this.unregisterHandler) {
+            this.unregisterHandler();
+            this.unregisterHandler = null;
+        }
+        this.closeModal();
+        document.getElementById(BUTTON_ID)?.remove();
+        this.currentItemHrid = null;
+        this.isInitialized = false;
+    }
+}
+
+const liquidityPanel = new LiquidityPanel();
+
+export default liquidityPanel;
@@ -0,0 +1,527 @@
+/**
+ * Listing Health Panel
+ *
+ * Adds a "Health" button on My Listings that opens a table of your open listings flagged as
+ * top of book, undercut or stale (see listing-health.js). Undercut listings get a one-click
+ * re-list: under a RELIST marketplace session the listing is cancelled from the My Listings
+ * table, the item's new listing form is opened and prefilled with the rule's price and the
+ * remaining quantity. Posting the new listing is left to you.
+ *
+ * Depends on listing-price-display.js stamping row.dataset.listingId.
+ */
+
+import config from '../../core/config.js';
+import dataManager from '../../core/data-manager.js';
+import domObserver from '../../core/dom-observer.js';
+import { marketplaceSession, MARKETPLACE_OWNER } from '../../core/marketplace-session.js';
+import { formatKMB, formatRelativeTime } from '../../utils/formatters.js';
+import { createMutationWatcher } from '../../utils/dom-observer-helpers.js';
+import { navigateToMarketplace, navigateToMyListings } from '../../utils/marketplace-tabs.js';
+import { readMarketplaceRuntimeStateFromElement } from '../../utils/marketplace-autofill.js';
+import { setReactInputValue } from '../../utils/react-input.js';
+import { createTimerRegistry } from '../../utils/timer-registry.js';
+import { LISTING_STATUS, RELIST_RULE, getListingHealthReport, getRelistTarget } from './listing-health.js';
+
+const LISTING_COUNT_SEL = '[class*="MarketplacePanel_listingCount"]';
+const TABLE_SEL = '[class*="MarketplacePanel_myListingsTable"]';
+const BTN_CLASS = 'Button_button__1Fe9z Button_small__3fqC7';
+const MODAL_CLASS = 'mwi-listing-health-modal';
+const STEP_TIMEOUT_MS = 5000;
+
+const CELL_STYLE = 'padding: 4px 8px; border-bottom: 1px solid #3a3a3a; text-align: right; white-space: nowrap;';
+const ACTION_BTN_STYLE =
+    'background: #444; color: #ddd; border: 1px solid #555; border-radius: 4px; padding: 2px 8px; cursor: pointer; font-size: 11px;';
+
+class ListingHealthPanel {
+    constructor() {
+        this.isInitialized = false;
+        this.watcher = null;
+        this.healthBtn = null;
+        this.modal = null;
+        this.body = null;
+        this.rule = null; // Overrides the setting while the modal is open
+        this.notice = null;
+        this.report = [];
+        this.pendingRelist = null; // { sessionId, listing, target, quantity }
+        this.unregisterModalObserver = null;
+        this.listingsHandler = null;
+        this.timerRegistry = createTimerRegistry();
+    }
+
+    initialize() {
+        if (this.isInitialized) return;
+        if (!config.getSetting('market_listingHealth')) return;
+        this.isInitialized = true;
+
+        this.listingsHandler = () => {
+            if (this.modal) this.renderReport();
+        };
+        dataManager.on('market_listings_updated', this.listingsHandler);
+
+        this.unregisterModalObserver = domObserver.onClass('ListingHealthPanel', 'Modal_modalContainer', (modal) =>
+            this._fillRelistForm(modal)
+        );
+
+        this._watch();
+    }
+
+    _watch() {
+        const ensureButton = () => {
+            const countContainer = document.querySelector(LISTING_COUNT_SEL);
+
+            if (!countContainer) {
+                if (this.healthBtn && document.body.contains(this.healthBtn)) {
+                    this.healthBtn.remove();
+                    this.healthBtn = null;
+                }
+                return;
+            }
+
+            if (this.healthBtn && !document.body.contains(this.healthBtn)) {
+                this.healthBtn = null;
+            }
+
+            if (this.healthBtn) return;
+
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = BTN_CLASS;
+            btn.textContent = 'Health';
+            btn.addEventListener('click', () => this.openModal());
+
+            const anchor = Array.from(countContainer.querySelectorAll('button')).find(
+                (b) => b.textContent.includes('Refresh') || b.textContent.includes('Upgrade Capacity')
+            );
+
+            if (anchor) {
+                anchor.after(btn);
+            } else {
+                countContainer.appendChild(btn);
+            }
+
+            this.healthBtn = btn;
+        };
+
+        if (!this.watcher) {
+            this.watcher = createMutationWatcher(document.body, ensureButton, {
+                childList: true,
+                subtree: true,
+            });
+        }
+
+        ensureButton();
+    }
+
+    _getRule() {
+        return this.rule || config.getSettingValue('market_listingHealth_relistRule', RELIST_RULE.MATCH);
+    }
+
+    openModal() {
+        this.closeModal();
+
+        this.modal = document.createElement('div');
+        this.modal.className = MODAL_CLASS;
+        this.modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0, 0, 0, 0.8);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            z-index: 10000;
+        `;
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.closeModal();
+        });
+
+        const content = document.createElement('div');
+        content.style.cssText = `
+            background: #2a2a2a;
+            border-radius: 8px;
+            padding: 20px;
+            width: 900px;
+            max-width: 95%;
+            max-height: 90%;
+            overflow: auto;
+            color: #ddd;
+            box-shadow: 0 4px 20px rgba(0, 0, 0, 0.5);
+        `;
+
+        const header = document.createElement('div');
+        header.style.cssText =
+            'display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px;';
+
+        const title = document.createElement('h2');
+        title.textContent = 'My Listings Health';
+        title.style.cssText = 'margin: 0; color: #fff;';
+
+        const controls = document.createElement('div');
+        controls.style.cssText = 'display: flex; gap: 8px; align-items: center;';
+
+        const ruleSelect = document.createElement('select');
+        ruleSelect.style.cssText = 'background: #1a1a1a; color: #ddd; border: 1px solid #555; padding: 3px;';
+        for (const [value, label] of [
+            [RELIST_RULE.MATCH, 'Re-list: match'],
+            [RELIST_RULE.BEAT_BY_TICK, 'Re-list: beat by 1 tick'],
+            [RELIST_RULE.HOLD, 'Hold'],
+        ]) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            ruleSelect.appendChild(option);
+        }
+        ruleSelect.value = this._getRule();
+        ruleSelect.addEventListener('change', () => {
+            this.rule = ruleSelect.value;
+            this.renderReport();
+        });
+
+        const closeBtn = document.createElement('button');
+        closeBtn.textContent = '✕';
+        closeBtn.style.cssText =
+            'background: none; border: none; color: #fff; font-size: 24px; cursor: pointer; padding: 0; width: 30px; height: 30px;';
+        closeBtn.addEventListener('click', () => this.closeModal());
+
+        controls.append(ruleSelect, closeBtn);
+        header.append(title, controls);
+
+        this.body = document.createElement('div');
+        this.body.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const row = this.report[Number(button.dataset.index)];
+            if (!row) return;
+
+            if (button.dataset.action === 'relist') {
+                this.relist(row);
+            } else if (button.dataset.action === 'view') {
+                this.closeModal();
+                navigateToMarketplace(row.listing.itemHrid, row.listing.enhancementLevel || 0);
+            }
+        });
+
+        content.append(header, this.body);
+        this.modal.appendChild(content);
+        document.body.appendChild(this.modal);
+
+        this.renderReport();
+    }
+
+    _itemLabel(listing) {
+        const name = dataManager.getItemDetails(listing.itemHrid)?.name || listing.itemHrid;
+        return listing.enhancementLevel > 0 ? `${name} +${listing.enhancementLevel}` : name;
+    }
+
+    /**
+     * Status cell for one report row
+     * @param {Object} row - Report row
+     * @param {number} now - Current time
+     * @returns {string} HTML
+     */
+    _statusHtml(row, now) {
+        if (row.status === LISTING_STATUS.TOP) {
+            const queue = row.queueAhead > 0 ? `, ${formatKMB(row.queueAhead)} ahead at your price` : '';
+            return `<span style="color: ${config.COLOR_PROFIT};">Top of book${queue}</span>`;
+        }
+        if (row.status === LISTING_STATUS.UNDERCUT) {
+            return `<span style="color: ${config.COLOR_LOSS};">Undercut by ${formatKMB(row.gap)} (${row.gapPct.toFixed(1)}%), ${formatKMB(row.unitsAhead)} units ahead</span>`;
+        }
+        const age = row.lastUpdated ? `book ${formatRelativeTime(now - row.lastUpdated)} old` : 'order book not seen';
+        return `<span style="color: ${config.COLOR_WARNING};">Stale (${age})</span>`;
+    }
+
+    /**
+     * Action cell for one report row
+     * @param {Object} row - Report row
+     * @param {number} index - Row index in this.report
+     * @param {string} rule - RELIST_RULE value
+     * @returns {string} HTML
+     */
+    _actionHtml(row, index, rule) {
+        if (row.status === LISTING_STATUS.STALE) {
+            return `<button data-action="view" data-index="${index}" style="${ACTION_BTN_STYLE}">View</button>`;
+        }
+
+        const target = getRelistTarget(row.listing, row, rule);
+        if (!target || row.remaining <= 0) return '<span style="color: #777;">-</span>';
+
+        const tick = target.tickStep < 0 ? ' −1 tick' : target.tickStep > 0 ? ' +1 tick' : '';
+        return `<button data-action="relist" data-index="${index}" style="${ACTION_BTN_STYLE}">Re-list @ ${formatKMB(target.price)}${tick}</button>`;
+    }
+
+    renderReport() {
+        if (!this.body) return;
+
+        const now = Date.now();
+        const rule = this._getRule();
+        this.report = getListingHealthReport(now);
+        this.body.innerHTML = '';
+
+        if (this.notice) {
+            const notice = document.createElement('div');
+            notice.style.cssText = `color: ${config.COLOR_WARNING}; margin-bottom: 8px;`;
+            notice.textContent = this.notice;
+            this.body.appendChild(notice);
+            this.notice = null;
+        }
+
+        if (this.report.length === 0) {
+            const empty = document.createElement('div');
+            empty.style.cssText = 'color: #888; padding: 12px 0;';
+            empty.textContent = 'No open listings.';
+            this.body.appendChild(empty);
+            return;
+        }
+
+        const counts = { top: 0, undercut: 0, stale: 0 };
+        for (const row of this.report) counts[row.status]++;
+
+        const summary = document.createElement('div');
+        summary.style.cssText = 'display: flex; gap: 20px; font-size: 13px; margin-bottom: 8px;';
+        summary.innerHTML = `
+            <span style="color: ${config.COLOR_PROFIT};">Top: ${counts.top}</span>
+            <span style="color: ${config.COLOR_LOSS};">Undercut: ${counts.undercut}</span>
+            <span style="color: ${config.COLOR_WARNING};">Stale: ${counts.stale}</span>
+        `;
+        this.body.appendChild(summary);
+
+        const order = { [LISTING_STATUS.UNDERCUT]: 0, [LISTING_STATUS.STALE]: 1, [LISTING_STATUS.TOP]: 2 };
+        const indexes = this.report
+            .map((_, i) => i)
+            .sort((a, b) => order[this.report[a].status] - order[this.report[b].status]);
+
+        const cell = (html, index, tag) =>
+            `<${tag} style="${CELL_STYLE}${index === 0 || index === 5 ? ' text-align: left;' : ''}">${html}</${tag}>`;
+        const headers = ['Item', 'Side', 'Price', 'Remaining', 'Best other', 'Status', ''];
+
+        const table = document.createElement('table');
+        table.style.cssText = 'width: 100%; border-collapse: collapse; font-size: 12px;';
+        table.innerHTML =
+            `<tr style="color: #aaa;">${headers.map((h, i) => cell(h, i, 'th')).join('')}</tr>` +
+            indexes
+                .map((i) => {
+                    const row = this.report[i];
+                    const cells = [
+                        this._itemLabel(row.listing),
+                        row.listing.isSell ? 'Sell' : 'Buy',
+                        formatKMB(row.listing.price),
+                        formatKMB(row.remaining),
+                        row.bestCompetitor !== null ? formatKMB(row.bestCompetitor) : '-',
+                        this._statusHtml(row, now),
+                        this._actionHtml(row, i, rule),
+                    ];
+                    return `<tr>${cells.map((html, index) => cell(html, index, 'td')).join('')}</tr>`;
+                })
+                .join('');
+        this.body.appendChild(table);
+
+        const note = document.createElement('div');
+        note.style.cssText = 'color: #777; font-size: 11px; margin-top: 10px;';
+        note.textContent =
+            'Based on the last order book seen for each item; "View" opens a stale item to refresh it. Re-list cancels the listing and opens a prefilled new listing form for you to confirm.';
+        this.body.appendChild(note);
+    }
+
+    /**
+     * Poll until a condition holds, the session ends, or the timeout passes
+     * @param {Function} predicate - Returns truthy when done
+     * @param {number} sessionId - Owning session
+     * @returns {Promise<*>} The predicate's value, or null
+     */
+    _waitFor(predicate, sessionId) {
+        const start = Date.now();
+
+        return new Promise((resolve) => {
+            const interval = setInterval(() => {
+                const value = predicate();
+                if (value || !marketplaceSession.isActive(sessionId) || Date.now() - start > STEP_TIMEOUT_MS) {
+                    clearInterval(interval);
+                    resolve(value || null);
+                }
+            }, 100);
+            this.timerRegistry.registerInterval(interval);
+        });
+    }
+
+    /**
+     * Cancel a listing through its My Listings row and wait for the server to confirm
+     * @param {Object} listing - Listing to cancel
+     * @param {number} sessionId - Owning session
+     * @returns {Promise<string|null>} Error message, or null once the listing is cancelled
+     */
+    async _cancelListing(listing, sessionId) {
+        const label = this._itemLabel(listing);
+        const findRow = () => document.querySelector(`${TABLE_SEL} tr[data-listing-id="${listing.id}"]`);
+        if (!findRow()) navigateToMyListings();
+
+        const row = await this._waitFor(findRow, sessionId);
+        if (!row) return `Could not find the ${label} listing. Open My Listings and try again.`;
+
+        // Only ever click an actual Cancel button; any other button in the row could confirm something else
+        const cancelBtn = Array.from(row.querySelectorAll('button')).find(
+            (b) => b.textContent.trim().toLowerCase() === 'cancel'
+        );
+        if (!cancelBtn) return `No Cancel button found for the ${label} listing. Re-list aborted.`;
+        cancelBtn.click();
+
+        const isGone = () =>
+            !(dataManager.getMarketListings() || []).some(
+                (l) => l.id === listing.id && l.status === '/market_listing_status/active'
+            );
+        if (await this._waitFor(isGone, sessionId)) return null;
+        return `Could not cancel the ${label} listing. Open My Listings and try again.`;
+    }
+
+    /**
+     * Cancel an undercut listing and open a prefilled replacement
+     * @param {Object} row - Report row
+     */
+    async relist(row) {
+        const target = getRelistTarget(row.listing, row, this._getRule());
+        if (!target || row.remaining <= 0) return;
+
+        const { listing } = row;
+        let sessionId = null;
+        sessionId = marketplaceSession.start({
+            owner: MARKETPLACE_OWNER.RELIST,
+            onEnd: () => this._clearPendingRelist(sessionId),
+        });
+        this.pendingRelist = { sessionId, listing, target, quantity: row.remaining };
+        this.closeModal();
+
+        const fail = (message) => {
+            marketplaceSession.end(sessionId);
+            this.notice = message;
+            this.openModal();
+        };
+
+        const cancelError = await this._cancelListing(listing, sessionId);
+        if (cancelError) {
+            if (marketplaceSession.isActive(sessionId)) fail(cancelError);
+            return;
+        }
+
+        if (!navigateToMarketplace(listing.itemHrid, listing.enhancementLevel || 0)) {
+            fail('Listing cancelled, but the marketplace could not be opened. Re-list it manually.');
+            return;
+        }
+
+        const buttonText = listing.isSell ? '+ New Sell Listing' : '+ New Buy Listing';
+        const partialClass = listing.isSell ? 'Button_sell' : 'Button_buy';
+        const newListingBtn = await this._waitFor(
+            () =>
+                Array.from(document.querySelectorAll(`[class*="${partialClass}"]`)).find(
+                    (btn) => btn.textContent.trim() === buttonText
+                ),
+            sessionId
+        );
+
+        if (!newListingBtn) {
+            if (marketplaceSession.isActive(sessionId)) {
+                fail('Listing cancelled, but the new listing form did not open. Re-list it manually.');
+            }
+            return;
+        }
+        newListingBtn.click();
+
+        // The form may never appear (e.g. navigated away); release the session eventually
+        const expiry = setTimeout(() => marketplaceSession.end(sessionId), STEP_TIMEOUT_MS);
+        this.timerRegistry.registerTimeout(expiry);
+    }
+
+    /**
+     * Prefill price and quantity once the pending re-list's listing form opens
+     * @param {HTMLElement} modal - Modal container element
+     */
+    _fillRelistForm(modal) {
+        const pending = this.pendingRelist;
+        if (!pending || !marketplaceSession.isActive(pending.sessionId)) return;
+
+        const headerText = modal.querySelector('div[class*="MarketplacePanel_header"]')?.textContent?.trim() || '';
+        if (headerText !== (pending.listing.isSell ? 'Sell Listing' : 'Buy Listing')) return;
+
+        // Run after auto-fill-price has applied its own best-price strategy
+        const fillTimeout = setTimeout(() => {
+            if (this.pendingRelist !== pending || !marketplaceSession.isActive(pending.sessionId)) return;
+
+            const priceInput = modal.querySelector('div[class*="MarketplacePanel_priceInputs"] input');
+            const quantityInput = modal.querySelector('[class*="MarketplacePanel_quantityInputs"] input');
+            if (!priceInput || !quantityInput) return;
+
+            const state = readMarketplaceRuntimeStateFromElement(quantityInput);
+            if (
+                state &&
+                (state.itemHrid !== pending.listing.itemHrid ||
+                    state.enhancementLevel !== (pending.listing.enhancementLevel || 0))
+            ) {
+                return;
+            }
+
+            setReactInputValue(priceInput, String(pending.target.price), { focus: false });
+            setReactInputValue(quantityInput, String(pending.quantity), { focus: false });
+
+            if (pending.target.tickStep !== 0) {
+                const tickTimeout = setTimeout(() => {
+                    const buttonContainers = modal.querySelectorAll(
+                        'div[class*="MarketplacePanel_priceInputs"] div[class*="MarketplacePanel_buttonContainer"]'
+                    );
+                    // 2nd container decrements, 3rd increments (same layout auto-fill-price relies on)
+                    const container = buttonContainers[pending.target.tickStep < 0 ? 1 : 2];
+                    container?.querySelector('div button')?.click();
+                    marketplaceSession.end(pending.sessionId);
+                }, 100);
+                this.timerRegistry.registerTimeout(tickTimeout);
+            } else {
+                marketplaceSession.end(pending.sessionId);
+            }
+        }, 300);
+        this.timerRegistry.registerTimeout(fillTimeout);
+    }
+
+    /**
+     * @param {number|null} sessionId
+     */
+    _clearPendingRelist(sessionId) {
+        if (this.pendingRelist && this.pendingRelist.sessionId === sessionId) {
+            this.pendingRelist = null;
+        }
+    }
+
+    closeModal() {
+        this.modal?.remove();
+        this.modal = null;
+        this.body = null;
+    }
+
+    disable() {
+        if (this.pendingRelist) {
+            marketplaceSession.end(this.pendingRelist.sessionId);
+            this.pendingRelist = null;
+        }
+        if (this.listingsHandler) {
+            dataManager.off('market_listings_updated', this.listingsHandler);
+            this.listingsHandler = null;
+        }
+        if (this.unregisterModalObserver) {
+            this.unregisterModalObserver();
+            this.unregisterModalObserver = null;
+        }
+        if (this.watcher) {
+            this.watcher();
+            this.watcher = null;
+        }
+        this.healthBtn?.remove();
+        this.healthBtn = null;
+        this.closeModal();
+        this.timerRegistry.clearAll();
+        this.rule = null;
+        this.isInitialized = false;
+    }
+}
+
+const listingHealthPanel = new ListingHealthPanel();
+
+export default listingHealthPanel;
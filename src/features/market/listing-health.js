@@ -0,0 +1,147 @@
+/**
+ * Listing Health
+ * Classifies your open market listings against the latest order book seen for each item:
+ * top of book, undercut (by how much and how many units are queued ahead), or stale when
+ * the order book is too old (or missing) to judge. Also picks the re-list price for a rule.
+ *
+ * Order books come from the WebSocket cache kept by estimated-listing-age.js and listings
+ * from dataManager, so no extra requests are made.
+ */
+
+import config from '../../core/config.js';
+import dataManager from '../../core/data-manager.js';
+import estimatedListingAge from './estimated-listing-age.js';
+
+export const LISTING_STATUS = Object.freeze({
+    TOP: 'top',
+    UNDERCUT: 'undercut',
+    STALE: 'stale',
+});
+
+export const RELIST_RULE = Object.freeze({
+    MATCH: 'match',
+    BEAT_BY_TICK: 'beatByTick',
+    HOLD: 'hold',
+});
+
+const ACTIVE_STATUS = '/market_listing_status/active';
+const DEFAULT_STALE_MINUTES = 60;
+
+/**
+ * Classify one listing against its order book
+ * @param {Object} listing - Listing from dataManager ({id, isSell, price, orderQuantity, filledQuantity})
+ * @param {Object|null} orderBook - Order book for the listing's enhancement level ({asks, bids})
+ * @param {Object} options
+ * @param {number|null} options.bookAgeMs - Age of the order book, null when never seen
+ * @param {number} options.staleAfterMs - Books older than this are not trusted
+ * @param {Set} [options.ownListingIds] - Your listing IDs, excluded from the competition
+ * @returns {Object} { status, bestCompetitor, gap, gapPct, unitsAhead, queueAhead }
+ */
+export function classifyListing(listing, orderBook, { bookAgeMs, staleAfterMs, ownListingIds = new Set() }) {
+    const result = {
+        status: LISTING_STATUS.STALE,
+        bestCompetitor: null,
+        gap: 0,
+        gapPct: 0,
+        unitsAhead: 0,
+        queueAhead: 0,
+    };
+
+    if (!orderBook || bookAgeMs === null || bookAgeMs > staleAfterMs) return result;
+
+    const side = listing.isSell ? orderBook.asks : orderBook.bids;
+    const isBetter = (price, than) => (listing.isSell ? price < than : price > than);
+
+    for (const entry of side || []) {
+        if (ownListingIds.has(entry.listingId)) continue;
+
+        if (result.bestCompetitor === null || isBetter(entry.price, result.bestCompetitor)) {
+            result.bestCompetitor = entry.price;
+        }
+
+        if (isBetter(entry.price, listing.price)) {
+            result.unitsAhead += entry.quantity;
+        } else if (entry.price === listing.price && entry.listingId < listing.id) {
+            // Same price: older listings fill first
+            result.queueAhead += entry.quantity;
+        }
+    }
+
+    if (result.unitsAhead > 0) {
+        result.status = LISTING_STATUS.UNDERCUT;
+        result.gap = Math.abs(listing.price - result.bestCompetitor);
+        result.gapPct = listing.price > 0 ? (result.gap / listing.price) * 100 : 0;
+    } else {
+        result.status = LISTING_STATUS.TOP;
+    }
+
+    return result;
+}
+
+/**
+ * Re-list target for a rule.
+ * Tick sizes follow the game's price grid, so "beat by one tick" is applied with the
+ * order form's own +/- buttons; this only says which way and from which price.
+ * @param {Object} listing - Listing ({isSell, price})
+ * @param {Object} health - classifyListing output
+ * @param {string} rule - RELIST_RULE value
+ * @returns {{price: number, tickStep: number}|null} tickStep is -1, 0 or +1; null when nothing to do
+ */
+export function getRelistTarget(listing, health, rule) {
+    if (rule === RELIST_RULE.HOLD) return null;
+    if (health.status !== LISTING_STATUS.UNDERCUT || health.bestCompetitor === null) return null;
+
+    if (rule === RELIST_RULE.BEAT_BY_TICK) {
+        return { price: health.bestCompetitor, tickStep: listing.isSell ? -1 : 1 };
+    }
+    return { price: health.bestCompetitor, tickStep: 0 };
+}
+
+/**
+ * Order book for one item and enhancement level from the WebSocket cache
+ * @param {string} itemHrid - Item HRID
+ * @param {number} enhancementLevel - Enhancement level
+ * @returns {{orderBook: Object|null, lastUpdated: number|null}}
+ */
+function getCachedOrderBook(itemHrid, enhancementLevel) {
+    const entry = estimatedListingAge.orderBooksCache?.[itemHrid];
+    if (!entry) return { orderBook: null, lastUpdated: null };
+
+    // Support both old format (direct data) and new format ({data, lastUpdated})
+    const data = entry.data || entry;
+    return {
+        orderBook: data.orderBooks?.[enhancementLevel] || null,
+        lastUpdated: entry.lastUpdated || null,
+    };
+}
+
+/**
+ * Health report for all active listings
+ * @param {number} [now] - Current time
+ * @returns {Array<Object>} [{ listing, remaining, lastUpdated, ...classifyListing output }]
+ */
+export function getListingHealthReport(now = Date.now()) {
+    const staleMinutes =
+        Number(config.getSettingValue('market_listingHealth_staleMinutes', DEFAULT_STALE_MINUTES)) ||
+        DEFAULT_STALE_MINUTES;
+    const staleAfterMs = staleMinutes * 60 * 1000;
+    const listings = (dataManager.getMarketListings() || []).filter((listing) => listing.status === ACTIVE_STATUS);
+    const ownListingIds = new Set(listings.map((listing) => listing.id));
+
+    return listings.map((listing) => {
+        const enhancementLevel = listing.enhancementLevel || 0;
+        const { orderBook, lastUpdated } = getCachedOrderBook(listing.itemHrid, enhancementLevel);
+        const health = classifyListing(listing, orderBook, {
+            bookAgeMs: lastUpdated !== null ? now - lastUpdated : null,
+            staleAfterMs,
+            ownListingIds,
+        });
+
+        return {
+            listing,
+            remaining: Math.max(0, listing.orderQuantity - listing.filledQuantity),
+            lastUpdated,
+            ...health,
+        };
+    });
+}
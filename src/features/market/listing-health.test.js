@@ -0,0 +1,106 @@
+/**
+ * Tests for listing health classification and re-list targets
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+
+let listings = [];
+const orderBooksCache = {};
+vi.mock('../../core/config.js', () => ({
+    default: { getSettingValue: vi.fn((_key, fallback) => fallback) },
+}));
+vi.mock('../../core/data-manager.js', () => ({
+    default: { getMarketListings: vi.fn(() => listings) },
+}));
+vi.mock('./estimated-listing-age.js', () => ({ default: { orderBooksCache } }));
+
+const MINUTE = 60 * 1000;
+const ACTIVE = '/market_listing_status/active';
+
+let module;
+
+beforeEach(async () => {
+    vi.resetModules();
+    listings = [];
+    Object.keys(orderBooksCache).forEach((key) => delete orderBooksCache[key]);
+    module = await import('./listing-health.js');
+});
+
+const sellListing = { id: 50, isSell: true, price: 100, orderQuantity: 10, filledQuantity: 0 };
+const options = { bookAgeMs: MINUTE, staleAfterMs: 60 * MINUTE, ownListingIds: new Set([50]) };
+
+describe('classifyListing', () => {
+    test('flags an undercut sell with the gap and units queued ahead', () => {
+        const book = {
+            asks: [
+                { listingId: 70, price: 95, quantity: 3 },
+                { listingId: 71, price: 98, quantity: 2 },
+                { listingId: 50, price: 100, quantity: 10 },
+            ],
+            bids: [],
+        };
+
+        const health = module.classifyListing(sellListing, book, options);
+        expect(health).toMatchObject({ status: 'undercut', bestCompetitor: 95, gap: 5, unitsAhead: 5 });
+        expect(health.gapPct).toBeCloseTo(5);
+    });
+
+    test('top of book counts older listings at the same price and ignores your own', () => {
+        const book = {
+            asks: [
+                { listingId: 40, price: 100, quantity: 4 },
+                { listingId: 50, price: 100, quantity: 10 },
+                { listingId: 60, price: 100, quantity: 7 },
+            ],
+            bids: [],
+        };
+
+        expect(module.classifyListing(sellListing, book, options)).toMatchObject({
+            status: 'top',
+            bestCompetitor: 100,
+            unitsAhead: 0,
+            queueAhead: 4,
+        });
+    });
+
+    test('buy listings are undercut by higher bids; old or missing books are stale', () => {
+        const buyListing = { id: 50, isSell: false, price: 100 };
+        const book = { asks: [], bids: [{ listingId: 80, price: 110, quantity: 1 }] };
+
+        expect(module.classifyListing(buyListing, book, options).status).toBe('undercut');
+        expect(module.classifyListing(buyListing, book, { ...options, bookAgeMs: 61 * MINUTE }).status).toBe('stale');
+        expect(module.classifyListing(buyListing, null, options).status).toBe('stale');
+    });
+});
+
+describe('getRelistTarget', () => {
+    const undercut = { status: 'undercut', bestCompetitor: 95 };
+
+    test('matches, beats by a tick in the listing direction, or holds', () => {
+        expect(module.getRelistTarget(sellListing, undercut, 'match')).toEqual({ price: 95, tickStep: 0 });
+        expect(module.getRelistTarget(sellListing, undercut, 'beatByTick')).toEqual({ price: 95, tickStep: -1 });
+        expect(module.getRelistTarget({ isSell: false }, undercut, 'beatByTick').tickStep).toBe(1);
+        expect(module.getRelistTarget(sellListing, undercut, 'hold')).toBeNull();
+        expect(module.getRelistTarget(sellListing, { status: 'top', bestCompetitor: 100 }, 'match')).toBeNull();
+    });
+});
+
+describe('getListingHealthReport', () => {
+    test('uses the cached order book for each active listing', () => {
+        const now = 100 * MINUTE;
+        listings = [
+            { ...sellListing, itemHrid: '/items/cheese', enhancementLevel: 0, filledQuantity: 4, status: ACTIVE },
+            { ...sellListing, id: 51, itemHrid: '/items/milk', enhancementLevel: 0, status: ACTIVE },
+            { ...sellListing, id: 52, itemHrid: '/items/cheese', status: '/market_listing_status/filled' },
+        ];
+        orderBooksCache['/items/cheese'] = {
+            data: { orderBooks: [{ asks: [{ listingId: 70, price: 90, quantity: 1 }], bids: [] }] },
+            lastUpdated: now - MINUTE,
+        };
+
+        const report = module.getListingHealthReport(now);
+        expect(report).toHaveLength(2);
+        expect(report[0]).toMatchObject({ status: 'undercut', remaining: 6, bestCompetitor: 90 });
+        expect(report[1]).toMatchObject({ status: 'stale', lastUpdated: null });
+    });
+});
@@ -0,0 +1,371 @@
+/**
+ * Market History Analytics View
+ * Analytics panel for the market history modal: summary cards, a daily volume / gold flow
+ * chart, a time-to-fill by price offset chart, and per-item tables.
+ * Uses the global Chart.js loaded by the userscript header (same as networth-history-chart).
+ */
+
+import config from '../../core/config.js';
+import dataManager from '../../core/data-manager.js';
+import { formatDateTime, formatKMB, timeReadable } from '../../utils/formatters.js';
+import { computeMarketAnalytics, fillDailyGaps } from './market-history-analytics.js';
+
+const TABLE_ROWS = 10;
+
+const CARD_STYLE = 'background: #1a1a1a; border: 1px solid #3a3a3a; border-radius: 6px; padding: 8px 12px;';
+const SECTION_TITLE_STYLE = 'color: #ddd; font-size: 14px; font-weight: bold; margin: 16px 0 8px;';
+const CELL_STYLE = 'padding: 4px 8px; border-bottom: 1px solid #333; text-align: right; white-space: nowrap;';
+
+class MarketHistoryAnalyticsView {
+    constructor() {
+        this.charts = [];
+    }
+
+    /**
+     * Render analytics for a set of listings
+     * @param {HTMLElement} container - Target element (emptied first)
+     * @param {Array<Object>} listings - Stored listings (usually the viewer's filtered listings)
+     */
+    render(container, listings) {
+        this.destroy();
+        container.innerHTML = '';
+        container.style.color = '#fff';
+        container.style.minWidth = '760px';
+
+        if (listings.length === 0) {
+            container.innerHTML =
+                '<div style="color: #888; padding: 20px;">No listings match the current filters.</div>';
+            return;
+        }
+
+        const analytics = computeMarketAnalytics(listings);
+
+        container.appendChild(this.buildSummary(analytics));
+
+        container.appendChild(this.buildSectionTitle('Volume and gold flow by day'));
+        if (analytics.daily.length > 0) {
+            this.charts.push(this.createChart(container, (ctx) => this.createDailyChart(ctx, analytics.daily)));
+        } else {
+            container.appendChild(this.buildNote('No filled quantity yet.'));
+        }
+
+        container.appendChild(this.buildSectionTitle('Average time to fill by price offset'));
+        if (analytics.fillSamples > 0) {
+            this.charts.push(
+                this.createChart(container, (ctx) => this.createOffsetChart(ctx, analytics.fillTimeByOffset))
+            );
+            container.appendChild(
+                this.buildNote(
+                    'Offset is your price vs the market when the listing was placed (ask for sells, bid for buys). ' +
+                        'Listings recorded before fill tracking was added are not included.'
+                )
+            );
+        } else {
+            container.appendChild(this.buildNote('Fill times are recorded for listings placed or filled from now on.'));
+        }
+
+        const tables = document.createElement('div');
+        tables.style.cssText = 'display: grid; grid-template-columns: 1fr 1fr; gap: 16px;';
+        tables.appendChild(
+            this.buildTable(
+                'Top items by turnover',
+                ['Item', 'Bought', 'Sold', 'Turnover'],
+                analytics.topItems
+                    .slice(0, TABLE_ROWS)
+                    .map((row) => [
+                        this.getItemLabel(row),
+                        formatKMB(row.bought),
+                        formatKMB(row.sold),
+                        formatKMB(row.turnover),
+                    ])
+            )
+        );
+        tables.appendChild(
+            this.buildTable(
+                'Average time to fill by item',
+                ['Item', 'Fills', 'Avg time'],
+                analytics.fillTimeByItem
+                    .slice(0, TABLE_ROWS)
+                    .map((row) => [
+                        this.getItemLabel(row),
+                        String(row.count),
+                        timeReadable(Math.round(row.avgMs / 1000)),
+                    ])
+            )
+        );
+        container.appendChild(tables);
+    }
+
+    /**
+     * Destroy chart instances
+     */
+    destroy() {
+        for (const chart of this.charts) {
+            chart.destroy();
+        }
+        this.charts = [];
+    }
+
+    /**
+     * @param {Object} analytics - From computeMarketAnalytics
+     * @returns {HTMLElement} Summary cards
+     */
+    buildSummary(analytics) {
+        const totals = analytics.daily.reduce(
+            (sum, day) => ({ goldIn: sum.goldIn + day.goldIn, goldOut: sum.goldOut + day.goldOut }),
+            { goldIn: 0, goldOut: 0 }
+        );
+        const net = totals.goldIn - totals.goldOut;
+        const percent = (rate) => (rate === null ? '-' : `${(rate * 100).toFixed(1)}%`);
+        const { outcomes } = analytics;
+
+        const cards = [
+            ['Gold received', formatKMB(totals.goldIn), 'after tax'],
+            ['Gold spent', formatKMB(totals.goldOut), 'on buy orders'],
+            [
+                'Net flow',
+                `${net >= 0 ? '+' : ''}${formatKMB(net)}`,
+                '',
+                net >= 0 ? config.COLOR_PROFIT : config.COLOR_LOSS,
+            ],
+            ['Tax paid', formatKMB(analytics.taxPaid), 'on filled sells'],
+            ['Cancel rate', percent(analytics.cancelRate), `${outcomes.canceled} of closed listings`],
+            ['Expire rate', percent(analytics.expireRate), `${outcomes.expired} of closed listings`],
+        ];
+
+        const summary = document.createElement('div');
+        summary.style.cssText = 'display: grid; grid-template-columns: repeat(6, 1fr); gap: 8px;';
+        summary.innerHTML = cards
+            .map(
+                ([label, value, detail, color]) => `
+                    <div style="${CARD_STYLE}">
+                        <div style="color: #888; font-size: 11px;">${label}</div>
+                        <div style="font-size: 16px; font-weight: bold; color: ${color || '#fff'};">${value}</div>
+                        <div style="color: #666; font-size: 11px;">${detail}</div>
+                    </div>
+                `
+            )
+            .join('');
+        return summary;
+    }
+
+    /**
+     * @param {string} text - Title
+     * @returns {HTMLElement}
+     */
+    buildSectionTitle(text) {
+        const title = document.createElement('div');
+        title.style.cssText = SECTION_TITLE_STYLE;
+        title.textContent = text;
+        return title;
+    }
+
+    /**
+     * @param {string} text - Note
+     * @returns {HTMLElement}
+     */
+    buildNote(text) {
+        const note = document.createElement('div');
+        note.style.cssText = 'color: #888; font-size: 12px; margin-top: 4px;';
+        note.textContent = text;
+        return note;
+    }
+
+    /**
+     * @param {string} title - Table title
+     * @param {string[]} headers - Column headers
+     * @param {Array<string[]>} rows - Cell HTML
+     * @returns {HTMLElement}
+     */
+    buildTable(title, headers, rows) {
+        const wrapper = document.createElement('div');
+        wrapper.appendChild(this.buildSectionTitle(title));
+
+        if (rows.length === 0) {
+            wrapper.appendChild(this.buildNote('No data yet.'));
+            return wrapper;
+        }
+
+        const cell = (html, index, tag) =>
+            `<${tag} style="${CELL_STYLE}${index === 0 ? ' text-align: left;' : ''}">${html}</${tag}>`;
+        const table = document.createElement('table');
+        table.style.cssText = 'width: 100%; border-collapse: collapse; font-size: 12px;';
+        table.innerHTML =
+            `<tr style="color: #aaa;">${headers.map((h, i) => cell(h, i, 'th')).join('')}</tr>` +
+            rows.map((row) => `<tr>${row.map((html, i) => cell(html, i, 'td')).join('')}</tr>`).join('');
+        wrapper.appendChild(table);
+        return wrapper;
+    }
+
+    /**
+     * @param {Object} row - Row with itemHrid and enhancementLevel
+     * @returns {string} Item name with enhancement suffix
+     */
+    getItemLabel(row) {
+        const name = dataManager.getItemDetails(row.itemHrid)?.name || row.itemHrid;
+        return row.enhancementLevel > 0 ? `${name} +${row.enhancementLevel}` : name;
+    }
+
+    /**
+     * Append a canvas and create a chart on it
+     * @param {HTMLElement} container - Parent element
+     * @param {Function} create - (ctx) => Chart
+     * @returns {Object} Chart instance
+     */
+    createChart(container, create) {
+        const wrapper = document.createElement('div');
+        wrapper.style.cssText = 'position: relative; height: 240px;';
+        const canvas = document.createElement('canvas');
+        wrapper.appendChild(canvas);
+        container.appendChild(wrapper);
+        return create(canvas.getContext('2d'));
+    }
+
+    /**
+     * Gold in/out bars with filled quantity lines
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Array<Object>} daily - Daily rows
+     * @returns {Object} Chart instance
+     */
+    createDailyChart(ctx, daily) {
+        const days = fillDailyGaps(daily);
+        const labels = days.map((row) => formatDateTime(new Date(row.day), { includeTime: false }));
+
+        return new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels,
+                datasets: [
+                    {
+                        label: 'Gold received',
+                        data: days.map((row) => row.goldIn),
+                        backgroundColor: 'rgba(34, 197, 94, 0.6)',
+                        yAxisID: 'gold',
+                        order: 2,
+                    },
+                    {
+                        label: 'Gold spent',
+                        data: days.map((row) => -row.goldOut),
+                        backgroundColor: 'rgba(239, 68, 68, 0.6)',
+                        yAxisID: 'gold',
+                        order: 2,
+                    },
+                    {
+                        type: 'line',
+                        label: 'Items sold',
+                        data: days.map((row) => row.sold),
+                        borderColor: '#60a5fa',
+                        backgroundColor: 'transparent',
+                        borderWidth: 2,
+                        pointRadius: days.length > 60 ? 0 : 2,
+                        tension: 0.1,
+                        yAxisID: 'volume',
+                        order: 1,
+                    },
+                    {
+                        type: 'line',
+                        label: 'Items bought',
+                        data: days.map((row) => row.bought),
+                        borderColor: '#f59e0b',
+                        backgroundColor: 'transparent',
+                        borderWidth: 2,
+                        pointRadius: days.length > 60 ? 0 : 2,
+                        tension: 0.1,
+                        yAxisID: 'volume',
+                        order: 1,
+                    },
+                ],
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: { mode: 'index', intersect: false },
+                plugins: {
+                    legend: { labels: { color: '#ccc' } },
+                    datalabels: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            label: (item) => `${item.dataset.label}: ${formatKMB(Math.abs(item.raw))}`,
+                        },
+                    },
+                },
+                scales: {
+                    x: { stacked: true, ticks: { color: '#999', maxTicksLimit: 12 }, grid: { color: '#333' } },
+                    gold: {
+                        position: 'left',
+                        stacked: true,
+                        title: { display: true, text: 'Gold', color: '#ccc' },
+                        ticks: { color: '#999', callback: (value) => formatKMB(value) },
+                        grid: { color: '#333' },
+                    },
+                    volume: {
+                        position: 'right',
+                        beginAtZero: true,
+                        title: { display: true, text: 'Items', color: '#ccc' },
+                        ticks: { color: '#999', callback: (value) => formatKMB(value) },
+                        grid: { drawOnChartArea: false },
+                    },
+                },
+            },
+        });
+    }
+
+    /**
+     * Average time to fill per price offset bucket, buy and sell side by side
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Array<Object>} buckets - fillTimeByOffset rows
+     * @returns {Object} Chart instance
+     */
+    createOffsetChart(ctx, buckets) {
+        const hours = (entry) => (entry ? entry.avgMs / (60 * 60 * 1000) : null);
+        const sides = [
+            { key: 'buy', label: 'Buy orders', color: 'rgba(245, 158, 11, 0.7)' },
+            { key: 'sell', label: 'Sell orders', color: 'rgba(96, 165, 250, 0.7)' },
+        ];
+
+        return new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: buckets.map((bucket) => bucket.label),
+                datasets: sides.map((side) => ({
+                    label: side.label,
+                    data: buckets.map((bucket) => hours(bucket[side.key])),
+                    backgroundColor: side.color,
+                })),
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { labels: { color: '#ccc' } },
+                    datalabels: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            label: (item) => {
+                                const entry = buckets[item.dataIndex][sides[item.datasetIndex].key];
+                                return `${item.dataset.label}: ${timeReadable(Math.round(entry.avgMs / 1000))} avg (${entry.count} fills)`;
+                            },
+                        },
+                    },
+                },
+                scales: {
+                    x: {
+                        title: { display: true, text: 'Price vs market at listing', color: '#ccc' },
+                        ticks: { color: '#999' },
+                        grid: { color: '#333' },
+                    },
+                    y: {
+                        beginAtZero: true,
+                        title: { display: true, text: 'Hours to fill', color: '#ccc' },
+                        ticks: { color: '#999' },
+                        grid: { color: '#333' },
+                    },
+                },
+            },
+        });
+    }
+}
+
+const marketHistoryAnalyticsView = new MarketHistoryAnalyticsView();
+
+export default marketHistoryAnalyticsView;
@@ -0,0 +1,173 @@
+/**
+ * Market History Analytics
+ * Aggregates stored market listings (marketListingTimestamps) into:
+ * - Daily traded volume and gold flow
+ * - Average time-to-fill by item and by price offset from the market at listing time
+ * - Cancel / expire rates
+ * - Market tax paid
+ * - Top items by turnover
+ *
+ * Time-to-fill and price offsets need closedTimestamp / marketAsk / marketBid, which are
+ * only recorded for listings seen since they were added; older listings are skipped there.
+ */
+
+import { getTaxRate } from '../../utils/profit-constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Price offset buckets, as (price - market) / market where market is the ask for sell
+ * listings and the bid for buy listings. Positive = priced above the market.
+ */
+export const OFFSET_BUCKETS = [
+    { label: '< -5%', max: -0.05 },
+    { label: '-5% to -1%', max: -0.01 },
+    { label: '±1%', max: 0.01 },
+    { label: '+1% to +5%', max: 0.05 },
+    { label: '> +5%', max: Infinity },
+];
+
+/**
+ * Price offset of a listing from the market when it was placed
+ * @param {Object} listing - Stored listing
+ * @returns {number|null} Offset fraction, or null when the market wasn't recorded
+ */
+export function getPriceOffset(listing) {
+    const market = listing.isSell ? listing.marketAsk : listing.marketBid;
+    if (!(market > 0) || !(listing.price > 0)) return null;
+    return (listing.price - market) / market;
+}
+
+/**
+ * @param {number} timestamp - Time (ms)
+ * @returns {number} Local midnight of that day (ms)
+ */
+function startOfDay(timestamp) {
+    const date = new Date(timestamp);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+}
+
+/**
+ * @param {Map} map - Key -> { ...fields, count, totalMs }
+ * @param {string} key - Group key
+ * @param {Object} fields - Fields describing the group
+ * @param {number} durationMs - Time to fill
+ */
+function addDuration(map, key, fields, durationMs) {
+    const entry = map.get(key) || { ...fields, count: 0, totalMs: 0 };
+    entry.count++;
+    entry.totalMs += durationMs;
+    map.set(key, entry);
+}
+
+/**
+ * @param {Object} entry - Group from addDuration()
+ * @returns {Object} Group with avgMs instead of totalMs
+ */
+function toAverage({ totalMs, ...entry }) {
+    return { ...entry, avgMs: totalMs / entry.count };
+}
+
+/**
+ * Compute analytics over stored listings
+ * @param {Array<Object>} listings - Stored listings ({itemHrid, enhancementLevel, isSell, price, orderQuantity,
+ *     filledQuantity, status, timestamp, closedTimestamp?, marketAsk?, marketBid?})
+ * @returns {Object} Analytics
+ */
+export function computeMarketAnalytics(listings) {
+    const days = new Map();
+    const items = new Map();
+    const fillByItem = new Map();
+    const fillByOffset = new Map();
+    const outcomes = { filled: 0, canceled: 0, expired: 0, active: 0, unknown: 0 };
+    let taxPaid = 0;
+    let fillSamples = 0;
+
+    for (const listing of listings) {
+        if (!listing?.itemHrid || !listing.timestamp) continue;
+
+        const status = Object.hasOwn(outcomes, listing.status) ? listing.status : 'unknown';
+        outcomes[status]++;
+
+        const filled = listing.filledQuantity || 0;
+        const value = filled * (listing.price || 0);
+        const tax = listing.isSell ? Math.floor(value * getTaxRate(listing.itemHrid)) : 0;
+        taxPaid += tax;
+
+        const enhancementLevel = listing.enhancementLevel || 0;
+        const itemKey = `${listing.itemHrid}:${enhancementLevel}`;
+
+        if (filled > 0) {
+            const dayKey = startOfDay(listing.closedTimestamp || listing.timestamp);
+            const day = days.get(dayKey) || { day: dayKey, bought: 0, sold: 0, goldIn: 0, goldOut: 0 };
+            if (listing.isSell) {
+                day.sold += filled;
+                day.goldIn += value - tax;
+            } else {
+                day.bought += filled;
+                day.goldOut += value;
+            }
+            days.set(dayKey, day);
+
+            const item = items.get(itemKey) || {
+                itemHrid: listing.itemHrid,
+                enhancementLevel,
+                bought: 0,
+                sold: 0,
+                turnover: 0,
+            };
+            item[listing.isSell ? 'sold' : 'bought'] += filled;
+            item.turnover += value;
+            items.set(itemKey, item);
+        }
+
+        if (status === 'filled' && listing.closedTimestamp > listing.timestamp) {
+            const durationMs = listing.closedTimestamp - listing.timestamp;
+            fillSamples++;
+            addDuration(fillByItem, itemKey, { itemHrid: listing.itemHrid, enhancementLevel }, durationMs);
+
+            const offset = getPriceOffset(listing);
+            if (offset !== null) {
+                const bucket = OFFSET_BUCKETS.findIndex((b) => offset < b.max);
+                addDuration(fillByOffset, `${listing.isSell ? 'sell' : 'buy'}:${bucket}`, {}, durationMs);
+            }
+        }
+    }
+
+    const closed = outcomes.filled + outcomes.canceled + outcomes.expired;
+
+    return {
+        daily: [...days.values()].sort((a, b) => a.day - b.day),
+        outcomes,
+        cancelRate: closed > 0 ? outcomes.canceled / closed : null,
+        expireRate: closed > 0 ? outcomes.expired / closed : null,
+        taxPaid,
+        fillSamples,
+        fillTimeByItem: [...fillByItem.values()].map(toAverage).sort((a, b) => b.count - a.count),
+        fillTimeByOffset: OFFSET_BUCKETS.map((bucket, index) => {
+            const row = { label: bucket.label };
+            for (const side of ['buy', 'sell']) {
+                const entry = fillByOffset.get(`${side}:${index}`);
+                row[side] = entry ? toAverage(entry) : null;
+            }
+            return row;
+        }),
+        topItems: [...items.values()].sort((a, b) => b.turnover - a.turnover),
+    };
+}
+
+/**
+ * Fill in days without trades so the chart's x-axis is continuous
+ * @param {Array<Object>} daily - From computeMarketAnalytics
+ * @returns {Array<Object>} Daily rows with zero rows for missing days
+ */
+export function fillDailyGaps(daily) {
+    if (daily.length === 0) return [];
+    const byDay = new Map(daily.map((row) => [row.day, row]));
+    const result = [];
+    for (let day = daily[0].day; day <= daily[daily.length - 1].day; day = startOfDay(day + DAY_MS * 1.5)) {
+        result.push(byDay.get(day) || { day, bought: 0, sold: 0, goldIn: 0, goldOut: 0 });
+    }
+    return result;
+}
@@ -0,0 +1,94 @@
+import { describe, expect, test } from 'vitest';
+import { computeMarketAnalytics, fillDailyGaps, getPriceOffset } from './market-history-analytics.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY_ONE = new Date(2026, 0, 10, 12).getTime();
+
+const listing = (overrides) => ({
+    itemHrid: '/items/cheese',
+    enhancementLevel: 0,
+    isSell: true,
+    price: 100,
+    orderQuantity: 10,
+    filledQuantity: 10,
+    status: 'filled',
+    timestamp: DAY_ONE,
+    closedTimestamp: DAY_ONE + 2 * HOUR,
+    marketAsk: 100,
+    marketBid: 90,
+    ...overrides,
+});
+
+describe('getPriceOffset', () => {
+    test('compares sells to the ask and buys to the bid', () => {
+        expect(getPriceOffset(listing({ price: 110 }))).toBeCloseTo(0.1);
+        expect(getPriceOffset(listing({ isSell: false, price: 81 }))).toBeCloseTo(-0.1);
+        expect(getPriceOffset(listing({ marketAsk: null }))).toBeNull();
+    });
+});
+
+describe('computeMarketAnalytics', () => {
+    const analytics = computeMarketAnalytics([
+        listing(),
+        listing({ price: 110, closedTimestamp: DAY_ONE + 6 * HOUR }),
+        listing({ isSell: false, price: 90, filledQuantity: 5, status: 'active', closedTimestamp: null }),
+        listing({
+            itemHrid: '/items/bag_of_10_cowbells',
+            price: 1000,
+            filledQuantity: 1,
+            orderQuantity: 1,
+            marketAsk: 1000,
+        }),
+        listing({ status: 'canceled', filledQuantity: 0, closedTimestamp: DAY_ONE + 1 * HOUR }),
+        listing({ status: 'expired', filledQuantity: 0, closedTimestamp: null, timestamp: DAY_ONE - 3 * 24 * HOUR }),
+    ]);
+
+    test('sums gold flow, volume and tax per day', () => {
+        expect(analytics.taxPaid).toBe(50 + 55 + 180);
+        expect(analytics.daily).toHaveLength(1);
+        expect(analytics.daily[0]).toMatchObject({
+            sold: 21,
+            bought: 5,
+            goldIn: 950 + 1045 + 820,
+            goldOut: 450,
+        });
+    });
+
+    test('rates outcomes over closed listings', () => {
+        expect(analytics.outcomes).toMatchObject({ filled: 3, canceled: 1, expired: 1, active: 1 });
+        expect(analytics.cancelRate).toBeCloseTo(0.2);
+        expect(analytics.expireRate).toBeCloseTo(0.2);
+    });
+
+    test('averages fill time by item and by price offset', () => {
+        expect(analytics.fillSamples).toBe(3);
+        expect(analytics.fillTimeByItem[0]).toEqual({
+            itemHrid: '/items/cheese',
+            enhancementLevel: 0,
+            count: 2,
+            avgMs: 4 * HOUR,
+        });
+        const atMarket = analytics.fillTimeByOffset.find((row) => row.label === '±1%');
+        const above = analytics.fillTimeByOffset.find((row) => row.label === '> +5%');
+        expect(atMarket.sell.avgMs).toBe(2 * HOUR);
+        expect(above.sell).toEqual({ count: 1, avgMs: 6 * HOUR });
+        expect(atMarket.buy).toBeNull();
+    });
+
+    test('ranks items by turnover', () => {
+        expect(analytics.topItems.map((item) => item.itemHrid)).toEqual(['/items/cheese', '/items/bag_of_10_cowbells']);
+        expect(analytics.topItems[0]).toMatchObject({ bought: 5, sold: 20, turnover: 1000 + 1100 + 450 });
+    });
+});
+
+describe('fillDailyGaps', () => {
+    test('inserts empty days between trading days', () => {
+        const day = (offset) => new Date(2026, 0, 10 + offset).getTime();
+        const rows = fillDailyGaps([
+            { day: day(0), bought: 1, sold: 0, goldIn: 0, goldOut: 10 },
+            { day: day(3), bought: 0, sold: 2, goldIn: 20, goldOut: 0 },
+        ]);
+        expect(rows.map((row) => row.day)).toEqual([day(0), day(1), day(2), day(3)]);
+        expect(rows[1]).toMatchObject({ bought: 0, sold: 0 });
+    });
+});
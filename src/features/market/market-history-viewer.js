@@ -7,15 +7,18 @@
  * - Pagination with user-configurable rows per page
  * - CSV export
  * - Summary statistics
+ * - Analytics view (volume, gold flow, fill times, cancel/expire rates)
  */
 
 import storage from '../../core/storage.js';
+import { storageManager } from '../../core/storage-manager.js';
 import config from '../../core/config.js';
 import dataManager from '../../core/data-manager.js';
 import { formatWithSeparator, formatKMB, formatDateTime } from '../../utils/formatters.js';
 import { createTimerRegistry } from '../../utils/timer-registry.js';
 import { createMutationWatcher } from '../../utils/dom-observer-helpers.js';
 import estimatedListingAge from './estimated-listing-age.js';
+import marketHistoryAnalyticsView from './market-history-analytics-ui.js';
 
 class MarketHistoryViewer {
     constructor() {
@@ -32,6 +35,7 @@ class MarketHistoryViewer {
         this.typeFilter = 'all'; // 'all', 'buy', 'sell'
         this.statusFilter = 'all'; // 'all', 'active', 'filled', 'filled_active', 'canceled', 'expired', 'unknown'
         this.useKMBFormat = false; // K/M/B formatting toggle
+        this.showAnalytics = false; // Analytics view instead of the table
         this.storageKey = 'marketListingTimestamps';
         this.timerRegistry = createTimerRegistry();
 
@@ -87,6 +91,13 @@ class MarketHistoryViewer {
         // Load saved filters
         await this.loadFilters();
 
+        // Reload open listings after retention pruning so edits don't restore pruned entries
+        this.unregisterPruneListener = storageManager.onPruned('marketListings', async (keys) => {
+            if (!this.modal || !keys.includes(this.storageKey)) return;
+            await this.loadListings();
+            this.renderTable();
+        });
+
         // Add marketplace tab
         this.addMarketplaceTab();
     }
@@ -759,6 +770,12 @@ class MarketHistoryViewer {
         tableContainer.className = 'mwi-market-history-table-container';
         content.appendChild(tableContainer);
 
+        // Analytics container (shown instead of the table and pagination)
+        const analyticsContainer = document.createElement('div');
+        analyticsContainer.className = 'mwi-market-history-analytics';
+        analyticsContainer.style.display = 'none';
+        content.appendChild(analyticsContainer);
+
         // Pagination container
         const pagination = document.createElement('div');
         pagination.className = 'mwi-market-history-pagination';
@@ -921,6 +938,24 @@ class MarketHistoryViewer {
         `;
         exportBtn.addEventListener('click', () => this.exportCSV());
 
+        // Analytics toggle
+        const analyticsBtn = document.createElement('button');
+        analyticsBtn.className = 'mwi-market-history-analytics-btn';
+        analyticsBtn.textContent = this.showAnalytics ? 'Show Table' : 'Analytics';
+        analyticsBtn.style.cssText = `
+            padding: 6px 12px;
+            background: #0d9488;
+            color: white;
+            border: none;
+            border-radius: 4px;
+            cursor: pointer;
+        `;
+        analyticsBtn.addEventListener('click', () => {
+            this.showAnalytics = !this.showAnalytics;
+            analyticsBtn.textContent = this.showAnalytics ? 'Show Table' : 'Analytics';
+            this.renderTable();
+        });
+
         // Import button
         const importBtn = document.createElement('button');
         importBtn.textContent = 'Import Market Data';
@@ -953,6 +988,7 @@ class MarketHistoryViewer {
         });
         clearBtn.addEventListener('click', () => this.clearHistory());
 
+        actionGroup.appendChild(analyticsBtn);
         actionGroup.appendChild(exportBtn);
         actionGroup.appendChild(importBtn);
         actionGroup.appendChild(clearBtn);
@@ -1254,6 +1290,18 @@ class MarketHistoryViewer {
         this.renderControls();
 
         const tableContainer = this.modal.querySelector('.mwi-market-history-table-container');
+        const analyticsContainer = this.modal.querySelector('.mwi-market-history-analytics');
+        const pagination = this.modal.querySelector('.mwi-market-history-pagination');
+        tableContainer.style.display = this.showAnalytics ? 'none' : '';
+        pagination.style.display = this.showAnalytics ? 'none' : 'flex';
+        analyticsContainer.style.display = this.showAnalytics ? '' : 'none';
+
+        if (this.showAnalytics) {
+            // Analytics follow the same search and filters as the table
+            marketHistoryAnalyticsView.render(analyticsContainer, this.filteredListings);
+            return;
+        }
+        marketHistoryAnalyticsView.destroy();
 
         // Explicitly remove all children to ensure SVG elements are garbage collected
         while (tableContainer.firstChild) {
@@ -2877,7 +2925,13 @@ class MarketHistoryViewer {
             this.popupCloseHandler = null;
         }
 
+        if (this.unregisterPruneListener) {
+            this.unregisterPruneListener();
+            this.unregisterPruneListener = null;
+        }
+
         this.timerRegistry.clearAll();
+        marketHistoryAnalyticsView.destroy();
 
         // Remove modal and all its event listeners
         if (this.modal) {
@@ -0,0 +1,273 @@
+/**
+ * Order Book History
+ * Keeps timestamped order book snapshots for items you view in the marketplace and
+ * derives liquidity figures from them: how fast the top of book is consumed,
+ * estimated fill time for an order, and slippage for market-dumping N units.
+ *
+ * Entry format (key = itemHrid, store = marketOrderBooks):
+ *   { levels: { [enhancementLevel]: [{ t, asks: [[price, qty], ...], bids: [[price, qty], ...] }, ...] } }
+ * asks are sorted cheapest first and bids highest first, aggregated per price.
+ * The game only sends the best 20 listings per side, so depth beyond that is unknown.
+ */
+
+import config from '../../core/config.js';
+import dataManager from '../../core/data-manager.js';
+import storage from '../../core/storage.js';
+
+export const STORE_NAME = 'marketOrderBooks';
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_SNAPSHOTS = 200;
+const MAX_AGE_MS = 30 * 24 * HOUR_MS;
+const MIN_SNAPSHOT_INTERVAL_MS = 30 * 1000; // Rapid re-opens replace the last snapshot
+const MAX_RATE_GAP_MS = 24 * HOUR_MS; // Longer gaps say little about fill speed
+
+/**
+ * Aggregate listings into price levels
+ * @param {Array<{price: number, quantity: number}>} listings - Order book side
+ * @param {boolean} descending - Sort highest price first (bids)
+ * @returns {Array<[number, number]>} [[price, quantity], ...]
+ */
+export function aggregateLevels(listings, descending = false) {
+    const byPrice = new Map();
+    for (const listing of listings || []) {
+        if (typeof listing?.price !== 'number' || !(listing.quantity > 0)) continue;
+        byPrice.set(listing.price, (byPrice.get(listing.price) ?? 0) + listing.quantity);
+    }
+    return [...byPrice.entries()].sort((a, b) => (descending ? b[0] - a[0] : a[0] - b[0]));
+}
+
+/**
+ * Walk one side of the book to fill `quantity` units.
+ * Selling into bids uses side='bids'; buying from asks uses side='asks'.
+ * @param {Array<[number, number]>} levels - Aggregated levels, best first
+ * @param {number} quantity - Units to fill
+ * @returns {Object|null} { filled, unfilled, total, averagePrice, worstPrice, bestPrice, slippagePct, slippageCost }
+ */
+export function computeSlippage(levels, quantity) {
+    if (!levels || levels.length === 0 || !(quantity > 0)) return null;
+
+    const bestPrice = levels[0][0];
+    let remaining = quantity;
+    let total = 0;
+    let worstPrice = bestPrice;
+
+    for (const [price, available] of levels) {
+        if (remaining <= 0) break;
+        const used = Math.min(available, remaining);
+        total += used * price;
+        remaining -= used;
+        worstPrice = price;
+    }
+
+    const filled = quantity - remaining;
+    const averagePrice = filled > 0 ? total / filled : null;
+
+    return {
+        filled,
+        unfilled: remaining,
+        total,
+        averagePrice,
+        bestPrice,
+        worstPrice,
+        slippagePct: averagePrice !== null ? (Math.abs(averagePrice - bestPrice) / bestPrice) * 100 : null,
+        slippageCost: Math.abs(bestPrice * filled - total),
+    };
+}
+
+/**
+ * Units taken from the top of one side between two snapshots.
+ * Levels priced better than the new best were cleared entirely; the shared best level
+ * counts only its decrease. Cancellations look the same as fills, so this is an upper bound.
+ * @param {Array<[number, number]>} before - Earlier levels (best first)
+ * @param {Array<[number, number]>} after - Later levels (best first)
+ * @param {boolean} descending - True for bids
+ * @returns {number}
+ */
+export function consumedBetween(before, after, descending = false) {
+    if (!before?.length) return 0;
+
+    const newBest = after?.[0]?.[0];
+    let consumed = 0;
+
+    for (const [price, quantity] of before) {
+        if (newBest === undefined) {
+            consumed += quantity;
+            continue;
+        }
+        const isBetterThanNewBest = descending ? price > newBest : price < newBest;
+        if (isBetterThanNewBest) {
+            consumed += quantity;
+        } else if (price === newBest) {
+            consumed += Math.max(0, quantity - after[0][1]);
+            break;
+        } else {
+            break;
+        }
+    }
+
+    return consumed;
+}
+
+/**
+ * Average top-of-book consumption rate across consecutive snapshots
+ * @param {Array<Object>} snapshots - Snapshots oldest first
+ * @param {string} side - 'asks' (bought by takers) or 'bids' (sold into by takers)
+ * @returns {{perHour: number|null, consumed: number, hours: number, samples: number}}
+ */
+export function computeConsumptionRate(snapshots, side) {
+    const descending = side === 'bids';
+    let consumed = 0;
+    let elapsed = 0;
+    let samples = 0;
+
+    for (let i = 1; i < snapshots.length; i++) {
+        const gap = snapshots[i].t - snapshots[i - 1].t;
+        if (gap <= 0 || gap > MAX_RATE_GAP_MS) continue;
+
+        consumed += consumedBetween(snapshots[i - 1][side], snapshots[i][side], descending);
+        elapsed += gap;
+        samples++;
+    }
+
+    const hours = elapsed / HOUR_MS;
+    return { perHour: hours > 0 ? consumed / hours : null, consumed, hours, samples };
+}
+
+/**
+ * Estimated time to fill a new listing that joins the queue at the current best price
+ * @param {number} orderSize - Units listed
+ * @param {number} queueAhead - Units already listed at that price
+ * @param {number|null} perHour - Consumption rate of that side
+ * @returns {number|null} Hours, or null when there is no rate
+ */
+export function estimateFillHours(orderSize, queueAhead, perHour) {
+    if (!perHour || perHour <= 0) return null;
+    return (queueAhead + orderSize) / perHour;
+}
+
+class OrderBookHistory {
+    constructor() {
+        this.isInitialized = false;
+        this.orderBookHandler = null;
+        this.cache = new Map(); // itemHrid → entry
+    }
+
+    initialize() {
+        if (this.isInitialized) return;
+        if (!config.getSetting('market_orderBookHistory')) return;
+
+        this.isInitialized = true;
+
+        this.orderBookHandler = (data) => {
+            if (data?.marketItemOrderBooks) {
+                this.recordOrderBooks(data.marketItemOrderBooks).catch((error) => {
+                    console.error('[OrderBookHistory] Failed to record snapshot:', error);
+                });
+            }
+        };
+        dataManager.on('market_item_order_books_updated', this.orderBookHandler);
+    }
+
+    /**
+     * Load an item's entry through the cache
+     * @param {string} itemHrid
+     * @returns {Promise<Object>}
+     * @private
+     */
+    async _load(itemHrid) {
+        if (this.cache.has(itemHrid)) return this.cache.get(itemHrid);
+
+        const stored = await storage.get(itemHrid, STORE_NAME, null);
+        const entry = stored?.levels ? stored : { levels: {} };
+        this.cache.set(itemHrid, entry);
+        return entry;
+    }
+
+    /**
+     * Store a snapshot for every enhancement level in an order book message
+     * @param {Object} marketItemOrderBooks - { itemHrid, orderBooks }
+     * @param {number} [now] - Snapshot time
+     */
+    async recordOrderBooks(marketItemOrderBooks, now = Date.now()) {
+        const { itemHrid, orderBooks } = marketItemOrderBooks;
+        if (!itemHrid || !orderBooks) return;
+
+        const entry = await this._load(itemHrid);
+
+        for (const [level, orderBook] of Object.entries(orderBooks)) {
+            if (!orderBook) continue;
+
+            const snapshot = {
+                t: now,
+                asks: aggregateLevels(orderBook.asks, false),
+                bids: aggregateLevels(orderBook.bids, true),
+            };
+            if (snapshot.asks.length === 0 && snapshot.bids.length === 0) continue;
+
+            const series = (entry.levels[level] || []).filter((s) => now - s.t <= MAX_AGE_MS);
+            const last = series[series.length - 1];
+            if (last && now - last.t < MIN_SNAPSHOT_INTERVAL_MS) {
+                series[series.length - 1] = snapshot;
+            } else {
+                series.push(snapshot);
+            }
+            entry.levels[level] = series.slice(-MAX_SNAPSHOTS);
+        }
+
+        storage.set(itemHrid, entry, STORE_NAME);
+    }
+
+    /**
+     * Snapshots for an item, oldest first
+     * @param {string} itemHrid - Item HRID
+     * @param {number} [enhancementLevel] - Enhancement level
+     * @returns {Promise<Array<Object>>}
+     */
+    async getSnapshots(itemHrid, enhancementLevel = 0) {
+        const entry = await this._load(itemHrid);
+        return entry.levels[String(enhancementLevel)] || [];
+    }
+
+    /**
+     * Liquidity summary for an item at a given order size
+     * @param {string} itemHrid - Item HRID
+     * @param {number} enhancementLevel - Enhancement level
+     * @param {number} orderSize - Units to buy/sell
+     * @returns {Promise<Object|null>} Null when no snapshot exists
+     */
+    async getLiquidity(itemHrid, enhancementLevel, orderSize) {
+        const snapshots = await this.getSnapshots(itemHrid, enhancementLevel);
+        if (snapshots.length === 0) return null;
+
+        const latest = snapshots[snapshots.length - 1];
+        const askRate = computeConsumptionRate(snapshots, 'asks');
+        const bidRate = computeConsumptionRate(snapshots, 'bids');
+
+        return {
+            latest,
+            snapshotCount: snapshots.length,
+            askRate,
+            bidRate,
+            dumpIntoBids: computeSlippage(latest.bids, orderSize),
+            buyFromAsks: computeSlippage(latest.asks, orderSize),
+            // A new sell listing waits behind the best ask; a new buy listing behind the best bid.
+            // Sell listings fill as takers consume asks, buy listings as takers hit bids.
+            sellListingHours: estimateFillHours(orderSize, latest.asks[0]?.[1] ?? 0, askRate.perHour),
+            buyListingHours: estimateFillHours(orderSize, latest.bids[0]?.[1] ?? 0, bidRate.perHour),
+        };
+    }
+
+    disable() {
+        if (this.orderBookHandler) {
+            dataManager.off('market_item_order_books_updated', this.orderBookHandler);
+            this.orderBookHandler = null;
+        }
+        this.cache.clear();
+        this.isInitialized = false;
+    }
+}
+
+const orderBookHistory = new OrderBookHistory();
+
+export default orderBookHistory;
@@ -0,0 +1,122 @@
+/**
+ * Tests for order book snapshots and liquidity analytics
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+
+const stored = new Map();
+vi.mock('../../core/storage.js', () => ({
+    default: {
+        get: vi.fn(async (key, _store, defaultValue) =>
+            stored.has(key) ? structuredClone(stored.get(key)) : defaultValue
+        ),
+        set: vi.fn(async (key, value) => {
+            stored.set(key, structuredClone(value));
+        }),
+    },
+}));
+vi.mock('../../core/config.js', () => ({ default: { getSetting: vi.fn(() => true) } }));
+vi.mock('../../core/data-manager.js', () => ({ default: { on: vi.fn(), off: vi.fn() } }));
+
+const HOUR = 60 * 60 * 1000;
+
+let module;
+let orderBookHistory;
+
+beforeEach(async () => {
+    vi.resetModules();
+    stored.clear();
+    module = await import('./order-book-history.js');
+    orderBookHistory = module.default;
+});
+
+describe('liquidity helpers', () => {
+    test('aggregateLevels merges listings per price in book order', () => {
+        const listings = [
+            { price: 10, quantity: 5 },
+            { price: 12, quantity: 1 },
+            { price: 10, quantity: 3 },
+        ];
+        expect(module.aggregateLevels(listings)).toEqual([
+            [10, 8],
+            [12, 1],
+        ]);
+        expect(module.aggregateLevels(listings, true)[0]).toEqual([12, 1]);
+    });
+
+    test('computeSlippage walks the book and flags depth shortfalls', () => {
+        const bids = [
+            [100, 10],
+            [90, 10],
+        ];
+
+        const result = module.computeSlippage(bids, 15);
+        expect(result).toMatchObject({ filled: 15, unfilled: 0, total: 1450, worstPrice: 90, slippageCost: 50 });
+        expect(result.slippagePct).toBeCloseTo(3.33, 1);
+
+        expect(module.computeSlippage(bids, 30)).toMatchObject({ filled: 20, unfilled: 10 });
+    });
+
+    test('consumedBetween counts cleared levels and the drop at the shared best price', () => {
+        const before = [
+            [10, 5],
+            [11, 4],
+            [12, 9],
+        ];
+        expect(
+            module.consumedBetween(before, [
+                [11, 1],
+                [12, 9],
+            ])
+        ).toBe(8);
+        expect(
+            module.consumedBetween(
+                [
+                    [50, 4],
+                    [49, 2],
+                ],
+                [[49, 2]],
+                true
+            )
+        ).toBe(4);
+    });
+
+    test('consumption rate ignores long gaps and drives fill time', () => {
+        const snapshots = [
+            { t: 0, asks: [[10, 10]], bids: [] },
+            { t: HOUR, asks: [[10, 6]], bids: [] },
+            { t: 2 * HOUR, asks: [[10, 2]], bids: [] },
+            { t: 50 * HOUR, asks: [[10, 1]], bids: [] },
+        ];
+
+        const rate = module.computeConsumptionRate(snapshots, 'asks');
+        expect(rate).toMatchObject({ perHour: 4, consumed: 8, samples: 2 });
+        expect(module.estimateFillHours(6, 2, rate.perHour)).toBe(2);
+        expect(module.estimateFillHours(6, 2, null)).toBeNull();
+    });
+});
+
+describe('orderBookHistory', () => {
+    test('records snapshots per enhancement level and replaces rapid repeats', async () => {
+        const message = (askQty) => ({
+            itemHrid: '/items/sword',
+            orderBooks: [
+                { asks: [{ price: 100, quantity: askQty }], bids: [{ price: 90, quantity: 2 }] },
+                null,
+                { asks: [], bids: [] },
+            ],
+        });
+
+        await orderBookHistory.recordOrderBooks(message(5), 0);
+        await orderBookHistory.recordOrderBooks(message(4), 10 * 1000);
+        await orderBookHistory.recordOrderBooks(message(1), HOUR);
+
+        const snapshots = await orderBookHistory.getSnapshots('/items/sword', 0);
+        expect(snapshots.map((s) => s.asks[0][1])).toEqual([4, 1]);
+        expect(stored.get('/items/sword').levels['2']).toBeUndefined();
+
+        const liquidity = await orderBookHistory.getLiquidity('/items/sword', 0, 2);
+        expect(liquidity.askRate.consumed).toBe(3);
+        expect(liquidity.dumpIntoBids).toMatchObject({ filled: 2, averagePrice: 90 });
+    });
+});
@@ -0,0 +1,383 @@
+/**
+ * Market Price Alerts UI
+ * Header bell badge with the unseen alert count, a "Watch" button on the marketplace
+ * item view, and dialogs for editing the watchlist and reviewing triggered alerts.
+ */
+
+import config from '../../core/config.js';
+import dataManager from '../../core/data-manager.js';
+import domObserver from '../../core/dom-observer.js';
+import marketAPI from '../../api/marketplace.js';
+import { formatKMB, formatDateTime } from '../../utils/formatters.js';
+import { parseItemCount } from '../../utils/number-parser.js';
+import priceAlerts, { CONDITION_LABELS } from './price-alerts.js';
+
+const WATCH_BUTTON_ID = 'mwi-price-alert-watch-button';
+
+const OVERLAY_STYLE = `position:fixed;inset:0;background:rgba(0,0,0,0.6);z-index:99999;display:flex;align-items:center;justify-content:center;`;
+const DIALOG_STYLE = `background:#1a1a2e;border:1px solid rgba(96,165,250,0.5);border-radius:10px;padding:20px;min-width:340px;max-width:640px;max-height:80vh;overflow-y:auto;font-family:'Segoe UI',sans-serif;color:#e0e0e0;font-size:12px;`;
+const BUTTON_STYLE = `padding:4px 10px;border:1px solid #555;background:transparent;color:#aaa;border-radius:4px;cursor:pointer;font-size:11px;`;
+const PRIMARY_BUTTON_STYLE = `padding:6px 14px;background:#60a5fa;border:none;color:#000;border-radius:4px;cursor:pointer;font-weight:600;`;
+
+/**
+ * Summarize an entry's conditions for display
+ * @param {Object} conditions
+ * @returns {string}
+ */
+function describeConditions(conditions) {
+    const parts = [];
+    if (conditions.askBelow != null) parts.push(`ask < ${formatKMB(conditions.askBelow)}`);
+    if (conditions.bidAbove != null) parts.push(`bid > ${formatKMB(conditions.bidAbove)}`);
+    if (conditions.spreadAbovePct != null) parts.push(`spread > ${conditions.spreadAbovePct}%`);
+    if (conditions.changePct != null) parts.push(`change > ${conditions.changePct}%`);
+    return parts.join(', ') || 'no conditions';
+}
+
+class PriceAlertsUI {
+    constructor() {
+        this.isInitialized = false;
+        this.badge = null;
+        this.currentItemHrid = null;
+        this.unregisterHandlers = [];
+        this.changeHandler = null;
+    }
+
+    /**
+     * Initialize badge and marketplace button
+     */
+    initialize() {
+        if (this.isInitialized) return;
+        if (!config.getSetting('market_priceAlerts')) return;
+
+        this.isInitialized = true;
+
+        this.changeHandler = () => this.updateBadge();
+        priceAlerts.onChange(this.changeHandler);
+
+        const unregister = domObserver.onClass('PriceAlertsBadge', 'Header_totalLevel', (elem) => {
+            this.prepareBadge(elem);
+            this.updateBadge();
+        });
+        this.unregisterHandlers.push(unregister);
+
+        const existingElem = document.querySelector('[class*="Header_totalLevel"]');
+        if (existingElem) {
+            this.prepareBadge(existingElem);
+            this.updateBadge();
+        }
+
+        const orderBookHandler = (data) => {
+            if (!data.marketItemOrderBooks) return;
+            this.currentItemHrid = data.marketItemOrderBooks.itemHrid;
+            this.updateWatchButton();
+        };
+        dataManager.on('market_item_order_books_updated', orderBookHandler);
+        this.unregisterHandlers.push(() => dataManager.off('market_item_order_books_updated', orderBookHandler));
+    }
+
+    /**
+     * Create the header badge
+     * @param {Element} totalLevelElem - Total level element
+     */
+    prepareBadge(totalLevelElem) {
+        if (this.badge && document.body.contains(this.badge)) return;
+        this.badge?.remove();
+
+        this.badge = document.createElement('div');
+        this.badge.className = 'mwi-price-alerts-badge';
+        this.badge.style.cssText = `
+            display: none;
+            font-size: 0.875rem;
+            font-weight: 500;
+            color: #60a5fa;
+            text-wrap: nowrap;
+            margin-left: 16px;
+            cursor: pointer;
+        `;
+        this.badge.title = 'Price alerts';
+        this.badge.addEventListener('click', () => this.openAlertsDialog());
+
+        totalLevelElem.insertAdjacentElement('afterend', this.badge);
+    }
+
+    /**
+     * Show the bell while anything is watched; include the unseen count
+     */
+    updateBadge() {
+        if (!this.badge) return;
+
+        const unseen = priceAlerts.getUnseenCount();
+        const watching = priceAlerts.getWatchlist().length > 0;
+        this.badge.style.display = watching || unseen > 0 ? 'block' : 'none';
+        this.badge.style.color = unseen > 0 ? '#fbbf24' : '#60a5fa';
+        this.badge.textContent = unseen > 0 ? `🔔 ${unseen}` : '🔔';
+    }
+
+    /**
+     * Get current enhancement level from DOM.
+     * @returns {number}
+     */
+    _getEnhancementLevel() {
+        const currentItem = document.querySelector('[class*="MarketplacePanel_currentItem"]');
+        if (!currentItem) return 0;
+        const el = currentItem.querySelector('[class*="Item_enhancementLevel"]');
+        if (!el) return 0;
+        const match = el.textContent.match(/\+(\d+)/);
+        return match ? parseInt(match[1], 10) : 0;
+    }
+
+    updateWatchButton() {
+        document.getElementById(WATCH_BUTTON_ID)?.remove();
+        if (!this.currentItemHrid) return;
+
+        const container = document.querySelector('[class*="MarketplacePanel_marketNavButtonContainer"]');
+        if (!container) return;
+
+        const itemHrid = this.currentItemHrid;
+        const button = document.createElement('button');
+        button.id = WATCH_BUTTON_ID;
+        button.textContent = '🔔 Watch';
+        button.style.cssText = `
+            font-size: 10px;
+            color: #ccc;
+            background: #2a2a2a;
+            border: 1px solid #555;
+            border-radius: 4px;
+            padding: 2px 8px;
+            margin-left: 8px;
+            cursor: pointer;
+            white-space: nowrap;
+        `;
+        button.addEventListener('click', () => this.openWatchDialog(itemHrid, this._getEnhancementLevel()));
+
+        container.appendChild(button);
+    }
+
+    /**
+     * Build an overlay + dialog pair
+     * @param {string} titleText - Dialog title
+     * @returns {{overlay: HTMLElement, dialog: HTMLElement, close: Function}}
+     */
+    _createDialog(titleText) {
+        const overlay = document.createElement('div');
+        overlay.style.cssText = OVERLAY_STYLE;
+
+        const dialog = document.createElement('div');
+        dialog.style.cssText = DIALOG_STYLE;
+
+        const title = document.createElement('div');
+        title.style.cssText = `font-size:14px;font-weight:700;color:#60a5fa;margin-bottom:10px;`;
+        title.textContent = titleText;
+        dialog.appendChild(title);
+
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+
+        const close = () => overlay.remove();
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) close();
+        });
+
+        return { overlay, dialog, close };
+    }
+
+    /**
+     * Dialog to add (or edit) a watch on an item
+     * @param {string} itemHrid - Item HRID
+     * @param {number} enhancementLevel - Enhancement level
+     * @param {Object} [existing] - Entry being edited
+     */
+    openWatchDialog(itemHrid, enhancementLevel, existing = null) {
+        const { dialog, close } = this._createDialog(
+            `${existing ? 'Edit' : 'Watch'}: ${priceAlerts.getItemLabel(itemHrid, enhancementLevel)}`
+        );
+
+        const price = marketAPI.getPrice(itemHrid, enhancementLevel);
+        if (price) {
+            const current = document.createElement('div');
+            current.style.cssText = `color:#aaa;margin-bottom:10px;`;
+            current.textContent = `Current: ask ${price.ask != null ? formatKMB(price.ask) : '-'} / bid ${price.bid != null ? formatKMB(price.bid) : '-'}`;
+            dialog.appendChild(current);
+        }
+
+        const inputs = {};
+        for (const [key, label] of Object.entries(CONDITION_LABELS)) {
+            const row = document.createElement('label');
+            row.style.cssText = `display:flex;justify-content:space-between;align-items:center;gap:12px;margin-bottom:6px;`;
+            row.textContent = label;
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.placeholder = 'off';
+            input.value = existing?.conditions[key] ?? '';
+            input.style.cssText = `width:110px;background:#111;color:#e0e0e0;border:1px solid #444;border-radius:4px;padding:3px 6px;`;
+            row.appendChild(input);
+            dialog.appendChild(row);
+            inputs[key] = input;
+        }
+
+        const error = document.createElement('div');
+        error.style.cssText = `color:#f87171;min-height:14px;margin-top:4px;`;
+        dialog.appendChild(error);
+
+        const btnRow = document.createElement('div');
+        btnRow.style.cssText = `display:flex;gap:8px;margin-top:12px;justify-content:flex-end;`;
+        const cancelBtn = document.createElement('button');
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.style.cssText = BUTTON_STYLE;
+        const saveBtn = document.createElement('button');
+        saveBtn.textContent = 'Save';
+        saveBtn.style.cssText = PRIMARY_BUTTON_STYLE;
+        btnRow.appendChild(cancelBtn);
+        btnRow.appendChild(saveBtn);
+        dialog.appendChild(btnRow);
+
+        cancelBtn.addEventListener('click', close);
+        saveBtn.addEventListener('click', async () => {
+            const conditions = {};
+            for (const [key, input] of Object.entries(inputs)) {
+                const text = input.value.trim().replace(/%$/, '');
+                conditions[key] = text ? parseItemCount(text, null) : null;
+                if (text && (conditions[key] === null || conditions[key] < 0)) {
+                    error.textContent = `${CONDITION_LABELS[key]}: "${input.value}" is not a valid number.`;
+                    return;
+                }
+            }
+
+            if (Object.values(conditions).every((value) => value === null)) {
+                error.textContent = 'Set at least one condition.';
+                return;
+            }
+
+            await priceAlerts.requestPermission();
+            if (existing) {
+                await priceAlerts.updateEntry(existing.id, { conditions });
+            } else {
+                await priceAlerts.addEntry(itemHrid, enhancementLevel, conditions);
+            }
+            close();
+        });
+    }
+
+    /**
+     * Dialog listing the watchlist and triggered alert history
+     */
+    openAlertsDialog() {
+        const { dialog, close } = this._createDialog('Price Alerts');
+        const body = document.createElement('div');
+        dialog.appendChild(body);
+
+        const render = () => {
+            body.innerHTML = '';
+
+            const watchTitle = document.createElement('div');
+            watchTitle.style.cssText = `font-weight:600;margin-bottom:6px;`;
+            watchTitle.textContent = 'Watchlist';
+            body.appendChild(watchTitle);
+
+            const watchlist = priceAlerts.getWatchlist();
+            if (watchlist.length === 0) {
+                const empty = document.createElement('div');
+                empty.style.cssText = `color:#888;margin-bottom:10px;`;
+                empty.textContent = 'Nothing watched yet. Use the 🔔 Watch button on a marketplace item.';
+                body.appendChild(empty);
+            }
+
+            for (const entry of watchlist) {
+                const row = document.createElement('div');
+                row.style.cssText = `display:flex;align-items:center;gap:8px;padding:4px 0;border-bottom:1px solid #2a2a3e;`;
+
+                const toggle = document.createElement('input');
+                toggle.type = 'checkbox';
+                toggle.checked = entry.enabled;
+                toggle.title = 'Enabled';
+                toggle.addEventListener('change', () => priceAlerts.updateEntry(entry.id, { enabled: toggle.checked }));
+
+                const label = document.createElement('div');
+                label.style.cssText = `flex:1;${entry.enabled ? '' : 'opacity:0.5;'}`;
+                label.textContent = `${priceAlerts.getItemLabel(entry.itemHrid, entry.enhancementLevel)} — ${describeConditions(entry.conditions)}`;
+
+                const editBtn = document.createElement('button');
+                editBtn.textContent = 'Edit';
+                editBtn.style.cssText = BUTTON_STYLE;
+                editBtn.addEventListener('click', () => {
+                    close();
+                    this.openWatchDialog(entry.itemHrid, entry.enhancementLevel, entry);
+                });
+
+                const removeBtn = document.createElement('button');
+                removeBtn.textContent = 'Remove';
+                removeBtn.style.cssText = BUTTON_STYLE;
+                removeBtn.addEventListener('click', async () => {
+                    await priceAlerts.removeEntry(entry.id);
+                    render();
+                });
+
+                row.append(toggle, label, editBtn, removeBtn);
+                body.appendChild(row);
+            }
+
+            const historyTitle = document.createElement('div');
+            historyTitle.style.cssText = `font-weight:600;margin:14px 0 6px;`;
+            historyTitle.textContent = 'Triggered alerts';
+            body.appendChild(historyTitle);
+
+            const history = priceAlerts.getHistory();
+            if (history.length === 0) {
+                const empty = document.createElement('div');
+                empty.style.cssText = `color:#888;`;
+                empty.textContent = 'No alerts have fired yet.';
+                body.appendChild(empty);
+            }
+
+            for (const record of history) {
+                const row = document.createElement('div');
+                row.style.cssText = `padding:3px 0;${record.seen ? 'color:#aaa;' : 'color:#fbbf24;'}`;
+                row.textContent = `${formatDateTime(new Date(record.timestamp))} · ${priceAlerts.getItemLabel(record.itemHrid, record.enhancementLevel)} · ${record.messages.join('; ')} (${record.source})`;
+                body.appendChild(row);
+            }
+        };
+
+        render();
+        priceAlerts.markAllSeen();
+
+        const btnRow = document.createElement('div');
+        btnRow.style.cssText = `display:flex;gap:8px;margin-top:16px;justify-content:flex-end;`;
+        const clearBtn = document.createElement('button');
+        clearBtn.textContent = 'Clear History';
+        clearBtn.style.cssText = BUTTON_STYLE;
+        clearBtn.addEventListener('click', async () => {
+            await priceAlerts.clearHistory();
+            render();
+        });
+        const closeBtn = document.createElement('button');
+        closeBtn.textContent = 'Close';
+        closeBtn.style.cssText = PRIMARY_BUTTON_STYLE;
+        closeBtn.addEventListener('click', close);
+        btnRow.append(clearBtn, closeBtn);
+        dialog.appendChild(btnRow);
+    }
+
+    /**
+     * Cleanup
+     */
+    disable() {
+        if (this.changeHandler) {
+            priceAlerts.offChange(this.changeHandler);
+            this.changeHandler = null;
+        }
+
+        this.unregisterHandlers.forEach((unregister) => unregister());
+        this.unregisterHandlers = [];
+
+        this.badge?.remove();
+        this.badge = null;
+        document.getElementById(WATCH_BUTTON_ID)?.remove();
+        this.currentItemHrid = null;
+        this.isInitialized = false;
+    }
+}
+
+const priceAlertsUI = new PriceAlertsUI();
+
+export default priceAlertsUI;
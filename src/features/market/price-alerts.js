@@ -0,0 +1,431 @@
+/**
+ * Market Price Alerts
+ * Watchlist of items with price conditions, evaluated whenever market prices refresh
+ * (marketplace.json fetch or a live order book). Triggered alerts fire a browser
+ * notification and are kept in a history list that the header badge reads.
+ *
+ * Watchlist entry:
+ *   { id, itemHrid, enhancementLevel, enabled, conditions: { askBelow, bidAbove, spreadAbovePct, changePct } }
+ * Unset conditions are null. Each condition fires once when it becomes true and
+ * re-arms after it stops being true, so a price sitting below a target does not
+ * notify on every refresh.
+ */
+
+import config from '../../core/config.js';
+import dataManager from '../../core/data-manager.js';
+import storage from '../../core/storage.js';
+import marketAPI from '../../api/marketplace.js';
+import { formatKMB } from '../../utils/formatters.js';
+import { createTimerRegistry } from '../../utils/timer-registry.js';
+
+const WATCHLIST_KEY = 'priceAlerts_watchlist';
+const HISTORY_KEY = 'priceAlerts_history';
+const MAX_HISTORY = 200;
+
+export const CONDITION_LABELS = {
+    askBelow: 'Ask below',
+    bidAbove: 'Bid above',
+    spreadAbovePct: 'Spread above %',
+    changePct: 'Change more than %',
+};
+
+/**
+ * Evaluate watchlist conditions against a price.
+ * @param {Object} conditions - { askBelow, bidAbove, spreadAbovePct, changePct }
+ * @param {{ask: number|null, bid: number|null}} price - Current price
+ * @param {{ask: number|null, bid: number|null}|null} previous - Price before the latest change
+ * @returns {Array<{key: string, message: string}>} Conditions that currently hold
+ */
+export function evaluateConditions(conditions, price, previous = null) {
+    const met = [];
+    if (!conditions || !price) return met;
+
+    const { ask, bid } = price;
+
+    if (conditions.askBelow != null && ask != null && ask < conditions.askBelow) {
+        met.push({ key: 'askBelow', message: `Ask ${formatKMB(ask)} < ${formatKMB(conditions.askBelow)}` });
+    }
+
+    if (conditions.bidAbove != null && bid != null && bid > conditions.bidAbove) {
+        met.push({ key: 'bidAbove', message: `Bid ${formatKMB(bid)} > ${formatKMB(conditions.bidAbove)}` });
+    }
+
+    if (conditions.spreadAbovePct != null && ask != null && bid != null && ask > 0) {
+        const spreadPct = ((ask - bid) / ask) * 100;
+        if (spreadPct > conditions.spreadAbovePct) {
+            met.push({
+                key: 'spreadAbovePct',
+                message: `Spread ${spreadPct.toFixed(1)}% > ${conditions.spreadAbovePct}%`,
+            });
+        }
+    }
+
+    if (conditions.changePct != null && previous) {
+        for (const [side, label] of [
+            ['ask', 'Ask'],
+            ['bid', 'Bid'],
+        ]) {
+            const before = previous[side];
+            const after = price[side];
+            if (before == null || after == null || before <= 0) continue;
+
+            const changePct = ((after - before) / before) * 100;
+            if (Math.abs(changePct) > conditions.changePct) {
+                const sign = changePct > 0 ? '+' : '';
+                met.push({
+                    key: 'changePct',
+                    message: `${label} ${sign}${changePct.toFixed(1)}% (${formatKMB(before)} → ${formatKMB(after)})`,
+                });
+                break;
+            }
+        }
+    }
+
+    return met;
+}
+
+class PriceAlerts {
+    constructor() {
+        this.isInitialized = false;
+        this.watchlist = [];
+        this.history = [];
+        this.state = new Map(); // entryId → { latest, previous, active: Set<conditionKey> }
+        this.listeners = [];
+        this.priceListener = null;
+        this.orderBookHandler = null;
+        this.timerRegistry = createTimerRegistry();
+    }
+
+    /**
+     * Initialize alert evaluation
+     */
+    async initialize() {
+        if (this.isInitialized) return;
+        if (!config.getSetting('market_priceAlerts')) return;
+
+        this.isInitialized = true;
+
+        this.watchlist = await storage.getJSON(WATCHLIST_KEY, 'settings', []);
+        this.history = await storage.getJSON(HISTORY_KEY, 'settings', []);
+
+        this.priceListener = () => this.evaluateAll('market');
+        marketAPI.on(this.priceListener);
+
+        this.orderBookHandler = (data) => this.handleOrderBook(data);
+        dataManager.on('market_item_order_books_updated', this.orderBookHandler);
+
+        if (marketAPI.isLoaded()) {
+            this.evaluateAll('market');
+        }
+        this.notifyListeners();
+    }
+
+    /**
+     * Evaluate a live order book for any watched levels of that item
+     * @param {Object} data - market_item_order_books_updated message
+     */
+    handleOrderBook(data) {
+        const itemHrid = data?.marketItemOrderBooks?.itemHrid;
+        const orderBooks = data?.marketItemOrderBooks?.orderBooks;
+        if (!itemHrid || !orderBooks) return;
+
+        for (const entry of this.watchlist) {
+            if (entry.itemHrid !== itemHrid) continue;
+
+            const orderBook = orderBooks[entry.enhancementLevel];
+            if (!orderBook) continue;
+
+            this.evaluateEntry(
+                entry,
+                {
+                    ask: orderBook.asks?.[0]?.price ?? null,
+                    bid: orderBook.bids?.[0]?.price ?? null,
+                },
+                'order book'
+            );
+        }
+    }
+
+    /**
+     * Evaluate every watchlist entry against marketAPI prices
+     * @param {string} source - What refreshed the prices
+     */
+    evaluateAll(source) {
+        for (const entry of this.watchlist) {
+            const price = marketAPI.getPrice(entry.itemHrid, entry.enhancementLevel);
+            if (price) {
+                this.evaluateEntry(entry, price, source);
+            }
+        }
+    }
+
+    /**
+     * Evaluate one entry and fire alerts for conditions that just became true
+     * @param {Object} entry - Watchlist entry
+     * @param {{ask: number|null, bid: number|null}} price - Current price
+     * @param {string} source - What refreshed the price
+     * @returns {Object|null} History record when an alert fired
+     */
+    evaluateEntry(entry, price, source) {
+        if (!entry.enabled) return null;
+
+        let state = this.state.get(entry.id);
+        if (!state) {
+            state = { latest: null, previous: null, active: new Set() };
+            this.state.set(entry.id, state);
+        }
+
+        // "Change since last snapshot" compares against the price before the latest move
+        if (!state.latest || state.latest.ask !== price.ask || state.latest.bid !== price.bid) {
+            state.previous = state.latest;
+            state.latest = { ask: price.ask, bid: price.bid };
+        }
+
+        const met = evaluateConditions(entry.conditions, price, state.previous);
+        const metKeys = new Set(met.map((m) => m.key));
+        const newlyMet = met.filter((m) => !state.active.has(m.key));
+        state.active = metKeys;
+
+        if (newlyMet.length === 0) return null;
+
+        const record = {
+            entryId: entry.id,
+            itemHrid: entry.itemHrid,
+            enhancementLevel: entry.enhancementLevel,
+            messages: newlyMet.map((m) => m.message),
+            ask: price.ask,
+            bid: price.bid,
+            source,
+            timestamp: Date.now(),
+            seen: false,
+        };
+
+        this.history.unshift(record);
+        if (this.history.length > MAX_HISTORY) {
+            this.history.length = MAX_HISTORY;
+        }
+        storage.setJSON(HISTORY_KEY, this.history, 'settings');
+
+        this.sendNotification(record);
+        this.notifyListeners();
+        return record;
+    }
+
+    /**
+     * Display name for an entry's item
+     * @param {string} itemHrid - Item HRID
+     * @param {number} enhancementLevel - Enhancement level
+     * @returns {string}
+     */
+    getItemLabel(itemHrid, enhancementLevel = 0) {
+        const name = dataManager.getItemDetails(itemHrid)?.name || itemHrid;
+        return enhancementLevel > 0 ? `${name} +${enhancementLevel}` : name;
+    }
+
+    /**
+     * Request browser notification permission (call from a user action)
+     */
+    async requestPermission() {
+        if (!('Notification' in window) || Notification.permission !== 'default') return;
+
+        try {
+            await Notification.requestPermission();
+        } catch (error) {
+            console.warn('[Price Alerts] Permission request failed:', error);
+        }
+    }
+
+    /**
+     * Send a browser notification for a triggered alert
+     * @param {Object} record - History record
+     */
+    sendNotification(record) {
+        if (!config.getSetting('market_priceAlerts_browserNotify')) return;
+        if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+
+        try {
+            const notification = new Notification(
+                `Price alert: ${this.getItemLabel(record.itemHrid, record.enhancementLevel)}`,
+                {
+                    body: record.messages.join('\n'),
+                    icon: 'https://www.milkywayidle.com/favicon.ico',
+                    tag: `price-alert-${record.entryId}`,
+                    requireInteraction: false,
+                }
+            );
+
+            notification.onclick = () => {
+                window.focus();
+                notification.close();
+            };
+
+            const closeTimeout = setTimeout(() => notification.close(), 10000);
+            this.timerRegistry.registerTimeout(closeTimeout);
+        } catch (error) {
+            console.error('[Price Alerts] Failed to send notification:', error);
+        }
+    }
+
+    /**
+     * Get the watchlist
+     * @returns {Array<Object>}
+     */
+    getWatchlist() {
+        return this.watchlist;
+    }
+
+    /**
+     * Add an item to the watchlist
+     * @param {string} itemHrid - Item HRID
+     * @param {number} enhancementLevel - Enhancement level
+     * @param {Object} conditions - Condition thresholds (null = unset)
+     * @returns {Promise<Object>} New entry
+     */
+    async addEntry(itemHrid, enhancementLevel, conditions) {
+        const entry = {
+            id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            itemHrid,
+            enhancementLevel,
+            enabled: true,
+            conditions: { askBelow: null, bidAbove: null, spreadAbovePct: null, changePct: null, ...conditions },
+            createdAt: Date.now(),
+        };
+
+        this.watchlist.push(entry);
+        await this.saveWatchlist();
+
+        const price = marketAPI.isLoaded() ? marketAPI.getPrice(itemHrid, enhancementLevel) : null;
+        if (price) {
+            this.evaluateEntry(entry, price, 'watchlist');
+        }
+        return entry;
+    }
+
+    /**
+     * Update an entry's conditions or enabled flag
+     * @param {string} id - Entry ID
+     * @param {Object} changes - { conditions?, enabled? }
+     * @returns {Promise<boolean>} True if the entry exists
+     */
+    async updateEntry(id, changes) {
+        const entry = this.watchlist.find((e) => e.id === id);
+        if (!entry) return false;
+
+        if (changes.conditions) {
+            entry.conditions = { ...entry.conditions, ...changes.conditions };
+        }
+        if (typeof changes.enabled === 'boolean') {
+            entry.enabled = changes.enabled;
+        }
+
+        // Re-arm so the new thresholds are checked from scratch
+        this.state.get(id)?.active.clear();
+        await this.saveWatchlist();
+        return true;
+    }
+
+    /**
+     * Remove an entry
+     * @param {string} id - Entry ID
+     * @returns {Promise<boolean>} True if removed
+     */
+    async removeEntry(id) {
+        const before = this.watchlist.length;
+        this.watchlist = this.watchlist.filter((e) => e.id !== id);
+        this.state.delete(id);
+        if (this.watchlist.length === before) return false;
+
+        await this.saveWatchlist();
+        return true;
+    }
+
+    async saveWatchlist() {
+        await storage.setJSON(WATCHLIST_KEY, this.watchlist, 'settings', true);
+        this.notifyListeners();
+    }
+
+    /**
+     * Triggered alert history, newest first
+     * @returns {Array<Object>}
+     */
+    getHistory() {
+        return this.history;
+    }
+
+    /**
+     * Number of alerts not yet seen in the alert dialog
+     * @returns {number}
+     */
+    getUnseenCount() {
+        return this.history.filter((record) => !record.seen).length;
+    }
+
+    /**
+     * Mark every alert as seen
+     */
+    markAllSeen() {
+        if (this.getUnseenCount() === 0) return;
+
+        for (const record of this.history) {
+            record.seen = true;
+        }
+        storage.setJSON(HISTORY_KEY, this.history, 'settings');
+        this.notifyListeners();
+    }
+
+    /**
+     * Clear alert history
+     */
+    async clearHistory() {
+        this.history = [];
+        await storage.setJSON(HISTORY_KEY, this.history, 'settings', true);
+        this.notifyListeners();
+    }
+
+    /**
+     * Register a listener for watchlist/history changes
+     * @param {Function} callback
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    /**
+     * Unregister a change listener
+     * @param {Function} callback
+     */
+    offChange(callback) {
+        this.listeners = this.listeners.filter((cb) => cb !== callback);
+    }
+
+    notifyListeners() {
+        for (const callback of this.listeners) {
+            try {
+                callback();
+            } catch (error) {
+                console.error('[Price Alerts] Listener error:', error);
+            }
+        }
+    }
+
+    /**
+     * Stop evaluating alerts
+     */
+    disable() {
+        if (this.priceListener) {
+            marketAPI.off(this.priceListener);
+            this.priceListener = null;
+        }
+        if (this.orderBookHandler) {
+            dataManager.off('market_item_order_books_updated', this.orderBookHandler);
+            this.orderBookHandler = null;
+        }
+        this.timerRegistry.clearAll();
+        this.state.clear();
+        this.isInitialized = false;
+    }
+}
+
+const priceAlerts = new PriceAlerts();
+
+export default priceAlerts;
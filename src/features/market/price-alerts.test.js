@@ -0,0 +1,122 @@
+/**
+ * Tests for the price alert watchlist and condition evaluation
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+
+const stored = {};
+vi.mock('../../core/storage.js', () => ({
+    default: {
+        getJSON: vi.fn(async (key, _store, defaultValue) =>
+            key in stored ? structuredClone(stored[key]) : defaultValue
+        ),
+        setJSON: vi.fn(async (key, value) => {
+            stored[key] = structuredClone(value);
+        }),
+    },
+}));
+vi.mock('../../core/config.js', () => ({ default: { getSetting: vi.fn(() => true) } }));
+vi.mock('../../core/data-manager.js', () => ({
+    default: { on: vi.fn(), off: vi.fn(), getItemDetails: vi.fn(() => ({ name: 'Cheese' })) },
+}));
+
+const prices = {};
+vi.mock('../../api/marketplace.js', () => ({
+    default: {
+        on: vi.fn(),
+        off: vi.fn(),
+        isLoaded: vi.fn(() => true),
+        getPrice: vi.fn((itemHrid, level) => prices[`${itemHrid}:${level}`] ?? null),
+    },
+}));
+
+let module;
+let priceAlerts;
+
+beforeEach(async () => {
+    vi.resetModules();
+    Object.keys(stored).forEach((key) => delete stored[key]);
+    Object.keys(prices).forEach((key) => delete prices[key]);
+    module = await import('./price-alerts.js');
+    priceAlerts = module.default;
+    await priceAlerts.initialize();
+});
+
+describe('evaluateConditions', () => {
+    test('checks each threshold that is set', () => {
+        const conditions = { askBelow: 100, bidAbove: 50, spreadAbovePct: 30, changePct: null };
+
+        const met = module.evaluateConditions(conditions, { ask: 90, bid: 70 });
+        expect(met.map((m) => m.key)).toEqual(['askBelow', 'bidAbove']);
+
+        const wideSpread = module.evaluateConditions(conditions, { ask: 200, bid: 40 });
+        expect(wideSpread.map((m) => m.key)).toEqual(['spreadAbovePct']);
+
+        expect(module.evaluateConditions(conditions, { ask: null, bid: null })).toEqual([]);
+    });
+
+    test('change condition compares either side against the previous price', () => {
+        const conditions = { changePct: 10 };
+
+        expect(module.evaluateConditions(conditions, { ask: 105, bid: 95 }, { ask: 100, bid: 100 })).toEqual([]);
+        const met = module.evaluateConditions(conditions, { ask: 100, bid: 80 }, { ask: 100, bid: 100 });
+        expect(met).toHaveLength(1);
+        expect(met[0].message).toContain('Bid -20.0%');
+    });
+});
+
+describe('priceAlerts', () => {
+    test('fires once when a condition becomes true and re-arms after it clears', async () => {
+        prices['/items/cheese:0'] = { ask: 120, bid: 100 };
+        const entry = await priceAlerts.addEntry('/items/cheese', 0, { askBelow: 100 });
+        expect(priceAlerts.getHistory()).toHaveLength(0);
+
+        prices['/items/cheese:0'] = { ask: 95, bid: 90 };
+        priceAlerts.evaluateAll('market');
+        priceAlerts.evaluateAll('market');
+        expect(priceAlerts.getHistory()).toHaveLength(1);
+        expect(priceAlerts.getHistory()[0]).toMatchObject({ entryId: entry.id, ask: 95, seen: false });
+
+        prices['/items/cheese:0'] = { ask: 110, bid: 90 };
+        priceAlerts.evaluateAll('market');
+        prices['/items/cheese:0'] = { ask: 90, bid: 90 };
+        priceAlerts.evaluateAll('market');
+        expect(priceAlerts.getHistory()).toHaveLength(2);
+        expect(priceAlerts.getUnseenCount()).toBe(2);
+
+        priceAlerts.markAllSeen();
+        expect(priceAlerts.getUnseenCount()).toBe(0);
+    });
+
+    test('live order books are evaluated for the watched enhancement level only', async () => {
+        await priceAlerts.addEntry('/items/sword', 5, { bidAbove: 1000 });
+
+        priceAlerts.handleOrderBook({
+            marketItemOrderBooks: {
+                itemHrid: '/items/sword',
+                orderBooks: [{ asks: [{ price: 10 }], bids: [{ price: 5000 }] }],
+            },
+        });
+        expect(priceAlerts.getHistory()).toHaveLength(0);
+
+        const orderBooks = [];
+        orderBooks[5] = { asks: [], bids: [{ price: 1500 }] };
+        priceAlerts.handleOrderBook({ marketItemOrderBooks: { itemHrid: '/items/sword', orderBooks } });
+
+        expect(priceAlerts.getHistory()).toHaveLength(1);
+        expect(priceAlerts.getHistory()[0]).toMatchObject({ source: 'order book', bid: 1500, ask: null });
+    });
+
+    test('disabled and removed entries never fire; watchlist persists', async () => {
+        const entry = await priceAlerts.addEntry('/items/cheese', 0, { askBelow: 100 });
+        await priceAlerts.updateEntry(entry.id, { enabled: false });
+
+        prices['/items/cheese:0'] = { ask: 50, bid: 40 };
+        priceAlerts.evaluateAll('market');
+        expect(priceAlerts.getHistory()).toHaveLength(0);
+        expect(stored.priceAlerts_watchlist[0].enabled).toBe(false);
+
+        expect(await priceAlerts.removeEntry(entry.id)).toBe(true);
+        expect(stored.priceAlerts_watchlist).toEqual([]);
+    });
+});
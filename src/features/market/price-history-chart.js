@@ -0,0 +1,335 @@
+/**
+ * Market Price History Chart
+ * Adds a "Price History" button to the marketplace item view that opens a chart of
+ * locally recorded ask/bid prices with 1d/7d/30d trend, volatility and spread stats.
+ */
+
+import config from '../../core/config.js';
+import dataManager from '../../core/data-manager.js';
+import { formatKMB, formatDateTime } from '../../utils/formatters.js';
+import priceHistory, { RANGE_MS, computeSeriesStats } from './price-history.js';
+
+const BUTTON_ID = 'mwi-price-history-button';
+const MODAL_ID = 'mwi-price-history-modal';
+const RANGES = ['1d', '7d', '30d'];
+
+/**
+ * Format a signed percentage.
+ * @param {number|null} value
+ * @returns {string}
+ */
+function formatPercent(value) {
+    if (value === null || value === undefined || !isFinite(value)) return '—';
+    const sign = value > 0 ? '+' : '';
+    return `${sign}${value.toFixed(1)}%`;
+}
+
+class PriceHistoryChart {
+    constructor() {
+        this.isInitialized = false;
+        this.unregisterHandler = null;
+        this.currentItemHrid = null;
+        this.chartInstance = null;
+        this.activeRange = '7d';
+    }
+
+    initialize() {
+        if (this.isInitialized) return;
+        if (!config.getSetting('market_priceHistory')) return;
+
+        this.isInitialized = true;
+
+        const handler = (data) => {
+            if (!data.marketItemOrderBooks) return;
+            this.currentItemHrid = data.marketItemOrderBooks.itemHrid;
+            this._updateButton();
+        };
+
+        dataManager.on('market_item_order_books_updated', handler);
+        this.unregisterHandler = () => dataManager.off('market_item_order_books_updated', handler);
+    }
+
+    /**
+     * Get current enhancement level from DOM.
+     * @returns {number}
+     */
+    _getEnhancementLevel() {
+        const currentItem = document.querySelector('[class*="MarketplacePanel_currentItem"]');
+        if (!currentItem) return 0;
+        const el = currentItem.querySelector('[class*="Item_enhancementLevel"]');
+        if (!el) return 0;
+        const match = el.textContent.match(/\+(\d+)/);
+        return match ? parseInt(match[1], 10) : 0;
+    }
+
+    _updateButton() {
+        document.getElementById(BUTTON_ID)?.remove();
+        if (!this.currentItemHrid) return;
+
+        const container = document.querySelector('[class*="MarketplacePanel_marketNavButtonContainer"]');
+        if (!container) return;
+
+        const itemHrid = this.currentItemHrid;
+        const button = document.createElement('button');
+        button.id = BUTTON_ID;
+        button.textContent = '📈 Price History';
+        button.style.cssText = `
+            font-size: 10px;
+            color: #ccc;
+            background: #2a2a2a;
+            border: 1px solid #555;
+            border-radius: 4px;
+            padding: 2px 8px;
+            margin-left: 8px;
+            cursor: pointer;
+            white-space: nowrap;
+        `;
+        button.addEventListener('click', () => this.openModal(itemHrid, this._getEnhancementLevel()));
+
+        container.appendChild(button);
+    }
+
+    /**
+     * Open the chart modal for an item.
+     * @param {string} itemHrid - Item HRID
+     * @param {number} [enhancementLevel] - Enhancement level
+     */
+    async openModal(itemHrid, enhancementLevel = 0) {
+        this.closeModal();
+
+        const points = await priceHistory.getHistory(itemHrid, enhancementLevel);
+        const itemName = dataManager.getItemDetails(itemHrid)?.name || itemHrid;
+
+        const modal = document.createElement('div');
+        modal.id = MODAL_ID;
+        modal.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            width: 90%;
+            max-width: 1000px;
+            height: 70%;
+            max-height: 650px;
+            background: #1a1a1a;
+            border: 2px solid #555;
+            border-radius: 8px;
+            padding: 20px;
+            z-index: 100000;
+            display: flex;
+            flex-direction: column;
+        `;
+
+        const header = document.createElement('div');
+        header.style.cssText =
+            'display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px;';
+
+        const title = document.createElement('h3');
+        title.textContent = `${itemName}${enhancementLevel > 0 ? ` +${enhancementLevel}` : ''} — Price History`;
+        title.style.cssText = 'color: #ccc; margin: 0; font-size: 18px;';
+
+        const closeBtn = document.createElement('button');
+        closeBtn.textContent = '✕';
+        closeBtn.style.cssText = `
+            background: #a33;
+            color: #fff;
+            border: none;
+            cursor: pointer;
+            font-size: 20px;
+            padding: 4px 12px;
+            border-radius: 4px;
+            font-weight: bold;
+        `;
+        closeBtn.addEventListener('click', () => this.closeModal());
+
+        header.appendChild(title);
+        header.appendChild(closeBtn);
+
+        const rangeRow = document.createElement('div');
+        rangeRow.style.cssText = 'display: flex; align-items: center; gap: 8px; margin-bottom: 8px;';
+
+        const statsRow = document.createElement('div');
+        statsRow.style.cssText =
+            'display: flex; flex-wrap: wrap; gap: 16px; color: #ccc; font-size: 13px; margin-bottom: 12px;';
+
+        const chartContainer = document.createElement('div');
+        chartContainer.style.cssText = 'flex: 1; position: relative; min-height: 0;';
+        const canvas = document.createElement('canvas');
+        chartContainer.appendChild(canvas);
+
+        const render = () => {
+            for (const btn of rangeRow.children) {
+                const active = btn.dataset.range === this.activeRange;
+                btn.style.background = active ? '#444' : '#2a2a2a';
+                btn.style.color = active ? '#fff' : '#999';
+            }
+            this._renderStats(statsRow, points);
+            this._renderChart(canvas, points);
+        };
+
+        for (const range of RANGES) {
+            const btn = document.createElement('button');
+            btn.textContent = range.toUpperCase();
+            btn.dataset.range = range;
+            btn.style.cssText = `
+                border: 1px solid #555;
+                cursor: pointer;
+                padding: 4px 14px;
+                border-radius: 4px;
+                font-size: 13px;
+            `;
+            btn.addEventListener('click', () => {
+                this.activeRange = range;
+                render();
+            });
+            rangeRow.appendChild(btn);
+        }
+
+        modal.appendChild(header);
+        modal.appendChild(rangeRow);
+        modal.appendChild(statsRow);
+        modal.appendChild(chartContainer);
+        document.body.appendChild(modal);
+
+        render();
+    }
+
+    /**
+     * Fill the stats row for the active range.
+     * @param {HTMLElement} statsRow
+     * @param {Array<Array>} points
+     */
+    _renderStats(statsRow, points) {
+        const stats = computeSeriesStats(points, RANGE_MS[this.activeRange]);
+
+        statsRow.innerHTML = '';
+        if (!stats) {
+            statsRow.innerHTML =
+                '<span style="color: #666;">No prices recorded for this range yet. History builds up as Toolasha fetches market data.</span>';
+            return;
+        }
+
+        const entries = [
+            ['Ask change', formatPercent(stats.askChangePct)],
+            ['Bid change', formatPercent(stats.bidChangePct)],
+            ['Ask range', stats.askLow !== null ? `${formatKMB(stats.askLow)} – ${formatKMB(stats.askHigh)}` : '—'],
+            ['Bid range', stats.bidLow !== null ? `${formatKMB(stats.bidLow)} – ${formatKMB(stats.bidHigh)}` : '—'],
+            ['Volatility', stats.volatilityPct !== null ? `${stats.volatilityPct.toFixed(1)}%` : '—'],
+            ['Spread', stats.spreadPct !== null ? `${stats.spreadPct.toFixed(1)}%` : '—'],
+            ['Avg spread', stats.avgSpreadPct !== null ? `${stats.avgSpreadPct.toFixed(1)}%` : '—'],
+            ['Samples', String(stats.points)],
+        ];
+
+        for (const [label, value] of entries) {
+            const span = document.createElement('span');
+            span.innerHTML = `<span style="color: #888;">${label}:</span> ${value}`;
+            statsRow.appendChild(span);
+        }
+    }
+
+    /**
+     * Render the ask/bid lines for the active range.
+     * @param {HTMLCanvasElement} canvas
+     * @param {Array<Array>} points
+     */
+    _renderChart(canvas, points) {
+        if (this.chartInstance) {
+            this.chartInstance.destroy();
+            this.chartInstance = null;
+        }
+        if (typeof Chart === 'undefined') return;
+
+        const now = Date.now();
+        const rangeMs = RANGE_MS[this.activeRange];
+        const filtered = points.filter((p) => now - p[0] <= rangeMs);
+        if (filtered.length === 0) return;
+
+        const isShortRange = this.activeRange === '1d';
+        const toData = (index) => filtered.map((p) => ({ x: p[0], y: p[index] ?? NaN }));
+
+        this.chartInstance = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                datasets: [
+                    {
+                        label: 'Ask',
+                        data: toData(1),
+                        borderColor: '#f87171',
+                        backgroundColor: '#f87171',
+                        pointRadius: filtered.length > 60 ? 0 : 2,
+                        borderWidth: 2,
+                        spanGaps: true,
+                    },
+                    {
+                        label: 'Bid',
+                        data: toData(2),
+                        borderColor: '#4ade80',
+                        backgroundColor: '#4ade80',
+                        pointRadius: filtered.length > 60 ? 0 : 2,
+                        borderWidth: 2,
+                        spanGaps: true,
+                    },
+                ],
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                parsing: false,
+                interaction: { mode: 'nearest', axis: 'x', intersect: false },
+                plugins: {
+                    legend: { labels: { color: '#ccc' } },
+                    datalabels: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            title: (items) => formatDateTime(new Date(items[0].parsed.x)),
+                            label: (item) => `${item.dataset.label}: ${formatKMB(item.parsed.y)}`,
+                        },
+                    },
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        min: now - rangeMs,
+                        max: now,
+                        ticks: {
+                            color: '#999',
+                            maxTicksLimit: 8,
+                            callback: (value) =>
+                                isShortRange
+                                    ? formatDateTime(new Date(value), { includeDate: false, includeSeconds: false })
+                                    : formatDateTime(new Date(value), { includeTime: false }),
+                        },
+                        grid: { color: '#333' },
+                    },
+                    y: {
+                        beginAtZero: false,
+                        ticks: { color: '#999', callback: (value) => formatKMB(value) },
+                        grid: { color: '#333' },
+                    },
+                },
+            },
+        });
+    }
+
+    closeModal() {
+        if (this.chartInstance) {
+            this.chartInstance.destroy();
+            this.chartInstance = null;
+        }
+        document.getElementById(MODAL_ID)?.remove();
+    }
+
+    disable() {
+        if (this.unregisterHandler) {
+            this.unregisterHandler();
+            this.unregisterHandler = null;
+        }
+        this.closeModal();
+        document.getElementById(BUTTON_ID)?.remove();
+        this.currentItemHrid = null;
+        this.isInitialized = false;
+    }
+}
+
+const priceHistoryChart = new PriceHistoryChart();
+export default priceHistoryChart;
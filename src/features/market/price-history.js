@@ -0,0 +1,319 @@
+/**
+ * Market Price History
+ * Records every marketplace.json snapshot Toolasha fetches into IndexedDB, one key
+ * per item, so trends can be charted without external sites. Each snapshot is read
+ * and written in one batched transaction per direction.
+ *
+ * Entry format (key = itemHrid):
+ *   { levels: { [enhancementLevel]: [[timestamp, ask, bid, samples], ...] } }
+ * ask/bid are null when the side had no orders. Older points are compacted into
+ * wider buckets (see COMPACTION_TIERS) so each series stays a few hundred points.
+ */
+
+import config from '../../core/config.js';
+import storage from '../../core/storage.js';
+import marketAPI from '../../api/marketplace.js';
+import { createTimerRegistry } from '../../utils/timer-registry.js';
+
+export const STORE_NAME = 'marketPriceHistory';
+const META_KEY = 'meta';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/** Points older than olderThanMs are merged into bucketMs-wide averages */
+export const COMPACTION_TIERS = [
+    { olderThanMs: 2 * DAY_MS, bucketMs: 6 * HOUR_MS },
+    { olderThanMs: 30 * DAY_MS, bucketMs: DAY_MS },
+];
+export const MAX_HISTORY_MS = 365 * DAY_MS;
+
+export const RANGE_MS = {
+    '1d': DAY_MS,
+    '7d': 7 * DAY_MS,
+    '30d': 30 * DAY_MS,
+};
+
+// marketAPI caches for 15 minutes; polling keeps snapshots coming while the game is open
+const POLL_INTERVAL_MS = 30 * 60 * 1000;
+
+/**
+ * Normalize a marketplace price (-1 or missing means no orders).
+ * @param {*} value
+ * @returns {number|null}
+ */
+function normalizePrice(value) {
+    return typeof value === 'number' && value > 0 ? value : null;
+}
+
+/**
+ * Merge points older than the raw window into tiered buckets and drop expired ones.
+ * Bucketed points keep a sample count so later merges stay correctly weighted.
+ * @param {Array<Array>} points - [[t, ask, bid, samples?], ...]
+ * @param {number} now - Current time
+ * @returns {Array<Array>} Compacted points sorted by time
+ */
+export function compactSeries(points, now = Date.now()) {
+    const sorted = points.filter((p) => now - p[0] <= MAX_HISTORY_MS).sort((a, b) => a[0] - b[0]);
+    const result = [];
+    const buckets = new Map(); // `${bucketMs}:${index}` → accumulator
+
+    for (const point of sorted) {
+        const age = now - point[0];
+        let tier = null;
+        for (const candidate of COMPACTION_TIERS) {
+            if (age > candidate.olderThanMs) tier = candidate;
+        }
+
+        if (!tier) {
+            result.push(point);
+            continue;
+        }
+
+        const bucketKey = `${tier.bucketMs}:${Math.floor(point[0] / tier.bucketMs)}`;
+        let acc = buckets.get(bucketKey);
+        if (!acc) {
+            acc = { t: 0, samples: 0, askSum: 0, askN: 0, bidSum: 0, bidN: 0 };
+            buckets.set(bucketKey, acc);
+        }
+
+        const samples = point[3] || 1;
+        acc.t += point[0] * samples;
+        acc.samples += samples;
+        if (point[1] !== null) {
+            acc.askSum += point[1] * samples;
+            acc.askN += samples;
+        }
+        if (point[2] !== null) {
+            acc.bidSum += point[2] * samples;
+            acc.bidN += samples;
+        }
+    }
+
+    for (const acc of buckets.values()) {
+        result.push([
+            Math.round(acc.t / acc.samples),
+            acc.askN > 0 ? Math.round(acc.askSum / acc.askN) : null,
+            acc.bidN > 0 ? Math.round(acc.bidSum / acc.bidN) : null,
+            acc.samples,
+        ]);
+    }
+
+    return result.sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Percent change between the first and last non-null values of one side.
+ * @param {Array<Array>} points
+ * @param {number} index - 1 for ask, 2 for bid
+ * @returns {number|null}
+ */
+function percentChange(points, index) {
+    const values = points.map((p) => p[index]).filter((v) => v !== null);
+    if (values.length < 2) return null;
+    return ((values[values.length - 1] - values[0]) / values[0]) * 100;
+}
+
+/**
+ * Trend statistics for a series over a time range.
+ * Volatility is the standard deviation of log returns between consecutive ask points, in percent.
+ * Spread is (ask - bid) / ask, in percent.
+ * @param {Array<Array>} points - Series points
+ * @param {number} rangeMs - Look-back window
+ * @param {number} [now] - Current time
+ * @returns {Object|null} Stats, or null when the range has no prices
+ */
+export function computeSeriesStats(points, rangeMs, now = Date.now()) {
+    const inRange = points.filter((p) => now - p[0] <= rangeMs);
+    const asks = inRange.map((p) => p[1]).filter((v) => v !== null);
+    const bids = inRange.map((p) => p[2]).filter((v) => v !== null);
+    if (asks.length === 0 && bids.length === 0) return null;
+
+    const returns = [];
+    for (let i = 1; i < asks.length; i++) {
+        returns.push(Math.log(asks[i] / asks[i - 1]));
+    }
+    let volatility = null;
+    if (returns.length >= 2) {
+        const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+        const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+        volatility = Math.sqrt(variance) * 100;
+    }
+
+    const spreads = inRange.filter((p) => p[1] !== null && p[2] !== null).map((p) => ((p[1] - p[2]) / p[1]) * 100);
+    const latestBoth = [...inRange].reverse().find((p) => p[1] !== null && p[2] !== null);
+
+    return {
+        points: inRange.length,
+        askChangePct: percentChange(inRange, 1),
+        bidChangePct: percentChange(inRange, 2),
+        askHigh: asks.length > 0 ? Math.max(...asks) : null,
+        askLow: asks.length > 0 ? Math.min(...asks) : null,
+        bidHigh: bids.length > 0 ? Math.max(...bids) : null,
+        bidLow: bids.length > 0 ? Math.min(...bids) : null,
+        volatilityPct: volatility,
+        avgSpreadPct: spreads.length > 0 ? spreads.reduce((sum, s) => sum + s, 0) / spreads.length : null,
+        spreadPct: latestBoth ? ((latestBoth[1] - latestBoth[2]) / latestBoth[1]) * 100 : null,
+    };
+}
+
+class PriceHistory {
+    constructor() {
+        this.isInitialized = false;
+        this.isRecording = false;
+        this.lastSnapshot = null;
+        this.cache = new Map(); // itemHrid → entry (read-through)
+        this.priceListener = null;
+        this.timerRegistry = createTimerRegistry();
+    }
+
+    /**
+     * Initialize recording
+     */
+    async initialize() {
+        if (this.isInitialized) return;
+        if (!config.getSetting('market_priceHistory')) return;
+
+        this.isInitialized = true;
+
+        const meta = await storage.get(META_KEY, STORE_NAME, null);
+        this.lastSnapshot = meta?.lastSnapshot ?? null;
+
+        this.priceListener = () => this.recordCurrent();
+        marketAPI.on(this.priceListener);
+
+        this.timerRegistry.registerInterval(
+            setInterval(() => {
+                marketAPI.fetch().catch(() => {});
+            }, POLL_INTERVAL_MS)
+        );
+
+        if (marketAPI.isLoaded()) {
+            await this.recordCurrent();
+        }
+    }
+
+    /**
+     * Record the snapshot currently held by marketAPI if it is new
+     */
+    async recordCurrent() {
+        if (!marketAPI.marketData || !marketAPI.lastFetchTimestamp) return;
+        await this.recordSnapshot(marketAPI.marketData, marketAPI.lastFetchTimestamp);
+    }
+
+    /**
+     * Append one marketplace snapshot to every item's history.
+     * Snapshots at or before the last recorded timestamp are ignored, so cache
+     * reloads and repeated listener calls are harmless.
+     * @param {Object} marketData - marketplace.json marketData ({ itemHrid: { level: { a, b } } })
+     * @param {number} timestamp - Snapshot time in ms
+     * @returns {Promise<number>} Number of items written
+     */
+    async recordSnapshot(marketData, timestamp) {
+        if (this.isRecording || (this.lastSnapshot && timestamp <= this.lastSnapshot)) return 0;
+
+        this.isRecording = true;
+        let written = 0;
+        const now = Date.now();
+
+        try {
+            const items = Object.entries(marketData || {}).filter(([, levels]) => levels && typeof levels === 'object');
+            const storedEntries = await storage.getMany(
+                items.map(([itemHrid]) => itemHrid),
+                STORE_NAME
+            );
+            const updates = {};
+
+            for (const [itemHrid, levels] of items) {
+                const stored = storedEntries[itemHrid];
+                const entry = stored?.levels ? stored : { levels: {} };
+                for (const [level, price] of Object.entries(levels)) {
+                    const ask = normalizePrice(price?.a);
+                    const bid = normalizePrice(price?.b);
+                    if (ask === null && bid === null) continue;
+
+                    const series = entry.levels[level] || [];
+                    series.push([timestamp, ask, bid]);
+                    entry.levels[level] = compactSeries(series, now);
+                }
+                updates[itemHrid] = entry;
+            }
+
+            // META only moves forward once every item write has committed, so a failed
+            // write leaves the snapshot eligible for the next attempt
+            if (!(await storage.setMany(updates, STORE_NAME))) {
+                throw new Error('Item history write failed');
+            }
+
+            // Cached reads are now stale; drop them rather than holding every item in memory
+            for (const itemHrid of Object.keys(updates)) {
+                this.cache.delete(itemHrid);
+            }
+            written = items.length;
+
+            this.lastSnapshot = timestamp;
+            await storage.set(META_KEY, { lastSnapshot: timestamp }, STORE_NAME, true);
+        } catch (error) {
+            console.error('[PriceHistory] Failed to record snapshot:', error);
+        } finally {
+            this.isRecording = false;
+        }
+
+        return written;
+    }
+
+    /**
+     * Load an item's entry through the cache.
+     * @param {string} itemHrid
+     * @returns {Promise<Object>}
+     * @private
+     */
+    async _load(itemHrid) {
+        if (this.cache.has(itemHrid)) return this.cache.get(itemHrid);
+
+        const stored = await storage.get(itemHrid, STORE_NAME, null);
+        const entry = stored?.levels ? stored : { levels: {} };
+        this.cache.set(itemHrid, entry);
+        return entry;
+    }
+
+    /**
+     * Get the recorded series for an item.
+     * @param {string} itemHrid - Item HRID
+     * @param {number} [enhancementLevel] - Enhancement level
+     * @returns {Promise<Array<Array>>} [[t, ask, bid, samples?], ...] oldest first
+     */
+    async getHistory(itemHrid, enhancementLevel = 0) {
+        const entry = await this._load(itemHrid);
+        return entry.levels[String(enhancementLevel)] || [];
+    }
+
+    /**
+     * Trend statistics for an item over a named range.
+     * @param {string} itemHrid - Item HRID
+     * @param {number} [enhancementLevel] - Enhancement level
+     * @param {string} [range] - '1d', '7d' or '30d'
+     * @returns {Promise<Object|null>}
+     */
+    async getStats(itemHrid, enhancementLevel = 0, range = '7d') {
+        const points = await this.getHistory(itemHrid, enhancementLevel);
+        return computeSeriesStats(points, RANGE_MS[range] || RANGE_MS['7d']);
+    }
+
+    /**
+     * Stop recording
+     */
+    disable() {
+        if (this.priceListener) {
+            marketAPI.off(this.priceListener);
+            this.priceListener = null;
+        }
+        this.timerRegistry.clearAll();
+        this.cache.clear();
+        this.isInitialized = false;
+    }
+}
+
+const priceHistory = new PriceHistory();
+
+export default priceHistory;
@@ -0,0 +1,151 @@
+/**
+ * Tests for market price history recording, compaction and trend statistics
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+
+const stored = new Map();
+vi.mock('../../core/storage.js', () => ({
+    default: {
+        get: vi.fn(async (key, _store, defaultValue) =>
+            stored.has(key) ? structuredClone(stored.get(key)) : defaultValue
+        ),
+        set: vi.fn(async (key, value) => {
+            stored.set(key, structuredClone(value));
+        }),
+        getMany: vi.fn(async (keys) =>
+            Object.fromEntries(
+                keys.filter((key) => stored.has(key)).map((key) => [key, structuredClone(stored.get(key))])
+            )
+        ),
+        setMany: vi.fn(async (entries) => {
+            for (const [key, value] of Object.entries(entries)) {
+                stored.set(key, structuredClone(value));
+            }
+            return true;
+        }),
+    },
+}));
+vi.mock('../../core/config.js', () => ({ default: { getSetting: vi.fn(() => true) } }));
+vi.mock('../../api/marketplace.js', () => ({
+    default: { on: vi.fn(), off: vi.fn(), fetch: vi.fn(async () => null), isLoaded: vi.fn(() => false) },
+}));
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const NOW = 1_800_000_000_000;
+
+let module;
+let priceHistory;
+let storage;
+
+beforeEach(async () => {
+    vi.resetModules();
+    stored.clear();
+    module = await import('./price-history.js');
+    priceHistory = module.default;
+    storage = (await import('../../core/storage.js')).default;
+    vi.clearAllMocks();
+});
+
+describe('compactSeries', () => {
+    test('keeps recent points raw and averages older ones into weighted buckets', () => {
+        const bucketStart = Math.floor((NOW - 3 * DAY) / (6 * HOUR)) * 6 * HOUR;
+        const points = [
+            [bucketStart + HOUR, 100, 90],
+            [bucketStart + 2 * HOUR, 200, null],
+            [NOW - HOUR, 150, 140],
+        ];
+
+        const compacted = module.compactSeries(points, NOW);
+
+        expect(compacted).toHaveLength(2);
+        expect(compacted[0]).toEqual([bucketStart + 1.5 * HOUR, 150, 90, 2]);
+        expect(compacted[1]).toEqual([NOW - HOUR, 150, 140]);
+
+        // Re-compacting a bucket with new raw samples keeps the weighting
+        const merged = module.compactSeries([[bucketStart + 3 * HOUR, 300, 90], ...compacted], NOW);
+        expect(merged[0][1]).toBe(200);
+        expect(merged[0][3]).toBe(3);
+    });
+
+    test('drops points older than the maximum history', () => {
+        const compacted = module.compactSeries(
+            [
+                [NOW - 400 * DAY, 1, 1],
+                [NOW - 40 * DAY, 2, 2],
+            ],
+            NOW
+        );
+        expect(compacted).toHaveLength(1);
+        expect(compacted[0][1]).toBe(2);
+    });
+});
+
+describe('computeSeriesStats', () => {
+    test('reports change, range, volatility and spread within the window', () => {
+        const points = [
+            [NOW - 10 * DAY, 10, 5],
+            [NOW - 6 * DAY, 100, 80],
+            [NOW - 4 * DAY, 110, 90],
+            [NOW - 2 * DAY, 99, null],
+            [NOW - HOUR, 120, 100],
+        ];
+
+        const stats = module.computeSeriesStats(points, 7 * DAY, NOW);
+
+        expect(stats.points).toBe(4);
+        expect(stats.askChangePct).toBeCloseTo(20);
+        expect(stats.bidChangePct).toBeCloseTo(25);
+        expect(stats.askLow).toBe(99);
+        expect(stats.askHigh).toBe(120);
+        expect(stats.volatilityPct).toBeGreaterThan(0);
+        expect(stats.spreadPct).toBeCloseTo((20 / 120) * 100);
+        expect(module.computeSeriesStats(points, HOUR / 2, NOW)).toBeNull();
+    });
+});
+
+describe('recordSnapshot', () => {
+    test('appends per item and level, skips missing prices and ignores repeated snapshots', async () => {
+        const marketData = {
+            '/items/cheese': { 0: { a: 20, b: 18 } },
+            '/items/sword': { 0: { a: -1, b: -1 }, 5: { a: 5000, b: -1 } },
+        };
+
+        expect(await priceHistory.recordSnapshot(marketData, NOW - HOUR)).toBe(2);
+        expect(await priceHistory.recordSnapshot(marketData, NOW - HOUR)).toBe(0);
+        await priceHistory.recordSnapshot({ '/items/cheese': { 0: { a: 22, b: 19 } } }, NOW);
+
+        expect(await priceHistory.getHistory('/items/cheese')).toEqual([
+            [NOW - HOUR, 20, 18],
+            [NOW, 22, 19],
+        ]);
+        expect(await priceHistory.getHistory('/items/sword', 0)).toEqual([]);
+        expect(await priceHistory.getHistory('/items/sword', 5)).toEqual([[NOW - HOUR, 5000, null]]);
+        expect(stored.get('meta')).toEqual({ lastSnapshot: NOW });
+    });
+
+    test('writes items in one batch before META and keeps nothing cached', async () => {
+        const marketData = {
+            '/items/cheese': { 0: { a: 20, b: 18 } },
+            '/items/milk': { 0: { a: 10, b: 9 } },
+        };
+
+        await priceHistory.recordSnapshot(marketData, NOW);
+
+        expect(storage.getMany).toHaveBeenCalledTimes(1);
+        expect(storage.setMany).toHaveBeenCalledTimes(1);
+        expect(Object.keys(storage.setMany.mock.calls[0][0])).toEqual(['/items/cheese', '/items/milk']);
+        expect(storage.setMany.mock.invocationCallOrder[0]).toBeLessThan(storage.set.mock.invocationCallOrder[0]);
+        expect(priceHistory.cache.size).toBe(0);
+    });
+
+    test('leaves the snapshot unrecorded when the item write fails', async () => {
+        storage.setMany.mockResolvedValueOnce(false);
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect(await priceHistory.recordSnapshot({ '/items/cheese': { 0: { a: 20, b: 18 } } }, NOW)).toBe(0);
+        expect(stored.has('meta')).toBe(false);
+        expect(await priceHistory.recordSnapshot({ '/items/cheese': { 0: { a: 20, b: 18 } } }, NOW)).toBe(1);
+    });
+});
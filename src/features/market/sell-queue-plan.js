@@ -0,0 +1,108 @@
+/**
+ * Sell Queue Plan
+ * Per-item sell plan for the sell queue: how many to keep, how to price the rest, and the
+ * expected proceeds after market tax. Plans are persisted per character.
+ */
+
+import storage from '../../core/storage.js';
+import { getTaxRate } from '../../utils/profit-constants.js';
+
+export const SELL_RULE = Object.freeze({
+    INSTANT_BID: 'instantBid',
+    ASK_MINUS_TICK: 'askMinusTick',
+    CUSTOM: 'custom',
+});
+
+export const SELL_RULE_LABELS = Object.freeze({
+    [SELL_RULE.INSTANT_BID]: 'Instant sell to bid',
+    [SELL_RULE.ASK_MINUS_TICK]: 'List at ask − 1 tick',
+    [SELL_RULE.CUSTOM]: 'List at custom price',
+});
+
+/**
+ * Plan one queued item
+ * "Ask minus one tick" is estimated at the ask itself; the tick is applied by the order
+ * form's own decrement button, so the estimate is high by at most one price step.
+ * @param {Object} entry - Queue entry ({itemHrid, keep, rule})
+ * @param {number} held - Units in inventory
+ * @param {Object|null} price - Market price ({ask, bid})
+ * @param {number|null} customPrice - Custom sell override for the item
+ * @returns {{sellQuantity: number, unitPrice: number|null, gross: number, tax: number, proceeds: number|null}}
+ */
+export function planEntry(entry, held, price, customPrice) {
+    const sellQuantity = Math.max(0, held - (entry.keep || 0));
+
+    let unitPrice = null;
+    if (entry.rule === SELL_RULE.INSTANT_BID) {
+        unitPrice = price?.bid ?? null;
+    } else if (entry.rule === SELL_RULE.CUSTOM) {
+        unitPrice = customPrice ?? null;
+    } else {
+        unitPrice = price?.ask ?? null;
+    }
+    if (!(unitPrice > 0)) unitPrice = null;
+
+    if (unitPrice === null) {
+        return { sellQuantity, unitPrice, gross: 0, tax: 0, proceeds: null };
+    }
+
+    const gross = unitPrice * sellQuantity;
+    const tax = gross * getTaxRate(entry.itemHrid);
+    return { sellQuantity, unitPrice, gross, tax, proceeds: gross - tax };
+}
+
+/**
+ * Totals across planned items
+ * @param {Array<Object>} plans - planEntry outputs
+ * @returns {{items: number, quantity: number, gross: number, tax: number, proceeds: number, unpriced: number}}
+ */
+export function summarizePlan(plans) {
+    const total = { items: 0, quantity: 0, gross: 0, tax: 0, proceeds: 0, unpriced: 0 };
+
+    for (const plan of plans) {
+        if (plan.sellQuantity <= 0) continue;
+        total.items++;
+        total.quantity += plan.sellQuantity;
+        if (plan.proceeds === null) {
+            total.unpriced++;
+            continue;
+        }
+        total.gross += plan.gross;
+        total.tax += plan.tax;
+        total.proceeds += plan.proceeds;
+    }
+
+    return total;
+}
+
+/**
+ * @param {string|null} characterId
+ * @returns {string}
+ */
+function getStorageKey(characterId) {
+    return characterId ? `sellQueue_${characterId}` : 'sellQueue';
+}
+
+/**
+ * Load a character's saved queue
+ * @param {string|null} characterId
+ * @returns {Promise<Array<Object>>} Queue entries ({itemHrid, itemName, keep, rule})
+ */
+export async function loadSellQueue(characterId) {
+    const saved = await storage.getJSON(getStorageKey(characterId), 'settings', []);
+    return Array.isArray(saved) ? saved.filter((entry) => entry?.itemHrid) : [];
+}
+
+/**
+ * Save a character's queue
+ * @param {string|null} characterId
+ * @param {Array<Object>} queue - Queue entries
+ * @returns {Promise<void>}
+ */
+export async function saveSellQueue(characterId, queue) {
+    await storage.setJSON(
+        getStorageKey(characterId),
+        queue.map(({ itemHrid, itemName, keep, rule }) => ({ itemHrid, itemName, keep, rule })),
+        'settings'
+    );
+}
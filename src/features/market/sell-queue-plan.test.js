@@ -0,0 +1,68 @@
+/**
+ * Tests for sell queue plans (keep quantity, pricing rules, proceeds after tax, persistence)
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+
+const stored = {};
+vi.mock('../../core/storage.js', () => ({
+    default: {
+        getJSON: vi.fn(async (key, _store, defaultValue) =>
+            key in stored ? structuredClone(stored[key]) : defaultValue
+        ),
+        setJSON: vi.fn(async (key, value) => {
+            stored[key] = structuredClone(value);
+        }),
+    },
+}));
+
+import { SELL_RULE, planEntry, summarizePlan, loadSellQueue, saveSellQueue } from './sell-queue-plan.js';
+
+const price = { ask: 120, bid: 100 };
+
+describe('planEntry', () => {
+    test('sells everything above the kept quantity at the rule price after tax', () => {
+        const entry = { itemHrid: '/items/cheese', keep: 4, rule: SELL_RULE.INSTANT_BID };
+        expect(planEntry(entry, 10, price, null)).toEqual({
+            sellQuantity: 6,
+            unitPrice: 100,
+            gross: 600,
+            tax: 30,
+            proceeds: 570,
+        });
+
+        const listed = planEntry({ ...entry, rule: SELL_RULE.ASK_MINUS_TICK }, 10, price, null);
+        expect(listed.unitPrice).toBe(120);
+
+        const cowbells = planEntry({ itemHrid: '/items/bag_of_10_cowbells', rule: SELL_RULE.INSTANT_BID }, 1, price);
+        expect(cowbells.tax).toBeCloseTo(18);
+    });
+
+    test('custom rule uses the override and is unpriced without one', () => {
+        const entry = { itemHrid: '/items/cheese', keep: 0, rule: SELL_RULE.CUSTOM };
+        expect(planEntry(entry, 2, price, 500).proceeds).toBe(950);
+        expect(planEntry(entry, 2, price, null)).toMatchObject({ sellQuantity: 2, unitPrice: null, proceeds: null });
+    });
+});
+
+describe('summarizePlan', () => {
+    test('totals priced items and counts unpriced ones separately', () => {
+        const total = summarizePlan([
+            { sellQuantity: 6, gross: 600, tax: 30, proceeds: 570 },
+            { sellQuantity: 2, gross: 0, tax: 0, proceeds: null },
+            { sellQuantity: 0, gross: 0, tax: 0, proceeds: 0 },
+        ]);
+        expect(total).toEqual({ items: 2, quantity: 8, gross: 600, tax: 30, proceeds: 570, unpriced: 1 });
+    });
+});
+
+describe('persistence', () => {
+    test('queues are saved per character', async () => {
+        await saveSellQueue('1', [{ itemHrid: '/items/cheese', itemName: 'Cheese', keep: 3, rule: 'custom', x: 1 }]);
+
+        expect(await loadSellQueue('1')).toEqual([
+            { itemHrid: '/items/cheese', itemName: 'Cheese', keep: 3, rule: 'custom' },
+        ]);
+        expect(await loadSellQueue('2')).toEqual([]);
+    });
+});
@@ -1,12 +1,16 @@
 /**
  * Sell Queue
  * Shift+RightClick inventory items to queue them for selling.
- * Creates marketplace tabs for each queued item; tabs auto-close when item count hits 0.
+ * Each queued item carries a plan (quantity to keep, pricing rule) reviewed in the Sell Plan
+ * dialog with expected proceeds after tax. Starting the plan creates marketplace tabs for each
+ * item and opens the sell form its rule calls for; tabs auto-close once only the kept quantity
+ * is left. The queue is saved per character.
  */
 
 import config from '../../core/config.js';
 import dataManager from '../../core/data-manager.js';
 import domObserver from '../../core/dom-observer.js';
+import marketAPI from '../../api/marketplace.js';
 import { marketplaceSession, MARKETPLACE_OWNER } from '../../core/marketplace-session.js';
 import {
     createMaterialTab,
@@ -20,10 +24,25 @@ import {
     isMarketplaceMarketListingsSelected,
 } from '../../utils/marketplace-tabs.js';
 import { createTimerRegistry } from '../../utils/timer-registry.js';
+import { formatKMB } from '../../utils/formatters.js';
+import { parseItemCount } from '../../utils/number-parser.js';
+import { setReactInputValue } from '../../utils/react-input.js';
+import { getCustomPrice } from '../settings/custom-price-overrides.js';
+import {
+    SELL_RULE,
+    SELL_RULE_LABELS,
+    planEntry,
+    summarizePlan,
+    loadSellQueue,
+    saveSellQueue,
+} from './sell-queue-plan.js';
 
 const timerRegistry = createTimerRegistry();
 
-/** @type {Array<{itemHrid: string, itemName: string}>} */
+const PLAN_MODAL_ID = 'mwi-sell-plan-modal';
+const FORM_TIMEOUT_MS = 3000;
+
+/** @type {Array<{itemHrid: string, itemName: string, keep: number, rule: string}>} */
 const queue = [];
 
 /** @type {HTMLElement[]} */
@@ -38,6 +57,11 @@ let contextMenuHandler = null;
 let isActive = false;
 let sellQueueSessionId = null;
 let sellQueueReadyPromise = null;
+let characterId = null;
+let modalObserverUnregister = null;
+let pendingSellForm = null; // { itemHrid, rule, quantity, customPrice, sessionId }
+let planTab = null;
+let planTabObserverUnregister = null;
 
 /**
  * Get total inventory count for an item hrid.
@@ -52,6 +76,131 @@ function getInventoryCount(itemHrid) {
         .reduce((sum, i) => sum + (i.count || 0), 0);
 }
 
+/**
+ * Units of a queued item to sell (inventory minus the kept quantity).
+ * @param {{itemHrid: string, keep: number}} entry
+ * @returns {number}
+ */
+function getSellableCount(entry) {
+    return Math.max(0, getInventoryCount(entry.itemHrid) - (entry.keep || 0));
+}
+
+/**
+ * Save the queue for the current character.
+ */
+function persistQueue() {
+    saveSellQueue(characterId, queue).catch((error) => {
+        console.error('[SellQueue] Failed to save queue:', error);
+    });
+}
+
+/**
+ * Load the current character's saved queue, keeping anything queued while it loaded.
+ */
+async function loadQueue() {
+    characterId = dataManager.getCurrentCharacterId();
+    const saved = await loadSellQueue(characterId);
+    for (const entry of saved) {
+        if (!queue.some((existing) => existing.itemHrid === entry.itemHrid)) queue.push(entry);
+    }
+    updatePlanTab();
+}
+
+/**
+ * Navigate to a queued item and open the sell form its pricing rule calls for.
+ * @param {string} itemHrid
+ * @param {number} sessionId
+ * @returns {boolean} False when the marketplace could not be opened
+ */
+function navigateToEntry(itemHrid, sessionId) {
+    if (!navigateToMarketplace(itemHrid, 0)) return false;
+
+    const entry = queue.find((candidate) => candidate.itemHrid === itemHrid);
+    const quantity = entry ? getSellableCount(entry) : 0;
+    if (!entry || quantity <= 0) return true;
+
+    pendingSellForm = {
+        itemHrid,
+        rule: entry.rule,
+        quantity,
+        customPrice: getCustomPrice(itemHrid, 0, 'sell'),
+        sessionId,
+    };
+    clickSellFormButton(pendingSellForm);
+    return true;
+}
+
+/**
+ * Click the instant "Sell" button or "+ New Sell Listing" once the order book renders.
+ * @param {Object} target - Pending sell form
+ */
+function clickSellFormButton(target) {
+    const start = Date.now();
+    const interval = setInterval(() => {
+        if (pendingSellForm !== target || !marketplaceSession.isActive(target.sessionId)) {
+            clearInterval(interval);
+            return;
+        }
+
+        let button = null;
+        if (target.rule === SELL_RULE.INSTANT_BID) {
+            const text = Array.from(document.querySelectorAll('[class*="MarketplacePanel_actionButtonText"]')).find(
+                (div) => !div.querySelector('svg') && div.textContent.trim() === 'Sell'
+            );
+            button = text?.closest('button') || null;
+        } else {
+            button =
+                Array.from(document.querySelectorAll('[class*="Button_sell"]')).find(
+                    (btn) => btn.textContent.trim() === '+ New Sell Listing'
+                ) || null;
+        }
+
+        if (button) {
+            clearInterval(interval);
+            button.click();
+        } else if (Date.now() - start > FORM_TIMEOUT_MS) {
+            clearInterval(interval);
+            pendingSellForm = null;
+        }
+    }, 50);
+    timerRegistry.registerInterval(interval);
+}
+
+/**
+ * Prefill quantity (and price, per rule) when the pending sell form opens.
+ * @param {HTMLElement} modal - Modal container element
+ */
+function fillSellForm(modal) {
+    const target = pendingSellForm;
+    if (!target || !marketplaceSession.isActive(target.sessionId)) return;
+
+    const headerText = modal.querySelector('div[class*="MarketplacePanel_header"]')?.textContent?.trim() || '';
+    if (headerText !== (target.rule === SELL_RULE.INSTANT_BID ? 'Sell Now' : 'Sell Listing')) return;
+    pendingSellForm = null;
+
+    // Run after auto-fill-price and auto-click-max have processed the modal
+    const fillTimeout = setTimeout(() => {
+        const quantityInput = modal.querySelector('[class*="MarketplacePanel_quantityInputs"] input');
+        if (quantityInput) setReactInputValue(quantityInput, String(target.quantity), { focus: false });
+
+        const priceInput = modal.querySelector('div[class*="MarketplacePanel_priceInputs"] input');
+        if (target.rule === SELL_RULE.CUSTOM && target.customPrice && priceInput) {
+            setReactInputValue(priceInput, String(target.customPrice), { focus: false });
+        } else if (target.rule === SELL_RULE.ASK_MINUS_TICK) {
+            modal.querySelector('span[class*="MarketplacePanel_bestPrice"]')?.click();
+            const tickTimeout = setTimeout(() => {
+                // 2nd button container decrements (same layout auto-fill-price relies on)
+                const containers = modal.querySelectorAll(
+                    'div[class*="MarketplacePanel_priceInputs"] div[class*="MarketplacePanel_buttonContainer"]'
+                );
+                containers[1]?.querySelector('div button')?.click();
+            }, 50);
+            timerRegistry.registerTimeout(tickTimeout);
+        }
+    }, 300);
+    timerRegistry.registerTimeout(fillTimeout);
+}
+
 /**
  * Navigate to the marketplace by clicking its navbar button.
  * @returns {Promise<boolean>}
@@ -91,7 +240,7 @@ function injectTabs(tabsContainer = getVisibleMarketplaceTabContainer(), session
     nativeTabExitCleanup = watchNativeTabExit(tabsContainer, () => marketplaceSession.end(sessionId));
 
     for (const entry of queue) {
-        const count = getInventoryCount(entry.itemHrid);
+        const count = getSellableCount(entry);
         const material = {
             itemHrid: entry.itemHrid,
             itemName: entry.itemName,
@@ -106,7 +255,7 @@ function injectTabs(tabsContainer = getVisibleMarketplaceTabContainer(), session
             referenceTab,
             (_event, mat) => {
                 if (!marketplaceSession.isActive(sessionId)) return;
-                if (!navigateToMarketplace(mat.itemHrid, 0)) marketplaceSession.end(sessionId);
+                if (!navigateToEntry(mat.itemHrid, sessionId)) marketplaceSession.end(sessionId);
             },
             MARKETPLACE_OWNER.SELL_QUEUE
         );
@@ -131,12 +280,12 @@ function buildBadgeHtml(itemName, count) {
         .map((w) => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase())
         .join(' ');
     const color = count > 0 ? '#4ade80' : '#6b7280';
-    const sub = count > 0 ? `In bag: ${count.toLocaleString()}` : 'Sold out';
+    const sub = count > 0 ? `To sell: ${count.toLocaleString()}` : 'Sold out';
     return `<div style="text-align:center;"><div>${titleCase}</div><div style="font-size:0.75em;color:${color};">${sub}</div></div>`;
 }
 
 /**
- * Update tab badges and remove tabs for items that have sold out.
+ * Update tab badges and remove tabs for items sold down to their kept quantity.
  * Auto-navigates to the next queued item when the current one sells out.
  */
 function updateTabsOnInventoryChange() {
@@ -145,7 +294,7 @@ function updateTabsOnInventoryChange() {
             `[data-mwi-custom-tab][data-mwi-tab-owner="${MARKETPLACE_OWNER.SELL_QUEUE}"][data-item-hrid]`
         )
     );
-    const counts = new Map(queue.map((entry) => [entry.itemHrid, getInventoryCount(entry.itemHrid)]));
+    const counts = new Map(queue.map((entry) => [entry.itemHrid, getSellableCount(entry)]));
     const toRemove = queue.filter((entry) => counts.get(entry.itemHrid) === 0).map((entry) => entry.itemHrid);
 
     connectedTabs.forEach((tab) => {
@@ -176,9 +325,14 @@ function updateTabsOnInventoryChange() {
         }
     }
 
+    if (toRemove.length > 0) {
+        persistQueue();
+        updatePlanTab();
+    }
+
     // After removing sold-out tabs, navigate to the first remaining queued item
     if (toRemove.length > 0 && queue.length > 0) {
-        if (!navigateToMarketplace(queue[0].itemHrid, 0) && sellQueueSessionId !== null) {
+        if (!navigateToEntry(queue[0].itemHrid, sellQueueSessionId) && sellQueueSessionId !== null) {
             marketplaceSession.end(sellQueueSessionId);
         }
     } else if (queue.length === 0 && sellQueueSessionId !== null) {
@@ -201,14 +355,19 @@ function setupInventoryListener() {
 
 /**
  * Idempotent teardown of the marketplace session and its associated state.
+ * The queue itself is kept (it is the saved plan); it only shrinks as items sell out.
  * Does NOT touch isActive, contextMenuHandler, or tooltipObserverUnregister.
  */
 function teardownSellQueueMarketplaceSession() {
     sellQueueSessionId = null;
     sellQueueReadyPromise = null;
+    pendingSellForm = null;
     removeMaterialTabsForOwner(MARKETPLACE_OWNER.SELL_QUEUE);
     currentTabs.length = 0;
-    queue.length = 0;
+    if (modalObserverUnregister) {
+        modalObserverUnregister();
+        modalObserverUnregister = null;
+    }
     if (inventoryUpdateHandler) {
         dataManager.off('items_updated', inventoryUpdateHandler);
         inventoryUpdateHandler = null;
@@ -251,30 +410,64 @@ async function prepareSellQueueMarketplace(sessionId) {
         },
     });
     setupInventoryListener();
+    if (!modalObserverUnregister) {
+        modalObserverUnregister = domObserver.onClass('SellQueue-Modal', 'Modal_modalContainer', fillSellForm);
+    }
     return true;
 }
 
 /**
- * Add an item to the queue and inject/update tabs.
+ * Add an item to the queue. While selling, the item joins the live tabs; otherwise the
+ * Sell Plan dialog opens so the plan can be reviewed before starting.
  * @param {string} itemHrid
  * @param {string} itemName
  */
 async function addToQueue(itemHrid, itemName) {
-    if (queue.some((entry) => entry.itemHrid === itemHrid)) return;
     if (getInventoryCount(itemHrid) <= 0) return;
 
-    const isFirstItem = queue.length === 0;
-    queue.push({ itemHrid, itemName });
-
-    if (isFirstItem) {
-        const sessionId = marketplaceSession.start({
-            owner: MARKETPLACE_OWNER.SELL_QUEUE,
-            onEnd: teardownSellQueueMarketplaceSession,
+    const isNew = !queue.some((entry) => entry.itemHrid === itemHrid);
+    if (isNew) {
+        queue.push({
+            itemHrid,
+            itemName,
+            keep: 0,
+            rule: config.getSettingValue('sellQueue_defaultRule', SELL_RULE.ASK_MINUS_TICK),
         });
-        sellQueueSessionId = sessionId;
-        sellQueueReadyPromise = prepareSellQueueMarketplace(sessionId);
+        persistQueue();
+        updatePlanTab();
+    }
+
+    if (sellQueueSessionId !== null && marketplaceSession.isActive(sellQueueSessionId)) {
+        if (isNew) await showInMarketplace(itemHrid, false);
+    } else {
+        openPlanDialog();
     }
+}
 
+/**
+ * Start selling the queued plan: claim the marketplace and open the first item.
+ */
+async function startSelling() {
+    const first = queue.find((entry) => getSellableCount(entry) > 0);
+    if (!first) return;
+
+    closePlanDialog();
+    const sessionId = marketplaceSession.start({
+        owner: MARKETPLACE_OWNER.SELL_QUEUE,
+        onEnd: teardownSellQueueMarketplaceSession,
+    });
+    sellQueueSessionId = sessionId;
+    sellQueueReadyPromise = prepareSellQueueMarketplace(sessionId);
+
+    await showInMarketplace(first.itemHrid, true);
+}
+
+/**
+ * Show a queued item in the marketplace once the session's tabs are ready.
+ * @param {string} itemHrid
+ * @param {boolean} isFirstItem - True for the call that started the session
+ */
+async function showInMarketplace(itemHrid, isFirstItem) {
     const capturedSessionId = sellQueueSessionId;
     const pendingReady = sellQueueReadyPromise;
     if (pendingReady) {
@@ -295,17 +488,299 @@ async function addToQueue(itemHrid, itemName) {
         }
     }
 
-    // The entry may have been cleared by replacement while this caller awaited the
-    // shared navigation. Only the still-active owner may perform the final selection.
+    // The entry may have been removed while this caller awaited the shared navigation.
+    // Only the still-active owner may perform the final selection.
     if (
         !marketplaceSession.isActive(capturedSessionId) ||
         !queue.some((entry) => entry.itemHrid === itemHrid) ||
-        !navigateToMarketplace(itemHrid, 0)
+        !navigateToEntry(itemHrid, capturedSessionId)
     ) {
         if (marketplaceSession.isActive(capturedSessionId)) marketplaceSession.end(capturedSessionId);
     }
 }
 
+/**
+ * Remove an item from the plan.
+ * @param {string} itemHrid
+ */
+function removeFromQueue(itemHrid) {
+    const idx = queue.findIndex((entry) => entry.itemHrid === itemHrid);
+    if (idx === -1) return;
+    queue.splice(idx, 1);
+    persistQueue();
+    updatePlanTab();
+
+    if (sellQueueSessionId !== null && marketplaceSession.isActive(sellQueueSessionId)) {
+        if (queue.length === 0 || !injectTabs(getVisibleMarketplaceTabContainer(), sellQueueSessionId)) {
+            marketplaceSession.end(sellQueueSessionId);
+        }
+    }
+}
+
+/**
+ * Plan rows for every queued item.
+ * @returns {Array<{entry: Object, held: number, plan: Object}>}
+ */
+function buildPlanRows() {
+    return queue.map((entry) => {
+        const held = getInventoryCount(entry.itemHrid);
+        const price = marketAPI.getPrice(entry.itemHrid, 0);
+        const plan = planEntry(entry, held, price, getCustomPrice(entry.itemHrid, 0, 'sell'));
+        return { entry, held, plan };
+    });
+}
+
+function closePlanDialog() {
+    document.getElementById(PLAN_MODAL_ID)?.remove();
+}
+
+/**
+ * Open (or refresh) the Sell Plan dialog.
+ */
+function openPlanDialog() {
+    closePlanDialog();
+
+    const overlay = document.createElement('div');
+    overlay.id = PLAN_MODAL_ID;
+    overlay.style.cssText = `
+        position: fixed;
+        inset: 0;
+        background: rgba(0, 0, 0, 0.8);
+        display: flex;
+        justify-content: center;
+        align-items: center;
+        z-index: 10000;
+    `;
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) closePlanDialog();
+    });
+
+    const content = document.createElement('div');
+    content.style.cssText = `
+        background: #2a2a2a;
+        border-radius: 8px;
+        padding: 20px;
+        width: 860px;
+        max-width: 95%;
+        max-height: 90%;
+        overflow: auto;
+        color: #ddd;
+        font-size: 13px;
+    `;
+
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px;';
+    const title = document.createElement('h2');
+    title.textContent = 'Sell Plan';
+    title.style.cssText = 'margin: 0; color: #fff; font-size: 18px;';
+    const closeBtn = document.createElement('button');
+    closeBtn.textContent = '✕';
+    closeBtn.style.cssText =
+        'background: none; border: none; color: #fff; font-size: 24px; cursor: pointer; padding: 0; width: 30px; height: 30px;';
+    closeBtn.addEventListener('click', closePlanDialog);
+    header.append(title, closeBtn);
+
+    const body = document.createElement('div');
+    content.append(header, body);
+    overlay.appendChild(content);
+    document.body.appendChild(overlay);
+
+    renderPlan(body);
+}
+
+/**
+ * Render the plan table, totals and actions.
+ * @param {HTMLElement} body
+ */
+function renderPlan(body) {
+    body.innerHTML = '';
+
+    if (queue.length === 0) {
+        body.innerHTML =
+            '<div style="color: #888;">The sell queue is empty. Shift+RightClick inventory items to add them.</div>';
+        return;
+    }
+
+    const rows = buildPlanRows();
+    const cellStyle = 'padding: 4px 8px; border-bottom: 1px solid #3a3a3a; text-align: right; white-space: nowrap;';
+    const inputStyle =
+        'background: #1a1a1a; color: #ddd; border: 1px solid #555; border-radius: 4px; padding: 2px 4px;';
+
+    const table = document.createElement('table');
+    table.style.cssText = 'width: 100%; border-collapse: collapse; font-size: 12px; margin-bottom: 12px;';
+    const headRow = document.createElement('tr');
+    headRow.style.color = '#aaa';
+    for (const [index, label] of ['Item', 'Held', 'Keep', 'Sell', 'Rule', 'Price', 'Proceeds', ''].entries()) {
+        const th = document.createElement('th');
+        th.style.cssText = cellStyle + (index === 0 || index === 4 ? ' text-align: left;' : '');
+        th.textContent = label;
+        headRow.appendChild(th);
+    }
+    table.appendChild(headRow);
+
+    for (const { entry, held, plan } of rows) {
+        const tr = document.createElement('tr');
+        const cell = (child, alignLeft = false) => {
+            const td = document.createElement('td');
+            td.style.cssText = cellStyle + (alignLeft ? ' text-align: left;' : '');
+            if (typeof child === 'string') td.textContent = child;
+            else td.appendChild(child);
+            tr.appendChild(td);
+        };
+
+        const keepInput = document.createElement('input');
+        keepInput.type = 'text';
+        keepInput.value = String(entry.keep || 0);
+        keepInput.style.cssText = `${inputStyle} width: 60px; text-align: right;`;
+        keepInput.addEventListener('change', () => {
+            const keep = parseItemCount(keepInput.value, null);
+            if (keep !== null && keep >= 0) {
+                entry.keep = Math.floor(keep);
+                persistQueue();
+            }
+            renderPlan(body);
+        });
+
+        const ruleSelect = document.createElement('select');
+        ruleSelect.style.cssText = inputStyle;
+        for (const [value, label] of Object.entries(SELL_RULE_LABELS)) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            ruleSelect.appendChild(option);
+        }
+        ruleSelect.value = entry.rule;
+        ruleSelect.addEventListener('change', () => {
+            entry.rule = ruleSelect.value;
+            persistQueue();
+            renderPlan(body);
+        });
+
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = '✕';
+        removeBtn.title = 'Remove from queue';
+        removeBtn.style.cssText = 'background: none; border: none; color: #999; cursor: pointer;';
+        removeBtn.addEventListener('click', () => {
+            removeFromQueue(entry.itemHrid);
+            renderPlan(body);
+        });
+
+        const priceText =
+            plan.unitPrice !== null
+                ? formatKMB(plan.unitPrice)
+                : entry.rule === SELL_RULE.CUSTOM
+                  ? 'no override'
+                  : 'no price';
+
+        cell(entry.itemName, true);
+        cell(formatKMB(held));
+        cell(keepInput);
+        cell(formatKMB(plan.sellQuantity));
+        cell(ruleSelect, true);
+        cell(priceText);
+        cell(plan.proceeds !== null ? formatKMB(plan.proceeds) : '-');
+        cell(removeBtn);
+        table.appendChild(tr);
+    }
+    body.appendChild(table);
+
+    const total = summarizePlan(rows.map((row) => row.plan));
+    const summary = document.createElement('div');
+    summary.style.cssText = 'display: flex; flex-wrap: wrap; gap: 20px; margin-bottom: 8px;';
+    summary.innerHTML = `
+        <span>Selling ${formatKMB(total.quantity)} units of ${total.items} items</span>
+        <span>Gross: ${formatKMB(total.gross)}</span>
+        <span>Tax: ${formatKMB(total.tax)}</span>
+        <span style="color: ${config.COLOR_PROFIT};">Expected proceeds: ${formatKMB(total.proceeds)}</span>
+    `;
+    body.appendChild(summary);
+
+    const note = document.createElement('div');
+    note.style.cssText = 'color: #777; font-size: 11px; margin-bottom: 12px;';
+    note.textContent =
+        (total.unpriced > 0 ? `${total.unpriced} items have no price and are left out of the total. ` : '') +
+        'Listings are estimated at the ask and only earn once they fill; custom prices come from Custom Price Overrides.';
+    body.appendChild(note);
+
+    const actions = document.createElement('div');
+    actions.style.cssText = 'display: flex; gap: 8px; justify-content: flex-end;';
+    const buttonStyle = 'border: 1px solid #555; border-radius: 4px; padding: 4px 12px; cursor: pointer;';
+
+    const clearBtn = document.createElement('button');
+    clearBtn.textContent = 'Clear';
+    clearBtn.style.cssText = `${buttonStyle} background: #444; color: #ddd;`;
+    clearBtn.addEventListener('click', () => {
+        if (sellQueueSessionId !== null) marketplaceSession.end(sellQueueSessionId);
+        queue.length = 0;
+        persistQueue();
+        updatePlanTab();
+        renderPlan(body);
+    });
+
+    const startBtn = document.createElement('button');
+    startBtn.textContent = 'Start Selling';
+    startBtn.disabled = total.items === 0;
+    startBtn.style.cssText = `${buttonStyle} background: #2e7d32; color: #fff;${startBtn.disabled ? ' opacity: 0.5;' : ''}`;
+    startBtn.addEventListener('click', () => {
+        startSelling().catch((error) => {
+            console.error('[SellQueue] Failed to start selling:', error);
+            if (sellQueueSessionId !== null) marketplaceSession.end(sellQueueSessionId);
+        });
+    });
+
+    actions.append(clearBtn, startBtn);
+    body.appendChild(actions);
+}
+
+/**
+ * Keep a "Sell Plan" tab in the marketplace tab strip while the queue has items,
+ * so a saved plan can be reopened after a reload.
+ */
+function updatePlanTab() {
+    if (planTab && !document.body.contains(planTab)) planTab = null;
+
+    if (queue.length === 0) {
+        planTab?.remove();
+        planTab = null;
+        return;
+    }
+
+    const tabsContainer = document.querySelector('.MuiTabs-flexContainer[role="tablist"]');
+    if (!tabsContainer) return;
+
+    const tabs = Array.from(tabsContainer.children);
+    if (!tabs.some((btn) => btn.textContent.includes('Market Listings'))) return;
+
+    if (!planTab) {
+        const referenceTab = tabs.find((btn) => btn.textContent.includes('My Listings'));
+        if (!referenceTab) return;
+
+        planTab = referenceTab.cloneNode(true);
+        planTab.setAttribute('data-mwi-sell-plan-tab', 'true');
+        planTab.classList.remove('Mui-selected');
+        planTab.setAttribute('aria-selected', 'false');
+        planTab.setAttribute('tabindex', '-1');
+        planTab.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            openPlanDialog();
+        });
+
+        // Keep custom material tabs last
+        const firstCustomTab = tabs.find((btn) => btn.getAttribute('data-mwi-custom-tab') === 'true');
+        if (firstCustomTab) {
+            firstCustomTab.before(planTab);
+        } else {
+            tabsContainer.appendChild(planTab);
+        }
+    }
+
+    const badgeSpan = planTab.querySelector('[class*="TabsComponent_badge"]');
+    if (badgeSpan) {
+        badgeSpan.innerHTML = `<div style="text-align: center;"><div>Sell Plan (${queue.length})</div></div>`;
+    }
+}
+
 /**
  * Track the hovered item HRID via tooltip observer (same strategy as alt-click-navigation).
  * @param {HTMLElement} tooltipElement
@@ -372,7 +847,19 @@ function initialize() {
     };
 
     document.addEventListener('contextmenu', contextMenuHandler, true);
+
+    // Re-add the Sell Plan tab whenever the marketplace tab bar mounts
+    planTabObserverUnregister = domObserver.onClass(
+        'SellQueue-PlanTab',
+        'MarketplacePanel_tabsComponentContainer',
+        () => updatePlanTab()
+    );
+
     isActive = true;
+
+    loadQueue().catch((error) => {
+        console.error('[SellQueue] Failed to load saved queue:', error);
+    });
 }
 
 function cleanup() {
@@ -389,6 +876,14 @@ function cleanup() {
         tooltipObserverUnregister();
         tooltipObserverUnregister = null;
     }
+    if (planTabObserverUnregister) {
+        planTabObserverUnregister();
+        planTabObserverUnregister = null;
+    }
+    planTab?.remove();
+    planTab = null;
+    closePlanDialog();
+    queue.length = 0;
     timerRegistry.clearAll();
     isActive = false;
 }
@@ -398,8 +893,20 @@ config.onSettingChange('sellQueue', (value) => {
     else cleanup();
 });
 
+dataManager.on('character_switched', () => {
+    if (!isActive) return;
+    if (sellQueueSessionId !== null) marketplaceSession.end(sellQueueSessionId);
+    closePlanDialog();
+    queue.length = 0;
+    loadQueue().catch((error) => {
+        console.error('[SellQueue] Failed to load saved queue:', error);
+    });
+});
+
 export default {
     name: 'Sell Queue',
     initialize,
     cleanup,
+    startSelling,
+    openPlanDialog,
 };
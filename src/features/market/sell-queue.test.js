@@ -13,11 +13,13 @@ const {
 } = vi.hoisted(() => ({
     mockConfig: {
         getSetting: vi.fn(() => true),
+        getSettingValue: vi.fn((_key, fallback) => fallback),
         onSettingChange: vi.fn(),
     },
     mockDataManager: {
         getInventory: vi.fn(),
         getInitClientData: vi.fn(),
+        getCurrentCharacterId: vi.fn(() => '42'),
         on: vi.fn(),
         off: vi.fn(),
     },
@@ -31,6 +33,10 @@ const {
 vi.mock('../../core/config.js', () => ({ default: mockConfig }));
 vi.mock('../../core/data-manager.js', () => ({ default: mockDataManager }));
 vi.mock('../../core/dom-observer.js', () => ({ default: { onClass: mockOnClass } }));
+vi.mock('../../core/storage.js', () => ({
+    default: { getJSON: vi.fn(async (_key, _store, fallback) => fallback), setJSON: vi.fn(async () => {}) },
+}));
+vi.mock('../../api/marketplace.js', () => ({ default: { getPrice: vi.fn(() => ({ ask: 120, bid: 100 })) } }));
 vi.mock('../../utils/marketplace-tabs.js', () => ({
     createMaterialTab: mockCreateMaterialTab,
     removeMaterialTabsForOwner: vi.fn(),
@@ -71,6 +77,7 @@ function shiftRightClick(target) {
 
 describe('Sell Queue marketplace lifecycle', () => {
     let tooltipHandler;
+    let tabBarHandler;
     let marketTabs;
     let marketplaceVisible;
     let inventoryTarget;
@@ -107,8 +114,9 @@ describe('Sell Queue marketplace lifecycle', () => {
             },
         });
         mockGetVisibleMarketplaceTabContainer.mockImplementation(() => (marketplaceVisible ? marketTabs : null));
-        mockOnClass.mockImplementation((_id, _className, callback) => {
-            tooltipHandler = callback;
+        mockOnClass.mockImplementation((_id, className, callback) => {
+            if (className === 'MuiTooltip-popper') tooltipHandler = callback;
+            if (className === 'MarketplacePanel_tabsComponentContainer') tabBarHandler = callback;
             return vi.fn();
         });
         mockCreateMaterialTab.mockImplementation((material, _reference, _callback, owner) => {
@@ -144,6 +152,10 @@ describe('Sell Queue marketplace lifecycle', () => {
         emitTooltip(tooltipHandler, '/items/cheese');
         shiftRightClick(inventoryTarget);
         await Promise.resolve();
+        expect(previousEnd).not.toHaveBeenCalled();
+
+        sellQueue.startSelling();
+        await Promise.resolve();
         await Promise.resolve();
 
         expect(previousEnd).toHaveBeenCalledWith('replaced');
@@ -157,6 +169,7 @@ describe('Sell Queue marketplace lifecycle', () => {
 
         emitTooltip(tooltipHandler, '/items/cheese');
         shiftRightClick(inventoryTarget);
+        sellQueue.startSelling();
         emitTooltip(tooltipHandler, '/items/log');
         shiftRightClick(inventoryTarget);
         await Promise.resolve();
@@ -171,6 +184,7 @@ describe('Sell Queue marketplace lifecycle', () => {
     test('rapid additions share one pending Marketplace navigation without clearing the queue', async () => {
         emitTooltip(tooltipHandler, '/items/cheese');
         shiftRightClick(inventoryTarget);
+        sellQueue.startSelling();
         emitTooltip(tooltipHandler, '/items/log');
         shiftRightClick(inventoryTarget);
 
@@ -186,4 +200,22 @@ describe('Sell Queue marketplace lifecycle', () => {
         expect(mockNavigateToMarketplace).toHaveBeenCalledWith('/items/cheese', 0);
         expect(mockNavigateToMarketplace).toHaveBeenCalledWith('/items/log', 0);
     });
+
+    test('adds the Sell Plan tab when the marketplace tab bar mounts', async () => {
+        emitTooltip(tooltipHandler, '/items/cheese');
+        shiftRightClick(inventoryTarget);
+        await vi.advanceTimersByTimeAsync(0);
+        expect(document.querySelector('[data-mwi-sell-plan-tab]')).toBeNull();
+
+        const tabBar = document.createElement('div');
+        tabBar.className = 'MarketplacePanel_tabsComponentContainer__test';
+        const tabList = makeMarketplaceTabs();
+        tabList.className = 'MuiTabs-flexContainer';
+        tabList.setAttribute('role', 'tablist');
+        tabBar.appendChild(tabList);
+        document.body.appendChild(tabBar);
+
+        tabBarHandler(tabBar);
+        expect(tabList.querySelector('[data-mwi-sell-plan-tab]')).not.toBeNull();
+    });
 });
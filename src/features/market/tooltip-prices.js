@@ -26,6 +26,13 @@ import {
     isAbbreviationEnabled,
 } from '../../utils/formatters.js';
 import { getItemPrices } from '../../utils/market-data.js';
+import {
+    describeModeledPrice,
+    getModeledPrice,
+    isValuationModelEnabled,
+    shouldMarkModeledPrices,
+} from '../../utils/enhancement-valuation.js';
+import priceHistory, { RANGE_MS, computeSeriesStats } from './price-history.js';
 import { resolveItemPrice, calculatePriceAfterTax } from '../../utils/profit-helpers.js';
 import { MARKET_TAX, COWBELL_BAG_HRID, COWBELL_BAG_TAX } from '../../utils/profit-constants.js';
 import dom from '../../utils/dom.js';
@@ -235,6 +242,7 @@ class TooltipPrices {
             if (tooltipText) {
                 const staleSelectors = [
                     '.market-price-injected',
+                    '.market-trend-injected',
                     '.market-profit-injected',
                     '.market-ev-injected',
                     '.market-gathering-injected',
@@ -308,6 +316,13 @@ class TooltipPrices {
             const amount = this.extractItemAmount(tooltipElement);
             const artisanAmount = this._getArtisanAdjustedAmount(tooltipElement, amount);
             this.injectPriceDisplay(tooltipElement, price, amount, isCollectionTooltip, artisanAmount, itemHrid);
+
+            if (config.getSetting('itemTooltip_priceTrend') && config.getSetting('market_priceHistory')) {
+                await this.injectPriceTrend(tooltipElement, itemHrid, enhancementLevel, isCollectionTooltip);
+            }
+        } else if (config.getSetting('itemTooltip_prices') && enhancementLevel >= 1 && isValuationModelEnabled()) {
+            // No listings at this level: estimate from the item's other levels
+            this.injectModeledPriceDisplay(tooltipElement, itemHrid, enhancementLevel, isCollectionTooltip);
         }
 
         // Always show detailed craft profit if enabled
@@ -622,6 +637,92 @@ class TooltipPrices {
         tooltipText.appendChild(priceDiv);
     }
 
+    /**
+     * Inject a modeled price for an enhancement level without market data
+     * @param {Element} tooltipElement - Tooltip element
+     * @param {string} itemHrid - Item HRID
+     * @param {number} enhancementLevel - Enhancement level
+     * @param {boolean} isCollectionTooltip - True if this is a collection tooltip
+     */
+    injectModeledPriceDisplay(tooltipElement, itemHrid, enhancementLevel, isCollectionTooltip = false) {
+        const ask = getModeledPrice(itemHrid, enhancementLevel, 'ask');
+        const bid = getModeledPrice(itemHrid, enhancementLevel, 'bid');
+        if (!ask && !bid) return;
+
+        if (!shouldMarkModeledPrices()) {
+            const price = { ask: ask?.value ?? 0, bid: bid?.value ?? 0 };
+            this.injectPriceDisplay(tooltipElement, price, 1, isCollectionTooltip, null, itemHrid);
+            return;
+        }
+
+        const tooltipText = isCollectionTooltip
+            ? tooltipElement.querySelector('.Collection_tooltipContent__2IcSJ')
+            : tooltipElement.querySelector('.ItemTooltipText_itemTooltipText__zFq3A');
+        if (!tooltipText || tooltipText.querySelector('.market-price-injected')) return;
+
+        const askDisplay = ask ? `~${formatTooltipPrice(ask.value)}` : '-';
+        const bidDisplay = bid ? `~${formatTooltipPrice(bid.value)}` : '-';
+
+        const priceDiv = dom.createStyledDiv({ color: config.COLOR_TOOLTIP_INFO }, '', 'market-price-injected');
+        priceDiv.innerHTML = `Price: ${askDisplay} / ${bidDisplay}<br><span style="color: ${config.COLOR_TEXT_SECONDARY}; font-style: italic;">${describeModeledPrice(ask || bid)}</span>`;
+        tooltipText.appendChild(priceDiv);
+    }
+
+    /**
+     * Inject a 7-day trend line (sparkline, change, volatility, spread) from recorded price history
+     * @param {Element} tooltipElement - Tooltip element
+     * @param {string} itemHrid - Item HRID
+     * @param {number} enhancementLevel - Enhancement level
+     * @param {boolean} isCollectionTooltip - True if this is a collection tooltip
+     */
+    async injectPriceTrend(tooltipElement, itemHrid, enhancementLevel, isCollectionTooltip = false) {
+        const points = await priceHistory.getHistory(itemHrid, enhancementLevel);
+        const rangeMs = RANGE_MS['7d'];
+        const stats = computeSeriesStats(points, rangeMs);
+        if (!stats || stats.points < 2) return;
+
+        const tooltipText = isCollectionTooltip
+            ? tooltipElement.querySelector('.Collection_tooltipContent__2IcSJ')
+            : tooltipElement.querySelector('.ItemTooltipText_itemTooltipText__zFq3A');
+        if (!tooltipText || tooltipText.querySelector('.market-trend-injected')) return;
+
+        const now = Date.now();
+        const asks = points.filter((p) => now - p[0] <= rangeMs && p[1] !== null);
+        let sparkline = '';
+        if (asks.length >= 2) {
+            const width = 60;
+            const height = 14;
+            const min = Math.min(...asks.map((p) => p[1]));
+            const max = Math.max(...asks.map((p) => p[1]));
+            const coords = asks.map((p) => {
+                const x = ((p[0] - (now - rangeMs)) / rangeMs) * width;
+                const y = max === min ? height / 2 : height - ((p[1] - min) / (max - min)) * height;
+                return `${x.toFixed(1)},${y.toFixed(1)}`;
+            });
+            const lineColor = (stats.askChangePct ?? 0) >= 0 ? config.COLOR_PROFIT : config.COLOR_LOSS;
+            sparkline = `<svg width="${width}" height="${height}" style="vertical-align: middle; margin-right: 4px;"><polyline points="${coords.join(' ')}" fill="none" stroke="${lineColor}" stroke-width="1.5"/></svg>`;
+        }
+
+        const parts = [];
+        if (stats.askChangePct !== null) {
+            const sign = stats.askChangePct > 0 ? '+' : '';
+            const color = stats.askChangePct >= 0 ? config.COLOR_PROFIT : config.COLOR_LOSS;
+            parts.push(`<span style="color: ${color};">${sign}${stats.askChangePct.toFixed(1)}%</span>`);
+        }
+        if (stats.volatilityPct !== null) parts.push(`vol ${stats.volatilityPct.toFixed(1)}%`);
+        if (stats.spreadPct !== null) parts.push(`spread ${stats.spreadPct.toFixed(1)}%`);
+
+        const trendDiv = dom.createStyledDiv({ color: config.COLOR_TOOLTIP_INFO }, '', 'market-trend-injected');
+        trendDiv.innerHTML = `7d: ${sparkline}${parts.join(' · ')}`;
+
+        const priceDiv = tooltipText.querySelector('.market-price-injected');
+        if (priceDiv) {
+            priceDiv.after(trendDiv);
+        } else {
+            tooltipText.appendChild(trendDiv);
+        }
+    }
+
     /**
      * Inject profit display into tooltip
      * @param {Element} tooltipElement - Tooltip element
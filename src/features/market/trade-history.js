@@ -6,6 +6,7 @@
 import dataManager from '../../core/data-manager.js';
 import storage from '../../core/storage.js';
 import config from '../../core/config.js';
+import { setTradeHistoryLookup } from '../../utils/market-data.js';
 
 /**
  * TradeHistory class manages personal buy/sell price tracking
@@ -195,6 +196,9 @@ class TradeHistory {
 const tradeHistory = new TradeHistory();
 tradeHistory.setupSettingListener();
 
+// Last trade prices for custom pricing formulas (lastBuy / lastSell)
+setTradeHistoryLookup((itemHrid, enhancementLevel) => tradeHistory.getHistory(itemHrid, enhancementLevel));
+
 // Setup character switch handler
 dataManager.on('character_switched', () => {
     if (config.getSetting('market_tradeHistory')) {
@@ -0,0 +1,339 @@
+/**
+ * Trade Ledger UI
+ * Adds a "Trade Ledger" tab to the marketplace that opens a report of realized
+ * profit (per day and per item) and unrealized profit on items still held.
+ */
+
+import config from '../../core/config.js';
+import dataManager from '../../core/data-manager.js';
+import { formatKMB } from '../../utils/formatters.js';
+import { createMutationWatcher } from '../../utils/dom-observer-helpers.js';
+import tradeLedger, { COST_METHOD } from './trade-ledger.js';
+
+const MODAL_CLASS = 'mwi-trade-ledger-modal';
+
+const TABLE_STYLE = 'width: 100%; border-collapse: collapse; font-size: 12px; margin-bottom: 16px;';
+const CELL_STYLE = 'padding: 4px 8px; border-bottom: 1px solid #3a3a3a; text-align: right; white-space: nowrap;';
+
+class TradeLedgerUI {
+    constructor() {
+        this.isInitialized = false;
+        this.modal = null;
+        this.body = null;
+        this.marketplaceTab = null;
+        this.unwatchTabs = null;
+        this.method = null; // Overrides the setting while the modal is open
+        this.changeHandler = null;
+    }
+
+    initialize() {
+        if (this.isInitialized) return;
+        if (!config.getSetting('market_tradeLedger')) return;
+
+        this.isInitialized = true;
+
+        this.changeHandler = () => {
+            if (this.modal) this.renderReport();
+        };
+        tradeLedger.onChange(this.changeHandler);
+
+        this.addMarketplaceTab();
+    }
+
+    /**
+     * Add "Trade Ledger" tab to marketplace tabs
+     */
+    addMarketplaceTab() {
+        const ensureTabExists = () => {
+            const tabsContainer = document.querySelector('.MuiTabs-flexContainer[role="tablist"]');
+            if (!tabsContainer) return;
+
+            const tabs = Array.from(tabsContainer.children);
+            if (!tabs.some((btn) => btn.textContent.includes('Market Listings'))) return;
+            if (tabsContainer.querySelector('[data-mwi-trade-ledger-tab="true"]')) return;
+
+            const referenceTab = tabs.find((btn) => btn.textContent.includes('My Listings'));
+            if (!referenceTab) return;
+
+            const tab = referenceTab.cloneNode(true);
+            tab.setAttribute('data-mwi-trade-ledger-tab', 'true');
+
+            const badgeSpan = tab.querySelector('.TabsComponent_badge__1Du26');
+            if (badgeSpan) {
+                badgeSpan.innerHTML = `
+                    <div style="text-align: center;">
+                        <div>Trade Ledger</div>
+                    </div>
+                `;
+            }
+
+            tab.classList.remove('Mui-selected');
+            tab.setAttribute('aria-selected', 'false');
+            tab.setAttribute('tabindex', '-1');
+
+            tab.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.openModal();
+            });
+
+            // Keep custom missing-materials tabs last
+            const firstCustomTab = tabs.find((btn) => btn.getAttribute('data-mwi-custom-tab') === 'true');
+            if (firstCustomTab) {
+                firstCustomTab.before(tab);
+            } else {
+                tabsContainer.appendChild(tab);
+            }
+
+            this.marketplaceTab = tab;
+        };
+
+        if (!this.unwatchTabs) {
+            this.unwatchTabs = createMutationWatcher(
+                document.body,
+                () => {
+                    if (this.marketplaceTab && !document.body.contains(this.marketplaceTab)) {
+                        this.marketplaceTab = null;
+                    }
+                    ensureTabExists();
+                },
+                { childList: true, subtree: true }
+            );
+        }
+
+        ensureTabExists();
+    }
+
+    openModal() {
+        this.closeModal();
+
+        this.modal = document.createElement('div');
+        this.modal.className = MODAL_CLASS;
+        this.modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0, 0, 0, 0.8);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            z-index: 10000;
+        `;
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.closeModal();
+        });
+
+        const content = document.createElement('div');
+        content.style.cssText = `
+            background: #2a2a2a;
+            border-radius: 8px;
+            padding: 20px;
+            width: 900px;
+            max-width: 95%;
+            max-height: 90%;
+            overflow: auto;
+            color: #ddd;
+            box-shadow: 0 4px 20px rgba(0, 0, 0, 0.5);
+        `;
+
+        const header = document.createElement('div');
+        header.style.cssText =
+            'display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px;';
+
+        const title = document.createElement('h2');
+        title.textContent = 'Trade Ledger';
+        title.style.cssText = 'margin: 0; color: #fff;';
+
+        const controls = document.createElement('div');
+        controls.style.cssText = 'display: flex; gap: 8px; align-items: center;';
+
+        const methodSelect = document.createElement('select');
+        methodSelect.style.cssText = 'background: #1a1a1a; color: #ddd; border: 1px solid #555; padding: 3px;';
+        for (const [value, label] of [
+            [COST_METHOD.FIFO, 'FIFO'],
+            [COST_METHOD.AVERAGE, 'Average cost'],
+        ]) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            methodSelect.appendChild(option);
+        }
+        methodSelect.value = this.method || tradeLedger.getCostMethod();
+        methodSelect.addEventListener('change', () => {
+            this.method = methodSelect.value;
+            this.renderReport();
+        });
+
+        const clearBtn = document.createElement('button');
+        clearBtn.textContent = 'Clear';
+        clearBtn.style.cssText =
+            'background: #444; color: #ddd; border: 1px solid #555; border-radius: 4px; padding: 3px 10px; cursor: pointer;';
+        clearBtn.addEventListener('click', async () => {
+            if (!confirm('Clear all recorded trades for this character?')) return;
+            await tradeLedger.clear();
+        });
+
+        const closeBtn = document.createElement('button');
+        closeBtn.textContent = '✕';
+        closeBtn.style.cssText =
+            'background: none; border: none; color: #fff; font-size: 24px; cursor: pointer; padding: 0; width: 30px; height: 30px;';
+        closeBtn.addEventListener('click', () => this.closeModal());
+
+        controls.append(methodSelect, clearBtn, closeBtn);
+        header.append(title, controls);
+
+        this.body = document.createElement('div');
+        content.append(header, this.body);
+        this.modal.appendChild(content);
+        document.body.appendChild(this.modal);
+
+        this.renderReport();
+    }
+
+    /**
+     * Color a profit value
+     * @param {number|null} value
+     * @returns {string} HTML
+     */
+    _profit(value) {
+        if (value === null || value === undefined) return '<span style="color: #777;">-</span>';
+        const color = value >= 0 ? config.COLOR_PROFIT : config.COLOR_LOSS;
+        return `<span style="color: ${color};">${value >= 0 ? '+' : ''}${formatKMB(value)}</span>`;
+    }
+
+    _itemLabel(itemHrid, enhancementLevel) {
+        const name = dataManager.getItemDetails(itemHrid)?.name || itemHrid;
+        return enhancementLevel > 0 ? `${name} +${enhancementLevel}` : name;
+    }
+
+    /**
+     * Build a table
+     * @param {string[]} headers - Column headers (first column left-aligned)
+     * @param {Array<string[]>} rows - Cell HTML
+     * @returns {HTMLTableElement}
+     */
+    _table(headers, rows) {
+        const table = document.createElement('table');
+        table.style.cssText = TABLE_STYLE;
+        const cell = (html, index, tag) =>
+            `<${tag} style="${CELL_STYLE}${index === 0 ? ' text-align: left;' : ''}">${html}</${tag}>`;
+        table.innerHTML =
+            `<tr style="color: #aaa;">${headers.map((h, i) => cell(h, i, 'th')).join('')}</tr>` +
+            rows.map((row) => `<tr>${row.map((html, i) => cell(html, i, 'td')).join('')}</tr>`).join('');
+        return table;
+    }
+
+    _section(text) {
+        const heading = document.createElement('h3');
+        heading.textContent = text;
+        heading.style.cssText = 'margin: 12px 0 6px; color: #fff; font-size: 14px;';
+        return heading;
+    }
+
+    renderReport() {
+        if (!this.body) return;
+
+        const report = tradeLedger.getReport(this.method || tradeLedger.getCostMethod());
+        const { total, byDay, byItem } = report.summary;
+        this.body.innerHTML = '';
+
+        const totals = document.createElement('div');
+        totals.style.cssText = 'display: flex; flex-wrap: wrap; gap: 20px; font-size: 13px; margin-bottom: 8px;';
+        totals.innerHTML = `
+            <span>Realized: ${this._profit(total.realized)}</span>
+            <span>Unrealized: ${this._profit(report.unrealized.length > 0 ? report.unrealizedTotal : null)}</span>
+            <span>Tax paid: ${formatKMB(total.tax)}</span>
+            <span style="color: #888;">${report.fillCount} fills recorded</span>
+        `;
+        this.body.appendChild(totals);
+
+        if (total.unmatchedQuantity > 0) {
+            const note = document.createElement('div');
+            note.style.cssText = 'color: #888; font-size: 11px; margin-bottom: 8px;';
+            note.textContent = `${formatKMB(total.unmatchedQuantity)} sold items had no recorded purchase (crafted, looted, or bought before tracking started) and are excluded from realized profit.`;
+            this.body.appendChild(note);
+        }
+
+        if (report.fillCount === 0) {
+            const empty = document.createElement('div');
+            empty.style.cssText = 'color: #888; padding: 12px 0;';
+            empty.textContent = 'No filled orders recorded yet. Fills are tracked from now on as your listings fill.';
+            this.body.appendChild(empty);
+            return;
+        }
+
+        this.body.appendChild(this._section('By day'));
+        this.body.appendChild(
+            this._table(
+                ['Day', 'Sold', 'Proceeds', 'Cost basis', 'Tax', 'Realized'],
+                byDay.map((row) => [
+                    row.day,
+                    formatKMB(row.quantity),
+                    formatKMB(row.proceeds),
+                    formatKMB(row.costBasis),
+                    formatKMB(row.tax),
+                    this._profit(row.realized),
+                ])
+            )
+        );
+
+        this.body.appendChild(this._section('By item'));
+        this.body.appendChild(
+            this._table(
+                ['Item', 'Sold', 'Proceeds', 'Cost basis', 'Tax', 'Realized'],
+                byItem.map((row) => [
+                    this._itemLabel(row.itemHrid, row.enhancementLevel),
+                    formatKMB(row.quantity),
+                    formatKMB(row.proceeds),
+                    formatKMB(row.costBasis),
+                    formatKMB(row.tax),
+                    this._profit(row.realized),
+                ])
+            )
+        );
+
+        if (report.unrealized.length > 0) {
+            this.body.appendChild(this._section('Open positions (valued at bid after tax)'));
+            this.body.appendChild(
+                this._table(
+                    ['Item', 'Held', 'Cost basis', 'Bid', 'Value', 'Unrealized'],
+                    report.unrealized.map((row) => [
+                        this._itemLabel(row.itemHrid, row.enhancementLevel),
+                        formatKMB(row.quantity),
+                        formatKMB(row.costBasis),
+                        row.bid !== null ? formatKMB(row.bid) : '-',
+                        row.value !== null ? formatKMB(row.value) : '-',
+                        this._profit(row.unrealized),
+                    ])
+                )
+            );
+        }
+    }
+
+    closeModal() {
+        this.modal?.remove();
+        this.modal = null;
+        this.body = null;
+    }
+
+    disable() {
+        if (this.changeHandler) {
+            tradeLedger.offChange(this.changeHandler);
+            this.changeHandler = null;
+        }
+        if (this.unwatchTabs) {
+            this.unwatchTabs();
+            this.unwatchTabs = null;
+        }
+        this.marketplaceTab?.remove();
+        this.marketplaceTab = null;
+        this.closeModal();
+        this.isInitialized = false;
+    }
+}
+
+const tradeLedgerUI = new TradeLedgerUI();
+
+export default tradeLedgerUI;
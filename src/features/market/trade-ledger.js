@@ -0,0 +1,420 @@
+/**
+ * Trade Ledger
+ * Records every filled quantity of your market listings and matches sells against
+ * earlier buys (FIFO or average cost) to report realized profit after market tax,
+ * plus unrealized profit on items still held at live marketAPI prices.
+ *
+ * Fills are stored raw per character; the ledger is rebuilt from them on demand so
+ * the cost method can be switched without losing history.
+ *
+ * Fill: { listingId, itemHrid, enhancementLevel, isSell, quantity, price, timestamp }
+ */
+
+import config from '../../core/config.js';
+import dataManager from '../../core/data-manager.js';
+import storage from '../../core/storage.js';
+import marketAPI from '../../api/marketplace.js';
+import { getTaxRate } from '../../utils/profit-constants.js';
+
+const ACTIVE_STATUS = '/market_listing_status/active';
+const INVENTORY_LOCATION = '/item_locations/inventory';
+
+export const COST_METHOD = Object.freeze({
+    FIFO: 'fifo',
+    AVERAGE: 'average',
+});
+
+/**
+ * Local calendar day key (YYYY-MM-DD) for a timestamp
+ * @param {number} timestamp
+ * @returns {string}
+ */
+function getDayKey(timestamp) {
+    const d = new Date(timestamp);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Rebuild positions and realized sales from raw fills.
+ * Sells beyond the tracked position (items crafted or looted rather than bought) are
+ * reported as unmatched proceeds and do not count towards realized profit.
+ * @param {Array<Object>} fills - Fills in any order
+ * @param {string} [method] - COST_METHOD.FIFO or COST_METHOD.AVERAGE
+ * @returns {{positions: Map<string, Object>, sales: Array<Object>}}
+ *   positions: key → { itemHrid, enhancementLevel, quantity, cost, lots }
+ *   sales: { itemHrid, enhancementLevel, quantity, matchedQuantity, proceeds, costBasis, realized, tax, timestamp }
+ */
+export function buildLedger(fills, method = COST_METHOD.FIFO) {
+    const positions = new Map();
+    const sales = [];
+
+    const sorted = [...fills].sort((a, b) => a.timestamp - b.timestamp);
+
+    for (const fill of sorted) {
+        const key = `${fill.itemHrid}:${fill.enhancementLevel}`;
+        let position = positions.get(key);
+        if (!position) {
+            position = {
+                itemHrid: fill.itemHrid,
+                enhancementLevel: fill.enhancementLevel,
+                quantity: 0,
+                cost: 0,
+                lots: [],
+            };
+            positions.set(key, position);
+        }
+
+        if (!fill.isSell) {
+            position.quantity += fill.quantity;
+            position.cost += fill.quantity * fill.price;
+            position.lots.push({ quantity: fill.quantity, price: fill.price, timestamp: fill.timestamp });
+            continue;
+        }
+
+        const taxRate = getTaxRate(fill.itemHrid);
+        const matchedQuantity = Math.min(fill.quantity, position.quantity);
+        let costBasis = 0;
+
+        if (method === COST_METHOD.AVERAGE) {
+            const averageCost = position.quantity > 0 ? position.cost / position.quantity : 0;
+            costBasis = averageCost * matchedQuantity;
+            // Keep lots in step so switching methods later still has quantities
+            let remaining = matchedQuantity;
+            while (remaining > 0 && position.lots.length > 0) {
+                const lot = position.lots[0];
+                const used = Math.min(lot.quantity, remaining);
+                lot.quantity -= used;
+                remaining -= used;
+                if (lot.quantity === 0) position.lots.shift();
+            }
+        } else {
+            let remaining = matchedQuantity;
+            while (remaining > 0 && position.lots.length > 0) {
+                const lot = position.lots[0];
+                const used = Math.min(lot.quantity, remaining);
+                costBasis += used * lot.price;
+                lot.quantity -= used;
+                remaining -= used;
+                if (lot.quantity === 0) position.lots.shift();
+            }
+        }
+
+        position.quantity -= matchedQuantity;
+        position.cost = Math.max(0, position.cost - costBasis);
+        if (position.quantity === 0) position.cost = 0;
+
+        const gross = fill.quantity * fill.price;
+        const tax = Math.floor(gross * taxRate);
+        const matchedProceeds = matchedQuantity > 0 ? (gross - tax) * (matchedQuantity / fill.quantity) : 0;
+
+        sales.push({
+            itemHrid: fill.itemHrid,
+            enhancementLevel: fill.enhancementLevel,
+            quantity: fill.quantity,
+            matchedQuantity,
+            proceeds: gross - tax,
+            costBasis,
+            realized: matchedProceeds - costBasis,
+            tax,
+            timestamp: fill.timestamp,
+        });
+    }
+
+    return { positions, sales };
+}
+
+/**
+ * Realized totals grouped by local day and by item
+ * @param {Array<Object>} sales - Sales from buildLedger
+ * @returns {{byDay: Array<Object>, byItem: Array<Object>, total: Object}}
+ */
+export function summarizeSales(sales) {
+    const emptyTotals = () => ({ quantity: 0, proceeds: 0, costBasis: 0, realized: 0, tax: 0, unmatchedQuantity: 0 });
+    const add = (target, sale) => {
+        target.quantity += sale.quantity;
+        target.proceeds += sale.proceeds;
+        target.costBasis += sale.costBasis;
+        target.realized += sale.realized;
+        target.tax += sale.tax;
+        target.unmatchedQuantity += sale.quantity - sale.matchedQuantity;
+    };
+
+    const byDay = new Map();
+    const byItem = new Map();
+    const total = emptyTotals();
+
+    for (const sale of sales) {
+        const day = getDayKey(sale.timestamp);
+        if (!byDay.has(day)) byDay.set(day, { day, ...emptyTotals() });
+        add(byDay.get(day), sale);
+
+        const key = `${sale.itemHrid}:${sale.enhancementLevel}`;
+        if (!byItem.has(key)) {
+            byItem.set(key, { itemHrid: sale.itemHrid, enhancementLevel: sale.enhancementLevel, ...emptyTotals() });
+        }
+        add(byItem.get(key), sale);
+
+        add(total, sale);
+    }
+
+    return {
+        byDay: [...byDay.values()].sort((a, b) => b.day.localeCompare(a.day)),
+        byItem: [...byItem.values()].sort((a, b) => b.realized - a.realized),
+        total,
+    };
+}
+
+/**
+ * Unrealized profit on open positions, capped at what is still in inventory
+ * (bought items may since have been used). Valued at the bid after tax, i.e.
+ * what selling right now would return.
+ * @param {Map<string, Object>} positions - Positions from buildLedger
+ * @param {Map<string, number>} heldCounts - itemHrid:enhancementLevel → count held
+ * @param {Function} getPrice - (itemHrid, enhancementLevel) → { ask, bid } | null
+ * @returns {Array<Object>} { itemHrid, enhancementLevel, quantity, costBasis, value, unrealized, bid }
+ */
+export function computeUnrealized(positions, heldCounts, getPrice) {
+    const rows = [];
+
+    for (const [key, position] of positions) {
+        if (position.quantity <= 0) continue;
+
+        const held = Math.min(position.quantity, heldCounts.get(key) ?? 0);
+        if (held <= 0) continue;
+
+        const costBasis = (position.cost / position.quantity) * held;
+        const bid = getPrice(position.itemHrid, position.enhancementLevel)?.bid ?? null;
+        const value = bid !== null ? bid * held * (1 - getTaxRate(position.itemHrid)) : null;
+
+        rows.push({
+            itemHrid: position.itemHrid,
+            enhancementLevel: position.enhancementLevel,
+            quantity: held,
+            costBasis,
+            value,
+            unrealized: value !== null ? value - costBasis : null,
+            bid,
+        });
+    }
+
+    return rows.sort((a, b) => (b.unrealized ?? 0) - (a.unrealized ?? 0));
+}
+
+class TradeLedger {
+    constructor() {
+        this.isInitialized = false;
+        this.characterId = null;
+        this.fills = [];
+        this.listingFilled = {}; // listingId → filled quantity already recorded
+        this.marketUpdateHandler = null;
+        this.listeners = [];
+    }
+
+    /**
+     * Get character-specific storage key
+     * @returns {string}
+     */
+    getStorageKey() {
+        return this.characterId ? `tradeLedger_${this.characterId}` : 'tradeLedger';
+    }
+
+    /**
+     * Initialize fill tracking
+     */
+    async initialize() {
+        if (this.isInitialized) return;
+        if (!config.getSetting('market_tradeLedger')) return;
+
+        this.isInitialized = true;
+        this.characterId = dataManager.getCurrentCharacterId();
+
+        const saved = await storage.getJSON(this.getStorageKey(), 'settings', null);
+        this.fills = saved?.fills || [];
+        this.listingFilled = saved?.listingFilled || {};
+
+        // Listings that filled while offline show up with a higher filledQuantity here
+        const listings = dataManager.getMarketListings() || [];
+        this.processListings(listings, !saved);
+
+        // This is the full listing set, so anything not in it has been collected
+        const present = new Set(listings.map((listing) => String(listing?.id)));
+        for (const listingId of Object.keys(this.listingFilled)) {
+            if (!present.has(listingId)) delete this.listingFilled[listingId];
+        }
+
+        this.marketUpdateHandler = (data) => {
+            if (Array.isArray(data?.endMarketListings)) {
+                this.processListings(data.endMarketListings);
+            }
+        };
+        dataManager.on('market_listings_updated', this.marketUpdateHandler);
+    }
+
+    /**
+     * Record newly filled quantities from listing snapshots
+     * @param {Array<Object>} listings - Market listings
+     * @param {boolean} [baselineOnly] - Only remember current fill levels (first run)
+     * @returns {number} Number of fills recorded
+     */
+    processListings(listings, baselineOnly = false) {
+        let recorded = 0;
+        let changed = false;
+        const now = Date.now();
+
+        for (const listing of listings || []) {
+            if (!listing?.id || typeof listing.filledQuantity !== 'number') continue;
+
+            const listingId = String(listing.id);
+            const previous = this.listingFilled[listingId] ?? 0;
+            const delta = listing.filledQuantity - previous;
+
+            if (delta > 0 && !baselineOnly) {
+                this.fills.push({
+                    listingId,
+                    itemHrid: listing.itemHrid,
+                    enhancementLevel: listing.enhancementLevel || 0,
+                    isSell: !!listing.isSell,
+                    quantity: delta,
+                    price: listing.price,
+                    timestamp: now,
+                });
+                recorded++;
+            }
+
+            // Closed listings stay in the listing set until collected, so keep their fill level
+            // until there is nothing left to claim; otherwise the fill is recorded again on reload
+            const isClosed = listing.status && listing.status !== ACTIVE_STATUS;
+            if (isClosed && !listing.unclaimedItemCount && !listing.unclaimedCoinCount) {
+                changed ||= listingId in this.listingFilled;
+                delete this.listingFilled[listingId];
+            } else if (this.listingFilled[listingId] !== listing.filledQuantity) {
+                this.listingFilled[listingId] = listing.filledQuantity;
+                changed = true;
+            }
+        }
+
+        if (recorded > 0 || changed || baselineOnly) {
+            this.save();
+        }
+        if (recorded > 0) {
+            this.notifyListeners();
+        }
+        return recorded;
+    }
+
+    async save() {
+        try {
+            await storage.setJSON(
+                this.getStorageKey(),
+                { fills: this.fills, listingFilled: this.listingFilled },
+                'settings',
+                true
+            );
+        } catch (error) {
+            console.error('[TradeLedger] Failed to save ledger:', error);
+        }
+    }
+
+    /**
+     * Current cost method from settings
+     * @returns {string}
+     */
+    getCostMethod() {
+        return config.getSettingValue('market_tradeLedger_costMethod', COST_METHOD.FIFO);
+    }
+
+    /**
+     * Full ledger report for the current character
+     * @param {string} [method] - Cost method (defaults to the setting)
+     * @returns {Object} { method, sales, summary, unrealized, unrealizedTotal, fillCount }
+     */
+    getReport(method = this.getCostMethod()) {
+        const { positions, sales } = buildLedger(this.fills, method);
+
+        const heldCounts = new Map();
+        for (const item of dataManager.getInventory() || []) {
+            if (item.itemLocationHrid && item.itemLocationHrid !== INVENTORY_LOCATION) continue;
+            const key = `${item.itemHrid}:${item.enhancementLevel || 0}`;
+            heldCounts.set(key, (heldCounts.get(key) ?? 0) + (item.count || 0));
+        }
+
+        const unrealized = computeUnrealized(positions, heldCounts, (itemHrid, enhancementLevel) =>
+            marketAPI.isLoaded() ? marketAPI.getPrice(itemHrid, enhancementLevel) : null
+        );
+
+        return {
+            method,
+            sales,
+            summary: summarizeSales(sales),
+            unrealized,
+            unrealizedTotal: unrealized.reduce((sum, row) => sum + (row.unrealized ?? 0), 0),
+            fillCount: this.fills.length,
+        };
+    }
+
+    /**
+     * Clear all recorded fills (keeps listing baselines so nothing is double-counted)
+     */
+    async clear() {
+        this.fills = [];
+        await this.save();
+        this.notifyListeners();
+    }
+
+    /**
+     * Register a listener for new fills
+     * @param {Function} callback
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    /**
+     * Unregister a listener
+     * @param {Function} callback
+     */
+    offChange(callback) {
+        this.listeners = this.listeners.filter((cb) => cb !== callback);
+    }
+
+    notifyListeners() {
+        for (const callback of this.listeners) {
+            try {
+                callback();
+            } catch (error) {
+                console.error('[TradeLedger] Listener error:', error);
+            }
+        }
+    }
+
+    /**
+     * Stop tracking
+     */
+    disable() {
+        if (this.marketUpdateHandler) {
+            dataManager.off('market_listings_updated', this.marketUpdateHandler);
+            this.marketUpdateHandler = null;
+        }
+        this.isInitialized = false;
+    }
+
+    /**
+     * Handle character switch - reload the new character's ledger
+     */
+    async handleCharacterSwitch() {
+        this.disable();
+        this.fills = [];
+        this.listingFilled = {};
+        await this.initialize();
+    }
+}
+
+const tradeLedger = new TradeLedger();
+
+dataManager.on('character_switched', () => {
+    if (config.getSetting('market_tradeLedger')) {
+        tradeLedger.handleCharacterSwitch();
+    }
+});
+
+export default tradeLedger;
@@ -0,0 +1,141 @@
+/**
+ * Tests for the trade ledger (fill tracking, FIFO/average cost, unrealized profit)
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+
+const stored = {};
+vi.mock('../../core/storage.js', () => ({
+    default: {
+        getJSON: vi.fn(async (key, _store, defaultValue) =>
+            key in stored ? structuredClone(stored[key]) : defaultValue
+        ),
+        setJSON: vi.fn(async (key, value) => {
+            stored[key] = structuredClone(value);
+        }),
+    },
+}));
+vi.mock('../../core/config.js', () => ({
+    default: { getSetting: vi.fn(() => true), getSettingValue: vi.fn((_key, fallback) => fallback) },
+}));
+
+let listings = [];
+vi.mock('../../core/data-manager.js', () => ({
+    default: {
+        on: vi.fn(),
+        off: vi.fn(),
+        getCurrentCharacterId: vi.fn(() => '42'),
+        getMarketListings: vi.fn(() => listings),
+        getInventory: vi.fn(() => [{ itemHrid: '/items/cheese', enhancementLevel: 0, count: 3 }]),
+    },
+}));
+vi.mock('../../api/marketplace.js', () => ({
+    default: { isLoaded: vi.fn(() => true), getPrice: vi.fn(() => ({ ask: 130, bid: 120 })) },
+}));
+
+const ACTIVE = '/market_listing_status/active';
+const FILLED = '/market_listing_status/filled';
+
+let module;
+let tradeLedger;
+
+beforeEach(async () => {
+    vi.resetModules();
+    Object.keys(stored).forEach((key) => delete stored[key]);
+    listings = [];
+    module = await import('./trade-ledger.js');
+    tradeLedger = module.default;
+});
+
+const buy = (quantity, price, timestamp) => ({
+    itemHrid: '/items/cheese',
+    enhancementLevel: 0,
+    isSell: false,
+    quantity,
+    price,
+    timestamp,
+});
+const sell = (quantity, price, timestamp) => ({ ...buy(quantity, price, timestamp), isSell: true });
+
+describe('buildLedger', () => {
+    const fills = [buy(10, 100, 1), buy(10, 200, 2), sell(15, 300, 3)];
+
+    test('FIFO matches the oldest lots first and deducts 5% tax', () => {
+        const { sales, positions } = module.buildLedger(fills, module.COST_METHOD.FIFO);
+
+        expect(sales[0]).toMatchObject({ matchedQuantity: 15, costBasis: 2000, tax: 225, proceeds: 4275 });
+        expect(sales[0].realized).toBe(2275);
+        expect(positions.get('/items/cheese:0')).toMatchObject({ quantity: 5, cost: 1000 });
+    });
+
+    test('average cost uses the blended price', () => {
+        const { sales, positions } = module.buildLedger(fills, module.COST_METHOD.AVERAGE);
+
+        expect(sales[0].costBasis).toBe(2250);
+        expect(sales[0].realized).toBe(2025);
+        expect(positions.get('/items/cheese:0')).toMatchObject({ quantity: 5, cost: 750 });
+    });
+
+    test('sells without recorded buys are unmatched and not counted as profit', () => {
+        const { sales } = module.buildLedger([buy(2, 100, 1), sell(5, 200, 2)]);
+        expect(sales[0]).toMatchObject({ quantity: 5, matchedQuantity: 2, costBasis: 200 });
+        expect(sales[0].realized).toBeCloseTo(950 * (2 / 5) - 200);
+
+        const summary = module.summarizeSales(sales);
+        expect(summary.total.unmatchedQuantity).toBe(3);
+        expect(summary.byItem).toHaveLength(1);
+    });
+});
+
+describe('tradeLedger', () => {
+    test('records only new fill quantities per listing and baselines the first run', async () => {
+        listings = [{ id: 1, itemHrid: '/items/cheese', isSell: false, price: 100, filledQuantity: 4, status: ACTIVE }];
+        await tradeLedger.initialize();
+        expect(tradeLedger.fills).toHaveLength(0);
+
+        tradeLedger.processListings([{ ...listings[0], filledQuantity: 6 }]);
+        tradeLedger.processListings([{ ...listings[0], filledQuantity: 6 }]);
+        tradeLedger.processListings([{ ...listings[0], filledQuantity: 10, status: FILLED }]);
+
+        expect(tradeLedger.fills.map((f) => f.quantity)).toEqual([2, 4]);
+        expect(stored.tradeLedger_42.listingFilled).toEqual({});
+    });
+
+    test('records a filled listing once while it waits to be collected', async () => {
+        await tradeLedger.initialize();
+        const filled = {
+            id: 2,
+            itemHrid: '/items/cheese',
+            isSell: true,
+            price: 150,
+            filledQuantity: 5,
+            status: FILLED,
+            unclaimedItemCount: 0,
+            unclaimedCoinCount: 712,
+        };
+
+        tradeLedger.processListings([filled]);
+        tradeLedger.processListings([filled]);
+        expect(tradeLedger.fills.map((f) => f.quantity)).toEqual([5]);
+
+        // Reload with the listing still uncollected
+        vi.resetModules();
+        listings = [filled];
+        const reloaded = (await import('./trade-ledger.js')).default;
+        await reloaded.initialize();
+        reloaded.processListings([{ ...filled, unclaimedCoinCount: 0 }]);
+
+        expect(reloaded.fills.map((f) => f.quantity)).toEqual([5]);
+        expect(stored.tradeLedger_42.listingFilled).toEqual({});
+    });
+
+    test('report values held positions at bid after tax, capped by inventory', async () => {
+        await tradeLedger.initialize();
+        tradeLedger.fills = [buy(5, 100, 1)];
+
+        const report = tradeLedger.getReport();
+        expect(report.unrealized).toHaveLength(1);
+        expect(report.unrealized[0]).toMatchObject({ quantity: 3, costBasis: 300, bid: 120 });
+        expect(report.unrealized[0].unrealized).toBeCloseTo(3 * 120 * 0.95 - 300);
+    });
+});
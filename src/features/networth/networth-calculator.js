@@ -21,6 +21,7 @@ import config from '../../core/config.js';
 import networthCache from './networth-cache.js';
 import { getItemPrice, getItemPrices } from '../../utils/market-data.js';
 import { calculateItemValueBatch } from '../../utils/networth-worker-manager.js';
+import { getModeledPrice, isValuationModelEnabled } from '../../utils/enhancement-valuation.js';
 import { DUNGEON_CHEST_CHEST_KEYS } from '../combat-stats/combat-stats-calculator.js';
 import { getShopCoinCost } from '../../utils/game-lookups.js';
 import { isExcluded, getExclusions } from './networth-exclusions.js';
@@ -68,9 +69,12 @@ export async function calculateItemValue(item, priceCache = null) {
         } else {
             // Normal logic for lower enhancement levels: try market price first, then calculate
             const marketPrice = getMarketPrice(itemHrid, enhancementLevel, priceCache);
+            const modeled = marketPrice > 0 ? null : getModeledEstimate(item, priceCache);
 
             if (marketPrice > 0) {
                 itemValue = marketPrice;
+            } else if (modeled) {
+                itemValue = modeled.value;
             } else {
                 // No market data, calculate enhancement cost
                 const cachedCost = networthCache.get(itemHrid, enhancementLevel);
@@ -102,6 +106,45 @@ export async function calculateItemValue(item, priceCache = null) {
     return itemValue * count;
 }
 
+/**
+ * Modeled price used for an item instead of its enhancement cost
+ * Applies to enhanced items below the high-enhancement cost threshold that have no market price.
+ * @param {Object} item - Item data {itemHrid, enhancementLevel}
+ * @param {Map} priceCache - Optional price cache from getPricesBatch()
+ * @returns {Object|null} getModeledPrice() estimate, or null when the item is valued another way
+ */
+export function getModeledEstimate(item, priceCache = null) {
+    const { itemHrid, enhancementLevel = 0 } = item;
+    if (enhancementLevel < 1 || !isValuationModelEnabled()) return null;
+
+    const useHighEnhancementCost = config.getSetting('networth_highEnhancementUseCost');
+    const minLevel = config.getSetting('networth_highEnhancementMinLevel') || 13;
+    if (useHighEnhancementCost && enhancementLevel >= minLevel) return null;
+
+    const pricingMode = config.getSettingValue('networth_pricingMode') || 'ask';
+    const prices = priceCache
+        ? priceCache.get(`${itemHrid}:${enhancementLevel}`)
+        : getItemPrices(itemHrid, enhancementLevel);
+    if (getModePrice(itemHrid, enhancementLevel, prices, pricingMode) > 0) return null;
+
+    return getModeledPrice(itemHrid, enhancementLevel, pricingMode === 'bid' ? 'bid' : 'ask');
+}
+
+/**
+ * Price for the net worth pricing mode
+ * @param {string} itemHrid - Item HRID
+ * @param {number} enhancementLevel - Enhancement level
+ * @param {Object|null} prices - Market prices ({ask, bid})
+ * @param {string} pricingMode - 'ask', 'bid' or 'custom' (sell formula)
+ * @returns {number|null|undefined} Price
+ */
+function getModePrice(itemHrid, enhancementLevel, prices, pricingMode) {
+    if (pricingMode === 'custom') {
+        return getItemPrice(itemHrid, { enhancementLevel, mode: 'custom', side: 'sell' });
+    }
+    return prices?.[pricingMode];
+}
+
 /**
  * Get market price for an item
  * @param {string} itemHrid - Item HRID
@@ -130,7 +173,7 @@ function getMarketPrice(itemHrid, enhancementLevel, priceCache = null) {
     }
 
     // Try selected pricing mode first
-    const price = prices?.[pricingMode];
+    const price = getModePrice(itemHrid, enhancementLevel, prices, pricingMode);
     if (price && price > 0) {
         return price;
     }
@@ -430,7 +473,8 @@ async function calculateItemValuesParallel(items, priceCache, gameData) {
                 const hasMarketPrice =
                     prices && ((typeof prices === 'number' && prices > 0) || (prices.ask && prices.ask > 0));
 
-                if (!hasMarketPrice) {
+                // Modeled prices are cheap; only enhancement cost needs the worker
+                if (!hasMarketPrice && !getModeledEstimate(item, priceCache)) {
                     needsWorker = true;
                 }
             }
@@ -461,7 +505,13 @@ async function calculateItemValuesParallel(items, priceCache, gameData) {
                               priceMap[key + '_bid'] = prices.bid;
                               // Store selected pricing mode at the base key for worker item valuation
                               const networthMode = config.getSettingValue('networth_pricingMode') || 'ask';
-                              const modePrice = prices[networthMode];
+                              const separator = key.lastIndexOf(':');
+                              const modePrice = getModePrice(
+                                  key.slice(0, separator),
+                                  Number(key.slice(separator + 1)),
+                                  prices,
+                                  networthMode
+                              );
                               priceMap[key] = modePrice && modePrice > 0 ? modePrice : prices.ask;
                           } else {
                               priceMap[key] = 0;
@@ -659,6 +709,7 @@ export async function calculateNetworth() {
             value,
             itemHrid: item.itemHrid,
             enhancementLevel: item.enhancementLevel || 0,
+            modeled: getModeledEstimate(item, priceCache),
         });
     }
 
@@ -698,6 +749,7 @@ export async function calculateNetworth() {
             itemHrid: item.itemHrid,
             enhancementLevel: item.enhancementLevel || 0,
             isOpenable: itemDetails?.isOpenable === true,
+            modeled: getModeledEstimate(item, priceCache),
         };
 
         // Check if this is an ability book
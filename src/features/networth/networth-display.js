@@ -15,6 +15,20 @@ import expectedValueCalculator from '../market/expected-value-calculator.js';
 import { DUNGEON_CHEST_CHEST_KEYS } from '../combat-stats/combat-stats-calculator.js';
 import networthExclusionPopup from './networth-exclusion-popup.js';
 import { removeExclusion } from './networth-exclusions.js';
+import { describeModeledPrice, shouldMarkModeledPrices } from '../../utils/enhancement-valuation.js';
+
+/**
+ * Breakdown value, marked with "~" when it comes from the valuation model
+ * @param {Object} item - Breakdown entry ({value, modeled})
+ * @returns {string} HTML string
+ */
+function formatBreakdownValue(item) {
+    const value = networthFormatter(Math.round(item.value));
+    if (!item.modeled || !shouldMarkModeledPrices()) {
+        return value;
+    }
+    return `<span title="${describeModeledPrice(item.modeled)}" style="cursor: help;">~${value}</span>`;
+}
 
 /**
  * Header Display Component
@@ -622,7 +636,7 @@ class NetworthInventoryDisplay {
 
         return breakdown
             .map((item) => {
-                return `${item.name}: ${networthFormatter(Math.round(item.value))}`;
+                return `${item.name}: ${formatBreakdownValue(item)}`;
             })
             .join('\n');
     }
@@ -670,7 +684,7 @@ class NetworthInventoryDisplay {
                     if (item.isOpenable && item.itemHrid) {
                         return this.renderOpenableItemRow(item);
                     }
-                    return `<div>${item.name} x${formatKMB(item.count)}: ${networthFormatter(Math.round(item.value))}</div>`;
+                    return `<div>${item.name} x${formatKMB(item.count)}: ${formatBreakdownValue(item)}</div>`;
                 })
                 .join('');
 
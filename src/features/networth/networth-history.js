@@ -5,6 +5,7 @@
  */
 
 import storage from '../../core/storage.js';
+import { storageManager } from '../../core/storage-manager.js';
 import dataManager from '../../core/data-manager.js';
 import connectionState from '../../core/connection-state.js';
 import { createTimerRegistry } from '../../utils/timer-registry.js';
@@ -23,6 +24,7 @@ class NetworthHistory {
         this.characterId = null;
         this.timerRegistry = createTimerRegistry();
         this.networthFeature = null;
+        this.unregisterPruneListener = null;
     }
 
     /**
@@ -46,6 +48,13 @@ class NetworthHistory {
         const detailKey = `networthDetail_${this.characterId}`;
         this.detailHistory = await storage.get(detailKey, STORE_NAME, []);
 
+        // Reload after retention pruning so the next snapshot doesn't restore pruned entries
+        this.unregisterPruneListener = storageManager.onPruned(STORE_NAME, async (keys) => {
+            if (keys.includes(storageKey)) {
+                this.history = await storage.get(storageKey, STORE_NAME, []);
+            }
+        });
+
         // Take an immediate first snapshot
         await this.takeSnapshot();
 
@@ -223,6 +232,10 @@ class NetworthHistory {
      * Cleanup when disabled
      */
     disable() {
+        if (this.unregisterPruneListener) {
+            this.unregisterPruneListener();
+            this.unregisterPruneListener = null;
+        }
         this.timerRegistry.clearAll();
         this.history = [];
         this.detailHistory = [];
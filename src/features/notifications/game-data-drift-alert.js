@@ -0,0 +1,180 @@
+/**
+ * Game Data Drift Alert
+ * Shows a header warning when a game update changes the shape of a WebSocket message
+ * Toolasha reads, with a click-through list of the changed fields and affected features.
+ */
+
+import config from '../../core/config.js';
+import domObserver from '../../core/dom-observer.js';
+import messageValidator from '../../core/message-validator.js';
+
+class GameDataDriftAlert {
+    constructor() {
+        this.container = null;
+        this.unregisterHandlers = [];
+        this.driftHandler = null;
+        this.dismissedCount = 0;
+    }
+
+    /**
+     * Initialize drift alert
+     */
+    initialize() {
+        if (!config.getSetting('notifiGameDataDrift')) {
+            return;
+        }
+
+        this.driftHandler = () => this.update();
+        messageValidator.onDrift(this.driftHandler);
+
+        const unregister = domObserver.onClass('GameDataDriftAlert', 'Header_totalLevel', (elem) => {
+            this.prepareContainer(elem);
+            this.update();
+        });
+        this.unregisterHandlers.push(unregister);
+
+        const existingElem = document.querySelector('[class*="Header_totalLevel"]');
+        if (existingElem) {
+            this.prepareContainer(existingElem);
+        }
+
+        // Drift in init_character_data is recorded before features initialize
+        this.update();
+    }
+
+    /**
+     * Create the (hidden) header indicator
+     * @param {Element} totalLevelElem - Total level element
+     */
+    prepareContainer(totalLevelElem) {
+        if (this.container && document.body.contains(this.container)) {
+            return;
+        }
+        if (this.container) {
+            this.container.remove();
+        }
+
+        this.container = document.createElement('div');
+        this.container.className = 'mwi-game-data-drift-alert';
+        this.container.style.cssText = `
+            display: none;
+            font-size: 0.875rem;
+            font-weight: 500;
+            color: #ffa500;
+            text-wrap: nowrap;
+            margin-left: 16px;
+            cursor: pointer;
+        `;
+        this.container.textContent = '⚠️ Game data changed';
+        this.container.title = 'A game update changed data Toolasha reads. Click for details.';
+        this.container.addEventListener('click', () => this.showDetails());
+
+        totalLevelElem.insertAdjacentElement('afterend', this.container);
+    }
+
+    /**
+     * Show or hide the indicator from the current drift report
+     */
+    update() {
+        if (!this.container) return;
+
+        const drift = messageValidator.getBreakingDrift();
+        const problemCount = drift.reduce((sum, entry) => sum + entry.missing.length + entry.wrongType.length, 0);
+        this.container.style.display = problemCount > this.dismissedCount ? 'block' : 'none';
+    }
+
+    /**
+     * Open a dialog listing changed messages and affected features
+     */
+    showDetails() {
+        const drift = messageValidator.getBreakingDrift();
+
+        const overlay = document.createElement('div');
+        overlay.style.cssText = `position:fixed;inset:0;background:rgba(0,0,0,0.6);z-index:99999;display:flex;align-items:center;justify-content:center;`;
+
+        const dialog = document.createElement('div');
+        dialog.style.cssText = `background:#1a1a2e;border:1px solid rgba(255,165,0,0.5);border-radius:10px;padding:20px;min-width:320px;max-width:560px;max-height:80vh;overflow-y:auto;font-family:'Segoe UI',sans-serif;color:#e0e0e0;font-size:12px;`;
+
+        const title = document.createElement('div');
+        title.style.cssText = `font-size:14px;font-weight:700;color:#ffa500;margin-bottom:8px;`;
+        title.textContent = 'Game data changed';
+        dialog.appendChild(title);
+
+        const intro = document.createElement('div');
+        intro.style.cssText = `color:#aaa;margin-bottom:10px;`;
+        intro.textContent =
+            'A game update changed messages Toolasha reads. The features below may show wrong numbers or stop working until Toolasha is updated.';
+        dialog.appendChild(intro);
+
+        const affected = document.createElement('div');
+        affected.style.cssText = `margin-bottom:10px;`;
+        affected.textContent = `Affected: ${messageValidator.getAffectedFeatures().join(', ')}`;
+        dialog.appendChild(affected);
+
+        const details = document.createElement('pre');
+        details.style.cssText = `font-size:11px;color:#ccc;background:#111;border:1px solid #333;border-radius:4px;padding:8px;white-space:pre-wrap;`;
+        details.textContent = drift
+            .map((entry) => {
+                const lines = [`${entry.type}:`];
+                for (const path of entry.missing) lines.push(`  missing ${path}`);
+                for (const change of entry.wrongType) {
+                    lines.push(`  ${change.path} is ${change.actual}, expected ${change.expected}`);
+                }
+                if (entry.unknown.length > 0) lines.push(`  new fields: ${entry.unknown.join(', ')}`);
+                return lines.join('\n');
+            })
+            .join('\n');
+        dialog.appendChild(details);
+
+        const btnRow = document.createElement('div');
+        btnRow.style.cssText = `display:flex;gap:8px;margin-top:16px;justify-content:flex-end;`;
+        const copyBtn = document.createElement('button');
+        copyBtn.textContent = 'Copy Report';
+        copyBtn.style.cssText = `padding:6px 14px;border:1px solid #555;background:transparent;color:#aaa;border-radius:4px;cursor:pointer;`;
+        const dismissBtn = document.createElement('button');
+        dismissBtn.textContent = 'Dismiss';
+        dismissBtn.style.cssText = `padding:6px 14px;background:#ffa500;border:none;color:#000;border-radius:4px;cursor:pointer;font-weight:600;`;
+        btnRow.appendChild(copyBtn);
+        btnRow.appendChild(dismissBtn);
+        dialog.appendChild(btnRow);
+
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+
+        const close = () => overlay.remove();
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) close();
+        });
+        copyBtn.addEventListener('click', () => {
+            navigator.clipboard?.writeText(details.textContent).catch(() => {});
+        });
+        dismissBtn.addEventListener('click', () => {
+            // Stay hidden until a new problem appears
+            this.dismissedCount = drift.reduce((sum, entry) => sum + entry.missing.length + entry.wrongType.length, 0);
+            this.update();
+            close();
+        });
+    }
+
+    /**
+     * Cleanup
+     */
+    disable() {
+        if (this.driftHandler) {
+            messageValidator.offDrift(this.driftHandler);
+            this.driftHandler = null;
+        }
+
+        this.unregisterHandlers.forEach((unregister) => unregister());
+        this.unregisterHandlers = [];
+
+        if (this.container) {
+            this.container.remove();
+            this.container = null;
+        }
+    }
+}
+
+const gameDataDriftAlert = new GameDataDriftAlert();
+
+export default gameDataDriftAlert;
@@ -0,0 +1,133 @@
+/**
+ * Feature Error Notice
+ * Applies the quarantine settings to the feature error monitor and shows a toast
+ * when a feature is disabled for throwing repeatedly, linking to Error Diagnostics.
+ */
+
+import config from '../../core/config.js';
+import featureErrors from '../../core/feature-errors.js';
+import featureRegistry from '../../core/feature-registry.js';
+import { createTimerRegistry } from '../../utils/timer-registry.js';
+import settingsUI from './settings-ui.js';
+
+const NOTICE_DURATION_MS = 15 * 1000;
+
+class FeatureErrorNotice {
+    constructor() {
+        this.timerRegistry = createTimerRegistry();
+        this.quarantineHandler = null;
+        this.settingChangeHandler = null;
+        this.toast = null;
+    }
+
+    /**
+     * Initialize quarantine settings and notices
+     */
+    initialize() {
+        if (this.quarantineHandler) return;
+
+        this.settingChangeHandler = () => this.applySettings();
+        config.onSettingChange('featureQuarantine', this.settingChangeHandler);
+        config.onSettingChange('featureQuarantine_maxErrors', this.settingChangeHandler);
+        this.applySettings();
+
+        this.quarantineHandler = (featureKey, reason) => this.showNotice(featureKey, reason);
+        featureErrors.onQuarantine(this.quarantineHandler);
+    }
+
+    /**
+     * Push current settings into the error monitor
+     */
+    applySettings() {
+        featureErrors.configure({
+            autoQuarantine: config.getSetting('featureQuarantine'),
+            maxErrors: Number(config.getSettingValue('featureQuarantine_maxErrors', 10)) || 10,
+        });
+    }
+
+    /**
+     * Show a toast naming the disabled feature
+     * @param {string} featureKey - Quarantined feature
+     * @param {string} reason - Why it was quarantined
+     */
+    showNotice(featureKey, reason) {
+        this.removeToast();
+
+        const name = featureRegistry.getFeature(featureKey)?.name || featureKey;
+
+        const toast = document.createElement('div');
+        toast.className = 'mwi-feature-error-notice';
+        toast.style.cssText = `
+            position: fixed;
+            bottom: 20px;
+            right: 20px;
+            z-index: 99999;
+            max-width: 360px;
+            padding: 10px 14px;
+            background: #1a1a2e;
+            border: 1px solid rgba(248, 113, 113, 0.6);
+            border-radius: 8px;
+            color: #e0e0e0;
+            font-size: 12px;
+            font-family: 'Segoe UI', sans-serif;
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.5);
+        `;
+
+        const text = document.createElement('div');
+        text.textContent = `Toolasha turned off "${name}" for this session after repeated errors (${reason}).`;
+        toast.appendChild(text);
+
+        const btnRow = document.createElement('div');
+        btnRow.style.cssText = `display:flex;gap:8px;margin-top:8px;justify-content:flex-end;`;
+        const detailsBtn = document.createElement('button');
+        detailsBtn.textContent = 'Details';
+        detailsBtn.style.cssText = `padding:4px 10px;background:#4a9eff;border:none;color:#fff;border-radius:4px;cursor:pointer;`;
+        detailsBtn.addEventListener('click', () => {
+            this.removeToast();
+            settingsUI.handleErrorDiagnostics();
+        });
+        const closeBtn = document.createElement('button');
+        closeBtn.textContent = 'Dismiss';
+        closeBtn.style.cssText = `padding:4px 10px;border:1px solid #555;background:transparent;color:#aaa;border-radius:4px;cursor:pointer;`;
+        closeBtn.addEventListener('click', () => this.removeToast());
+        btnRow.appendChild(closeBtn);
+        btnRow.appendChild(detailsBtn);
+        toast.appendChild(btnRow);
+
+        document.body.appendChild(toast);
+        this.toast = toast;
+        this.timerRegistry.registerTimeout(setTimeout(() => this.removeToast(), NOTICE_DURATION_MS));
+    }
+
+    /**
+     * Remove the toast if shown
+     */
+    removeToast() {
+        this.timerRegistry.clearAll();
+        if (this.toast) {
+            this.toast.remove();
+            this.toast = null;
+        }
+    }
+
+    /**
+     * Cleanup
+     */
+    disable() {
+        this.removeToast();
+
+        if (this.quarantineHandler) {
+            featureErrors.offQuarantine(this.quarantineHandler);
+            this.quarantineHandler = null;
+        }
+        if (this.settingChangeHandler) {
+            config.offSettingChange('featureQuarantine', this.settingChangeHandler);
+            config.offSettingChange('featureQuarantine_maxErrors', this.settingChangeHandler);
+            this.settingChangeHandler = null;
+        }
+    }
+}
+
+const featureErrorNotice = new FeatureErrorNotice();
+
+export default featureErrorNotice;
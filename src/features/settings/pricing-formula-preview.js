@@ -0,0 +1,228 @@
+/**
+ * Pricing Formula Preview
+ * Modal for editing the custom buy/sell pricing formulas and seeing how they compare to
+ * a standard pricing mode on reference items picked across the range of market spreads.
+ */
+
+import config from '../../core/config.js';
+import dataManager from '../../core/data-manager.js';
+import marketAPI from '../../api/marketplace.js';
+import { formatKMB } from '../../utils/formatters.js';
+import { CUSTOM_FORMULA_SETTINGS, getFormulaVariables, getProfitPriceType } from '../../utils/market-data.js';
+import { FORMULA_VARIABLES, compileFormula, validateFormula } from '../../utils/price-formula.js';
+
+const REFERENCE_ITEM_COUNT = 8;
+const BASELINE_MODES = ['conservative', 'hybrid', 'optimistic', 'patientBuy'];
+
+const CELL_STYLE = 'padding: 4px 8px; border-bottom: 1px solid #3a3a3a; text-align: right; white-space: nowrap;';
+const INPUT_STYLE =
+    'width: 100%; box-sizing: border-box; background: #111; color: #e0e0e0; border: 1px solid #555; border-radius: 4px; padding: 6px; font-family: monospace;';
+
+/**
+ * Reference items spread evenly from the tightest to the widest bid/ask spread
+ * @param {number} count - Number of items
+ * @returns {string[]} Item HRIDs
+ */
+export function pickReferenceItems(count = REFERENCE_ITEM_COUNT) {
+    const candidates = [];
+    for (const [itemHrid, levels] of Object.entries(marketAPI.marketData || {})) {
+        const price = levels?.[0];
+        if (!(price?.a > 0) || !(price?.b > 0) || price.b > price.a) continue;
+        if (!dataManager.getItemDetails(itemHrid)) continue;
+        candidates.push({ itemHrid, spread: (price.a - price.b) / price.a });
+    }
+    if (candidates.length <= count) return candidates.map((c) => c.itemHrid);
+
+    candidates.sort((a, b) => a.spread - b.spread);
+    const picked = [];
+    for (let i = 0; i < count; i++) {
+        picked.push(candidates[Math.round((i * (candidates.length - 1)) / (count - 1))].itemHrid);
+    }
+    return [...new Set(picked)];
+}
+
+/**
+ * Open the formula editor / preview
+ */
+export function openPricingFormulaPreview() {
+    const currentMode = config.getSettingValue('profitCalc_pricingMode', 'hybrid');
+    let baselineMode = BASELINE_MODES.includes(currentMode) ? currentMode : 'conservative';
+    const items = pickReferenceItems();
+
+    const overlay = document.createElement('div');
+    overlay.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.8);
+        z-index: 100000;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+    `;
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) overlay.remove();
+    });
+
+    const modal = document.createElement('div');
+    modal.style.cssText = `
+        background: #1a1a1a;
+        border: 2px solid #3a3a3a;
+        border-radius: 8px;
+        padding: 20px;
+        max-width: 860px;
+        width: 90%;
+        max-height: 90%;
+        overflow-y: auto;
+        color: #e0e0e0;
+    `;
+
+    const header = document.createElement('div');
+    header.style.cssText =
+        'display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px; border-bottom: 2px solid #3a3a3a; padding-bottom: 10px;';
+    header.innerHTML = '<h3 style="margin: 0; color: #e0e0e0;">Custom Pricing Formulas</h3>';
+    const closeBtn = document.createElement('button');
+    closeBtn.innerHTML = '&times;';
+    closeBtn.style.cssText =
+        'background: none; border: none; color: #e0e0e0; font-size: 32px; cursor: pointer; padding: 0; line-height: 1;';
+    closeBtn.addEventListener('click', () => overlay.remove());
+    header.appendChild(closeBtn);
+
+    const helpText = document.createElement('div');
+    helpText.style.cssText = 'color: #888; font-size: 12px; margin-bottom: 12px; line-height: 1.5;';
+    helpText.innerHTML =
+        Object.entries(FORMULA_VARIABLES)
+            .map(([name, description]) => `<code>${name}</code> ${description}`)
+            .join(' · ') +
+        '<br>Functions: min, max, if(cond, a, b), coalesce(a, b), round, floor, ceil, abs. ' +
+        'Use "20%" for 0.2, "and"/"or", and "cond ? a : b". Missing values are skipped by min/max/coalesce.';
+
+    const inputs = {};
+    const errors = {};
+    const form = document.createElement('div');
+    form.style.cssText = 'display: grid; grid-template-columns: 120px 1fr; gap: 6px 10px; align-items: center;';
+    for (const [side, label] of [
+        ['buy', 'Buy (inputs)'],
+        ['sell', 'Sell (outputs)'],
+    ]) {
+        const setting = CUSTOM_FORMULA_SETTINGS[side];
+        const labelEl = document.createElement('label');
+        labelEl.textContent = label;
+        inputs[side] = document.createElement('input');
+        inputs[side].type = 'text';
+        inputs[side].style.cssText = INPUT_STYLE;
+        inputs[side].value = config.getSettingValue(setting.id, setting.fallback);
+        inputs[side].addEventListener('input', () => render());
+        errors[side] = document.createElement('div');
+        errors[side].style.cssText = `grid-column: 2; color: ${config.COLOR_LOSS}; font-size: 11px; min-height: 14px;`;
+        form.append(labelEl, inputs[side], errors[side]);
+    }
+
+    const baselineRow = document.createElement('div');
+    baselineRow.style.cssText = 'margin: 10px 0 6px; font-size: 12px; color: #aaa;';
+    const baselineSelect = document.createElement('select');
+    baselineSelect.style.cssText = 'background: #111; color: #e0e0e0; border: 1px solid #555; margin-left: 6px;';
+    for (const mode of BASELINE_MODES) {
+        const option = document.createElement('option');
+        option.value = mode;
+        option.textContent = config.getPricingModeLabel(mode);
+        baselineSelect.appendChild(option);
+    }
+    baselineSelect.value = baselineMode;
+    baselineSelect.addEventListener('change', () => {
+        baselineMode = baselineSelect.value;
+        render();
+    });
+    baselineRow.append('Compare with:', baselineSelect);
+
+    const table = document.createElement('table');
+    table.style.cssText = 'width: 100%; border-collapse: collapse; font-size: 12px;';
+
+    const footer = document.createElement('div');
+    footer.style.cssText = 'display: flex; justify-content: flex-end; gap: 8px; margin-top: 14px;';
+    const saveBtn = document.createElement('button');
+    saveBtn.textContent = 'Save Formulas';
+    saveBtn.style.cssText =
+        'background: #4a7c59; border: 1px solid #5a8c69; border-radius: 4px; padding: 6px 14px; color: #e0e0e0; cursor: pointer;';
+    saveBtn.addEventListener('click', () => {
+        for (const side of ['buy', 'sell']) {
+            const { id } = CUSTOM_FORMULA_SETTINGS[side];
+            const value = inputs[side].value.trim();
+            config.setSettingValue(id, value);
+            // Keep the settings panel's own text input in sync
+            const settingInput = document.getElementById(id);
+            if (settingInput) settingInput.value = value;
+        }
+        overlay.remove();
+    });
+    footer.appendChild(saveBtn);
+
+    /**
+     * @param {number|null} value
+     * @returns {string}
+     */
+    const formatPrice = (value) => (value === null || value === undefined ? '-' : formatKMB(value));
+
+    /**
+     * @param {number|null} formulaPrice
+     * @param {number|null} baselinePrice
+     * @returns {string} HTML
+     */
+    const formatChange = (formulaPrice, baselinePrice) => {
+        if (formulaPrice === null || !(baselinePrice > 0)) return '<span style="color: #777;">-</span>';
+        const pct = ((formulaPrice - baselinePrice) / baselinePrice) * 100;
+        if (Math.abs(pct) < 0.05) return '<span style="color: #777;">0%</span>';
+        const color = pct > 0 ? config.COLOR_PROFIT : config.COLOR_LOSS;
+        return `<span style="color: ${color};">${pct > 0 ? '+' : ''}${pct.toFixed(1)}%</span>`;
+    };
+
+    function render() {
+        const compiled = {};
+        for (const side of ['buy', 'sell']) {
+            const error = validateFormula(inputs[side].value);
+            errors[side].textContent = error || '';
+            compiled[side] = error ? null : compileFormula(inputs[side].value);
+        }
+        saveBtn.disabled = !compiled.buy || !compiled.sell;
+        saveBtn.style.opacity = saveBtn.disabled ? '0.5' : '1';
+
+        const headers = ['Item', 'Ask', 'Bid', 'Spread', 'Buy', 'Formula buy', 'Δ', 'Sell', 'Formula sell', 'Δ'];
+        const cell = (html, index, tag) =>
+            `<${tag} style="${CELL_STYLE}${index === 0 ? ' text-align: left;' : ''}">${html}</${tag}>`;
+
+        const rows = items.map((itemHrid) => {
+            const vars = getFormulaVariables(itemHrid);
+            const baseline = {};
+            const formula = {};
+            for (const side of ['buy', 'sell']) {
+                baseline[side] = vars[getProfitPriceType(baselineMode, side)];
+                formula[side] = compiled[side] ? compiled[side](vars) : null;
+            }
+            return [
+                dataManager.getItemDetails(itemHrid)?.name || itemHrid,
+                formatPrice(vars.ask),
+                formatPrice(vars.bid),
+                vars.spread === null ? '-' : `${(vars.spread * 100).toFixed(1)}%`,
+                formatPrice(baseline.buy),
+                formatPrice(formula.buy),
+                formatChange(formula.buy, baseline.buy),
+                formatPrice(baseline.sell),
+                formatPrice(formula.sell),
+                formatChange(formula.sell, baseline.sell),
+            ];
+        });
+
+        table.innerHTML =
+            `<tr style="color: #aaa;">${headers.map((h, i) => cell(h, i, 'th')).join('')}</tr>` +
+            (rows.length > 0
+                ? rows.map((row) => `<tr>${row.map((html, i) => cell(html, i, 'td')).join('')}</tr>`).join('')
+                : `<tr><td colspan="${headers.length}" style="${CELL_STYLE} text-align: left; color: #888;">Market data is not loaded yet.</td></tr>`);
+    }
+
+    modal.append(header, helpText, form, baselineRow, table, footer);
+    overlay.appendChild(modal);
+    document.body.appendChild(overlay);
+    render();
+}
@@ -9,6 +9,10 @@ import dataManager from '../../core/data-manager.js';
 import { settingsGroups } from '../../core/settings-schema.js';
 import settingsStorage from '../../core/settings-storage.js';
 import storage from '../../core/storage.js';
+import { storageBackup, RESTORE_MODE } from '../../core/storage-backup.js';
+import { storageManager } from '../../core/storage-manager.js';
+import featureRegistry from '../../core/feature-registry.js';
+import featureErrors from '../../core/feature-errors.js';
 import settingsCSS from './settings-styles.css?raw';
 import marketAPI from '../../api/marketplace.js';
 import { createMutationWatcher } from '../../utils/dom-observer-helpers.js';
@@ -24,6 +28,7 @@ import {
     removeCustomPriceOverride,
     initCustomPriceOverrides,
 } from './custom-price-overrides.js';
+import { openPricingFormulaPreview } from './pricing-formula-preview.js';
 
 const COLLAPSED_GROUPS_KEY = 'toolasha_collapsedGroups';
 
@@ -376,6 +381,9 @@ class SettingsUI {
             if (e.target.classList.contains('toolasha-scroll-defaults-btn')) {
                 scrollSimulatorUI.openDefaultsPopup();
             }
+            if (e.target.classList.contains('toolasha-pricing-formula-preview-btn')) {
+                openPricingFormulaPreview();
+            }
         });
 
         return panel;
@@ -772,6 +780,30 @@ class SettingsUI {
                 `;
             }
 
+            case 'pricingFormulaPreview': {
+                return `
+                    <input type="hidden"
+                        id="${settingId}"
+                        value="">
+                    <button type="button"
+                        class="toolasha-pricing-formula-preview-btn"
+                        data-setting-id="${settingId}"
+                        style="
+                            background: #4a7c59;
+                            border: 1px solid #5a8c69;
+                            border-radius: 4px;
+                            padding: 6px 12px;
+                            color: #e0e0e0;
+                            cursor: pointer;
+                            font-size: 13px;
+                            white-space: nowrap;
+                            transition: all 0.2s;
+                        ">
+                        Edit &amp; Preview
+                    </button>
+                `;
+            }
+
             case 'checkboxWithButton': {
                 const checkedCwb = currentSetting?.isTrue ?? settingDef.default ?? false;
                 const btnLabel = settingDef.buttonLabel ?? 'Configure...';
@@ -932,6 +964,18 @@ class SettingsUI {
         fetchPricesBtn.className = 'toolasha-utility-button toolasha-fetch-prices-button';
         fetchPricesBtn.addEventListener('click', () => this.handleFetchPrices(fetchPricesBtn));
 
+        // Import a marketplace.json file (when every data source is down)
+        const importMarketBtn = document.createElement('button');
+        importMarketBtn.textContent = 'Import Market Data';
+        importMarketBtn.className = 'toolasha-utility-button';
+        importMarketBtn.addEventListener('click', () => this.handleImportMarketData());
+
+        // Named settings profiles
+        const profilesBtn = document.createElement('button');
+        profilesBtn.textContent = 'Settings Profiles';
+        profilesBtn.className = 'toolasha-utility-button';
+        profilesBtn.addEventListener('click', () => this.handleProfiles());
+
         // Reset button
         const resetBtn = document.createElement('button');
         resetBtn.textContent = 'Reset to Defaults';
@@ -950,6 +994,30 @@ class SettingsUI {
         importBtn.className = 'toolasha-utility-button';
         importBtn.addEventListener('click', () => this.handleImport());
 
+        // Full database backup button
+        const backupBtn = document.createElement('button');
+        backupBtn.textContent = 'Backup All Data';
+        backupBtn.className = 'toolasha-utility-button';
+        backupBtn.addEventListener('click', () => this.handleBackup());
+
+        // Full database restore button
+        const restoreBackupBtn = document.createElement('button');
+        restoreBackupBtn.textContent = 'Restore Backup';
+        restoreBackupBtn.className = 'toolasha-utility-button';
+        restoreBackupBtn.addEventListener('click', () => this.handleBackupRestore());
+
+        // Storage usage and retention panel
+        const storageUsageBtn = document.createElement('button');
+        storageUsageBtn.textContent = 'Storage Usage';
+        storageUsageBtn.className = 'toolasha-utility-button';
+        storageUsageBtn.addEventListener('click', () => this.handleStorageUsage());
+
+        // Runtime error log and quarantined features
+        const errorDiagnosticsBtn = document.createElement('button');
+        errorDiagnosticsBtn.textContent = 'Error Diagnostics';
+        errorDiagnosticsBtn.className = 'toolasha-utility-button';
+        errorDiagnosticsBtn.addEventListener('click', () => this.handleErrorDiagnostics());
+
         // All Off button
         const allOffBtn = document.createElement('button');
         allOffBtn.textContent = 'All Off';
@@ -971,12 +1039,18 @@ class SettingsUI {
         );
 
         buttonsDiv.appendChild(syncBtn);
+        buttonsDiv.appendChild(profilesBtn);
         buttonsDiv.appendChild(fetchPricesBtn);
+        buttonsDiv.appendChild(importMarketBtn);
         buttonsDiv.appendChild(allOffBtn);
         buttonsDiv.appendChild(restoreBtn);
         buttonsDiv.appendChild(resetBtn);
         buttonsDiv.appendChild(exportBtn);
         buttonsDiv.appendChild(importBtn);
+        buttonsDiv.appendChild(backupBtn);
+        buttonsDiv.appendChild(restoreBackupBtn);
+        buttonsDiv.appendChild(storageUsageBtn);
+        buttonsDiv.appendChild(errorDiagnosticsBtn);
 
         const pformanceBtn = document.createElement('button');
         pformanceBtn.textContent = 'PFormance';
@@ -1364,6 +1438,192 @@ class SettingsUI {
         });
     }
 
+    /**
+     * Handle settings profiles — save, apply, delete, compare, and per-character defaults
+     */
+    async handleProfiles() {
+        const { dialog, close } = this._createBackupDialog('Settings Profiles');
+        dialog.style.minWidth = '460px';
+
+        const body = document.createElement('div');
+        body.style.cssText = `font-size:12px;`;
+        dialog.appendChild(body);
+
+        const sectionTitle = (text) => {
+            const el = document.createElement('div');
+            el.style.cssText = `font-weight:600;color:#ccc;margin:12px 0 4px;`;
+            el.textContent = text;
+            return el;
+        };
+
+        const createSelect = (names, includeCurrent, emptyLabel) => {
+            const select = document.createElement('select');
+            select.className = 'toolasha-select-input';
+            const options = [];
+            if (includeCurrent) options.push(['', 'Current settings']);
+            if (emptyLabel) options.push(['', emptyLabel]);
+            for (const name of names) options.push([name, name]);
+            for (const [value, label] of options) {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            }
+            return select;
+        };
+
+        const render = async () => {
+            const profiles = await settingsStorage.getProfiles();
+            const names = Object.keys(profiles).sort((a, b) => a.localeCompare(b));
+            body.innerHTML = '';
+
+            // Save current settings
+            body.appendChild(sectionTitle('Save current settings'));
+            const saveRow = document.createElement('div');
+            saveRow.style.cssText = `display:flex;gap:8px;`;
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.placeholder = 'Profile name (e.g. Market trading)';
+            nameInput.className = 'toolasha-text-input';
+            nameInput.style.flex = '1';
+            const saveBtn = this._createDialogButton('Save', true);
+            saveBtn.addEventListener('click', async () => {
+                const name = nameInput.value.trim();
+                if (!name) return;
+                if (profiles[name] && !confirm(`Overwrite profile "${name}" with the current settings?`)) return;
+                try {
+                    await this.config.saveSettingsProfile(name);
+                    await render();
+                } catch (error) {
+                    console.error('[Toolasha Settings] Saving profile failed:', error);
+                    alert(`Failed to save profile: ${error.message}`);
+                }
+            });
+            saveRow.appendChild(nameInput);
+            saveRow.appendChild(saveBtn);
+            body.appendChild(saveRow);
+
+            // Saved profiles
+            body.appendChild(sectionTitle('Profiles'));
+            if (names.length === 0) {
+                const none = document.createElement('div');
+                none.style.cssText = `color:#888;`;
+                none.textContent = 'No profiles saved yet.';
+                body.appendChild(none);
+            }
+            for (const name of names) {
+                const profile = profiles[name];
+                const row = document.createElement('div');
+                row.style.cssText = `display:flex;align-items:center;gap:8px;padding:3px 0;`;
+                const label = document.createElement('span');
+                label.style.cssText = `flex:1;`;
+                label.textContent = `${name} — saved ${new Date(profile.updatedAt).toLocaleString()}`;
+                const applyBtn = this._createDialogButton('Apply', false);
+                const deleteBtn = this._createDialogButton('Delete', false);
+
+                applyBtn.addEventListener('click', async () => {
+                    if (!confirm(`Apply profile "${name}" to this character? Current settings will be overwritten.`)) {
+                        return;
+                    }
+                    close();
+                    try {
+                        await this.config.applySettingsProfile(name);
+                        alert(`Profile "${name}" applied. Please refresh the page.`);
+                        window.location.reload();
+                    } catch (error) {
+                        console.error('[Toolasha Settings] Applying profile failed:', error);
+                        alert('Failed to apply profile.');
+                    }
+                });
+                deleteBtn.addEventListener('click', async () => {
+                    if (!confirm(`Delete profile "${name}"?`)) return;
+                    await settingsStorage.deleteProfile(name);
+                    await render();
+                });
+
+                row.appendChild(label);
+                row.appendChild(applyBtn);
+                row.appendChild(deleteBtn);
+                body.appendChild(row);
+            }
+
+            if (names.length === 0) return;
+
+            // Compare
+            body.appendChild(sectionTitle('Compare'));
+            const compareRow = document.createElement('div');
+            compareRow.style.cssText = `display:flex;align-items:center;gap:8px;`;
+            const leftSelect = createSelect(names, true);
+            const rightSelect = createSelect(names, true);
+            rightSelect.value = names[0];
+            const compareBtn = this._createDialogButton('Compare', false);
+            compareRow.appendChild(leftSelect);
+            compareRow.appendChild(document.createTextNode('vs'));
+            compareRow.appendChild(rightSelect);
+            compareRow.appendChild(compareBtn);
+            body.appendChild(compareRow);
+
+            const diffOutput = document.createElement('pre');
+            diffOutput.style.cssText = `font-size:11px;color:#ccc;background:#111;border:1px solid #333;border-radius:4px;padding:8px;margin-top:8px;white-space:pre-wrap;display:none;max-height:240px;overflow-y:auto;`;
+            body.appendChild(diffOutput);
+
+            compareBtn.addEventListener('click', async () => {
+                const diffs = await this.config.diffSettingsProfiles(
+                    leftSelect.value || null,
+                    rightSelect.value || null
+                );
+                const format = (value) => (typeof value === 'object' ? JSON.stringify(value) : String(value));
+                diffOutput.textContent =
+                    diffs.length === 0
+                        ? 'No differences.'
+                        : diffs.map((d) => `[${d.group}] ${d.label}: ${format(d.a)} → ${format(d.b)}`).join('\n');
+                diffOutput.style.display = '';
+            });
+
+            // Per-character defaults
+            const characters = await this.config.getKnownCharacters();
+            if (characters.length === 0) return;
+
+            body.appendChild(sectionTitle('Default profile per character'));
+            const defaults = await settingsStorage.getProfileDefaults();
+            for (const character of characters) {
+                const row = document.createElement('div');
+                row.style.cssText = `display:flex;align-items:center;gap:8px;padding:3px 0;`;
+                const label = document.createElement('span');
+                label.style.cssText = `flex:1;`;
+                label.textContent = character.name !== character.id ? character.name : `Character ${character.id}`;
+                const select = createSelect(names, false, 'None');
+                select.value = defaults[character.id]?.profile || '';
+                select.addEventListener('change', async () => {
+                    await settingsStorage.setDefaultProfile(character.id, select.value || null);
+                });
+                row.appendChild(label);
+                row.appendChild(select);
+                body.appendChild(row);
+            }
+
+            const hint = document.createElement('div');
+            hint.style.cssText = `color:#888;margin-top:4px;`;
+            hint.textContent =
+                "A character's default profile is applied when it next loads, and again whenever the profile is re-saved.";
+            body.appendChild(hint);
+        };
+
+        const btnRow = document.createElement('div');
+        btnRow.style.cssText = `display:flex;gap:8px;margin-top:16px;justify-content:flex-end;`;
+        const closeBtn = this._createDialogButton('Close', true);
+        closeBtn.addEventListener('click', close);
+        btnRow.appendChild(closeBtn);
+        dialog.appendChild(btnRow);
+
+        try {
+            await render();
+        } catch (error) {
+            console.error('[Toolasha Settings] Loading profiles failed:', error);
+            body.textContent = 'Failed to load profiles.';
+        }
+    }
+
     /**
      * Handle fetch latest prices
      * @param {HTMLElement} button - Button element for state updates
@@ -1386,6 +1646,7 @@ class SettingsUI {
 
                 // Show success state
                 button.textContent = '✅ Updated!';
+                button.title = '';
                 button.style.backgroundColor = '#00ff00';
                 button.style.color = '#000';
 
@@ -1401,6 +1662,10 @@ class SettingsUI {
                 // Failed - show error state
                 button.textContent = '❌ Failed';
                 button.style.backgroundColor = '#ff0000';
+                button.title = marketAPI
+                    .getSourceHealth()
+                    .map((source) => `${source.url}: ${source.lastError || 'OK'}`)
+                    .join('\n');
 
                 // Reset button after 3 seconds
                 const resetFailureTimeout = setTimeout(() => {
@@ -1427,6 +1692,32 @@ class SettingsUI {
         }
     }
 
+    /**
+     * Handle import of a marketplace.json file as the current market data
+     */
+    async handleImportMarketData() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+
+        input.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                const result = await marketAPI.importSnapshot(await file.text(), file.lastModified);
+                alert(
+                    `Imported prices for ${result.itemCount} items (snapshot from ${new Date(result.timestamp).toLocaleString()}).`
+                );
+            } catch (error) {
+                console.error('[Toolasha Settings] Market data import error:', error);
+                alert(`Failed to import market data: ${error.message}`);
+            }
+        });
+
+        input.click();
+    }
+
     /**
      * Handle reset to defaults
      */
@@ -1493,6 +1784,525 @@ class SettingsUI {
         input.click();
     }
 
+    /**
+     * Build a modal overlay + dialog pair used by the backup flows.
+     * @param {string} titleText - Dialog title
+     * @returns {{overlay: HTMLElement, dialog: HTMLElement, close: Function}}
+     * @private
+     */
+    _createBackupDialog(titleText) {
+        const overlay = document.createElement('div');
+        overlay.style.cssText = `position:fixed;inset:0;background:rgba(0,0,0,0.6);z-index:99999;display:flex;align-items:center;justify-content:center;`;
+
+        const dialog = document.createElement('div');
+        dialog.style.cssText = `background:#1a1a2e;border:1px solid rgba(74,158,255,0.5);border-radius:10px;padding:20px;min-width:320px;max-height:80vh;overflow-y:auto;font-family:'Segoe UI',sans-serif;color:#e0e0e0;`;
+
+        const title = document.createElement('div');
+        title.style.cssText = `font-size:14px;font-weight:700;color:#4a9eff;margin-bottom:12px;`;
+        title.textContent = titleText;
+        dialog.appendChild(title);
+
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+
+        const close = () => overlay.remove();
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) close();
+        });
+
+        return { overlay, dialog, close };
+    }
+
+    /**
+     * Create a dialog action button
+     * @param {string} text - Button label
+     * @param {boolean} primary - Primary (filled) styling
+     * @returns {HTMLButtonElement}
+     * @private
+     */
+    _createDialogButton(text, primary) {
+        const btn = document.createElement('button');
+        btn.textContent = text;
+        btn.style.cssText = primary
+            ? `padding:6px 14px;background:#4a9eff;border:none;color:#fff;border-radius:4px;cursor:pointer;font-weight:600;`
+            : `padding:6px 14px;border:1px solid #555;background:transparent;color:#aaa;border-radius:4px;cursor:pointer;`;
+        return btn;
+    }
+
+    /**
+     * Handle full database backup — every IndexedDB store for this or all characters
+     */
+    async handleBackup() {
+        const { dialog, close } = this._createBackupDialog('Backup All Data');
+
+        const scopeOptions = [
+            { value: 'current', label: 'This character (plus shared data)' },
+            { value: 'all', label: 'All characters' },
+        ];
+        const radios = scopeOptions.map((option, index) => {
+            const row = document.createElement('label');
+            row.style.cssText = `display:flex;align-items:center;gap:8px;padding:6px 0;cursor:pointer;`;
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = 'toolasha-backup-scope';
+            radio.value = option.value;
+            radio.checked = index === 0;
+            const label = document.createElement('span');
+            label.textContent = option.label;
+            row.appendChild(radio);
+            row.appendChild(label);
+            dialog.appendChild(row);
+            return radio;
+        });
+
+        const btnRow = document.createElement('div');
+        btnRow.style.cssText = `display:flex;gap:8px;margin-top:16px;justify-content:flex-end;`;
+        const cancelBtn = this._createDialogButton('Cancel', false);
+        const backupBtn = this._createDialogButton('Download Backup', true);
+        btnRow.appendChild(cancelBtn);
+        btnRow.appendChild(backupBtn);
+        dialog.appendChild(btnRow);
+
+        cancelBtn.addEventListener('click', close);
+        backupBtn.addEventListener('click', async () => {
+            const scope = radios.find((r) => r.checked)?.value || 'current';
+            const currentId = String(dataManager.getCurrentCharacterId() || '');
+            close();
+
+            try {
+                const archive = await storageBackup.createBackup({
+                    characterIds: scope === 'all' || !currentId ? null : [currentId],
+                });
+                const json = storageBackup.serializeBackup(archive);
+
+                const blob = new Blob([json], { type: 'application/json' });
+                const url = URL.createObjectURL(blob);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = `toolasha-backup-${scope === 'all' ? 'all' : currentId}-${new Date().toISOString().slice(0, 10)}.json`;
+                a.click();
+                URL.revokeObjectURL(url);
+            } catch (error) {
+                console.error('[Toolasha Settings] Backup failed:', error);
+                alert('Failed to create backup.');
+            }
+        });
+    }
+
+    /**
+     * Format a restore report as readable lines
+     * @param {Object} report - Report from storageBackup.restoreBackup()
+     * @returns {string}
+     * @private
+     */
+    _formatRestoreReport(report) {
+        const lines = [];
+        for (const [storeName, result] of Object.entries(report.stores)) {
+            if (result.skipped) {
+                lines.push(`${storeName}: skipped (${result.skipped})`);
+                continue;
+            }
+            const parts = [`+${result.added} new`, `${result.updated} updated`, `${result.unchanged} unchanged`];
+            if (result.mode === RESTORE_MODE.REPLACE) parts.push(`${result.removed} removed`);
+            if (result.failed > 0) parts.push(`${result.failed} failed`);
+            lines.push(`${storeName} (${result.mode}): ${parts.join(', ')}`);
+        }
+        return lines.join('\n') || 'Nothing selected.';
+    }
+
+    /**
+     * Handle full database restore — pick stores, choose merge/replace, preview, then restore
+     */
+    async handleBackupRestore() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+
+        input.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            let archive;
+            try {
+                archive = storageBackup.parseBackup(await file.text());
+            } catch (error) {
+                alert(`Failed to read backup: ${error.message}`);
+                return;
+            }
+
+            const { dialog, close } = this._createBackupDialog('Restore Backup');
+
+            const info = document.createElement('div');
+            info.style.cssText = `font-size:12px;color:#aaa;margin-bottom:10px;`;
+            const characterNames = (archive.characters || []).map((c) => c.name).join(', ') || 'unknown';
+            info.textContent = `Created ${new Date(archive.createdAt).toLocaleString()} — characters: ${characterNames}`;
+            dialog.appendChild(info);
+
+            const rows = storageBackup.summarizeBackup(archive).map((summary) => {
+                const row = document.createElement('div');
+                row.style.cssText = `display:flex;align-items:center;gap:8px;padding:4px 0;`;
+
+                const cb = document.createElement('input');
+                cb.type = 'checkbox';
+                cb.checked = summary.available && summary.keyCount > 0;
+                cb.disabled = !summary.available;
+
+                const name = document.createElement('span');
+                name.style.cssText = `flex:1;`;
+                name.textContent = `${summary.storeName} (${summary.keyCount} keys)${summary.available ? '' : ' — not in this version'}`;
+
+                const modeSelect = document.createElement('select');
+                modeSelect.className = 'toolasha-select-input';
+                modeSelect.innerHTML = `
+                    <option value="${RESTORE_MODE.MERGE}">Merge</option>
+                    <option value="${RESTORE_MODE.REPLACE}">Replace</option>
+                `;
+                modeSelect.disabled = !summary.available;
+
+                row.appendChild(cb);
+                row.appendChild(name);
+                row.appendChild(modeSelect);
+                dialog.appendChild(row);
+                return { storeName: summary.storeName, cb, modeSelect };
+            });
+
+            const preview = document.createElement('pre');
+            preview.style.cssText = `font-size:11px;color:#ccc;background:#111;border:1px solid #333;border-radius:4px;padding:8px;margin-top:10px;white-space:pre-wrap;display:none;`;
+            dialog.appendChild(preview);
+
+            const btnRow = document.createElement('div');
+            btnRow.style.cssText = `display:flex;gap:8px;margin-top:16px;justify-content:flex-end;`;
+            const cancelBtn = this._createDialogButton('Cancel', false);
+            const previewBtn = this._createDialogButton('Preview', false);
+            const restoreBtn = this._createDialogButton('Restore', true);
+            btnRow.appendChild(cancelBtn);
+            btnRow.appendChild(previewBtn);
+            btnRow.appendChild(restoreBtn);
+            dialog.appendChild(btnRow);
+
+            const getOptions = (dryRun) => {
+                const selected = rows.filter((r) => r.cb.checked);
+                return {
+                    stores: selected.map((r) => r.storeName),
+                    modes: Object.fromEntries(selected.map((r) => [r.storeName, r.modeSelect.value])),
+                    dryRun,
+                };
+            };
+
+            cancelBtn.addEventListener('click', close);
+
+            previewBtn.addEventListener('click', async () => {
+                const report = await storageBackup.restoreBackup(archive, getOptions(true));
+                preview.textContent = this._formatRestoreReport(report);
+                preview.style.display = '';
+            });
+
+            restoreBtn.addEventListener('click', async () => {
+                const options = getOptions(false);
+                if (options.stores.length === 0) {
+                    close();
+                    return;
+                }
+                if (!confirm('Restore the selected stores from this backup? Replaced data cannot be recovered.')) {
+                    return;
+                }
+                close();
+
+                try {
+                    const report = await storageBackup.restoreBackup(archive, options);
+                    alert(`Backup restored:\n\n${this._formatRestoreReport(report)}\n\nPlease refresh the page.`);
+                    window.location.reload();
+                } catch (error) {
+                    console.error('[Toolasha Settings] Restore failed:', error);
+                    alert('Failed to restore backup.');
+                }
+            });
+        });
+
+        input.click();
+    }
+
+    /**
+     * Format a byte count for display
+     * @param {number} bytes - Size in bytes
+     * @returns {string}
+     * @private
+     */
+    _formatBytes(bytes) {
+        if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+        if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+        if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${bytes} B`;
+    }
+
+    /**
+     * Format a prune report as readable lines
+     * @param {Object} report - Report from storageManager.prune()
+     * @returns {string}
+     * @private
+     */
+    _formatPruneReport(report) {
+        const lines = report.rules
+            .filter((rule) => rule.removed > 0)
+            .map(
+                (rule) =>
+                    `${rule.label}: ${rule.removed} entries in ${rule.keys} records (${this._formatBytes(rule.bytesFreed)})`
+            );
+        if (lines.length === 0) return 'Nothing to prune.';
+        lines.push(`Total: ${report.removed} entries, ${this._formatBytes(report.bytesFreed)}`);
+        return lines.join('\n');
+    }
+
+    /**
+     * Handle storage usage panel — per-store and per-character sizes, retention rules, manual prune
+     */
+    async handleStorageUsage() {
+        const { dialog, close } = this._createBackupDialog('Storage Usage');
+        dialog.style.minWidth = '460px';
+
+        const body = document.createElement('div');
+        body.style.cssText = `font-size:12px;`;
+        body.textContent = 'Measuring…';
+        dialog.appendChild(body);
+
+        const sectionTitle = (text) => {
+            const el = document.createElement('div');
+            el.style.cssText = `font-weight:600;color:#4a9eff;margin:12px 0 4px;`;
+            el.textContent = text;
+            return el;
+        };
+
+        const sizeRow = (label, bytes) => {
+            const row = document.createElement('div');
+            row.style.cssText = `display:flex;justify-content:space-between;gap:12px;padding:2px 0;`;
+            const name = document.createElement('span');
+            name.textContent = label;
+            const size = document.createElement('span');
+            size.style.cssText = `color:#aaa;`;
+            size.textContent = this._formatBytes(bytes);
+            row.appendChild(name);
+            row.appendChild(size);
+            return row;
+        };
+
+        const renderUsage = async () => {
+            const usage = await storageManager.measureUsage();
+            body.textContent = '';
+
+            const summary = document.createElement('div');
+            summary.style.cssText = `color:#aaa;`;
+            summary.textContent = usage.quota
+                ? `Toolasha data: ${this._formatBytes(usage.totalBytes)} — browser storage for this site: ${this._formatBytes(usage.quota.usage)} of ${this._formatBytes(usage.quota.quota)}`
+                : `Toolasha data: ${this._formatBytes(usage.totalBytes)}`;
+            body.appendChild(summary);
+
+            body.appendChild(sectionTitle('By store'));
+            for (const store of usage.stores) {
+                body.appendChild(sizeRow(`${store.storeName} (${store.keyCount} keys)`, store.bytes));
+            }
+
+            body.appendChild(sectionTitle('By character'));
+            for (const character of usage.characters) {
+                body.appendChild(sizeRow(character.id === 'shared' ? 'Shared data' : character.name, character.bytes));
+            }
+        };
+
+        const rulesContainer = document.createElement('div');
+        dialog.appendChild(sectionTitle('Retention rules (0 = no limit)'));
+        dialog.appendChild(rulesContainer);
+
+        const ruleFields = [
+            { field: 'maxAgeDays', label: 'Max age (days)' },
+            { field: 'maxRecords', label: 'Max records' },
+            { field: 'downsampleAfterDays', label: 'Daily after (days)' },
+        ];
+
+        for (const rule of await storageManager.getRules()) {
+            const row = document.createElement('div');
+            row.style.cssText = `display:flex;align-items:center;gap:8px;padding:4px 0;font-size:12px;`;
+
+            const cb = document.createElement('input');
+            cb.type = 'checkbox';
+            cb.checked = rule.enabled;
+            cb.addEventListener('change', () => storageManager.updateRule(rule.id, { enabled: cb.checked }));
+
+            const name = document.createElement('span');
+            name.style.cssText = `flex:1;`;
+            name.textContent = rule.label;
+
+            row.appendChild(cb);
+            row.appendChild(name);
+
+            for (const { field, label } of ruleFields) {
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = '0';
+                input.value = rule[field];
+                input.title = label;
+                input.className = 'toolasha-number-input';
+                input.style.width = '64px';
+                input.addEventListener('change', () => storageManager.updateRule(rule.id, { [field]: input.value }));
+                row.appendChild(input);
+            }
+
+            rulesContainer.appendChild(row);
+        }
+
+        const legend = document.createElement('div');
+        legend.style.cssText = `font-size:11px;color:#888;margin-top:2px;`;
+        legend.textContent = ruleFields.map((f) => f.label).join(' · ');
+        dialog.appendChild(legend);
+
+        const preview = document.createElement('pre');
+        preview.style.cssText = `font-size:11px;color:#ccc;background:#111;border:1px solid #333;border-radius:4px;padding:8px;margin-top:10px;white-space:pre-wrap;display:none;`;
+        dialog.appendChild(preview);
+
+        const btnRow = document.createElement('div');
+        btnRow.style.cssText = `display:flex;gap:8px;margin-top:16px;justify-content:flex-end;`;
+        const closeBtn = this._createDialogButton('Close', false);
+        const previewBtn = this._createDialogButton('Preview Prune', false);
+        const pruneBtn = this._createDialogButton('Prune Now', true);
+        btnRow.appendChild(closeBtn);
+        btnRow.appendChild(previewBtn);
+        btnRow.appendChild(pruneBtn);
+        dialog.appendChild(btnRow);
+
+        closeBtn.addEventListener('click', close);
+
+        previewBtn.addEventListener('click', async () => {
+            const report = await storageManager.prune({ dryRun: true });
+            preview.textContent = this._formatPruneReport(report);
+            preview.style.display = '';
+        });
+
+        pruneBtn.addEventListener('click', async () => {
+            if (!confirm('Remove history entries outside the retention rules? This cannot be undone.')) {
+                return;
+            }
+            try {
+                const report = await storageManager.prune();
+                preview.textContent = this._formatPruneReport(report);
+                preview.style.display = '';
+                await renderUsage();
+            } catch (error) {
+                console.error('[Toolasha Settings] Prune failed:', error);
+                alert('Failed to prune storage.');
+            }
+        });
+
+        try {
+            await renderUsage();
+        } catch (error) {
+            console.error('[Toolasha Settings] Storage measurement failed:', error);
+            body.textContent = 'Failed to measure storage.';
+        }
+    }
+
+    /**
+     * Handle error diagnostics panel — quarantined features, error counts, recent errors with stacks
+     */
+    handleErrorDiagnostics() {
+        const { dialog, close } = this._createBackupDialog('Error Diagnostics');
+        dialog.style.minWidth = '460px';
+        dialog.style.maxWidth = '640px';
+
+        const body = document.createElement('div');
+        body.style.cssText = `font-size:12px;`;
+        dialog.appendChild(body);
+
+        const featureName = (key) => featureRegistry.getFeature(key)?.name || key || '(unattributed)';
+
+        const sectionTitle = (text) => {
+            const el = document.createElement('div');
+            el.style.cssText = `font-weight:600;color:#ccc;margin:12px 0 4px;`;
+            el.textContent = text;
+            return el;
+        };
+
+        const render = () => {
+            body.innerHTML = '';
+
+            const quarantined = featureErrors.getQuarantined();
+            body.appendChild(sectionTitle('Disabled after repeated errors'));
+            if (quarantined.length === 0) {
+                const none = document.createElement('div');
+                none.style.cssText = `color:#888;`;
+                none.textContent = 'None';
+                body.appendChild(none);
+            }
+            for (const entry of quarantined) {
+                const row = document.createElement('div');
+                row.style.cssText = `display:flex;align-items:center;gap:8px;padding:3px 0;`;
+                const label = document.createElement('span');
+                label.style.cssText = `flex:1;`;
+                label.textContent = `${featureName(entry.featureKey)} — ${entry.reason}`;
+                const enableBtn = this._createDialogButton('Re-enable', false);
+                enableBtn.addEventListener('click', async () => {
+                    await featureRegistry.releaseQuarantine(entry.featureKey);
+                    render();
+                });
+                row.appendChild(label);
+                row.appendChild(enableBtn);
+                body.appendChild(row);
+            }
+
+            const summary = featureErrors.getSummary();
+            if (summary.length > 0) {
+                body.appendChild(sectionTitle('Errors this session'));
+                for (const entry of summary) {
+                    const row = document.createElement('div');
+                    row.style.cssText = `display:flex;justify-content:space-between;padding:2px 0;`;
+                    row.innerHTML = `<span></span><span style="color:#aaa;">${entry.count}</span>`;
+                    row.firstChild.textContent = featureName(entry.featureKey);
+                    body.appendChild(row);
+                }
+            }
+
+            const recent = featureErrors.getRecentErrors();
+            body.appendChild(sectionTitle(`Recent errors (${recent.length})`));
+            for (const entry of recent.slice(0, 30)) {
+                const details = document.createElement('details');
+                details.style.cssText = `padding:2px 0;`;
+                const summaryEl = document.createElement('summary');
+                summaryEl.style.cssText = `cursor:pointer;`;
+                summaryEl.textContent = `${new Date(entry.timestamp).toLocaleTimeString()} ${featureName(entry.featureKey)} @ ${entry.source}: ${entry.message}`;
+                const stack = document.createElement('pre');
+                stack.style.cssText = `font-size:11px;color:#ccc;background:#111;border:1px solid #333;border-radius:4px;padding:6px;white-space:pre-wrap;`;
+                stack.textContent = entry.stack || entry.message;
+                details.appendChild(summaryEl);
+                details.appendChild(stack);
+                body.appendChild(details);
+            }
+        };
+
+        const btnRow = document.createElement('div');
+        btnRow.style.cssText = `display:flex;gap:8px;margin-top:16px;justify-content:flex-end;`;
+        const clearBtn = this._createDialogButton('Clear Log', false);
+        const copyBtn = this._createDialogButton('Copy Report', false);
+        const closeBtn = this._createDialogButton('Close', true);
+        btnRow.appendChild(clearBtn);
+        btnRow.appendChild(copyBtn);
+        btnRow.appendChild(closeBtn);
+        dialog.appendChild(btnRow);
+
+        closeBtn.addEventListener('click', close);
+        clearBtn.addEventListener('click', () => {
+            featureErrors.clear();
+            render();
+        });
+        copyBtn.addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(featureErrors.buildReport());
+                copyBtn.textContent = 'Copied';
+            } catch (error) {
+                console.error('[Toolasha Settings] Copy failed:', error);
+                alert('Failed to copy the report.');
+            }
+        });
+
+        render();
+    }
+
     /**
      * Returns the per-character storage key for the All Off snapshot.
      * @returns {Promise<string>}
@@ -0,0 +1,88 @@
+/**
+ * Storage Retention
+ * Runs the storage manager's retention rules on a schedule while the game is open.
+ */
+
+import config from '../../core/config.js';
+import { storageManager } from '../../core/storage-manager.js';
+import { createTimerRegistry } from '../../utils/timer-registry.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const STARTUP_DELAY_MS = 60 * 1000; // Let features finish loading their history first
+const CHECK_INTERVAL_MS = HOUR_MS;
+
+class StorageRetention {
+    constructor() {
+        this.timerRegistry = createTimerRegistry();
+        this.isRunning = false;
+        this.isInitialized = false;
+        this.settingChangeHandler = null;
+    }
+
+    /**
+     * Initialize scheduled pruning
+     */
+    initialize() {
+        if (this.isInitialized) return;
+        this.isInitialized = true;
+
+        this.settingChangeHandler = () => this.reschedule();
+        config.onSettingChange('storageRetention_autoPrune', this.settingChangeHandler);
+        config.onSettingChange('storageRetention_intervalHours', this.settingChangeHandler);
+
+        this.reschedule();
+    }
+
+    /**
+     * Clear timers and schedule the next checks from current settings
+     */
+    reschedule() {
+        this.timerRegistry.clearAll();
+        if (!config.getSetting('storageRetention_autoPrune')) return;
+
+        this.timerRegistry.registerTimeout(setTimeout(() => this.runIfDue(), STARTUP_DELAY_MS));
+        this.timerRegistry.registerInterval(setInterval(() => this.runIfDue(), CHECK_INTERVAL_MS));
+    }
+
+    /**
+     * Prune when the configured interval has passed since the last run
+     */
+    async runIfDue() {
+        if (this.isRunning) return;
+
+        const intervalHours = Math.max(1, Number(config.getSettingValue('storageRetention_intervalHours', 24)) || 24);
+        const lastRun = await storageManager.getLastPruneTime();
+        if (lastRun && Date.now() - lastRun < intervalHours * HOUR_MS) return;
+
+        this.isRunning = true;
+        try {
+            const report = await storageManager.prune();
+            if (report.removed > 0) {
+                console.log(
+                    `[StorageRetention] Pruned ${report.removed} entries (${Math.round(report.bytesFreed / 1024)} KB)`
+                );
+            }
+        } catch (error) {
+            console.error('[StorageRetention] Scheduled prune failed:', error);
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Stop scheduled pruning
+     */
+    disable() {
+        this.timerRegistry.clearAll();
+        if (this.settingChangeHandler) {
+            config.offSettingChange('storageRetention_autoPrune', this.settingChangeHandler);
+            config.offSettingChange('storageRetention_intervalHours', this.settingChangeHandler);
+            this.settingChangeHandler = null;
+        }
+        this.isInitialized = false;
+    }
+}
+
+const storageRetention = new StorageRetention();
+
+export default storageRetention;
@@ -12,10 +12,20 @@ import webSocketHook from '../core/websocket.js';
 import domObserver from '../core/dom-observer.js';
 import dataManager from '../core/data-manager.js';
 import featureRegistry from '../core/feature-registry.js';
+import featureErrors from '../core/feature-errors.js';
 import settingsStorage from '../core/settings-storage.js';
 import { settingsGroups } from '../core/settings-schema.js';
 import { setCurrentProfile, getCurrentProfile, clearCurrentProfile } from '../core/profile-manager.js';
 import { marketplaceSession, MARKETPLACE_OWNER } from '../core/marketplace-session.js';
+import { storageBackup, RESTORE_MODE } from '../core/storage-backup.js';
+import { storageManager, DEFAULT_RETENTION_RULES } from '../core/storage-manager.js';
+import { schemaMigrations } from '../core/schema-migrations.js';
+import { registerStorageMigrations } from '../core/storage-migrations.js';
+import { pluginHost, PLUGIN_API_VERSION } from '../core/plugin-api.js';
+import webSocketRecorder from '../core/websocket-recorder.js';
+import { WebSocketReplay, replayRecording } from '../core/websocket-replay.js';
+import messageValidator from '../core/message-validator.js';
+import { MESSAGE_SCHEMAS } from '../core/message-schemas.js';
 import tooltipObserver from '../core/tooltip-observer.js';
 import performanceMonitor from '../utils/performance-monitor.js';
 
@@ -37,6 +47,7 @@ toolashaRoot.Core = {
     domObserver,
     dataManager,
     featureRegistry,
+    featureErrors,
     settingsStorage,
     settingsGroups,
     tooltipObserver,
@@ -49,6 +60,19 @@ toolashaRoot.Core = {
     performanceMonitor,
     marketplaceSession,
     MARKETPLACE_OWNER,
+    storageBackup,
+    RESTORE_MODE,
+    storageManager,
+    DEFAULT_RETENTION_RULES,
+    schemaMigrations,
+    registerStorageMigrations,
+    pluginHost,
+    PLUGIN_API_VERSION,
+    webSocketRecorder,
+    WebSocketReplay,
+    replayRecording,
+    messageValidator,
+    MESSAGE_SCHEMAS,
 };
 
 console.log('[Toolasha] Core library loaded');
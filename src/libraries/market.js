@@ -31,6 +31,16 @@ import alchemyProfitCalculator from '../features/market/alchemy-profit-calculato
 import marketplaceShortcuts from '../features/market/marketplace-shortcuts.js';
 import sellQueue from '../features/market/sell-queue.js';
 import milkywayMarketLink from '../features/market/milkyway-market-link.js';
+import priceHistory from '../features/market/price-history.js';
+import priceHistoryChart from '../features/market/price-history-chart.js';
+import priceAlerts from '../features/market/price-alerts.js';
+import priceAlertsUI from '../features/market/price-alerts-ui.js';
+import tradeLedger from '../features/market/trade-ledger.js';
+import tradeLedgerUI from '../features/market/trade-ledger-ui.js';
+import orderBookHistory from '../features/market/order-book-history.js';
+import liquidityPanel from '../features/market/liquidity-panel.js';
+import listingHealthPanel from '../features/market/listing-health-panel.js';
+import arbitrageScannerUI from '../features/market/arbitrage-scanner-ui.js';
 
 // Networth/Economy features
 import networthFeature from '../features/networth/index.js';
@@ -90,6 +100,16 @@ toolashaRoot.Market = {
     marketplaceShortcuts,
     sellQueue,
     milkywayMarketLink,
+    priceHistory,
+    priceHistoryChart,
+    priceAlerts,
+    priceAlertsUI,
+    tradeLedger,
+    tradeLedgerUI,
+    orderBookHistory,
+    liquidityPanel,
+    listingHealthPanel,
+    arbitrageScannerUI,
 };
 
 console.log('[Toolasha] Market library loaded');
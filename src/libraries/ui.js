@@ -83,10 +83,17 @@ import leaderboardXPDisplay from '../features/leaderboard/leaderboard-xp-display
 
 // Notifications
 import emptyQueueNotification from '../features/notifications/empty-queue-notification.js';
+import gameDataDriftAlert from '../features/notifications/game-data-drift-alert.js';
 
 // Queue Monitor
 import queueMonitor from '../features/queue-monitor/queue-monitor.js';
 
+// Data storage
+import storageRetention from '../features/settings/storage-retention.js';
+
+// Error diagnostics
+import featureErrorNotice from '../features/settings/feature-error-notice.js';
+
 // Dev tools
 import pformancePanel from '../features/dev/pformance-panel.js';
 
@@ -148,7 +155,10 @@ toolashaRoot.UI = {
     leaderboardXPTracker,
     leaderboardXPDisplay,
     emptyQueueNotification,
+    gameDataDriftAlert,
     queueMonitor,
+    storageRetention,
+    featureErrorNotice,
     pformancePanel,
 };
 
@@ -4,11 +4,14 @@
  */
 
 import storage from './core/storage.js';
+import { schemaMigrations } from './core/schema-migrations.js';
+import { registerStorageMigrations } from './core/storage-migrations.js';
 import config from './core/config.js';
 import webSocketHook from './core/websocket.js';
 import domObserver from './core/dom-observer.js';
 import dataManager from './core/data-manager.js';
 import featureRegistry from './core/feature-registry.js';
+import { pluginHost } from './core/plugin-api.js';
 import networkAlert from './features/market/network-alert.js';
 import * as combatSimIntegration from './features/combat/combat-sim-integration.js';
 import settingsUI from './features/settings/settings-ui.js';
@@ -53,6 +56,10 @@ if (isCombatSimulatorPage()) {
             // Initialize storage (opens IndexedDB)
             await storage.initialize();
 
+            // Apply pending schema migrations before anything reads stored records
+            registerStorageMigrations();
+            await schemaMigrations.runAll();
+
             // Initialize config (loads settings from storage)
             await config.initialize();
 
@@ -150,4 +157,6 @@ if (isCombatSimulatorPage()) {
     toolashaRoot.guild = {
         resetMemberXP: () => guildXPTrackerFeature.resetMemberData(),
     };
+
+    pluginHost.install(targetWindow, toolashaRoot.version);
 }
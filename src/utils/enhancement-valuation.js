@@ -0,0 +1,243 @@
+/**
+ * Enhanced Item Valuation Model
+ * Estimates market prices for enhancement levels that have no listings.
+ *
+ * Prices of one item across enhancement levels are fitted as log(price) = a + b × level.
+ * Items with fewer than three priced levels borrow the median slope of related items
+ * (same equipment slot, item level within ±10) and anchor it on their own prices.
+ * Every estimate comes with a confidence band that widens with distance from the
+ * observed levels and with disagreement between related items.
+ */
+
+import marketAPI from '../api/marketplace.js';
+import config from '../core/config.js';
+import dataManager from '../core/data-manager.js';
+import { formatKMB } from './formatters.js';
+
+export const MODEL_METHOD = Object.freeze({
+    FIT: 'fit', // Fitted on the item's own prices
+    RELATED: 'related', // Slope borrowed from related items
+});
+
+export const MIN_FIT_LEVELS = 3;
+export const RELATED_ITEM_LEVEL_RANGE = 10;
+
+// Residual spread (in log price) assumed when a fit has no degrees of freedom left
+const DEFAULT_LOG_SIGMA = 0.25;
+const MIN_LOG_SIGMA = 0.05;
+
+// Two-sided 90% band
+const CONFIDENCE_Z = 1.645;
+
+const estimateCache = new Map();
+const slopeCache = new Map();
+let listeningForPrices = false;
+
+/**
+ * Least-squares fit of log(price) against enhancement level
+ * @param {Array<{level: number, price: number}>} points - Observed prices (price > 0)
+ * @returns {Object|null} { n, meanLevel, sxx, slope, intercept, sigma } (slope null with a single level)
+ */
+export function fitLogLinear(points) {
+    const usable = points.filter((point) => point.price > 0);
+    const n = usable.length;
+    if (n === 0) return null;
+
+    const meanLevel = usable.reduce((sum, point) => sum + point.level, 0) / n;
+    const meanLog = usable.reduce((sum, point) => sum + Math.log(point.price), 0) / n;
+
+    let sxx = 0;
+    let sxy = 0;
+    for (const point of usable) {
+        sxx += (point.level - meanLevel) ** 2;
+        sxy += (point.level - meanLevel) * (Math.log(point.price) - meanLog);
+    }
+
+    const slope = sxx > 0 ? sxy / sxx : null;
+    const intercept = meanLog - (slope ?? 0) * meanLevel;
+
+    let sigma = null;
+    if (slope !== null && n > 2) {
+        const sse = usable.reduce((sum, point) => {
+            const residual = Math.log(point.price) - (intercept + slope * point.level);
+            return sum + residual * residual;
+        }, 0);
+        sigma = Math.sqrt(sse / (n - 2));
+    }
+
+    return { n, meanLevel, meanLog, sxx, slope, intercept, sigma };
+}
+
+/**
+ * @param {number[]} values
+ * @returns {number}
+ */
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Estimate a price from an item's observed levels
+ * @param {Array<{level: number, price: number}>} points - The item's observed prices
+ * @param {number} level - Enhancement level to estimate
+ * @param {number[]} [relatedSlopes=[]] - Fitted slopes of related items
+ * @returns {Object|null} { value, low, high, method, observedLevels }, or null when there is nothing to go on
+ */
+export function estimateFromPoints(points, level, relatedSlopes = []) {
+    const fit = fitLogLinear(points);
+    if (!fit) return null;
+
+    let slope;
+    let slopeSpread = 0;
+    let method;
+    if (fit.n >= MIN_FIT_LEVELS && fit.slope !== null) {
+        slope = fit.slope;
+        method = MODEL_METHOD.FIT;
+    } else if (relatedSlopes.length > 0) {
+        slope = median(relatedSlopes);
+        // Median absolute deviation, scaled to a standard deviation
+        slopeSpread = relatedSlopes.length > 1 ? 1.4826 * median(relatedSlopes.map((s) => Math.abs(s - slope))) : 0;
+        method = MODEL_METHOD.RELATED;
+    } else {
+        return null;
+    }
+
+    // Higher enhancement is never worth less
+    slope = Math.max(0, slope);
+    const intercept = fit.meanLog - slope * fit.meanLevel;
+
+    const sigma = Math.max(fit.sigma ?? DEFAULT_LOG_SIGMA, MIN_LOG_SIGMA);
+    const distance = level - fit.meanLevel;
+    const leverage = 1 + 1 / fit.n + (fit.sxx > 0 && method === MODEL_METHOD.FIT ? distance ** 2 / fit.sxx : 0);
+    const logError = Math.sqrt(sigma ** 2 * leverage + (slopeSpread * distance) ** 2);
+
+    const logValue = intercept + slope * level;
+    return {
+        value: Math.exp(logValue),
+        low: Math.exp(logValue - CONFIDENCE_Z * logError),
+        high: Math.exp(logValue + CONFIDENCE_Z * logError),
+        method,
+        observedLevels: points
+            .filter((point) => point.price > 0)
+            .map((point) => point.level)
+            .sort((a, b) => a - b),
+    };
+}
+
+/**
+ * Drop cached estimates when market data changes
+ */
+function clearCaches() {
+    estimateCache.clear();
+    slopeCache.clear();
+}
+
+/**
+ * Observed prices of one item across enhancement levels
+ * @param {string} itemHrid - Item HRID
+ * @param {string} side - 'ask' or 'bid'
+ * @returns {Array<{level: number, price: number}>}
+ */
+function getObservedPoints(itemHrid, side) {
+    const levels = Object.keys(marketAPI.marketData?.[itemHrid] || {});
+    const points = [];
+    for (const key of levels) {
+        const level = Number(key);
+        if (!Number.isFinite(level)) continue;
+        const price = marketAPI.getPrice(itemHrid, level)?.[side];
+        if (price > 0) points.push({ level, price });
+    }
+    return points;
+}
+
+/**
+ * Fitted slope of an item with enough priced levels
+ * @param {string} itemHrid - Item HRID
+ * @param {string} side - 'ask' or 'bid'
+ * @returns {number|null}
+ */
+function getOwnSlope(itemHrid, side) {
+    const key = `${itemHrid}:${side}`;
+    if (!slopeCache.has(key)) {
+        const points = getObservedPoints(itemHrid, side);
+        const fit = points.length >= MIN_FIT_LEVELS ? fitLogLinear(points) : null;
+        slopeCache.set(key, fit?.slope ?? null);
+    }
+    return slopeCache.get(key);
+}
+
+/**
+ * Slopes of related equipment (same slot, similar item level)
+ * @param {string} itemHrid - Item HRID
+ * @param {string} side - 'ask' or 'bid'
+ * @returns {number[]}
+ */
+function getRelatedSlopes(itemHrid, side) {
+    const itemDetailMap = dataManager.getInitClientData()?.itemDetailMap;
+    const details = itemDetailMap?.[itemHrid];
+    const slotType = details?.equipmentDetail?.type;
+    if (!slotType) return [];
+
+    const itemLevel = details.itemLevel || 0;
+    const slopes = [];
+    for (const [hrid, other] of Object.entries(itemDetailMap)) {
+        if (hrid === itemHrid || other.equipmentDetail?.type !== slotType) continue;
+        if (Math.abs((other.itemLevel || 0) - itemLevel) > RELATED_ITEM_LEVEL_RANGE) continue;
+        const slope = getOwnSlope(hrid, side);
+        if (slope !== null) slopes.push(slope);
+    }
+    return slopes;
+}
+
+/**
+ * Modeled market price for an enhancement level
+ * @param {string} itemHrid - Item HRID
+ * @param {number} enhancementLevel - Enhancement level
+ * @param {string} [side='ask'] - 'ask' or 'bid'
+ * @returns {Object|null} { value, low, high, method, observedLevels }
+ */
+export function getModeledPrice(itemHrid, enhancementLevel, side = 'ask') {
+    if (!marketAPI.marketData) return null;
+
+    if (!listeningForPrices) {
+        marketAPI.on(clearCaches);
+        listeningForPrices = true;
+    }
+
+    const key = `${itemHrid}:${enhancementLevel}:${side}`;
+    if (!estimateCache.has(key)) {
+        const points = getObservedPoints(itemHrid, side).filter((point) => point.level !== enhancementLevel);
+        const relatedSlopes = points.length >= MIN_FIT_LEVELS ? [] : getRelatedSlopes(itemHrid, side);
+        estimateCache.set(key, estimateFromPoints(points, enhancementLevel, relatedSlopes));
+    }
+    return estimateCache.get(key);
+}
+
+/**
+ * Whether modeled prices fill in missing enhancement levels
+ * @returns {boolean}
+ */
+export function isValuationModelEnabled() {
+    return config.getSetting('pricing_enhancedValuationModel') === true;
+}
+
+/**
+ * Whether modeled values should be marked in the UI
+ * @returns {boolean}
+ */
+export function shouldMarkModeledPrices() {
+    return isValuationModelEnabled() && config.getSetting('pricing_showModeledPrices') === true;
+}
+
+/**
+ * One-line explanation of a modeled price, for titles and tooltips
+ * @param {Object} estimate - getModeledPrice() result
+ * @returns {string}
+ */
+export function describeModeledPrice(estimate) {
+    const levels = estimate.observedLevels.map((level) => `+${level}`).join(', ');
+    const source = estimate.method === MODEL_METHOD.FIT ? `fit on ${levels}` : `related items, anchored on ${levels}`;
+    return `Modeled (${source}); 90% band ${formatKMB(estimate.low)}–${formatKMB(estimate.high)}`;
+}
@@ -0,0 +1,61 @@
+import { describe, expect, test } from 'vitest';
+import { MODEL_METHOD, estimateFromPoints, fitLogLinear } from './enhancement-valuation.js';
+
+// Price doubles every level from 1,000 at +0
+const exponential = (levels) => levels.map((level) => ({ level, price: 1000 * 2 ** level }));
+
+describe('fitLogLinear', () => {
+    test('recovers an exponential price curve', () => {
+        const fit = fitLogLinear(exponential([0, 2, 5, 10]));
+        expect(fit.n).toBe(4);
+        expect(fit.slope).toBeCloseTo(Math.log(2));
+        expect(Math.exp(fit.intercept)).toBeCloseTo(1000);
+        expect(fit.sigma).toBeCloseTo(0);
+    });
+
+    test('has no slope with a single level and ignores unpriced points', () => {
+        const fit = fitLogLinear([
+            { level: 5, price: 3000 },
+            { level: 7, price: 0 },
+        ]);
+        expect(fit).toMatchObject({ n: 1, slope: null, sxx: 0 });
+        expect(fitLogLinear([])).toBeNull();
+    });
+});
+
+describe('estimateFromPoints', () => {
+    test('interpolates from the item’s own levels with a band that widens when extrapolating', () => {
+        const points = exponential([0, 2, 5, 10]);
+        const inside = estimateFromPoints(points, 4);
+        const outside = estimateFromPoints(points, 15);
+
+        expect(inside.method).toBe(MODEL_METHOD.FIT);
+        expect(inside.value).toBeCloseTo(16000);
+        expect(inside.observedLevels).toEqual([0, 2, 5, 10]);
+        expect(inside.low).toBeLessThan(inside.value);
+        expect(inside.high).toBeGreaterThan(inside.value);
+        expect(outside.high / outside.low).toBeGreaterThan(inside.high / inside.low);
+    });
+
+    test('borrows the median slope of related items and anchors it on the item’s prices', () => {
+        const estimate = estimateFromPoints([{ level: 5, price: 5000 }], 7, [Math.log(2), Math.log(2), 0.1]);
+        expect(estimate.method).toBe(MODEL_METHOD.RELATED);
+        expect(estimate.value).toBeCloseTo(20000);
+        expect(estimate.observedLevels).toEqual([5]);
+    });
+
+    test('never values a higher level below a lower one', () => {
+        const falling = [
+            { level: 1, price: 5000 },
+            { level: 3, price: 4000 },
+            { level: 5, price: 3000 },
+        ];
+        const estimate = estimateFromPoints(falling, 8);
+        expect(estimate.value).toBeCloseTo(Math.exp(falling.reduce((sum, p) => sum + Math.log(p.price), 0) / 3));
+    });
+
+    test('gives up without own prices or a slope to borrow', () => {
+        expect(estimateFromPoints([], 5, [0.5])).toBeNull();
+        expect(estimateFromPoints([{ level: 5, price: 5000 }], 7)).toBeNull();
+    });
+});
@@ -5,19 +5,77 @@
 
 import marketAPI from '../api/marketplace.js';
 import config from '../core/config.js';
+import dataManager from '../core/data-manager.js';
 import { getCustomPrice } from '../features/settings/custom-price-overrides.js';
+import { buildFormulaVariables, compileFormula } from './price-formula.js';
 
 // Track logged warnings to prevent console spam
 const loggedWarnings = new Set();
 
+// Custom formula settings per transaction side, with the formula used when a setting is invalid
+export const CUSTOM_FORMULA_SETTINGS = Object.freeze({
+    buy: { id: 'pricing_customBuyFormula', fallback: 'ask' },
+    sell: { id: 'pricing_customSellFormula', fallback: 'bid' },
+});
+
+// (itemHrid, enhancementLevel) => { buy, sell } | null, registered by the trade history feature
+let tradeHistoryLookup = null;
+
+/**
+ * Provide last personal trade prices to custom pricing formulas (lastBuy / lastSell)
+ * @param {Function|null} lookup - (itemHrid, enhancementLevel) => { buy, sell } | null
+ */
+export function setTradeHistoryLookup(lookup) {
+    tradeHistoryLookup = lookup;
+}
+
+/**
+ * Variables available to custom pricing formulas for one item
+ * @param {string} itemHrid - Item HRID
+ * @param {number} [enhancementLevel=0] - Enhancement level
+ * @returns {Object} Formula variables (see price-formula.js)
+ */
+export function getFormulaVariables(itemHrid, enhancementLevel = 0) {
+    return buildFormulaVariables(marketAPI.getPrice(itemHrid, enhancementLevel), {
+        history: tradeHistoryLookup?.(itemHrid, enhancementLevel) ?? null,
+        vendor: enhancementLevel === 0 ? (dataManager.getItemDetails(itemHrid)?.sellPrice ?? null) : null,
+    });
+}
+
+/**
+ * Price from the user's custom formula for a transaction side
+ * @param {string} itemHrid - Item HRID
+ * @param {number} enhancementLevel - Enhancement level
+ * @param {string} side - Transaction side ('buy'|'sell')
+ * @returns {number|null} Price, or null when the formula can't be computed
+ */
+function getFormulaPrice(itemHrid, enhancementLevel, side) {
+    const setting = CUSTOM_FORMULA_SETTINGS[side === 'buy' ? 'buy' : 'sell'];
+    const formula = config.getSettingValue(setting.id, setting.fallback);
+
+    let compiled;
+    try {
+        compiled = compileFormula(formula);
+    } catch (error) {
+        const warningKey = `formula:${formula}`;
+        if (!loggedWarnings.has(warningKey)) {
+            console.warn(`[Market Data] Invalid ${side} formula "${formula}": ${error.message}`);
+            loggedWarnings.add(warningKey);
+        }
+        compiled = compileFormula(setting.fallback);
+    }
+
+    return compiled(getFormulaVariables(itemHrid, enhancementLevel));
+}
+
 /**
  * Get item price based on pricing mode and context
  * @param {string} itemHrid - Item HRID
  * @param {Object} options - Configuration options
  * @param {number} [options.enhancementLevel=0] - Enhancement level
- * @param {string} [options.mode] - Pricing mode ('ask'|'bid'|'average'). If not provided, uses context or user settings
+ * @param {string} [options.mode] - Pricing mode ('ask'|'bid'|'average'|'custom'). If not provided, uses context or user settings
  * @param {string} [options.context] - Context hint ('profit'|'networth'|null). Used to determine pricing mode from settings
- * @param {string} [options.side='sell'] - Transaction side ('buy'|'sell') - used with 'profit' context to determine correct price
+ * @param {string} [options.side='sell'] - Transaction side ('buy'|'sell') - used with 'profit' context and custom formulas
  * @returns {number|null} Price in gold, or null if no market data
  */
 export function getItemPrice(itemHrid, options = {}) {
@@ -44,6 +102,14 @@ export function getItemPrice(itemHrid, options = {}) {
         return customPrice;
     }
 
+    // Determine pricing mode
+    const pricingMode = mode || getPricingMode(context, side);
+
+    // Custom formulas may price items without market data (e.g. from trade history)
+    if (pricingMode === 'custom') {
+        return getFormulaPrice(itemHrid, enhancementLevel, side);
+    }
+
     // Get raw price data from API
     const priceData = marketAPI.getPrice(itemHrid, enhancementLevel);
 
@@ -51,9 +117,6 @@ export function getItemPrice(itemHrid, options = {}) {
         return null;
     }
 
-    // Determine pricing mode
-    const pricingMode = mode || getPricingMode(context, side);
-
     // Validate pricing mode
     const validModes = ['ask', 'bid', 'average'];
     if (!validModes.includes(pricingMode)) {
@@ -155,7 +218,7 @@ export function formatPrice(amount, options = {}) {
  * Determine pricing mode from context and user settings
  * @param {string} [context] - Context hint ('profit'|'networth'|null)
  * @param {string} [side='sell'] - Transaction side ('buy'|'sell') - used with 'profit' context
- * @returns {string} Pricing mode ('ask'|'bid'|'average')
+ * @returns {string} Pricing mode ('ask'|'bid'|'average'|'custom')
  */
 export function getPricingMode(context, side = 'sell') {
     // If no context, default to 'ask'
@@ -170,33 +233,8 @@ export function getPricingMode(context, side = 'sell') {
 
     // Get pricing mode from settings based on context
     switch (context) {
-        case 'profit': {
-            const profitMode = config.getSettingValue('profitCalc_pricingMode');
-
-            // Convert profit calculation modes to price types based on transaction side
-            // Conservative: Ask/Bid (instant buy materials, instant sell output)
-            // Hybrid: Ask/Ask (instant buy materials, patient sell output)
-            // Optimistic: Bid/Ask (patient buy materials, patient sell output)
-            // Patient Buy: Bid/Bid (patient buy materials, instant sell output)
-            let selectedPriceType;
-            switch (profitMode) {
-                case 'conservative':
-                    selectedPriceType = side === 'buy' ? 'ask' : 'bid';
-                    break;
-                case 'hybrid':
-                    selectedPriceType = 'ask'; // Ask for both buy and sell
-                    break;
-                case 'optimistic':
-                    selectedPriceType = side === 'buy' ? 'bid' : 'ask';
-                    break;
-                case 'patientBuy':
-                    selectedPriceType = 'bid'; // Bid for both buy and sell
-                    break;
-                default:
-                    selectedPriceType = 'ask';
-            }
-            return selectedPriceType;
-        }
+        case 'profit':
+            return getProfitPriceType(config.getSettingValue('profitCalc_pricingMode'), side);
         case 'networth': {
             return config.getSettingValue('networth_pricingMode') || 'ask';
         }
@@ -211,11 +249,37 @@ export function getPricingMode(context, side = 'sell') {
     }
 }
 
+/**
+ * Price type a profit pricing mode uses for a transaction side
+ * Conservative: Ask/Bid (instant buy materials, instant sell output)
+ * Hybrid: Ask/Ask (instant buy materials, patient sell output)
+ * Optimistic: Bid/Ask (patient buy materials, patient sell output)
+ * Patient Buy: Bid/Bid (patient buy materials, instant sell output)
+ * Custom: user formulas per side
+ * @param {string} profitMode - profitCalc_pricingMode value
+ * @param {string} [side='sell'] - Transaction side ('buy'|'sell')
+ * @returns {string} Price type ('ask'|'bid'|'custom')
+ */
+export function getProfitPriceType(profitMode, side = 'sell') {
+    switch (profitMode) {
+        case 'conservative':
+            return side === 'buy' ? 'ask' : 'bid';
+        case 'optimistic':
+            return side === 'buy' ? 'bid' : 'ask';
+        case 'patientBuy':
+            return 'bid';
+        case 'custom':
+            return 'custom';
+        default:
+            return 'ask';
+    }
+}
+
 /**
  * Get prices for multiple items in batch
  * @param {Array<{itemHrid: string, enhancementLevel?: number}>} items - Array of items to price
  * @param {Object} options - Configuration options
- * @param {string} [options.mode] - Pricing mode ('ask'|'bid'|'average')
+ * @param {string} [options.mode] - Pricing mode ('ask'|'bid'|'average'|'custom')
  * @param {string} [options.context] - Context hint ('profit'|'networth'|null)
  * @param {string} [options.side='sell'] - Transaction side ('buy'|'sell')
  * @returns {Map<string, number>} Map of itemHrid+enhancementLevel to price
@@ -17,6 +17,14 @@ const MARKETPLACE_STATE_KEYS = ['marketTabKey', 'marketListingsView', 'itemHrid'
 const REACT_FIBER_PREFIXES = ['__reactFiber$', '__reactInternalInstance$'];
 const MAX_REACT_TREE_FIBERS = 50000;
 const MAX_REACT_OWNER_DEPTH = 256;
+// Price writes wait for auto-fill-price to finish its own best-price clicks
+const PRICE_FILL_DELAY_MS = 300;
+
+/** Buy forms a target can be limited to: the instant Buy Now order or a New Buy Listing */
+export const BUY_FLOW = Object.freeze({
+    INSTANT: 'instant',
+    LISTING: 'listing',
+});
 
 function hasMarketplaceStateSignature(state) {
     return state && typeof state === 'object' && MARKETPLACE_STATE_KEYS.every((key) => key in state);
@@ -215,7 +223,9 @@ export function readMarketplaceItemIdentity() {
  * Lifecycle:
  *   initialize()      — call once at feature startup; installs the buy-modal observer
  *   startSession(opts) — claim a session slot by sessionId
- *   arm(opts)         — atomically set target; only 'buy' modalMode is accepted
+ *   arm(opts)         — atomically set target; only 'buy' modalMode is accepted. Optional buyFlow
+ *                       (BUY_FLOW) limits the fill to one buy form, and priceProvider sets the
+ *                       price of a New Buy Listing
  *   setItem()         — @deprecated, use arm()
  *   setQuantityProvider() — @deprecated, use arm()
  *   exitSession(sessionId) — disarm without ending the marketplace session token
@@ -231,6 +241,7 @@ export function createAutofillManager(observerId) {
     let activeTarget = null;
     let legacyDraft = null;
     const modalRetryTimers = new Set();
+    const priceFillTimers = new Set();
     const filledModalGenerations = new WeakMap();
 
     function clearRetryTimers() {
@@ -240,6 +251,8 @@ export function createAutofillManager(observerId) {
 
     function invalidateTarget() {
         clearRetryTimers();
+        for (const timer of priceFillTimers) clearTimeout(timer);
+        priceFillTimers.clear();
         targetGeneration += 1;
         activeTarget = null;
         legacyDraft = null;
@@ -269,7 +282,15 @@ export function createAutofillManager(observerId) {
     }
 
     function arm(opts = {}) {
-        const { sessionId, itemHrid = null, enhancementLevel = 0, modalMode = 'buy', quantityProvider } = opts || {};
+        const {
+            sessionId,
+            itemHrid = null,
+            enhancementLevel = 0,
+            modalMode = 'buy',
+            quantityProvider,
+            buyFlow = null,
+            priceProvider = null,
+        } = opts || {};
 
         if (sessionId !== activeSessionId) return false;
         if (!marketplaceSession.isActive(sessionId)) {
@@ -282,7 +303,9 @@ export function createAutofillManager(observerId) {
             modalMode !== 'buy' ||
             !isValidItemHrid(itemHrid) ||
             !isValidEnhancementLevel(enhancementLevel) ||
-            typeof quantityProvider !== 'function'
+            typeof quantityProvider !== 'function' ||
+            (buyFlow !== null && !Object.values(BUY_FLOW).includes(buyFlow)) ||
+            (priceProvider !== null && typeof priceProvider !== 'function')
         ) {
             invalidateTarget();
             return false;
@@ -295,6 +318,8 @@ export function createAutofillManager(observerId) {
             enhancementLevel,
             modalMode,
             quantityProvider,
+            buyFlow,
+            priceProvider,
         });
         legacyDraft = null;
         return true;
@@ -395,6 +420,25 @@ export function createAutofillManager(observerId) {
         }
     }
 
+    function resolvePrice(target) {
+        try {
+            const price = target.priceProvider();
+            return typeof price === 'number' && Number.isFinite(price) && price > 0 ? Math.trunc(price) : 0;
+        } catch (error) {
+            console.error('[MarketplaceAutofill] priceProvider failed:', error);
+            return 0;
+        }
+    }
+
+    function writeInputValue(input, value) {
+        const nativeInputValueSetter = Object.getOwnPropertyDescriptor(window.HTMLInputElement.prototype, 'value')?.set;
+        if (typeof nativeInputValueSetter !== 'function') return false;
+
+        nativeInputValueSetter.call(input, value.toString());
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+        return true;
+    }
+
     function targetMatchesInput(target, quantityInput) {
         const state = readMarketplaceRuntimeStateFromElement(quantityInput);
         // MWI uses two exact buy forms: an instant order from an existing ask and
@@ -402,6 +446,10 @@ export function createAutofillManager(observerId) {
         // the verified write path to every post-listing modal.
         const isInstantBuy = state?.isPostNewListing === false && state?.isInstantOrder === true;
         const isNewBuyListing = state?.isPostNewListing === true && state?.isInstantOrder === false;
+        const matchesFlow =
+            target.buyFlow === null ||
+            (target.buyFlow === BUY_FLOW.INSTANT && isInstantBuy) ||
+            (target.buyFlow === BUY_FLOW.LISTING && isNewBuyListing);
 
         return (
             state?.marketTabKey === 'MarketListings' &&
@@ -409,6 +457,7 @@ export function createAutofillManager(observerId) {
             state?.showPostListing === true &&
             state?.isSell === false &&
             (isInstantBuy || isNewBuyListing) &&
+            matchesFlow &&
             state?.itemHrid === target.itemHrid &&
             state?.enhancementLevel === target.enhancementLevel &&
             state?.enhancementLevelInput === target.enhancementLevel
@@ -439,16 +488,28 @@ export function createAutofillManager(observerId) {
         if (activeTarget !== target || activeSessionId !== target.sessionId) return false;
         if (!marketplaceSession.isActive(target.sessionId) || !targetMatchesInput(target, quantityInput)) return false;
 
-        const nativeInputValueSetter = Object.getOwnPropertyDescriptor(window.HTMLInputElement.prototype, 'value')?.set;
-        if (typeof nativeInputValueSetter !== 'function') return false;
-
-        nativeInputValueSetter.call(quantityInput, quantity.toString());
-        quantityInput.dispatchEvent(new Event('input', { bubbles: true }));
+        if (!writeInputValue(quantityInput, quantity)) return false;
         filledModalGenerations.set(modal, { generation: target.generation, input: quantityInput, quantity });
+        if (target.priceProvider) schedulePriceFill(modal, target, quantityInput);
         marketplaceSession.consume(target.sessionId);
         return true;
     }
 
+    function schedulePriceFill(modal, target, quantityInput) {
+        const timer = setTimeout(() => {
+            priceFillTimers.delete(timer);
+            if (activeTarget !== target || !modal.isConnected || !targetMatchesInput(target, quantityInput)) return;
+            // Buy Now fills at the listed asks; only a New Buy Listing takes a price
+            if (readMarketplaceRuntimeStateFromElement(quantityInput)?.isPostNewListing !== true) return;
+
+            const priceInputs = modal.querySelectorAll('[class*="MarketplacePanel_priceInputs"] input');
+            const price = resolvePrice(target);
+            if (priceInputs.length !== 1 || price <= 0) return;
+            writeInputValue(priceInputs[0], price);
+        }, PRICE_FILL_DELAY_MS);
+        priceFillTimers.add(timer);
+    }
+
     function handleObservedModal(modal) {
         const target = activeTarget;
         if (!target || !modal) return;
@@ -16,7 +16,7 @@ vi.mock('../core/dom-observer.js', () => ({
 }));
 
 import { marketplaceSession, MARKETPLACE_OWNER } from '../core/marketplace-session.js';
-import { createAutofillManager, readMarketplaceRuntimeStateFromElement } from './marketplace-autofill.js';
+import { BUY_FLOW, createAutofillManager, readMarketplaceRuntimeStateFromElement } from './marketplace-autofill.js';
 
 function makeMarketplaceComponent(overrides = {}) {
     return {
@@ -68,7 +68,7 @@ function attachReactRootComponent(element, component) {
     });
 }
 
-function makeBuyModal(component, { title = 'Buy Now', quantity = '1', inputType = 'number' } = {}) {
+function makeBuyModal(component, { title = 'Buy Now', quantity = '1', inputType = 'number', price = null } = {}) {
     const modal = document.createElement('div');
     modal.className = 'Modal_modalContainer__test';
     modal.innerHTML = `
@@ -76,6 +76,7 @@ function makeBuyModal(component, { title = 'Buy Now', quantity = '1', inputType
         <div class="MarketplacePanel_quantityInputs__test">
             <input type="${inputType}" value="${quantity}">
         </div>
+        ${price === null ? '' : `<div class="MarketplacePanel_priceInputs__test"><input type="text" value="${price}"></div>`}
     `;
     document.body.appendChild(modal);
     const input = modal.querySelector('input');
@@ -334,4 +335,34 @@ describe('marketplace-autofill', () => {
         expect(newModal.input.value).toBe('22');
         manager.cleanup();
     });
+
+    test('a buy-flow target fills only its own form and prices the New Buy Listing', () => {
+        const { manager, sessionId } = startManager();
+        const target = {
+            sessionId,
+            itemHrid: '/items/cheese',
+            enhancementLevel: 0,
+            modalMode: 'buy',
+            quantityProvider: () => 42,
+            priceProvider: () => 95,
+        };
+        expect(manager.arm({ ...target, buyFlow: 'later' })).toBe(false);
+        expect(manager.arm({ ...target, buyFlow: BUY_FLOW.LISTING })).toBe(true);
+
+        const buyNow = makeBuyModal(makeMarketplaceComponent(), { price: '100' });
+        emitModal(buyNow.modal);
+        vi.advanceTimersByTime(2000);
+        expect(buyNow.input.value).toBe('1');
+
+        const listingComponent = makeMarketplaceComponent({ isPostNewListing: true, isInstantOrder: false });
+        const listing = makeBuyModal(listingComponent, { title: 'Buy Listing', price: '100' });
+        const priceInput = listing.modal.querySelector('[class*="MarketplacePanel_priceInputs"] input');
+        emitModal(listing.modal);
+        expect(listing.input.value).toBe('42');
+        expect(priceInput.value).toBe('100');
+
+        vi.advanceTimersByTime(300);
+        expect(priceInput.value).toBe('95');
+        manager.cleanup();
+    });
 });
@@ -0,0 +1,293 @@
+/**
+ * Price Formula Utility
+ * Small expression language for custom pricing policies, e.g.
+ *   buy:  min(ask, lastBuy)
+ *   sell: spread > 20% ? mid : bid * 0.98
+ *
+ * Variables: ask, bid, mid, spread ((ask - bid) / ask), lastBuy, lastSell, vendor.
+ * Functions: min, max, if(cond, a, b), coalesce(a, b, ...), round, floor, ceil, abs.
+ * Operators: + - * / < <= > >= == != and/&& or/|| not/! and cond ? a : b.
+ * Numbers may end in % (20% = 0.2).
+ *
+ * Missing values are null: arithmetic with null gives null, comparisons with null are
+ * false, min/max/coalesce skip nulls. Formulas are parsed, never eval'd.
+ */
+
+export const FORMULA_VARIABLES = Object.freeze({
+    ask: 'Lowest sell listing',
+    bid: 'Highest buy listing',
+    mid: 'Midpoint of ask and bid',
+    spread: '(ask − bid) / ask, e.g. 0.2 = 20%',
+    lastBuy: 'Your last buy price (trade history)',
+    lastSell: 'Your last sell price (trade history)',
+    vendor: 'Vendor sell price',
+});
+
+const FUNCTIONS = {
+    min: (...args) => {
+        const values = args.filter((v) => v !== null);
+        return values.length > 0 ? Math.min(...values) : null;
+    },
+    max: (...args) => {
+        const values = args.filter((v) => v !== null);
+        return values.length > 0 ? Math.max(...values) : null;
+    },
+    coalesce: (...args) => args.find((v) => v !== null) ?? null,
+    round: (value) => (value === null ? null : Math.round(value)),
+    floor: (value) => (value === null ? null : Math.floor(value)),
+    ceil: (value) => (value === null ? null : Math.ceil(value)),
+    abs: (value) => (value === null ? null : Math.abs(value)),
+};
+
+const KEYWORD_OPERATORS = { and: '&&', or: '||', not: '!' };
+
+/**
+ * Split a formula into tokens
+ * @param {string} text - Formula
+ * @returns {Array<Object>} Tokens ({type: 'number'|'ident'|'op', value, pos})
+ * @throws {Error} On unexpected characters
+ */
+function tokenize(text) {
+    const tokens = [];
+    const pattern = /(\d+(?:\.\d+)?|\.\d+)(%?)|([A-Za-z_]\w*)|(<=|>=|==|!=|&&|\|\||[-+*/()<>!?:,])/y;
+    let pos = 0;
+
+    while (pos < text.length) {
+        if (/\s/.test(text[pos])) {
+            pos++;
+            continue;
+        }
+
+        pattern.lastIndex = pos;
+        const match = pattern.exec(text);
+        if (!match) throw new Error(`Unexpected "${text[pos]}" at position ${pos + 1}`);
+
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'number', value: Number(match[1]) / (match[2] ? 100 : 1), pos });
+        } else if (match[3] !== undefined) {
+            const keyword = KEYWORD_OPERATORS[match[3].toLowerCase()];
+            tokens.push(keyword ? { type: 'op', value: keyword, pos } : { type: 'ident', value: match[3], pos });
+        } else {
+            tokens.push({ type: 'op', value: match[4], pos });
+        }
+        pos = pattern.lastIndex;
+    }
+
+    return tokens;
+}
+
+/**
+ * Recursive-descent parser producing an AST
+ * @param {Array<Object>} tokens - From tokenize()
+ * @returns {Object} AST root
+ * @throws {Error} On syntax errors, unknown variables or unknown functions
+ */
+function parse(tokens) {
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+    const describe = (token) => (token ? `"${token.value}" at position ${token.pos + 1}` : 'end of formula');
+    const expect = (value) => {
+        if (!isOp(value)) throw new Error(`Expected "${value}" but found ${describe(peek())}`);
+        index++;
+    };
+
+    const binary = (next, operators) => () => {
+        let node = next();
+        while (peek()?.type === 'op' && operators.includes(peek().value)) {
+            const op = tokens[index++].value;
+            node = { type: 'binary', op, left: node, right: next() };
+        }
+        return node;
+    };
+
+    const primary = () => {
+        const token = tokens[index++];
+        if (!token) throw new Error('Unexpected end of formula');
+
+        if (token.type === 'number') return { type: 'number', value: token.value };
+
+        if (token.type === 'ident') {
+            if (isOp('(')) {
+                index++;
+                const name = token.value.toLowerCase();
+                if (name !== 'if' && !FUNCTIONS[name]) throw new Error(`Unknown function "${token.value}"`);
+                const args = [];
+                if (!isOp(')')) {
+                    args.push(expression());
+                    while (isOp(',')) {
+                        index++;
+                        args.push(expression());
+                    }
+                }
+                expect(')');
+                if (name === 'if' && args.length !== 3) throw new Error('if() takes 3 arguments: if(cond, a, b)');
+                return { type: 'call', name, args };
+            }
+            if (!Object.hasOwn(FORMULA_VARIABLES, token.value)) {
+                throw new Error(`Unknown variable "${token.value}"`);
+            }
+            return { type: 'variable', name: token.value };
+        }
+
+        if (token.value === '(') {
+            const node = expression();
+            expect(')');
+            return node;
+        }
+        if (token.value === '-') return { type: 'negate', operand: primary() };
+        if (token.value === '!') return { type: 'not', operand: comparison() };
+
+        throw new Error(`Unexpected ${describe(token)}`);
+    };
+
+    const multiplicative = binary(primary, ['*', '/']);
+    const additive = binary(multiplicative, ['+', '-']);
+    const comparison = binary(additive, ['<', '<=', '>', '>=', '==', '!=']);
+    const and = binary(comparison, ['&&']);
+    const or = binary(and, ['||']);
+
+    function expression() {
+        const condition = or();
+        if (!isOp('?')) return condition;
+        index++;
+        const whenTrue = expression();
+        expect(':');
+        return { type: 'conditional', condition, whenTrue, whenFalse: expression() };
+    }
+
+    const root = expression();
+    if (index < tokens.length) throw new Error(`Unexpected ${describe(peek())}`);
+    return root;
+}
+
+/**
+ * Evaluate an AST node
+ * @param {Object} node - AST node
+ * @param {Object} vars - Variable values (number or null)
+ * @returns {number|boolean|null}
+ */
+function evaluate(node, vars) {
+    switch (node.type) {
+        case 'number':
+            return node.value;
+        case 'variable':
+            return typeof vars[node.name] === 'number' && Number.isFinite(vars[node.name]) ? vars[node.name] : null;
+        case 'negate': {
+            const value = evaluate(node.operand, vars);
+            return value === null ? null : -value;
+        }
+        case 'not':
+            return !evaluate(node.operand, vars);
+        case 'conditional':
+            return evaluate(node.condition, vars) ? evaluate(node.whenTrue, vars) : evaluate(node.whenFalse, vars);
+        case 'call': {
+            if (node.name === 'if') {
+                return evaluate(node.args[0], vars) ? evaluate(node.args[1], vars) : evaluate(node.args[2], vars);
+            }
+            const args = node.args.map((arg) => {
+                const value = evaluate(arg, vars);
+                return typeof value === 'number' ? value : null;
+            });
+            return FUNCTIONS[node.name](...args);
+        }
+        case 'binary': {
+            if (node.op === '&&') return Boolean(evaluate(node.left, vars)) && Boolean(evaluate(node.right, vars));
+            if (node.op === '||') return Boolean(evaluate(node.left, vars)) || Boolean(evaluate(node.right, vars));
+
+            const left = evaluate(node.left, vars);
+            const right = evaluate(node.right, vars);
+            if (typeof left !== 'number' || typeof right !== 'number') {
+                return ['+', '-', '*', '/'].includes(node.op) ? null : false;
+            }
+
+            switch (node.op) {
+                case '+':
+                    return left + right;
+                case '-':
+                    return left - right;
+                case '*':
+                    return left * right;
+                case '/':
+                    return right === 0 ? null : left / right;
+                case '<':
+                    return left < right;
+                case '<=':
+                    return left <= right;
+                case '>':
+                    return left > right;
+                case '>=':
+                    return left >= right;
+                case '==':
+                    return left === right;
+                default:
+                    return left !== right;
+            }
+        }
+        default:
+            return null;
+    }
+}
+
+// Compiled formulas by source text
+const compiledCache = new Map();
+
+/**
+ * Compile a formula
+ * @param {string} text - Formula
+ * @returns {Function} (vars) => price (number >= 0) or null when it can't be computed
+ * @throws {Error} On syntax errors, unknown variables or unknown functions
+ */
+export function compileFormula(text) {
+    const source = String(text ?? '').trim();
+    if (compiledCache.has(source)) return compiledCache.get(source);
+    if (!source) throw new Error('Formula is empty');
+
+    const ast = parse(tokenize(source));
+    const compiled = (vars) => {
+        const result = evaluate(ast, vars);
+        return typeof result === 'number' && Number.isFinite(result) && result >= 0 ? result : null;
+    };
+
+    compiledCache.set(source, compiled);
+    return compiled;
+}
+
+/**
+ * Check a formula without evaluating it
+ * @param {string} text - Formula
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateFormula(text) {
+    try {
+        compileFormula(text);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Build formula variables from market and trade data
+ * @param {Object|null} priceData - Market price ({ask, bid}), negative or missing values are null
+ * @param {Object} [extra]
+ * @param {Object|null} [extra.history] - Trade history ({buy, sell})
+ * @param {number|null} [extra.vendor] - Vendor sell price
+ * @returns {Object} Variables
+ */
+export function buildFormulaVariables(priceData, { history = null, vendor = null } = {}) {
+    const valid = (value) => (typeof value === 'number' && value >= 0 ? value : null);
+    const ask = valid(priceData?.ask);
+    const bid = valid(priceData?.bid);
+
+    return {
+        ask,
+        bid,
+        mid: ask !== null && bid !== null ? (ask + bid) / 2 : null,
+        spread: ask > 0 && bid !== null ? (ask - bid) / ask : null,
+        lastBuy: valid(history?.buy),
+        lastSell: valid(history?.sell),
+        vendor: vendor > 0 ? vendor : null,
+    };
+}
@@ -0,0 +1,49 @@
+import { describe, expect, test } from 'vitest';
+import { buildFormulaVariables, compileFormula, validateFormula } from './price-formula.js';
+
+const vars = buildFormulaVariables({ ask: 100, bid: 70 }, { history: { buy: 90, sell: null }, vendor: 10 });
+
+describe('buildFormulaVariables', () => {
+    test('derives mid and spread and nulls missing values', () => {
+        expect(vars).toEqual({ ask: 100, bid: 70, mid: 85, spread: 0.3, lastBuy: 90, lastSell: null, vendor: 10 });
+        expect(buildFormulaVariables({ ask: -1, bid: 5 })).toMatchObject({ ask: null, mid: null, spread: null });
+    });
+});
+
+describe('compileFormula', () => {
+    test('evaluates arithmetic with precedence and percentages', () => {
+        expect(compileFormula('bid + (ask - bid) * 50%')(vars)).toBe(85);
+        expect(compileFormula('-bid + ask * 2')(vars)).toBe(130);
+    });
+
+    test('supports conditionals, keywords and functions', () => {
+        expect(compileFormula('spread > 20% ? mid : bid * 0.98')(vars)).toBe(85);
+        expect(compileFormula('if(spread > 0.5 or not ask, ask, bid)')(vars)).toBe(70);
+        expect(compileFormula('round(min(ask, lastBuy) * 1.015)')(vars)).toBe(91);
+    });
+
+    test('propagates missing values', () => {
+        expect(compileFormula('lastSell * 2')(vars)).toBeNull();
+        expect(compileFormula('min(ask, lastSell)')(vars)).toBe(100);
+        expect(compileFormula('coalesce(lastSell, bid)')(vars)).toBe(70);
+        expect(compileFormula('lastSell > 0 ? lastSell : vendor')(vars)).toBe(10);
+    });
+
+    test('rejects negative and non-numeric results', () => {
+        expect(compileFormula('bid - ask')(vars)).toBeNull();
+        expect(compileFormula('ask > bid')(vars)).toBeNull();
+        expect(compileFormula('ask / 0')(vars)).toBeNull();
+    });
+});
+
+describe('validateFormula', () => {
+    test('reports syntax errors and unknown names', () => {
+        expect(validateFormula('min(ask, lastBuy)')).toBeNull();
+        expect(validateFormula('')).toBe('Formula is empty');
+        expect(validateFormula('ask +')).toBe('Unexpected end of formula');
+        expect(validateFormula('price * 2')).toBe('Unknown variable "price"');
+        expect(validateFormula('median(ask)')).toBe('Unknown function "median"');
+        expect(validateFormula('ask; bid')).toBe('Unexpected ";" at position 4');
+        expect(validateFormula('if(ask, bid)')).toContain('3 arguments');
+    });
+});
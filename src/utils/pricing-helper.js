@@ -4,24 +4,37 @@
  */
 
 import config from '../core/config.js';
+import { getItemPrice } from './market-data.js';
 
 /**
  * Select appropriate price from market data based on pricing mode settings
  * @param {Object} priceData - Market price data with bid/ask properties
  * @param {string} modeSetting - Config setting key for pricing mode (default: 'profitCalc_pricingMode')
  * @param {string} respectSetting - Config setting key for respect pricing mode flag (default: 'expectedValue_respectPricingMode')
- * @returns {number} Selected price (bid or ask)
+ * @param {Object} [item] - { itemHrid, enhancementLevel } of the priced item, needed for custom formulas
+ * @returns {number} Selected price (bid, ask, or the custom sell formula)
  */
 export function selectPrice(
     priceData,
     modeSetting = 'profitCalc_pricingMode',
-    respectSetting = 'expectedValue_respectPricingMode'
+    respectSetting = 'expectedValue_respectPricingMode',
+    item = null
 ) {
-    if (!priceData) return 0;
-
     const pricingMode = config.getSettingValue(modeSetting, 'conservative');
     const respectPricingMode = config.getSettingValue(respectSetting, true);
 
+    // Custom formulas may price items without market data
+    if (respectPricingMode && pricingMode === 'custom' && item?.itemHrid) {
+        const price = getItemPrice(item.itemHrid, {
+            enhancementLevel: item.enhancementLevel || 0,
+            mode: 'custom',
+            side: 'sell',
+        });
+        return price > 0 ? price : 0;
+    }
+
+    if (!priceData) return 0;
+
     // If not respecting mode or mode is conservative/patientBuy, always use bid
     if (!respectPricingMode || pricingMode === 'conservative' || pricingMode === 'patientBuy') {
         return priceData.bid || 0;
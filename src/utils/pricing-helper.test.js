@@ -0,0 +1,45 @@
+/**
+ * Tests for the pricing mode price selection helper
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+
+const settings = {};
+vi.mock('../core/config.js', () => ({
+    default: { getSettingValue: vi.fn((key, fallback) => (key in settings ? settings[key] : fallback)) },
+}));
+vi.mock('./market-data.js', () => ({ getItemPrice: vi.fn(() => 140) }));
+
+const { selectPrice } = await import('./pricing-helper.js');
+const { getItemPrice } = await import('./market-data.js');
+
+const prices = { ask: 150, bid: 120 };
+
+beforeEach(() => {
+    Object.keys(settings).forEach((key) => delete settings[key]);
+});
+
+describe('selectPrice', () => {
+    test('uses bid for instant-sell modes and ask otherwise', () => {
+        settings.profitCalc_pricingMode = 'conservative';
+        expect(selectPrice(prices)).toBe(120);
+        settings.profitCalc_pricingMode = 'hybrid';
+        expect(selectPrice(prices)).toBe(150);
+    });
+
+    test('prices custom mode with the sell formula', () => {
+        settings.profitCalc_pricingMode = 'custom';
+        expect(selectPrice(null, undefined, undefined, { itemHrid: '/items/cheese' })).toBe(140);
+        expect(getItemPrice).toHaveBeenCalledWith('/items/cheese', {
+            enhancementLevel: 0,
+            mode: 'custom',
+            side: 'sell',
+        });
+    });
+
+    test('uses bid when the pricing mode is not respected', () => {
+        settings.profitCalc_pricingMode = 'custom';
+        settings.expectedValue_respectPricingMode = false;
+        expect(selectPrice(prices, undefined, undefined, { itemHrid: '/items/cheese' })).toBe(120);
+    });
+});
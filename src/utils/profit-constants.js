@@ -18,6 +18,15 @@ export const COWBELL_BAG_HRID = '/items/bag_of_10_cowbells';
  */
 export const COWBELL_BAG_TAX = 0.18;
 
+/**
+ * Marketplace tax rate on sales of an item
+ * @param {string} itemHrid - Item HRID
+ * @returns {number} COWBELL_BAG_TAX for Bag of 10 Cowbells, MARKET_TAX otherwise
+ */
+export function getTaxRate(itemHrid) {
+    return itemHrid === COWBELL_BAG_HRID ? COWBELL_BAG_TAX : MARKET_TAX;
+}
+
 /**
  * Base drink consumption rate per hour (before Drink Concentration)
  */
@@ -17,7 +17,7 @@ import {
     calculateProductionActionTotalsFromBase,
     calculateGatheringActionTotalsFromBase,
 } from './profit-helpers.js';
-import { MARKET_TAX } from './profit-constants.js';
+import { MARKET_TAX, getTaxRate } from './profit-constants.js';
 import { calculateEfficiencyMultiplier } from './efficiency.js';
 
 describe('calculateActionsPerHour', () => {
@@ -249,6 +249,13 @@ describe('calculatePriceAfterTax', () => {
     });
 });
 
+describe('getTaxRate', () => {
+    test('taxes Bag of 10 Cowbells at 18% and everything else at the market rate', () => {
+        expect(getTaxRate('/items/bag_of_10_cowbells')).toBe(0.18);
+        expect(getTaxRate('/items/cheese')).toBe(MARKET_TAX);
+    });
+});
+
 describe('calculateProductionActionTotalsFromBase', () => {
     test('calculates production totals from action-based inputs', () => {
         const actionsCount = 10;
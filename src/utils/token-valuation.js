@@ -3,9 +3,9 @@
  * Shared logic for calculating dungeon token and task token values
  */
 
-import config from '../core/config.js';
 import marketAPI from '../api/marketplace.js';
 import dataManager from '../core/data-manager.js';
+import { selectPrice } from './pricing-helper.js';
 
 /**
  * Calculate dungeon token value based on best shop item value
@@ -37,24 +37,11 @@ export function calculateDungeonTokenValue(
         const itemHrid = shopItem.itemHrid;
         const tokenCost = shopItem.costs[0].count;
 
-        // Get market price for this item
-        const prices = marketAPI.getPrice(itemHrid, 0);
-        if (!prices) continue;
-
-        // Use pricing mode to determine which price to use
-        const pricingMode = config.getSettingValue(pricingModeSetting, 'conservative');
-        const respectPricingMode = config.getSettingValue(respectModeSetting, true);
-
-        let marketPrice = 0;
-        if (respectPricingMode) {
-            // Conservative/Patient Buy: Bid, Hybrid/Optimistic: Ask
-            marketPrice = pricingMode === 'conservative' || pricingMode === 'patientBuy' ? prices.bid : prices.ask;
-        } else {
-            // Always conservative
-            marketPrice = prices.bid;
-        }
-
-        if (marketPrice <= 0) continue;
+        // Market price for this item per pricing mode (bid unless the mode is respected)
+        const marketPrice = selectPrice(marketAPI.getPrice(itemHrid, 0), pricingModeSetting, respectModeSetting, {
+            itemHrid,
+        });
+        if (!(marketPrice > 0)) continue;
 
         // Calculate value per token
         const valuePerToken = marketPrice / tokenCost;
@@ -76,23 +63,15 @@ export function calculateDungeonTokenValue(
 
         const essenceHrid = essenceMap[tokenHrid];
         if (essenceHrid) {
-            const essencePrice = marketAPI.getPrice(essenceHrid, 0);
-            if (essencePrice) {
-                const pricingMode = config.getSettingValue(pricingModeSetting, 'conservative');
-                const respectPricingMode = config.getSettingValue(respectModeSetting, true);
-
-                let marketPrice = 0;
-                if (respectPricingMode) {
-                    marketPrice =
-                        pricingMode === 'conservative' || pricingMode === 'patientBuy'
-                            ? essencePrice.bid
-                            : essencePrice.ask;
-                } else {
-                    marketPrice = essencePrice.bid;
+            const marketPrice = selectPrice(
+                marketAPI.getPrice(essenceHrid, 0),
+                pricingModeSetting,
+                respectModeSetting,
+                {
+                    itemHrid: essenceHrid,
                 }
-
-                return marketPrice > 0 ? marketPrice : null;
-            }
+            );
+            return marketPrice > 0 ? marketPrice : null;
         }
     }
 